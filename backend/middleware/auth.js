@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const School = require('../models/School');
+const ScanDevice = require('../models/ScanDevice');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
@@ -99,6 +102,68 @@ const requireBusDriver = async (req, res, next) => {
   }
 };
 
+// Feed tokens are stored hashed, like passwords
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a new feed token; only its hash is stored
+const generateFeedToken = () => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashFeedToken(token) };
+};
+
+// Middleware to authenticate realtime feed consumers by their school's feed
+// token, sent as the X-Feed-Token header or a token query parameter
+const authenticateFeedToken = async (req, res, next) => {
+  try {
+    const token = req.headers['x-feed-token'] || req.query.token;
+
+    if (!token) {
+      return res.status(401).json({ error: 'Feed token required' });
+    }
+
+    const school = await School.findOne({
+      'realtimeFeed.tokenHash': hashFeedToken(String(token)),
+      isActive: true
+    });
+
+    if (!school) {
+      return res.status(401).json({ error: 'Invalid feed token' });
+    }
+
+    req.school = school;
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
+// Middleware to authenticate badge readers by their device token, sent as
+// the X-Device-Token header. Device tokens are made and stored like feed
+// tokens.
+const authenticateDeviceToken = async (req, res, next) => {
+  try {
+    const token = req.headers['x-device-token'];
+
+    if (!token) {
+      return res.status(401).json({ error: 'Device token required' });
+    }
+
+    const device = await ScanDevice.findOne({
+      tokenHash: hashFeedToken(String(token)),
+      isActive: true
+    });
+
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid device token' });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
@@ -109,5 +174,8 @@ module.exports = {
   requireRole,
   requireSameSchool,
   requireBusDriver,
-  generateToken
+  authenticateFeedToken,
+  authenticateDeviceToken,
+  generateToken,
+  generateFeedToken
 }; 
\ No newline at end of file
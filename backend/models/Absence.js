@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A guardian's report that a student won't ride on a day, on one or both
+// runs. Dates are YYYY-MM-DD keys in the school's time zone, like the
+// school calendar.
+const absenceSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  directions: [{
+    type: String,
+    enum: ['to_school', 'from_school']
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+absenceSchema.index({ student: 1, date: 1 }, { unique: true });
+absenceSchema.index({ school: 1, date: 1 });
+
+module.exports = mongoose.model('Absence', absenceSchema);
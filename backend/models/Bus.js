@@ -71,6 +71,25 @@ const busSchema = new mongoose.Schema({
   lastLocationUpdate: {
     type: Date
   },
+  currentTrip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  stopVisit: {
+    stopIndex: Number,
+    enteredAt: Date,
+    arrivedAt: Date,
+    departedAt: Date,
+    arrivalLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArrivalLog'
+    }
+  },
+  offRoute: {
+    since: Date,
+    alertedAt: Date,
+    distance: Number // meters from the route geometry
+  },
   schedule: {
     morningStartTime: {
       type: String,
@@ -111,7 +130,7 @@ busSchema.index({ school: 1, status: 1 });
 // Virtual for current stop
 busSchema.virtual('currentStop').get(function() {
   if (!this.route || !this.route.stops) return null;
-  return this.route.stops[this.currentStopIndex];
+  return this.route.getStopsForDirection(this.currentDirection)[this.currentStopIndex];
 });
 
 // Method to update location
@@ -128,22 +147,17 @@ busSchema.methods.updateLocation = function(lat, lng, heading, speed) {
 busSchema.methods.getNextStop = function() {
   if (!this.route || !this.route.stops) return null;
   
-  const stops = this.route.stops;
-  const nextIndex = (this.currentStopIndex + 1) % stops.length;
-  return stops[nextIndex];
+  const stops = this.route.getStopsForDirection(this.currentDirection);
+  return stops[this.currentStopIndex + 1] || null;
 };
 
-// Method to advance to next stop
+// Method to advance to next stop. The run's direction is set when its trip
+// starts, so the index stops at the last stop instead of wrapping.
 busSchema.methods.advanceToNextStop = function() {
   if (!this.route || !this.route.stops) return;
   
-  const stops = this.route.stops;
-  this.currentStopIndex = (this.currentStopIndex + 1) % stops.length;
-  
-  // Check if we've completed a full route cycle
-  if (this.currentStopIndex === 0) {
-    this.currentDirection = this.currentDirection === 'to_school' ? 'from_school' : 'to_school';
-  }
+  const stops = this.route.getStopsForDirection(this.currentDirection);
+  this.currentStopIndex = Math.min(this.currentStopIndex + 1, stops.length - 1);
   
   return this.save();
 };
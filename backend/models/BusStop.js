@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const geocodingSchema = require('./geocodingSchema');
+
+// A place where buses stop, shared by every route that serves it. Routes
+// embed their stops with the BusStop's _id as the stop's _id, so parents,
+// students and arrival logs point at one stop whichever route they ride.
+const busStopSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  geocoding: geocodingSchema,
+  isSchoolStop: {
+    type: Boolean,
+    default: false
+  },
+  gtfsStopId: {
+    type: String, // stop_id when imported from a GTFS feed
+    trim: true
+  },
+  metadata: {
+    description: String,
+    landmarks: [String],
+    notes: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+busStopSchema.index({ location: '2dsphere' });
+busStopSchema.index({ school: 1, name: 1 });
+busStopSchema.index({ school: 1, gtfsStopId: 1 });
+busStopSchema.index({ school: 1, 'geocoding.status': 1 });
+
+module.exports = mongoose.model('BusStop', busStopSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A day or range of days on a school's calendar that changes bus service:
+// closures and no-service days cancel both runs, early releases move the
+// afternoon run and special schedules move either run.
+const calendarEventSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['closure', 'no_service', 'early_release', 'special_schedule'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  endDate: {
+    type: String, // YYYY-MM-DD, inclusive
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  startTime: {
+    type: String, // HH:MM school start on special schedules
+    match: /^\d{2}:\d{2}$/
+  },
+  dismissalTime: {
+    type: String, // HH:MM dismissal on early release and special schedules
+    match: /^\d{2}:\d{2}$/
+  },
+  notes: String,
+  source: {
+    type: String,
+    enum: ['manual', 'ical'],
+    default: 'manual'
+  },
+  icalUid: String, // UID (and occurrence date) of the imported iCal event
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+calendarEventSchema.index({ school: 1, startDate: 1, endDate: 1 });
+calendarEventSchema.index(
+  { school: 1, icalUid: 1 },
+  { unique: true, partialFilterExpression: { icalUid: { $exists: true } } }
+);
+
+// Check that the range runs forwards
+calendarEventSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must not be before startDate');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
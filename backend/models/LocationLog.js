@@ -11,6 +11,10 @@ const locationLogSchema = new mongoose.Schema({
     ref: 'Route',
     required: true
   },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   location: {
     type: {
       type: String,
@@ -48,6 +52,13 @@ const locationLogSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  distanceFromRoute: {
+    type: Number // meters from the route geometry
+  },
+  offRouteAlert: {
+    type: Boolean,
+    default: false
+  },
   metadata: {
     batteryLevel: Number,
     signalStrength: Number,
@@ -61,6 +72,7 @@ const locationLogSchema = new mongoose.Schema({
 locationLogSchema.index({ location: '2dsphere' });
 locationLogSchema.index({ bus: 1, timestamp: -1 });
 locationLogSchema.index({ route: 1, timestamp: -1 });
+locationLogSchema.index({ trip: 1, timestamp: 1 });
 
 module.exports = mongoose.model('LocationLog', locationLogSchema);
 
@@ -76,6 +88,10 @@ const arrivalLogSchema = new mongoose.Schema({
     ref: 'Route',
     required: true
   },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   stop: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BusStop',
@@ -97,6 +113,14 @@ const arrivalLogSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  departureTime: {
+    type: Date
+  },
+  detection: {
+    type: String,
+    enum: ['manual', 'geofence'],
+    default: 'manual'
+  },
   status: {
     type: String,
     enum: ['on_time', 'early', 'late', 'missed'],
@@ -116,6 +140,18 @@ const arrivalLogSchema = new mongoose.Schema({
       default: 0
     }
   },
+  skip: {
+    reason: {
+      type: String,
+      enum: ['no_riders', 'road_closed', 'running_late', 'unsafe_to_stop', 'other']
+    },
+    notes: String,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmedAt: Date
+  },
   notes: String,
   createdAt: {
     type: Date,
@@ -129,5 +165,6 @@ const arrivalLogSchema = new mongoose.Schema({
 arrivalLogSchema.index({ bus: 1, actualTime: -1 });
 arrivalLogSchema.index({ route: 1, actualTime: -1 });
 arrivalLogSchema.index({ stop: 1, actualTime: -1 });
+arrivalLogSchema.index({ trip: 1, actualTime: 1 });
 
 module.exports.ArrivalLog = mongoose.model('ArrivalLog', arrivalLogSchema); 
\ No newline at end of file
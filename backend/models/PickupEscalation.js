@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A student who had to be met at their afternoon stop but no authorized
+// adult was there. The student stays on the bus and goes back to school;
+// the escalation is returned once they get off at school and resolved
+// when the school closes it.
+const pickupEscalationSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusStop',
+    required: true
+  },
+  stopIndex: Number,
+  status: {
+    type: String,
+    enum: ['open', 'returned', 'resolved'],
+    default: 'open'
+  },
+  notes: String,
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolution: String
+}, {
+  timestamps: true
+});
+
+pickupEscalationSchema.index({ school: 1, status: 1, createdAt: -1 });
+pickupEscalationSchema.index({ trip: 1, student: 1 });
+
+module.exports = mongoose.model('PickupEscalation', pickupEscalationSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// A student getting on or off a bus at a stop during a run. Together they
+// are the school's ridership record.
+const rideEventSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['board', 'alight'],
+    required: true
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['to_school', 'from_school'],
+    required: true
+  },
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusStop',
+    required: true
+  },
+  stopIndex: {
+    type: Number,
+    required: true
+  },
+  // The bus's arrival at the stop, when the driver marked it
+  arrivalLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ArrivalLog'
+  },
+  time: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'scan'],
+    default: 'manual'
+  },
+  // Scanned events: the reader and badge, and anything unexpected about
+  // the rider
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanDevice'
+  },
+  badgeCode: String,
+  flags: [{
+    type: String,
+    enum: ['wrong_bus', 'wrong_stop']
+  }],
+  // Drop-offs of students who must be met at the stop: the adult the
+  // driver handed them to, confirmed by PIN or by name
+  handover: {
+    adultName: String,
+    relationship: String,
+    method: {
+      type: String,
+      enum: ['pin', 'name']
+    }
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rideEventSchema.index({ school: 1, time: -1 });
+rideEventSchema.index({ student: 1, time: -1 });
+rideEventSchema.index({ bus: 1, time: -1 });
+rideEventSchema.index({ route: 1, time: -1 });
+rideEventSchema.index({ trip: 1, student: 1, time: 1 });
+
+module.exports = mongoose.model('RideEvent', rideEventSchema);
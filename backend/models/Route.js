@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
+const { matchToLine } = require('../utils/geo');
 
-const busStopSchema = new mongoose.Schema({
+// A stop on a route. Its _id is the shared BusStop's id; name, location,
+// address and the other place details are copied from that BusStop so
+// tracking code can read them without populating, and stopService keeps the
+// copies in sync. The timing fields belong to this route alone.
+const routeStopSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
@@ -27,10 +32,22 @@ const busStopSchema = new mongoose.Schema({
     type: Number, // minutes from route start
     required: true
   },
+  dwellMinutes: {
+    type: Number, // overrides the route's default dwell time
+    min: 0
+  },
+  geofenceRadius: {
+    type: Number, // meters, overrides the route's default radius
+    min: 5
+  },
   isSchoolStop: {
     type: Boolean,
     default: false
   },
+  gtfsStopId: {
+    type: String, // stop_id when imported from a GTFS feed
+    trim: true
+  },
   stopOrder: {
     type: Number,
     required: true
@@ -42,6 +59,46 @@ const busStopSchema = new mongoose.Schema({
   }
 });
 
+// A stop as served on one direction's run. Runs list stops from the route's
+// stops by id, so a stop keeps one location and id across both directions.
+const runStopSchema = new mongoose.Schema({
+  stop: {
+    type: mongoose.Schema.Types.ObjectId, // _id of a stop in route.stops
+    required: true
+  },
+  estimatedTime: {
+    type: Number, // minutes from the run's start
+    required: true,
+    min: 0
+  },
+  dwellMinutes: {
+    type: Number, // overrides the stop's dwell time on this run
+    min: 0
+  }
+}, { _id: false });
+
+// Driving path for one direction of a route, as a GeoJSON LineString
+const routeGeometrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['LineString'],
+    default: 'LineString'
+  },
+  coordinates: {
+    type: [[Number]],
+    default: undefined
+  },
+  source: {
+    type: String,
+    enum: ['uploaded', 'generated']
+  },
+  provider: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const routeSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -57,7 +114,20 @@ const routeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bus'
   },
-  stops: [busStopSchema],
+  stops: [routeStopSchema],
+  // Stop sequences with their own order and timings per direction. Without
+  // one, the morning run follows the stops array and the afternoon run
+  // drives it in reverse.
+  runs: {
+    to_school: {
+      type: [runStopSchema],
+      default: undefined
+    },
+    from_school: {
+      type: [runStopSchema],
+      default: undefined
+    }
+  },
   direction: {
     type: String,
     enum: ['to_school', 'from_school', 'both'],
@@ -85,6 +155,43 @@ const routeSchema = new mongoose.Schema({
       }
     }
   },
+  geometry: {
+    to_school: routeGeometrySchema,
+    from_school: routeGeometrySchema
+  },
+  offRouteThreshold: {
+    distance: {
+      type: Number, // meters from the route geometry
+      default: 150,
+      min: 10
+    },
+    duration: {
+      type: Number, // seconds the bus must stay off route before alerting
+      default: 60,
+      min: 0
+    }
+  },
+  stopDetection: {
+    geofenceRadius: {
+      type: Number, // meters around a stop that count as being at it
+      default: 50,
+      min: 5
+    },
+    minDwellSeconds: {
+      type: Number, // time inside the geofence before an arrival is logged
+      default: 15,
+      min: 0
+    }
+  },
+  dwellMinutes: {
+    type: Number, // default time spent at each stop
+    default: 1,
+    min: 0
+  },
+  gtfs: {
+    routeId: String, // route_id when imported from a GTFS feed
+    importedAt: Date
+  },
   totalDistance: {
     type: Number, // kilometers
     default: 0
@@ -97,6 +204,22 @@ const routeSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  version: {
+    type: Number, // the route version currently in effect
+    default: 1
+  },
+  isDraft: {
+    type: Boolean, // imported routes stay drafts until an admin publishes them
+    default: false
+  },
+  importSource: {
+    format: {
+      type: String,
+      enum: ['gpx', 'kml', 'geojson']
+    },
+    fileName: String,
+    importedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -113,13 +236,88 @@ const routeSchema = new mongoose.Schema({
 routeSchema.index({ 'stops.location': '2dsphere' });
 routeSchema.index({ school: 1, isActive: 1 });
 
+// Stops of a route, or of a plain object shaped like one, in the order a
+// direction's run visits them, each with estimatedTime counted from that
+// run's start. A run defined in route.runs lists its own stops and timings;
+// otherwise the afternoon drives the morning stops in reverse with mirrored
+// times.
+const getRunStops = (route, direction) => {
+  const stops = route.stops || [];
+  const run = route.runs && route.runs[direction];
+  const toPlain = (stop) => (typeof stop.toObject === 'function' ? stop.toObject() : { ...stop });
+
+  if (run && run.length > 0) {
+    const stopsById = new Map(stops.map(stop => [stop._id.toString(), stop]));
+    return run
+      .filter(entry => stopsById.has(entry.stop.toString()))
+      .map(entry => {
+        const stop = toPlain(stopsById.get(entry.stop.toString()));
+        stop.estimatedTime = entry.estimatedTime;
+        if (entry.dwellMinutes !== undefined && entry.dwellMinutes !== null) {
+          stop.dwellMinutes = entry.dwellMinutes;
+        }
+        return stop;
+      });
+  }
+
+  if (direction === 'from_school') {
+    const lastOffset = Math.max(0, ...stops.map(stop => stop.estimatedTime || 0));
+    return [...stops].reverse().map(stop => ({
+      ...toPlain(stop),
+      estimatedTime: lastOffset - (stop.estimatedTime || 0)
+    }));
+  }
+
+  return stops;
+};
+
 // Method to get stops in correct order based on direction
 routeSchema.methods.getStopsForDirection = function(direction) {
-  if (direction === 'from_school') {
-    // Reverse the stops for return journey
-    return [...this.stops].reverse();
+  return getRunStops(this, direction);
+};
+
+// Method to tell whether a direction has its own stop sequence
+routeSchema.methods.hasOwnRun = function(direction) {
+  const run = this.runs && this.runs[direction];
+  return !!run && run.length > 0;
+};
+
+// Method to put a stop of the route on a direction's own run, among the
+// run's stops by its estimatedTime from the run's start
+routeSchema.methods.addToRun = function(direction, stopId, { estimatedTime, dwellMinutes }) {
+  const entries = [...this.runs[direction]];
+  const index = entries.findIndex(entry => entry.estimatedTime > estimatedTime);
+  entries.splice(index === -1 ? entries.length : index, 0, { stop: stopId, estimatedTime, dwellMinutes });
+  this.set(`runs.${direction}`, entries);
+};
+
+// Method to check whether a direction's run serves a stop
+routeSchema.methods.servesStop = function(stopId, direction) {
+  return getRunStops(this, direction).some(stop => stop._id.toString() === stopId.toString());
+};
+
+// Method to get the driving path for a direction. Without a dedicated
+// afternoon path the morning one is driven in reverse.
+routeSchema.methods.getGeometryForDirection = function(direction) {
+  const geometry = this.geometry || {};
+  const own = geometry[direction];
+  if (own && own.coordinates && own.coordinates.length >= 2) {
+    return own.coordinates;
+  }
+
+  const opposite = geometry[direction === 'from_school' ? 'to_school' : 'from_school'];
+  if (opposite && opposite.coordinates && opposite.coordinates.length >= 2) {
+    return [...opposite.coordinates].reverse();
   }
-  return this.stops;
+
+  return null;
+};
+
+// Method to map-match a position against the route geometry
+routeSchema.methods.matchToRoute = function(lat, lng, direction) {
+  const coordinates = this.getGeometryForDirection(direction);
+  if (!coordinates) return null;
+  return matchToLine([lng, lat], coordinates);
 };
 
 // Method to calculate distance between two points
@@ -162,29 +360,129 @@ routeSchema.methods.findNearestStop = function(lat, lng) {
 
 // Method to get next stop from current location
 routeSchema.methods.getNextStop = function(currentStopIndex, direction = 'to_school') {
-  if (!this.stops || this.stops.length === 0) return null;
-  
-  const stops = direction === 'from_school' ? 
-    [...this.stops].reverse() : 
-    this.stops;
-  
-  const nextIndex = (currentStopIndex + 1) % stops.length;
+  const stops = this.getStopsForDirection(direction);
+  const nextIndex = currentStopIndex + 1;
+  if (nextIndex >= stops.length) return null;
+
   return {
     stop: stops[nextIndex],
     index: nextIndex
   };
 };
 
-// Method to calculate ETA to a specific stop
-routeSchema.methods.calculateETA = function(currentLat, currentLng, targetStopIndex, direction = 'to_school') {
-  if (!this.stops || this.stops.length === 0) return null;
-  
-  const stops = direction === 'from_school' ? 
-    [...this.stops].reverse() : 
-    this.stops;
+// Method to get the time spent at a stop
+routeSchema.methods.getDwellMinutes = function(stop) {
+  if (stop && stop.dwellMinutes !== undefined && stop.dwellMinutes !== null) {
+    return stop.dwellMinutes;
+  }
+  return this.dwellMinutes !== undefined ? this.dwellMinutes : 1;
+};
+
+// Method to get the geofence radius of a stop in meters
+routeSchema.methods.getGeofenceRadius = function(stop) {
+  if (stop && stop.geofenceRadius) {
+    return stop.geofenceRadius;
+  }
+  return (this.stopDetection && this.stopDetection.geofenceRadius) || 50;
+};
+
+// Method to estimate arrival at every stop from the current position up to
+// targetStopIndex, following the stop sequence. estimateSegment(fromStop,
+// toStop, distanceKm, index) returns { minutes, source } and may also return
+// a distance when it already measures from the current position.
+routeSchema.methods.buildStopTimeline = function(currentLat, currentLng, currentStopIndex, targetStopIndex, direction = 'to_school', estimateSegment) {
+  const stops = this.getStopsForDirection(direction);
+  const timeline = [];
+  let totalMinutes = 0;
+  let totalDistance = 0;
+
+  const estimate = estimateSegment || ((fromStop, toStop, distance) => ({
+    minutes: (distance / 30) * 60, // average speed of 30 km/h
+    source: 'heuristic'
+  }));
+
+  for (let i = currentStopIndex; i < targetStopIndex && i + 1 < stops.length; i++) {
+    const fromStop = stops[i];
+    const toStop = stops[i + 1];
+    const segment = estimate(
+      fromStop,
+      toStop,
+      this.calculateDistance(
+        fromStop.location.coordinates[1], fromStop.location.coordinates[0],
+        toStop.location.coordinates[1], toStop.location.coordinates[0]
+      ),
+      i
+    );
+
+    let minutes = segment.minutes;
+    let distance = segment.distance;
+    let dwellMinutes = 0;
+
+    if (distance === undefined) {
+      distance = this.calculateDistance(
+        fromStop.location.coordinates[1], fromStop.location.coordinates[0],
+        toStop.location.coordinates[1], toStop.location.coordinates[0]
+      );
+
+      // Only the part of the segment still ahead of the bus counts
+      if (i === currentStopIndex) {
+        const remaining = this.calculateDistance(
+          currentLat, currentLng,
+          toStop.location.coordinates[1], toStop.location.coordinates[0]
+        );
+        const fraction = distance > 0 ? Math.min(1, remaining / distance) : 0;
+        minutes *= fraction;
+        distance *= fraction;
+      }
+    }
+
+    // Learned arrival-to-arrival times already include the stop's dwell
+    if (i > currentStopIndex && segment.source !== 'historical') {
+      dwellMinutes = this.getDwellMinutes(fromStop);
+    }
+
+    totalMinutes += dwellMinutes + minutes;
+    totalDistance += distance;
+
+    timeline.push({
+      stopIndex: i + 1,
+      stopId: toStop._id,
+      stopName: toStop.name,
+      travelMinutes: Math.round(minutes * 10) / 10,
+      dwellMinutes,
+      etaMinutes: Math.round(totalMinutes),
+      distance: Math.round(totalDistance * 100) / 100,
+      source: segment.source
+    });
+  }
+
+  return timeline;
+};
+
+// Method to calculate ETA to a specific stop along the stop sequence
+routeSchema.methods.calculateETA = function(currentLat, currentLng, targetStopIndex, direction = 'to_school', currentStopIndex = 0) {
+  const stops = this.getStopsForDirection(direction);
+  if (stops.length === 0) return null;
   
   const targetStop = stops[targetStopIndex];
   if (!targetStop) return null;
+
+  // Stops ahead of the bus follow the route through every stop in between
+  if (targetStopIndex > currentStopIndex) {
+    const timeline = this.buildStopTimeline(
+      currentLat, currentLng,
+      currentStopIndex, targetStopIndex,
+      direction
+    );
+    const arrival = timeline[timeline.length - 1];
+
+    return {
+      etaMinutes: arrival.etaMinutes,
+      distance: arrival.distance,
+      targetStop,
+      stops: timeline
+    };
+  }
   
   // Calculate distance to target stop
   const distance = this.calculateDistance(
@@ -200,8 +498,14 @@ routeSchema.methods.calculateETA = function(currentLat, currentLng, targetStopIn
   return {
     etaMinutes,
     distance: Math.round(distance * 100) / 100,
-    targetStop
+    targetStop,
+    stops: []
   };
 };
 
-module.exports = mongoose.model('Route', routeSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Route', routeSchema);
+
+// Shared with route versions, which snapshot a route's stops and runs
+module.exports.routeStopSchema = routeStopSchema;
+module.exports.runStopSchema = runStopSchema;
+module.exports.getRunStops = getRunStops;
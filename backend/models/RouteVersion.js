@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { routeStopSchema, runStopSchema } = require('./Route');
+
+// A planned change to a route's stops and schedule that takes effect on a
+// given date. The route itself always holds the version in effect.
+const routeVersionSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'superseded', 'cancelled', 'conflict'],
+    default: 'scheduled'
+  },
+  stops: [routeStopSchema],
+  runs: {
+    to_school: {
+      type: [runStopSchema],
+      default: undefined
+    },
+    from_school: {
+      type: [runStopSchema],
+      default: undefined
+    }
+  },
+  schedule: {
+    morning: {
+      startTime: String,
+      estimatedDuration: Number
+    },
+    afternoon: {
+      startTime: String,
+      estimatedDuration: Number
+    }
+  },
+  direction: {
+    type: String,
+    enum: ['to_school', 'from_school', 'both']
+  },
+  dwellMinutes: {
+    type: Number,
+    min: 0
+  },
+  notes: String,
+  // The route's layout when the version was drafted (see
+  // layoutFingerprint); a route edited since is not overwritten
+  baseFingerprint: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date,
+  notifiedParents: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+routeVersionSchema.index({ route: 1, version: 1 }, { unique: true });
+routeVersionSchema.index({ status: 1, effectiveFrom: 1 });
+
+module.exports = mongoose.model('RouteVersion', routeVersionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A badge reader (RFID, NFC or QR) that posts scans to /api/scan. Readers
+// mounted on a bus scan for it; handheld ones name the bus with each scan.
+const scanDeviceSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // The reader's own id, e.g. its serial number
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['rfid', 'nfc', 'qr'],
+    default: 'rfid'
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the token the reader authenticates with
+    select: false
+  },
+  lastScanAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+scanDeviceSchema.index({ school: 1, deviceId: 1 }, { unique: true });
+scanDeviceSchema.index({ tokenHash: 1 });
+
+module.exports = mongoose.model('ScanDevice', scanDeviceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const geocodingSchema = require('./geocodingSchema');
 
 const schoolSchema = new mongoose.Schema({
   name: {
@@ -27,6 +28,7 @@ const schoolSchema = new mongoose.Schema({
       required: true
     }
   },
+  geocoding: geocodingSchema,
   contactInfo: {
     phone: String,
     email: String,
@@ -46,6 +48,22 @@ const schoolSchema = new mongoose.Schema({
       type: String,
       default: '15:00'
     },
+    // Parents can't change absences for a run after this time (HH:MM) on
+    // the day
+    morningAbsenceCutoff: {
+      type: String,
+      default: '06:00'
+    },
+    afternoonAbsenceCutoff: {
+      type: String,
+      default: '12:00'
+    },
+    // IANA name of the school's clock: schedules, service days, ETA
+    // history, absence cutoffs, reports and exported feeds all use it
+    timezone: {
+      type: String,
+      default: 'America/New_York'
+    },
     busArrivalBuffer: {
       type: Number,
       default: 10, // minutes before school start time
@@ -57,8 +75,27 @@ const schoolSchema = new mongoose.Schema({
       default: 10, // minutes before arrival
       min: 5,
       max: 30
+    },
+    earlyArrivalTolerance: {
+      type: Number,
+      default: 2, // minutes before schedule still counted as on time
+      min: 0,
+      max: 30
+    },
+    lateArrivalTolerance: {
+      type: Number,
+      default: 5, // minutes after schedule still counted as on time
+      min: 0,
+      max: 60
     }
   },
+  realtimeFeed: {
+    tokenHash: {
+      type: String, // SHA-256 of the token given to feed consumers
+      select: false
+    },
+    createdAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -77,6 +114,7 @@ const schoolSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 schoolSchema.index({ location: '2dsphere' });
+schoolSchema.index({ 'realtimeFeed.tokenHash': 1 }, { sparse: true });
 
 // Virtual for full address
 schoolSchema.virtual('fullAddress').get(function() {
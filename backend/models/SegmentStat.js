@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Learned travel statistics for a route, bucketed by weekday and hour of day.
+// 'segment' entries hold stop-to-stop travel times from arrival history,
+// 'route_speed' entries hold the average driving speed seen in location logs.
+const segmentStatSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['to_school', 'from_school'],
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['segment', 'route_speed'],
+    default: 'segment'
+  },
+  fromStop: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  toStop: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  weekday: {
+    type: Number, // 0 = Sunday
+    min: 0,
+    max: 6,
+    required: true
+  },
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    required: true
+  },
+  sampleCount: {
+    type: Number,
+    default: 0
+  },
+  meanMinutes: {
+    type: Number // segment travel time
+  },
+  meanSpeed: {
+    type: Number // km/h
+  }
+}, {
+  timestamps: true
+});
+
+segmentStatSchema.index({ route: 1, direction: 1, kind: 1 });
+segmentStatSchema.index({ route: 1, direction: 1, fromStop: 1, toStop: 1 });
+
+module.exports = mongoose.model('SegmentStat', segmentStatSchema);
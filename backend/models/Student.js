@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const RELATIONSHIPS = ['mother', 'father', 'parent', 'guardian', 'grandparent', 'sibling', 'other'];
+
+// A guardian's link to a student. Guardians are parent users; a student can
+// have several, each with their own permissions.
+const guardianSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  relationship: {
+    type: String,
+    enum: RELATIONSHIPS,
+    default: 'parent'
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Change the student's stops and details
+  canManage: {
+    type: Boolean,
+    default: true
+  },
+  // Collect the student from the bus
+  canPickUp: {
+    type: Boolean,
+    default: true
+  },
+  receivesNotifications: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// An adult other than a guardian who may collect the student from the bus.
+// Drivers confirm the hand-over with the adult's PIN or name.
+const pickupAdultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  relationship: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  pinHash: String,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Hash a PIN the adult gives the driver
+pickupAdultSchema.methods.setPin = async function(pin) {
+  this.pinHash = pin ? await bcrypt.hash(String(pin), 10) : undefined;
+};
+
+pickupAdultSchema.methods.checkPin = function(pin) {
+  return this.pinHash ? bcrypt.compare(String(pin), this.pinHash) : Promise.resolve(false);
+};
+
+// Only whether there is a PIN leaves the server
+const hidePin = (doc, ret) => {
+  ret.hasPin = !!ret.pinHash;
+  delete ret.pinHash;
+  return ret;
+};
+pickupAdultSchema.set('toJSON', { transform: hidePin });
+pickupAdultSchema.set('toObject', { transform: hidePin });
+
+// A student who rides the school's buses. The school owns the record;
+// guardians see and (with canManage) edit it through /parent/children.
+const studentSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  // The school's own student ID
+  studentNumber: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  grade: {
+    type: String,
+    trim: true
+  },
+  // Where the student boards in the morning and gets off in the afternoon
+  amStop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusStop'
+  },
+  pmStop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusStop'
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  guardians: [guardianSchema],
+  // Must be handed to a guardian who can pick up or a pickup adult at the
+  // afternoon stop, e.g. kindergarteners
+  requiresAdultAtStop: {
+    type: Boolean,
+    default: false
+  },
+  pickupAdults: [pickupAdultSchema],
+  // Badges the student taps or shows when boarding. Codes are stored
+  // normalized (see normalizeBadgeCode).
+  badges: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['rfid', 'nfc', 'qr'],
+      default: 'rfid'
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+studentSchema.index(
+  { school: 1, studentNumber: 1 },
+  { unique: true, partialFilterExpression: { studentNumber: { $type: 'string' } } }
+);
+studentSchema.index({ 'guardians.user': 1 });
+studentSchema.index({ school: 1, amStop: 1 });
+studentSchema.index({ school: 1, pmStop: 1 });
+studentSchema.index({ school: 1, 'badges.code': 1 });
+
+// The student's stop for a run direction
+studentSchema.methods.getStop = function(direction) {
+  return direction === 'from_school' ? this.pmStop : this.amStop;
+};
+
+// A user's guardian link to this student, if they have one
+studentSchema.methods.getGuardian = function(userId) {
+  return this.guardians.find(guardian =>
+    (guardian.user._id || guardian.user).toString() === userId.toString()
+  );
+};
+
+// Readers report the same badge with different case and separators
+// (04:A3:1B or 04a31b), so codes are compared upper case without them
+const normalizeBadgeCode = (code) => String(code).trim().toUpperCase().replace(/[\s:-]/g, '');
+
+module.exports = mongoose.model('Student', studentSchema);
+module.exports.RELATIONSHIPS = RELATIONSHIPS;
+module.exports.normalizeBadgeCode = normalizeBadgeCode;
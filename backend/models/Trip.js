@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One morning or afternoon run of a bus over its route, from the moment the
+// driver starts tracking until they stop
+const tripSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['to_school', 'from_school'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'abandoned'],
+    default: 'in_progress'
+  },
+  plannedStart: {
+    type: Date
+  },
+  plannedEnd: {
+    type: Date
+  },
+  actualStart: {
+    type: Date,
+    default: Date.now
+  },
+  actualEnd: {
+    type: Date
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+tripSchema.index({ bus: 1, actualStart: -1 });
+tripSchema.index({ route: 1, actualStart: -1 });
+tripSchema.index({ school: 1, actualStart: -1 });
+tripSchema.index({ status: 1 });
+
+// Trip length in minutes, up to now while it is still running
+tripSchema.methods.getDurationMinutes = function() {
+  const end = this.actualEnd || new Date();
+  return Math.round((end - this.actualStart) / 60000);
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const geocodingSchema = require('./geocodingSchema');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -38,6 +39,10 @@ const userSchema = new mongoose.Schema({
     ref: 'School',
     required: function() { return this.role === 'driver' || this.role === 'parent'; }
   },
+  // Push token for school admins and drivers (parents use parent.pushToken)
+  pushToken: {
+    type: String
+  },
   // Driver specific fields
   driver: {
     bus: {
@@ -50,20 +55,30 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
-  // Parent specific fields
+  // Parent specific fields. Their children are Students with this user as
+  // a guardian.
   parent: {
-    children: [{
-      name: String,
-      grade: String,
-      busStop: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'BusStop'
-      }
-    }],
     selectedStop: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'BusStop'
     },
+    // Where the family lives, used to suggest the nearest stops
+    home: {
+      address: {
+        street: String,
+        city: String,
+        state: String,
+        zipCode: String
+      },
+      location: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: [Number] // [lng, lat]
+      },
+      geocoding: geocodingSchema
+    },
     pushToken: String,
     notificationPreferences: {
       etaNotifications: {
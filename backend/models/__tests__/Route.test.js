@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Route = require('../Route');
+
+// Four stops about 1.1 km apart heading north
+const makeRoute = (overrides = {}) => new Route({
+  name: 'Route 1',
+  school: new mongoose.Types.ObjectId(),
+  stops: [0, 1, 2, 3].map(index => ({
+    name: `Stop ${index}`,
+    location: { coordinates: [-73.99, 40.70 + index * 0.01] },
+    estimatedTime: index * 10,
+    stopOrder: index,
+    ...(index === 2 && { dwellMinutes: 3 })
+  })),
+  ...overrides
+});
+
+const tenMinutes = (source) => () => ({ minutes: 10, source });
+
+describe('Route#buildStopTimeline', () => {
+  it('passes every stop in between and adds their dwell times', () => {
+    const route = makeRoute();
+
+    const timeline = route.buildStopTimeline(40.70, -73.99, 0, 3, 'to_school', tenMinutes('heuristic'));
+
+    expect(timeline.map(entry => entry.stopIndex)).toEqual([1, 2, 3]);
+    // No dwell at the stop the bus is leaving; stop 2 overrides the default
+    expect(timeline.map(entry => entry.dwellMinutes)).toEqual([0, 1, 3]);
+    expect(timeline.map(entry => entry.etaMinutes)).toEqual([10, 21, 34]);
+  });
+
+  it('does not add dwell to learned arrival-to-arrival times', () => {
+    const route = makeRoute();
+
+    const timeline = route.buildStopTimeline(40.70, -73.99, 0, 3, 'to_school', tenMinutes('historical'));
+
+    expect(timeline.map(entry => entry.etaMinutes)).toEqual([10, 20, 30]);
+  });
+
+  it('only counts the part of the first segment still ahead of the bus', () => {
+    const route = makeRoute();
+
+    const timeline = route.buildStopTimeline(40.705, -73.99, 0, 1, 'to_school', tenMinutes('heuristic'));
+
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0].etaMinutes).toBe(5);
+    expect(timeline[0].distance).toBeCloseTo(0.56, 1);
+  });
+
+  it('uses the route default dwell time', () => {
+    const route = makeRoute({ dwellMinutes: 2 });
+
+    const timeline = route.buildStopTimeline(40.70, -73.99, 0, 2, 'to_school', tenMinutes('heuristic'));
+
+    expect(timeline.map(entry => entry.etaMinutes)).toEqual([10, 22]);
+  });
+});
+
+describe('Route#getStopsForDirection', () => {
+  it('drives the morning stops in reverse in the afternoon by default', () => {
+    const route = makeRoute();
+
+    const afternoon = route.getStopsForDirection('from_school');
+
+    expect(route.getStopsForDirection('to_school').map(stop => stop.name)).toEqual(['Stop 0', 'Stop 1', 'Stop 2', 'Stop 3']);
+    expect(afternoon.map(stop => stop.name)).toEqual(['Stop 3', 'Stop 2', 'Stop 1', 'Stop 0']);
+    expect(afternoon.map(stop => stop.estimatedTime)).toEqual([0, 10, 20, 30]);
+    // The stored stops keep their morning times
+    expect(route.stops[3].estimatedTime).toBe(30);
+  });
+
+  it('follows a run of its own with its own order, times and dwell', () => {
+    const route = makeRoute();
+    const [stop0, stop1, , stop3] = route.stops;
+    route.runs = {
+      from_school: [
+        { stop: stop3._id, estimatedTime: 0 },
+        { stop: stop0._id, estimatedTime: 12, dwellMinutes: 2 },
+        { stop: stop1._id, estimatedTime: 20 }
+      ]
+    };
+
+    const afternoon = route.getStopsForDirection('from_school');
+
+    expect(afternoon.map(stop => [stop.name, stop.estimatedTime])).toEqual([['Stop 3', 0], ['Stop 0', 12], ['Stop 1', 20]]);
+    expect(afternoon[1].dwellMinutes).toBe(2);
+    expect(route.getNextStop(0, 'from_school').stop.name).toBe('Stop 0');
+    expect(route.getNextStop(2, 'from_school')).toBeNull();
+  });
+
+  it('knows which runs serve a stop', () => {
+    const route = makeRoute();
+    const stop2 = route.stops[2];
+    route.runs = { from_school: [{ stop: route.stops[3]._id, estimatedTime: 0 }, { stop: route.stops[0]._id, estimatedTime: 15 }] };
+
+    expect(route.servesStop(stop2._id, 'to_school')).toBe(true);
+    expect(route.servesStop(stop2._id, 'from_school')).toBe(false);
+  });
+
+  it('places a stop on a run of its own by its time on the run', () => {
+    const route = makeRoute();
+    const [stop0, stop1, stop2, stop3] = route.stops;
+    route.runs = { from_school: [{ stop: stop3._id, estimatedTime: 0 }, { stop: stop0._id, estimatedTime: 15 }] };
+
+    expect(route.hasOwnRun('from_school')).toBe(true);
+    expect(route.hasOwnRun('to_school')).toBe(false);
+
+    route.addToRun('from_school', stop2._id, { estimatedTime: 6, dwellMinutes: 2 });
+    route.addToRun('from_school', stop1._id, { estimatedTime: 20 });
+
+    expect(route.getStopsForDirection('from_school').map(stop => [stop.name, stop.estimatedTime])).toEqual([
+      ['Stop 3', 0], ['Stop 2', 6], ['Stop 0', 15], ['Stop 1', 20]
+    ]);
+    expect(route.getStopsForDirection('from_school')[1].dwellMinutes).toBe(2);
+  });
+
+  it('skips run entries whose stop was removed from the route', () => {
+    const route = makeRoute();
+    route.runs = { to_school: [{ stop: new mongoose.Types.ObjectId(), estimatedTime: 0 }, { stop: route.stops[1]._id, estimatedTime: 4 }] };
+
+    expect(route.getStopsForDirection('to_school').map(stop => stop.name)).toEqual(['Stop 1']);
+  });
+
+  it('times the afternoon timeline from its own run', () => {
+    const route = makeRoute();
+    route.runs = {
+      from_school: [
+        { stop: route.stops[3]._id, estimatedTime: 0 },
+        { stop: route.stops[1]._id, estimatedTime: 15 }
+      ]
+    };
+
+    const timeline = route.buildStopTimeline(40.73, -73.99, 0, 1, 'from_school', tenMinutes('heuristic'));
+
+    expect(timeline.map(entry => [entry.stopId, entry.etaMinutes])).toEqual([[route.stops[1]._id, 10]]);
+  });
+});
+
+describe('Route#getGeometryForDirection', () => {
+  it('reverses the morning path when the afternoon has none', () => {
+    const route = makeRoute({ geometry: { to_school: { type: 'LineString', coordinates: [[-73.99, 40.70], [-73.99, 40.73]] } } });
+
+    expect(route.getGeometryForDirection('from_school')).toEqual([[-73.99, 40.73], [-73.99, 40.70]]);
+    expect(makeRoute().getGeometryForDirection('to_school')).toBeNull();
+  });
+});
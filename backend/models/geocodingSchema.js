@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How a place's location or address was found by the geocoder. Ambiguous
+// and unmatched addresses wait for a school admin to confirm a location.
+const geocodingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['matched', 'reversed', 'ambiguous', 'not_found', 'failed', 'confirmed']
+  },
+  provider: String,
+  query: String,
+  formattedAddress: String,
+  confidence: Number,
+  candidates: [{
+    _id: false,
+    formattedAddress: String,
+    coordinates: [Number], // [lng, lat]
+    confidence: Number
+  }],
+  geocodedAt: Date,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: Date
+}, { _id: false });
+
+module.exports = geocodingSchema;
@@ -4,6 +4,8 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const School = require('../models/School');
 const { authenticateToken, generateToken } = require('../middleware/auth');
+const { geocodePlace } = require('../services/geocodingService');
+const { findGuardianStudents, toChildView } = require('../services/studentService');
 
 const router = express.Router();
 
@@ -102,10 +104,12 @@ router.post('/register/school', [
         street: schoolAddress
       },
       location: {
-        coordinates: [0, 0] // Will be updated with geocoding
+        coordinates: [0, 0] // Until the address is geocoded or confirmed
       }
     });
 
+    await geocodePlace(school);
+
     await school.save();
 
     // Create school admin user
@@ -265,7 +269,6 @@ router.post('/register/parent', authenticateToken, [
       role: 'parent',
       school: req.user.school,
       parent: {
-        children: [],
         notificationPreferences: {
           etaNotifications: true,
           arrivalNotifications: true
@@ -298,10 +301,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate('school')
       .populate('driver.bus')
-      .populate('parent.selectedStop')
-      .populate('parent.children.busStop');
+      .populate('parent.selectedStop');
 
-    res.json({ user });
+    if (user.role !== 'parent') {
+      return res.json({ user });
+    }
+
+    const students = await findGuardianStudents(user._id).populate('amStop pmStop');
+    res.json({ user, children: students.map(student => toChildView(student, user._id)) });
   } catch (error) {
     console.error('Profile error:', error);
     res.status(500).json({ error: 'Failed to get profile' });
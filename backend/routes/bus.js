@@ -4,6 +4,7 @@ const Bus = require('../models/Bus');
 const User = require('../models/User');
 const Route = require('../models/Route');
 const { authenticateToken, requireRole, requireSameSchool } = require('../middleware/auth');
+const { getRouteCapacityReport, getCapacityWarnings } = require('../services/capacityService');
 
 const router = express.Router();
 
@@ -27,7 +28,7 @@ router.get('/:id', authenticateToken, requireRole(['school', 'driver']), async (
   try {
     const bus = await Bus.findById(req.params.id)
       .populate('driver', 'firstName lastName email')
-      .populate('route', 'name stops');
+      .populate('route', 'name stops runs');
 
     if (!bus) {
       return res.status(404).json({ error: 'Bus not found' });
@@ -74,6 +75,11 @@ router.post('/', authenticateToken, requireRole(['school']), [
       return res.status(400).json({ error: 'Bus number already exists' });
     }
 
+    // Draft routes have to be published before a bus can drive them
+    if (routeId && await Route.exists({ _id: routeId, isDraft: true })) {
+      return res.status(400).json({ error: 'Publish the route before assigning a bus' });
+    }
+
     // Create bus
     const bus = new Bus({
       busNumber,
@@ -137,6 +143,10 @@ router.put('/:id', authenticateToken, requireRole(['school']), [
       }
     }
 
+    if (routeId && await Route.exists({ _id: routeId, isDraft: true })) {
+      return res.status(400).json({ error: 'Publish the route before assigning a bus' });
+    }
+
     // Update bus
     const updates = {};
     if (busNumber) updates.busNumber = busNumber;
@@ -174,7 +184,17 @@ router.put('/:id', authenticateToken, requireRole(['school']), [
     .populate('driver', 'firstName lastName email')
     .populate('route', 'name');
 
-    res.json({ bus: updatedBus });
+    // Warn (without refusing) when the bus is now too small for its route
+    let warnings = [];
+    if ((capacity || routeId) && updatedBus.route) {
+      const route = await Route.findById(updatedBus.route._id);
+      if (route) {
+        const report = await getRouteCapacityReport(route, { bus: updatedBus });
+        warnings = getCapacityWarnings(report);
+      }
+    }
+
+    res.json({ bus: updatedBus, warnings });
   } catch (error) {
     console.error('Update bus error:', error);
     res.status(500).json({ error: 'Failed to update bus' });
@@ -0,0 +1,202 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const CalendarEvent = require('../models/CalendarEvent');
+const School = require('../models/School');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getSchoolDateKey, addDays, getEvents, getServiceDay, importIcalCalendar } = require('../services/calendarService');
+
+const router = express.Router();
+
+// iCal files are read in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Early releases need a dismissal time; special schedules a changed bell time
+const checkEventTimes = (event) => {
+  if (event.type === 'early_release' && !event.dismissalTime) {
+    return 'Early release needs a dismissalTime';
+  }
+  if (event.type === 'special_schedule' && !event.startTime && !event.dismissalTime) {
+    return 'Special schedule needs a startTime or dismissalTime';
+  }
+  return null;
+};
+
+// Get calendar events between two dates (default: today and the next year)
+router.get('/', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const from = DATE_PATTERN.test(req.query.from) ? req.query.from : await getSchoolDateKey(req.user.school);
+    const to = DATE_PATTERN.test(req.query.to) ? req.query.to : addDays(from, 365);
+
+    const events = await getEvents(req.user.school, from, to);
+
+    res.json({ from, to, events });
+  } catch (error) {
+    console.error('Get calendar events error:', error);
+    res.status(500).json({ error: 'Failed to get calendar events' });
+  }
+});
+
+// Get bus service for a day (default today): whether buses run and the
+// bell times they follow
+router.get('/day', authenticateToken, requireRole(['school', 'driver', 'parent']), async (req, res) => {
+  try {
+    if (req.query.date && !DATE_PATTERN.test(req.query.date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const serviceDay = await getServiceDay(req.user.school, req.query.date || new Date());
+
+    res.json({ serviceDay });
+  } catch (error) {
+    console.error('Get service day error:', error);
+    res.status(500).json({ error: 'Failed to get service day' });
+  }
+});
+
+// Add a closure, no-service day, early release or special schedule
+router.post('/', authenticateToken, requireRole(['school']), [
+  body('type').isIn(['closure', 'no_service', 'early_release', 'special_schedule']),
+  body('name').notEmpty().trim(),
+  body('startDate').matches(DATE_PATTERN),
+  body('endDate').optional().matches(DATE_PATTERN),
+  body('startTime').optional().matches(TIME_PATTERN),
+  body('dismissalTime').optional().matches(TIME_PATTERN),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, name, startDate, endDate, startTime, dismissalTime, notes } = req.body;
+
+    const timeError = checkEventTimes({ type, startTime, dismissalTime });
+    if (timeError) {
+      return res.status(400).json({ error: timeError });
+    }
+
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({ error: 'endDate must not be before startDate' });
+    }
+
+    const event = new CalendarEvent({
+      school: req.user.school,
+      type,
+      name,
+      startDate,
+      endDate: endDate || startDate,
+      startTime,
+      dismissalTime,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await event.save();
+
+    res.status(201).json({ event });
+  } catch (error) {
+    console.error('Create calendar event error:', error);
+    res.status(500).json({ error: 'Failed to create calendar event' });
+  }
+});
+
+// Import closures and early releases from an iCal file (field "file").
+// All-day events are closures; timed events whose summary mentions an early
+// release or dismissal dismiss at the event's start. Re-importing the same
+// file updates the events it created. dryRun=true previews the import.
+router.post('/import', authenticateToken, requireRole(['school']), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'iCal file is required' });
+    }
+
+    const school = await School.findById(req.user.school);
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const result = await importIcalCalendar(req.file.buffer, school, { dryRun, user: req.user });
+
+    if (result.errors.length > 0) {
+      return res.status(400).json(result);
+    }
+
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Calendar import error:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+});
+
+// Update a calendar event
+router.put('/:id', authenticateToken, requireRole(['school']), [
+  body('type').optional().isIn(['closure', 'no_service', 'early_release', 'special_schedule']),
+  body('name').optional().notEmpty().trim(),
+  body('startDate').optional().matches(DATE_PATTERN),
+  body('endDate').optional().matches(DATE_PATTERN),
+  body('startTime').optional({ nullable: true }).matches(TIME_PATTERN),
+  body('dismissalTime').optional({ nullable: true }).matches(TIME_PATTERN),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await CalendarEvent.findById(req.params.id);
+    if (!event || event.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Calendar event not found' });
+    }
+
+    for (const field of ['type', 'name', 'startDate', 'endDate', 'startTime', 'dismissalTime', 'notes']) {
+      if (req.body[field] !== undefined) {
+        event[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    }
+
+    const timeError = checkEventTimes(event);
+    if (timeError) {
+      return res.status(400).json({ error: timeError });
+    }
+
+    if (event.endDate < event.startDate) {
+      return res.status(400).json({ error: 'endDate must not be before startDate' });
+    }
+
+    await event.save();
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Update calendar event error:', error);
+    res.status(500).json({ error: 'Failed to update calendar event' });
+  }
+});
+
+// Delete a calendar event
+router.delete('/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.id);
+    if (!event || event.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Calendar event not found' });
+    }
+
+    await CalendarEvent.findByIdAndDelete(event._id);
+
+    res.json({ message: 'Calendar event deleted successfully' });
+  } catch (error) {
+    console.error('Delete calendar event error:', error);
+    res.status(500).json({ error: 'Failed to delete calendar event' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,14 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
+const Student = require('../models/Student');
+const { ArrivalLog } = require('../models/LocationLog');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordArrival } = require('../services/trackingService');
+const { getRunRiders, recordRideEvent } = require('../services/ridershipService');
+const { getRiders, countRiders } = require('../services/capacityService');
+const { getSchoolTimeZone, getSchoolDateKey, zonedParts, zonedTime } = require('../services/calendarService');
+const { verifyPickupAdult, escalateMissingAdult } = require('../services/pickupService');
 
 const router = express.Router();
 
@@ -15,7 +22,7 @@ router.get('/my-bus', authenticateToken, requireRole(['driver']), async (req, re
         path: 'driver.bus',
         populate: {
           path: 'route',
-          select: 'name stops direction'
+          select: 'name stops runs direction'
         }
       });
 
@@ -42,13 +49,39 @@ router.get('/my-bus', authenticateToken, requireRole(['driver']), async (req, re
 router.get('/my-route', authenticateToken, requireRole(['driver']), async (req, res) => {
   try {
     const bus = await Bus.findById(req.user.driver.bus)
-      .populate('route', 'name stops direction');
+      .populate('route', 'name stops runs direction');
 
     if (!bus || !bus.route) {
       return res.status(404).json({ error: 'No route assigned' });
     }
 
-    res.json({ route: bus.route });
+    // The stops of the run being driven, in the order and with the timings
+    // of that direction. Each stop has its riders and how many of them are
+    // expected today, after absences, so stops nobody needs can be skipped.
+    const direction = bus.currentDirection;
+    const riders = await getRiders(bus.school, {
+      date: await getSchoolDateKey(bus.school),
+      stops: bus.route.stops.map(stop => stop._id)
+    });
+    const assigned = countRiders(riders, bus.route, direction);
+    const expected = countRiders(riders, bus.route, direction, { expected: true });
+
+    const stops = bus.route.getStopsForDirection(direction).map(stop => {
+      if (stop.isSchoolStop) return stop;
+      const key = stop._id.toString();
+      return {
+        ...stop,
+        riders: assigned.get(key) || 0,
+        expectedRiders: expected.get(key) || 0,
+        noExpectedRiders: !expected.get(key)
+      };
+    });
+
+    res.json({
+      route: bus.route,
+      direction,
+      stops
+    });
   } catch (error) {
     console.error('Get driver route error:', error);
     res.status(500).json({ error: 'Failed to get route information' });
@@ -59,7 +92,7 @@ router.get('/my-route', authenticateToken, requireRole(['driver']), async (req,
 router.get('/next-stop', authenticateToken, requireRole(['driver']), async (req, res) => {
   try {
     const bus = await Bus.findById(req.user.driver.bus)
-      .populate('route', 'stops');
+      .populate('route', 'stops runs');
 
     if (!bus || !bus.route) {
       return res.status(404).json({ error: 'No route assigned' });
@@ -119,7 +152,7 @@ router.put('/bus-status', authenticateToken, requireRole(['driver']), [
 
 // Mark arrival at stop
 router.post('/arrive-at-stop', authenticateToken, requireRole(['driver']), [
-  body('stopIndex').isInt({ min: 0 })
+  body('stopIndex').isInt({ min: 0 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -130,37 +163,28 @@ router.post('/arrive-at-stop', authenticateToken, requireRole(['driver']), [
     const { stopIndex } = req.body;
 
     const bus = await Bus.findById(req.user.driver.bus)
-      .populate('route', 'stops');
+      .populate('route');
 
     if (!bus || !bus.route) {
       return res.status(404).json({ error: 'No route assigned' });
     }
 
-    if (stopIndex >= bus.route.stops.length) {
+    if (stopIndex >= bus.route.getStopsForDirection(bus.currentDirection).length) {
       return res.status(400).json({ error: 'Invalid stop index' });
     }
 
-    // Update bus current stop
-    bus.currentStopIndex = stopIndex;
-    await bus.save();
-
-    // Log arrival
-    const ArrivalLog = require('../models/LocationLog').ArrivalLog;
-    const arrivalLog = new ArrivalLog({
-      bus: bus._id,
-      route: bus.route._id,
-      stop: bus.route.stops[stopIndex]._id,
-      stopIndex,
-      direction: bus.currentDirection,
-      actualTime: new Date()
+    // Manual arrival overrides automatic geofence detection
+    const arrivalLog = await recordArrival(req.app.get('io'), bus, stopIndex, {
+      actualTime: new Date(),
+      detection: 'manual'
     });
-
-    await arrivalLog.save();
+    await bus.save();
 
     res.json({ 
       message: 'Arrival logged successfully',
       currentStopIndex: bus.currentStopIndex,
-      stop: bus.route.stops[stopIndex]
+      stop: bus.route.getStopsForDirection(bus.currentDirection)[stopIndex],
+      arrivalLog
     });
   } catch (error) {
     console.error('Log arrival error:', error);
@@ -168,6 +192,229 @@ router.post('/arrive-at-stop', authenticateToken, requireRole(['driver']), [
   }
 });
 
+// Get the students expected on the current run, with their stops and
+// whether they are on board
+router.get('/riders', authenticateToken, requireRole(['driver']), async (req, res) => {
+  try {
+    const bus = await Bus.findById(req.user.driver.bus)
+      .populate('route');
+
+    if (!bus || !bus.route) {
+      return res.status(404).json({ error: 'No route assigned' });
+    }
+
+    const riders = await getRunRiders(bus);
+
+    res.json({
+      tripId: bus.currentTrip,
+      direction: bus.currentDirection,
+      riders
+    });
+  } catch (error) {
+    console.error('Get riders error:', error);
+    res.status(500).json({ error: 'Failed to get riders' });
+  }
+});
+
+// Mark a student as boarded or alighted at a stop (default the current one)
+// on the current run
+router.post('/ride-events', authenticateToken, requireRole(['driver']), [
+  body('studentId').isMongoId(),
+  body('type').isIn(['board', 'alight']),
+  body('stopIndex').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, type, stopIndex } = req.body;
+
+    const bus = await Bus.findById(req.user.driver.bus)
+      .populate('route');
+
+    if (!bus || !bus.route) {
+      return res.status(404).json({ error: 'No route assigned' });
+    }
+
+    const result = await recordRideEvent(req.app.get('io'), bus, studentId, type, {
+      stopIndex,
+      recordedBy: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error, requiresHandover: result.requiresHandover });
+    }
+
+    res.status(201).json({ 
+      message: type === 'board' ? 'Boarding recorded' : 'Drop-off recorded',
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Record ride event error:', error);
+    res.status(500).json({ error: 'Failed to record ride event' });
+  }
+});
+
+// Drop off a student who must be met at the stop, confirming the adult
+// collecting them with their PIN or name
+router.post('/handovers', authenticateToken, requireRole(['driver']), [
+  body('studentId').isMongoId(),
+  body('pin').optional().trim().isLength({ min: 4, max: 8 }),
+  body('adultName').optional().trim(),
+  body('stopIndex').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, pin, adultName, stopIndex } = req.body;
+
+    const bus = await Bus.findById(req.user.driver.bus)
+      .populate('route');
+
+    if (!bus || !bus.route) {
+      return res.status(404).json({ error: 'No route assigned' });
+    }
+
+    const student = await Student.findOne({ _id: studentId, school: bus.school, isActive: true });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const { handover, error } = await verifyPickupAdult(student, { pin, adultName });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await recordRideEvent(req.app.get('io'), bus, student._id, 'alight', {
+      stopIndex,
+      recordedBy: req.user._id,
+      handover
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: `Handed to ${handover.adultName}`,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Record handover error:', error);
+    res.status(500).json({ error: 'Failed to record handover' });
+  }
+});
+
+// Nobody authorized is at the stop to collect a student: they stay on the
+// bus and go back to school, and the school and guardians are alerted
+router.post('/handovers/no-adult', authenticateToken, requireRole(['driver']), [
+  body('studentId').isMongoId(),
+  body('stopIndex').optional().isInt({ min: 0 }).toInt(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, stopIndex, notes } = req.body;
+
+    const bus = await Bus.findById(req.user.driver.bus)
+      .populate('route');
+
+    if (!bus || !bus.route) {
+      return res.status(404).json({ error: 'No route assigned' });
+    }
+
+    const student = await Student.findOne({ _id: studentId, school: bus.school, isActive: true });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const result = await escalateMissingAdult(req.app.get('io'), bus, student, {
+      stopIndex,
+      notes,
+      reportedBy: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: `Keep ${student.name} on board and bring them back to school`,
+      escalation: result.escalation
+    });
+  } catch (error) {
+    console.error('Escalate pickup error:', error);
+    res.status(500).json({ error: 'Failed to escalate pickup' });
+  }
+});
+
+// Get today's missed stops for the driver's bus, today being the school's
+router.get('/missed-stops', authenticateToken, requireRole(['driver']), async (req, res) => {
+  try {
+    const timeZone = await getSchoolTimeZone(req.user.school);
+    const startOfDay = zonedTime(zonedParts(new Date(), timeZone).dateKey, '00:00', timeZone);
+
+    const missedStops = await ArrivalLog.find({
+      bus: req.user.driver.bus,
+      status: 'missed',
+      actualTime: { $gte: startOfDay }
+    }).sort({ actualTime: 1 });
+
+    res.json({ missedStops });
+  } catch (error) {
+    console.error('Get missed stops error:', error);
+    res.status(500).json({ error: 'Failed to get missed stops' });
+  }
+});
+
+// Confirm a missed stop and record why it was skipped
+router.put('/missed-stops/:arrivalLogId', authenticateToken, requireRole(['driver']), [
+  body('reason').isIn(['no_riders', 'road_closed', 'running_late', 'unsafe_to_stop', 'other']),
+  body('notes').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const arrivalLog = await ArrivalLog.findOne({
+      _id: req.params.arrivalLogId,
+      bus: req.user.driver.bus,
+      status: 'missed'
+    });
+
+    if (!arrivalLog) {
+      return res.status(404).json({ error: 'Missed stop not found' });
+    }
+
+    arrivalLog.skip = {
+      reason: req.body.reason,
+      notes: req.body.notes,
+      confirmedBy: req.user._id,
+      confirmedAt: new Date()
+    };
+    await arrivalLog.save();
+
+    res.json({
+      message: 'Missed stop confirmed',
+      arrivalLog
+    });
+  } catch (error) {
+    console.error('Confirm missed stop error:', error);
+    res.status(500).json({ error: 'Failed to confirm missed stop' });
+  }
+});
+
 // Get driver's profile
 router.get('/profile', authenticateToken, requireRole(['driver']), async (req, res) => {
   try {
@@ -0,0 +1,98 @@
+const express = require('express');
+const multer = require('multer');
+const Route = require('../models/Route');
+const School = require('../models/School');
+const { authenticateToken, requireRole, authenticateFeedToken } = require('../middleware/auth');
+const { importGtfsFeed, exportGtfsFeed } = require('../services/gtfsService');
+const {
+  buildVehiclePositions,
+  buildTripUpdates,
+  encodeFeed,
+  feedToJson
+} = require('../services/gtfsRealtimeService');
+
+const router = express.Router();
+
+// Feeds are read in memory; a school's feed is a few megabytes at most
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+// Import a GTFS static feed (zip, field "feed") into the school's routes.
+// With dryRun=true the import is previewed without saving anything.
+router.post('/import', authenticateToken, requireRole(['school']), upload.single('feed'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'GTFS zip file is required' });
+    }
+
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const result = await importGtfsFeed(req.file.buffer, req.user.school, { dryRun });
+
+    if (result.routes.length === 0 && result.errors.length > 0) {
+      return res.status(400).json(result);
+    }
+
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('GTFS import error:', error);
+    res.status(500).json({ error: 'Failed to import GTFS feed' });
+  }
+});
+
+// Export the school's active routes as a GTFS static feed
+router.get('/export', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const school = await School.findById(req.user.school);
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    const routes = await Route.find({ school: school._id, isActive: true }).sort({ name: 1 });
+    const feed = exportGtfsFeed(school, routes);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="gtfs.zip"'
+    });
+    res.send(feed);
+  } catch (error) {
+    console.error('GTFS export error:', error);
+    res.status(500).json({ error: 'Failed to export GTFS feed' });
+  }
+});
+
+// Send a realtime feed as protobuf, or as JSON with format=json
+const sendRealtimeFeed = (req, res, message) => {
+  if (req.query.format === 'json') {
+    return res.json(feedToJson(message));
+  }
+
+  res.set('Content-Type', 'application/x-protobuf');
+  res.send(encodeFeed(message));
+};
+
+// GTFS-Realtime vehicle positions for the feed token's school
+router.get('/realtime/vehicle-positions', authenticateFeedToken, async (req, res) => {
+  try {
+    const message = await buildVehiclePositions(req.school._id);
+    sendRealtimeFeed(req, res, message);
+  } catch (error) {
+    console.error('GTFS-Realtime vehicle positions error:', error);
+    res.status(500).json({ error: 'Failed to build vehicle positions feed' });
+  }
+});
+
+// GTFS-Realtime trip updates for the feed token's school
+router.get('/realtime/trip-updates', authenticateFeedToken, async (req, res) => {
+  try {
+    const message = await buildTripUpdates(req.school._id);
+    sendRealtimeFeed(req, res, message);
+  } catch (error) {
+    console.error('GTFS-Realtime trip updates error:', error);
+    res.status(500).json({ error: 'Failed to build trip updates feed' });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,11 @@ const Bus = require('../models/Bus');
 const Route = require('../models/Route');
 const LocationLog = require('../models/LocationLog');
 const { authenticateToken, requireRole, requireBusDriver } = require('../middleware/auth');
-const { calculateTrafficETA } = require('../services/trafficService');
+const { calculateETA, calculateTimeline } = require('../services/etaService');
+const { recordLocation } = require('../services/trackingService');
+const { startTrip, endTrip } = require('../services/tripService');
+const { getScheduledTime } = require('../services/scheduleService');
+const { getServiceDay } = require('../services/calendarService');
 
 const router = express.Router();
 
@@ -31,33 +35,20 @@ router.post('/update', authenticateToken, requireRole(['driver']), [
       return res.status(404).json({ error: 'Bus not found' });
     }
 
-    // Update bus location
-    await bus.updateLocation(latitude, longitude, heading, speed);
-
-    // Log location
-    const locationLog = new LocationLog({
-      bus: bus._id,
-      route: bus.route._id,
-      location: {
-        coordinates: [longitude, latitude]
-      },
+    // Update bus location, log it and check it against the route geometry
+    const { adherence } = await recordLocation(req.app.get('io'), bus, {
+      latitude,
+      longitude,
       heading,
       speed,
-      direction: bus.currentDirection,
-      currentStopIndex: bus.currentStopIndex,
-      isOnRoute: bus.isOnRoute,
-      metadata: {
-        accuracy,
-        batteryLevel: req.body.batteryLevel,
-        signalStrength: req.body.signalStrength
-      }
+      accuracy,
+      batteryLevel: req.body.batteryLevel,
+      signalStrength: req.body.signalStrength
     });
 
-    await locationLog.save();
-
     // Check if bus is near any stops (within 3 minutes)
     if (bus.route) {
-      const stops = bus.route.stops;
+      const stops = bus.route.getStopsForDirection(bus.currentDirection);
       const currentStop = stops[bus.currentStopIndex];
       
       if (currentStop) {
@@ -92,7 +83,8 @@ router.post('/update', authenticateToken, requireRole(['driver']), [
       },
       timestamp: new Date(),
       currentStopIndex: bus.currentStopIndex,
-      direction: bus.currentDirection
+      direction: bus.currentDirection,
+      isOnRoute: adherence.isOnRoute
     });
 
     res.json({
@@ -101,7 +93,9 @@ router.post('/update', authenticateToken, requireRole(['driver']), [
         id: bus._id,
         currentLocation: bus.currentLocation,
         currentStopIndex: bus.currentStopIndex,
-        direction: bus.currentDirection
+        direction: bus.currentDirection,
+        isOnRoute: adherence.isOnRoute,
+        distanceFromRoute: adherence.distanceFromRoute
       }
     });
   } catch (error) {
@@ -147,6 +141,46 @@ router.get('/bus/:busId', authenticateToken, requireRole(['parent', 'school']),
   }
 });
 
+// Get ETAs for every upcoming stop on the bus's run
+router.get('/eta/:busId', authenticateToken, requireRole(['parent', 'school']), async (req, res) => {
+  try {
+    const bus = await Bus.findById(req.params.busId).populate('route');
+    if (!bus || !bus.route) {
+      return res.status(404).json({ error: 'Bus or route not found' });
+    }
+
+    // Check if user has access to this bus
+    if (req.user.role === 'parent' && req.user.school.toString() !== bus.school.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const timeline = await calculateTimeline(bus, bus.route);
+
+    // Today's service from the school calendar, so closures and early
+    // releases show next to the ETAs
+    const serviceDay = await getServiceDay(bus.school);
+    const runStops = bus.route.getStopsForDirection(timeline.direction);
+
+    res.json({
+      busId: bus._id,
+      model: timeline.model,
+      provider: timeline.provider,
+      trafficDelay: timeline.trafficDelay,
+      stops: timeline.stops.map(entry => ({
+        ...entry,
+        scheduledTime: getScheduledTime(bus.route, timeline.direction, runStops[entry.stopIndex], new Date(), serviceDay)
+      })),
+      serviceDay,
+      direction: timeline.direction,
+      currentStopIndex: timeline.currentStopIndex,
+      lastUpdate: bus.lastLocationUpdate
+    });
+  } catch (error) {
+    console.error('ETA timeline error:', error);
+    res.status(500).json({ error: 'Failed to calculate ETA timeline' });
+  }
+});
+
 // Get ETA to specific stop
 router.get('/eta/:busId/:stopIndex', authenticateToken, requireRole(['parent', 'school']), async (req, res) => {
   try {
@@ -163,49 +197,32 @@ router.get('/eta/:busId/:stopIndex', authenticateToken, requireRole(['parent', '
     }
 
     const stopIndexNum = parseInt(stopIndex);
-    if (stopIndexNum >= bus.route.stops.length) {
+    if (isNaN(stopIndexNum) || stopIndexNum >= bus.route.getStopsForDirection(bus.currentDirection).length) {
       return res.status(400).json({ error: 'Invalid stop index' });
     }
 
-    const targetStop = bus.route.stops[stopIndexNum];
-    const currentLocation = bus.currentLocation.coordinates;
-
-    // Calculate basic ETA
-    let eta = bus.route.calculateETA(
-      currentLocation[1], // latitude
-      currentLocation[0], // longitude
-      stopIndexNum,
-      bus.currentDirection
-    );
+    // Calculate ETA from learned travel times, traffic or the basic heuristic
+    const eta = await calculateETA(bus, bus.route, stopIndexNum);
 
     if (!eta) {
       return res.status(400).json({ error: 'Unable to calculate ETA' });
     }
 
-    // Get traffic-aware ETA if available
-    try {
-      const trafficETA = await calculateTrafficETA(
-        currentLocation[1],
-        currentLocation[0],
-        targetStop.location.coordinates[1],
-        targetStop.location.coordinates[0]
-      );
-      
-      if (trafficETA) {
-        eta.etaMinutes = trafficETA.etaMinutes;
-        eta.trafficDelay = trafficETA.trafficDelay;
-      }
-    } catch (trafficError) {
-      console.warn('Traffic calculation failed, using basic ETA:', trafficError.message);
-    }
+    const targetStop = eta.targetStop;
+    const serviceDay = await getServiceDay(bus.school);
 
     res.json({
       busId: bus._id,
       stopId: targetStop._id,
       stopName: targetStop.name,
+      scheduledTime: getScheduledTime(bus.route, bus.currentDirection, targetStop, new Date(), serviceDay),
+      serviceDay,
       eta: eta.etaMinutes,
       distance: eta.distance,
       trafficDelay: eta.trafficDelay || 0,
+      model: eta.model,
+      provider: eta.provider,
+      stops: eta.stops,
       direction: bus.currentDirection,
       currentStopIndex: bus.currentStopIndex,
       lastUpdate: bus.lastLocationUpdate
@@ -252,7 +269,7 @@ router.get('/school/:schoolId/buses', authenticateToken, requireRole(['school'])
       school: schoolId, 
       status: { $in: ['active', 'inactive'] } 
     })
-    .populate('route', 'name stops')
+    .populate('route', 'name stops runs')
     .populate('driver', 'firstName lastName')
     .select('-__v');
 
@@ -263,30 +280,48 @@ router.get('/school/:schoolId/buses', authenticateToken, requireRole(['school'])
   }
 });
 
-// Start/stop bus tracking
-router.post('/bus/:busId/tracking', authenticateToken, requireRole(['driver']), async (req, res) => {
+// Start/stop bus tracking. Starting opens a trip for the run and stopping
+// closes it.
+router.post('/bus/:busId/tracking', authenticateToken, requireRole(['driver']), [
+  body('action').isIn(['start', 'stop']),
+  body('direction').optional().isIn(['to_school', 'from_school'])
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { busId } = req.params;
-    const { action } = req.body; // 'start' or 'stop'
+    const { action, direction } = req.body;
 
     // Verify driver owns this bus
     if (req.user.driver.bus.toString() !== busId) {
       return res.status(403).json({ error: 'Access denied to this bus' });
     }
 
-    const bus = await Bus.findById(busId);
+    const bus = await Bus.findById(busId).populate('route');
     if (!bus) {
       return res.status(404).json({ error: 'Bus not found' });
     }
 
+    let trip = null;
+
     if (action === 'start') {
+      if (!bus.route) {
+        return res.status(400).json({ error: 'No route assigned to this bus' });
+      }
+
+      ({ trip } = await startTrip(bus, bus.route, {
+        driver: req.user._id,
+        direction
+      }));
       bus.status = 'active';
       bus.isOnRoute = true;
-    } else if (action === 'stop') {
+    } else {
+      trip = await endTrip(bus);
       bus.status = 'inactive';
       bus.isOnRoute = false;
-    } else {
-      return res.status(400).json({ error: 'Invalid action' });
     }
 
     await bus.save();
@@ -295,7 +330,9 @@ router.post('/bus/:busId/tracking', authenticateToken, requireRole(['driver']),
     req.app.get('io').to(`bus_${busId}`).emit('bus_status_update', {
       busId: bus._id,
       status: bus.status,
-      isOnRoute: bus.isOnRoute
+      isOnRoute: bus.isOnRoute,
+      direction: bus.currentDirection,
+      tripId: trip ? trip._id : null
     });
 
     res.json({
@@ -303,8 +340,10 @@ router.post('/bus/:busId/tracking', authenticateToken, requireRole(['driver']),
       bus: {
         id: bus._id,
         status: bus.status,
-        isOnRoute: bus.isOnRoute
-      }
+        isOnRoute: bus.isOnRoute,
+        currentDirection: bus.currentDirection
+      },
+      trip
     });
   } catch (error) {
     console.error('Bus tracking control error:', error);
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Student = require('../models/Student');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { sendPushNotification } = require('../services/notificationService');
 
@@ -170,11 +171,20 @@ router.post('/emergency', authenticateToken, requireRole(['school']), [
           }
         }
 
-        // Get parents on this route
+        // Get parents on this route and guardians of students riding it
+        const students = await Student.find({
+          school: req.user.school,
+          isActive: true,
+          $or: [{ bus: bus._id }, { route: bus.route._id }]
+        }).select('guardians');
+
         const parents = await User.find({
           role: 'parent',
           school: req.user.school,
-          'parent.selectedStop': { $in: bus.route.stops.map(stop => stop._id) }
+          $or: [
+            { 'parent.selectedStop': { $in: bus.route.stops.map(stop => stop._id) } },
+            { _id: { $in: students.flatMap(student => student.guardians.map(guardian => guardian.user)) } }
+          ]
         });
 
         parents.forEach(parent => {
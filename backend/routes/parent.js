@@ -1,21 +1,48 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
+const Student = require('../models/Student');
+const { RELATIONSHIPS } = Student;
+const School = require('../models/School');
+const Absence = require('../models/Absence');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { geocodeAddress, geocodePlace } = require('../services/geocodingService');
+const { findGuardianStudents, assignTransport, toChildView } = require('../services/studentService');
+const { getRidership } = require('../services/ridershipService');
+const { getSchoolDateKey, addDays } = require('../services/calendarService');
+const { isAbsenceLocked, toAbsenceView } = require('../services/absenceService');
+const { listAvailableStops } = require('../services/stopService');
 
 const router = express.Router();
 
+// Stops further than this from home are not suggested unless asked for
+const DEFAULT_STOP_DISTANCE = 5000; // metres
+const DEFAULT_STOP_SUGGESTIONS = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead absences are listed unless asked for
+const DEFAULT_ABSENCE_DAYS = 30;
+const DIRECTIONS = ['to_school', 'from_school'];
+
+// Parents can pick any of the school's bus stops that an active route serves
+const isServedStop = (schoolId, stopId) => Route.exists({
+  school: schoolId,
+  isActive: true,
+  'stops._id': stopId
+});
+
 // Get parent's profile
 router.get('/profile', authenticateToken, requireRole(['parent']), async (req, res) => {
   try {
     const parent = await User.findById(req.user._id)
       .select('-password')
-      .populate('parent.selectedStop')
-      .populate('parent.children.busStop');
+      .populate('parent.selectedStop');
+    const students = await findGuardianStudents(req.user._id).populate('amStop pmStop');
 
-    res.json({ parent });
+    res.json({ parent, children: students.map(student => toChildView(student, req.user._id)) });
   } catch (error) {
     console.error('Get parent profile error:', error);
     res.status(500).json({ error: 'Failed to get profile' });
@@ -54,34 +81,110 @@ router.put('/profile', authenticateToken, requireRole(['parent']), [
   }
 });
 
-// Get available bus stops
-router.get('/available-stops', authenticateToken, requireRole(['parent']), async (req, res) => {
+// Save the family's home from an address (geocoded) or a location. An
+// ambiguous address is saved at the best match and the other candidates are
+// returned so the parent can send the right location instead.
+router.put('/home', authenticateToken, requireRole(['parent']), [
+  body('address.street').optional().trim(),
+  body('address.city').optional().trim(),
+  body('address.state').optional().trim(),
+  body('address.zipCode').optional().trim(),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('location.coordinates.*').optional().isFloat()
+], async (req, res) => {
   try {
-    const routes = await Route.find({ school: req.user.school, isActive: true })
-      .select('name stops');
-
-    const allStops = [];
-    routes.forEach(route => {
-      route.stops.forEach(stop => {
-        allStops.push({
-          id: stop._id,
-          name: stop.name,
-          address: stop.address,
-          routeName: route.name,
-          routeId: route._id
-        });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { address, location } = req.body;
+    if (!address && !location) {
+      return res.status(400).json({ error: 'Send an address or a location' });
+    }
+
+    const place = {
+      address,
+      location: location ? { type: 'Point', coordinates: location.coordinates.map(Number) } : undefined
+    };
+    await geocodePlace(place, { locationGiven: !!location });
+
+    if (!place.location) {
+      return res.status(400).json({
+        error: 'Could not find a location for this address',
+        geocoding: place.geocoding
       });
-    });
+    }
 
-    // Remove duplicates based on stop name and address
-    const uniqueStops = allStops.filter((stop, index, self) =>
-      index === self.findIndex(s => 
-        s.name === stop.name && 
-        JSON.stringify(s.address) === JSON.stringify(stop.address)
-      )
-    );
+    const parent = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'parent.home': { address: place.address, location: place.location, geocoding: place.geocoding } },
+      { new: true, runValidators: true }
+    ).select('-password');
 
-    res.json({ stops: uniqueStops });
+    res.json({ home: parent.parent.home });
+  } catch (error) {
+    console.error('Update home error:', error);
+    res.status(500).json({ error: 'Failed to update home' });
+  }
+});
+
+// Get available bus stops, each once with the routes that serve it and
+// their usual pickup (morning) and drop-off (afternoon) times. Given a
+// point (lat and lng), an address, or a saved home, the nearest stops
+// within maxDistance metres are listed first, closest first. Each stop's
+// id can be sent straight to PUT /select-stop.
+router.get('/available-stops', authenticateToken, requireRole(['parent']), async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const maxDistance = parseFloat(req.query.maxDistance) || DEFAULT_STOP_DISTANCE;
+    const limit = parseInt(req.query.limit) || DEFAULT_STOP_SUGGESTIONS;
+
+    let origin = null;
+    if (!isNaN(lat) && !isNaN(lng)) {
+      origin = { coordinates: [lng, lat], source: 'location' };
+    } else if (req.query.address) {
+      const result = await geocodeAddress(req.query.address);
+      if (!result) {
+        return res.status(503).json({ error: 'Address lookup is not available' });
+      }
+      if (!result.best) {
+        return res.status(400).json({ error: 'Could not find a location for this address' });
+      }
+      origin = {
+        coordinates: result.best.coordinates,
+        source: 'address',
+        formattedAddress: result.best.formattedAddress,
+        ambiguous: result.status === 'ambiguous'
+      };
+    } else {
+      const home = req.user.parent && req.user.parent.home;
+      if (home && home.location && home.location.coordinates && home.location.coordinates.length === 2) {
+        origin = { coordinates: [...home.location.coordinates], source: 'home' };
+      }
+    }
+
+    const query = { school: req.user.school, isActive: true };
+    if (origin) {
+      // Only routes with a stop in range, through the stops' 2dsphere index
+      query['stops.location'] = {
+        $near: {
+          $geometry: { type: 'Point', coordinates: origin.coordinates },
+          $maxDistance: maxDistance
+        }
+      };
+    }
+
+    const routes = await Route.find(query).select('name stops runs schedule direction');
+    const stops = listAvailableStops(routes, {
+      origin: origin && origin.coordinates,
+      selectedStop: req.user.parent && req.user.parent.selectedStop,
+      maxDistance,
+      limit
+    });
+
+    res.json({ origin, stops });
   } catch (error) {
     console.error('Get available stops error:', error);
     res.status(500).json({ error: 'Failed to get available stops' });
@@ -100,13 +203,8 @@ router.put('/select-stop', authenticateToken, requireRole(['parent']), [
 
     const { stopId } = req.body;
 
-    // Verify the stop exists and belongs to the school
-    const routes = await Route.find({ school: req.user.school, isActive: true });
-    const stopExists = routes.some(route => 
-      route.stops.some(stop => stop._id.toString() === stopId)
-    );
-
-    if (!stopExists) {
+    // Verify the stop belongs to the school and a route serves it
+    if (!await isServedStop(req.user.school, stopId)) {
       return res.status(400).json({ error: 'Invalid stop selected' });
     }
 
@@ -202,11 +300,60 @@ router.put('/notification-preferences', authenticateToken, requireRole(['parent'
   }
 });
 
-// Add child
+// Stops from a child request: busStopId sets both, amStopId and pmStopId
+// one each. Returns null when a stop isn't served by an active route.
+const getChildStops = async (schoolId, { busStopId, amStopId, pmStopId }) => {
+  const stops = {};
+  if (busStopId) {
+    stops.amStop = busStopId;
+    stops.pmStop = busStopId;
+  }
+  if (amStopId) stops.amStop = amStopId;
+  if (pmStopId) stops.pmStop = pmStopId;
+
+  for (const stopId of new Set(Object.values(stops))) {
+    if (!await isServedStop(schoolId, stopId)) return null;
+  }
+  return stops;
+};
+
+// A child id that is not an ObjectId names no child
+const validChildId = [
+  param('childId').isMongoId(),
+  (req, res, next) => (validationResult(req).isEmpty() ? next() : res.status(404).json({ error: 'Child not found' }))
+];
+
+const childValidators = [
+  body('grade').optional().trim(),
+  body('busStopId').optional().isMongoId(),
+  body('amStopId').optional().isMongoId(),
+  body('pmStopId').optional().isMongoId()
+];
+
+// Get children (the students the parent is a guardian of)
+router.get('/children', authenticateToken, requireRole(['parent']), async (req, res) => {
+  try {
+    const students = await findGuardianStudents(req.user._id)
+      .populate('amStop pmStop')
+      .populate('route', 'name')
+      .populate('bus', 'busNumber')
+      .populate('guardians.user', 'firstName lastName');
+
+    res.json({ children: students.map(student => toChildView(student, req.user._id)) });
+  } catch (error) {
+    console.error('Get children error:', error);
+    res.status(500).json({ error: 'Failed to get children' });
+  }
+});
+
+// Add child. Creates a student at the parent's school with the parent as
+// its primary guardian. A student the school already registered (by
+// student number) is linked to more guardians by the school instead.
 router.post('/children', authenticateToken, requireRole(['parent']), [
   body('name').notEmpty().trim(),
-  body('grade').optional().trim(),
-  body('busStopId').optional().isMongoId()
+  body('studentNumber').optional().trim(),
+  body('relationship').optional().isIn(RELATIONSHIPS),
+  ...childValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -214,22 +361,35 @@ router.post('/children', authenticateToken, requireRole(['parent']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, grade, busStopId } = req.body;
+    const { name, grade, studentNumber, relationship } = req.body;
+
+    const stops = await getChildStops(req.user.school, req.body);
+    if (!stops) {
+      return res.status(400).json({ error: 'Invalid stop selected' });
+    }
+
+    if (studentNumber && await Student.exists({ school: req.user.school, studentNumber })) {
+      return res.status(409).json({
+        error: 'This student is already registered. Ask the school to add you as a guardian.'
+      });
+    }
 
-    const parent = await User.findById(req.user._id);
-    parent.parent.children.push({
+    const student = new Student({
+      school: req.user.school,
+      studentNumber,
       name,
       grade,
-      busStop: busStopId
+      ...stops,
+      guardians: [{ user: req.user._id, relationship, isPrimary: true }]
     });
 
-    await parent.save();
-
-    const updatedParent = await parent.populate('parent.children.busStop');
+    await assignTransport(student);
+    await student.save();
+    await student.populate('amStop pmStop');
 
     res.status(201).json({ 
       message: 'Child added successfully',
-      parent: updatedParent 
+      child: toChildView(student, req.user._id)
     });
   } catch (error) {
     console.error('Add child error:', error);
@@ -237,11 +397,10 @@ router.post('/children', authenticateToken, requireRole(['parent']), [
   }
 });
 
-// Update child
-router.put('/children/:childId', authenticateToken, requireRole(['parent']), [
+// Update child. Needs a guardian allowed to manage the student.
+router.put('/children/:childId', authenticateToken, requireRole(['parent']), validChildId, [
   body('name').optional().trim(),
-  body('grade').optional().trim(),
-  body('busStopId').optional().isMongoId()
+  ...childValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -249,29 +408,35 @@ router.put('/children/:childId', authenticateToken, requireRole(['parent']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { childId } = req.params;
-    const { name, grade, busStopId } = req.body;
+    const { name, grade } = req.body;
 
-    const parent = await User.findById(req.user._id);
-    const childIndex = parent.parent.children.findIndex(
-      child => child._id.toString() === childId
-    );
-
-    if (childIndex === -1) {
+    const student = await Student.findOne({ _id: req.params.childId, isActive: true });
+    const guardian = student && student.getGuardian(req.user._id);
+    if (!guardian) {
       return res.status(404).json({ error: 'Child not found' });
     }
+    if (!guardian.canManage) {
+      return res.status(403).json({ error: 'You are not allowed to change this child' });
+    }
 
-    if (name) parent.parent.children[childIndex].name = name;
-    if (grade) parent.parent.children[childIndex].grade = grade;
-    if (busStopId) parent.parent.children[childIndex].busStop = busStopId;
+    const stops = await getChildStops(req.user.school, req.body);
+    if (!stops) {
+      return res.status(400).json({ error: 'Invalid stop selected' });
+    }
 
-    await parent.save();
+    if (name) student.name = name;
+    if (grade) student.grade = grade;
+    Object.assign(student, stops);
 
-    const updatedParent = await parent.populate('parent.children.busStop');
+    if (Object.keys(stops).length > 0) {
+      await assignTransport(student);
+    }
+    await student.save();
+    await student.populate('amStop pmStop');
 
     res.json({ 
       message: 'Child updated successfully',
-      parent: updatedParent 
+      child: toChildView(student, req.user._id)
     });
   } catch (error) {
     console.error('Update child error:', error);
@@ -279,26 +444,310 @@ router.put('/children/:childId', authenticateToken, requireRole(['parent']), [
   }
 });
 
-// Remove child
-router.delete('/children/:childId', authenticateToken, requireRole(['parent']), async (req, res) => {
+// Get a child's boardings and drop-offs, for a day (date, default today)
+// or between from and to (YYYY-MM-DD)
+router.get('/children/:childId/rides', authenticateToken, requireRole(['parent']), validChildId, async (req, res) => {
   try {
-    const { childId } = req.params;
+    const student = await Student.findById(req.params.childId);
+    if (!student || !student.getGuardian(req.user._id)) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
 
-    const parent = await User.findById(req.user._id);
-    parent.parent.children = parent.parent.children.filter(
-      child => child._id.toString() !== childId
-    );
+    const { date, from, to } = req.query;
+    if ([date, from, to].some(value => value && !DATE_PATTERN.test(value))) {
+      return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
 
-    await parent.save();
+    const { events } = await getRidership(student.school, {
+      studentId: student._id,
+      date: date || (!from && !to ? await getSchoolDateKey(student.school) : undefined),
+      from,
+      to
+    });
 
-    res.json({ 
-      message: 'Child removed successfully',
-      parent 
+    res.json({ rides: events });
+  } catch (error) {
+    console.error('Get child rides error:', error);
+    res.status(500).json({ error: 'Failed to get rides' });
+  }
+});
+
+// Get the adults other than guardians who may collect a child from the bus
+router.get('/children/:childId/pickup-adults', authenticateToken, requireRole(['parent']), validChildId, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.childId);
+    if (!student || !student.getGuardian(req.user._id)) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    res.json({
+      requiresAdultAtStop: student.requiresAdultAtStop,
+      pickupAdults: student.pickupAdults
     });
+  } catch (error) {
+    console.error('Get pickup adults error:', error);
+    res.status(500).json({ error: 'Failed to get pickup adults' });
+  }
+});
+
+const pickupAdultValidators = [
+  body('relationship').optional().trim(),
+  body('phone').optional().trim(),
+  body('pin').optional({ nullable: true }).trim().isLength({ min: 4, max: 8 }).isNumeric()
+];
+
+// Add an adult who may collect a child. The driver asks for their PIN
+// (4-8 digits) or name at the stop.
+router.post('/children/:childId/pickup-adults', authenticateToken, requireRole(['parent']), validChildId, [
+  body('name').notEmpty().trim(),
+  ...pickupAdultValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await Student.findById(req.params.childId);
+    const guardian = student && student.getGuardian(req.user._id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+    if (!guardian.canManage) {
+      return res.status(403).json({ error: 'You are not allowed to change this child' });
+    }
+
+    const { name, relationship, phone, pin } = req.body;
+
+    student.pickupAdults.push({ name, relationship, phone, addedBy: req.user._id });
+    const adult = student.pickupAdults[student.pickupAdults.length - 1];
+    await adult.setPin(pin);
+
+    await student.save();
+
+    res.status(201).json({ pickupAdult: adult });
+  } catch (error) {
+    console.error('Add pickup adult error:', error);
+    res.status(500).json({ error: 'Failed to add pickup adult' });
+  }
+});
+
+// Update a pickup adult. A null pin removes it.
+router.put('/children/:childId/pickup-adults/:adultId', authenticateToken, requireRole(['parent']), validChildId, [
+  body('name').optional().notEmpty().trim(),
+  ...pickupAdultValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await Student.findById(req.params.childId);
+    const guardian = student && student.getGuardian(req.user._id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+    if (!guardian.canManage) {
+      return res.status(403).json({ error: 'You are not allowed to change this child' });
+    }
+
+    const adult = student.pickupAdults.id(req.params.adultId);
+    if (!adult) {
+      return res.status(404).json({ error: 'Pickup adult not found' });
+    }
+
+    const { name, relationship, phone, pin } = req.body;
+    if (name) adult.name = name;
+    if (relationship !== undefined) adult.relationship = relationship;
+    if (phone !== undefined) adult.phone = phone;
+    if (pin !== undefined) await adult.setPin(pin);
+
+    await student.save();
+
+    res.json({ pickupAdult: adult });
+  } catch (error) {
+    console.error('Update pickup adult error:', error);
+    res.status(500).json({ error: 'Failed to update pickup adult' });
+  }
+});
+
+// Remove a pickup adult
+router.delete('/children/:childId/pickup-adults/:adultId', authenticateToken, requireRole(['parent']), validChildId, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.childId);
+    const guardian = student && student.getGuardian(req.user._id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+    if (!guardian.canManage) {
+      return res.status(403).json({ error: 'You are not allowed to change this child' });
+    }
+
+    const adult = student.pickupAdults.id(req.params.adultId);
+    if (!adult) {
+      return res.status(404).json({ error: 'Pickup adult not found' });
+    }
+
+    student.pickupAdults.pull(adult._id);
+    await student.save();
+
+    res.json({ message: 'Pickup adult removed successfully' });
+  } catch (error) {
+    console.error('Remove pickup adult error:', error);
+    res.status(500).json({ error: 'Failed to remove pickup adult' });
+  }
+});
+
+// Remove child. Unlinks the parent; the school's record stays, and a
+// student left without guardians is deactivated.
+router.delete('/children/:childId', authenticateToken, requireRole(['parent']), validChildId, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.childId);
+    if (!student || !student.getGuardian(req.user._id)) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    student.guardians = student.guardians.filter(guardian => !guardian.user.equals(req.user._id));
+    if (student.guardians.length === 0) {
+      student.isActive = false;
+    }
+
+    await student.save();
+
+    res.json({ message: 'Child removed successfully' });
   } catch (error) {
     console.error('Remove child error:', error);
     res.status(500).json({ error: 'Failed to remove child' });
   }
 });
 
+// Get absences reported for the parent's children, from today for the next
+// 30 days unless from/to (YYYY-MM-DD) say otherwise. locked marks the runs
+// past the school's cutoff, which can no longer be changed.
+router.get('/absences', authenticateToken, requireRole(['parent']), async (req, res) => {
+  try {
+    const { childId } = req.query;
+    const from = req.query.from || await getSchoolDateKey(req.user.school);
+    const to = req.query.to || addDays(from, DEFAULT_ABSENCE_DAYS);
+    if (![from, to].every(value => DATE_PATTERN.test(value))) {
+      return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+    }
+
+    const students = (await findGuardianStudents(req.user._id))
+      .filter(student => !childId || student._id.toString() === childId);
+
+    const [absences, schools] = await Promise.all([
+      Absence.find({ student: { $in: students.map(student => student._id) }, date: { $gte: from, $lte: to } })
+        .populate('student', 'name grade')
+        .sort({ date: 1 }),
+      School.find({ _id: { $in: students.map(student => student.school) } }).select('settings')
+    ]);
+
+    const settings = new Map(schools.map(school => [school._id.toString(), school.settings]));
+    const now = new Date();
+
+    res.json({
+      absences: absences.map(absence => toAbsenceView(absence, settings.get(absence.school.toString()), now))
+    });
+  } catch (error) {
+    console.error('Get absences error:', error);
+    res.status(500).json({ error: 'Failed to get absences' });
+  }
+});
+
+// Report that a child won't ride on some days, on both runs unless
+// directions says which. Adds to what was already reported for those days.
+// Runs past the school's cutoff are rejected as a whole.
+router.post('/absences', authenticateToken, requireRole(['parent']), [
+  body('childId').isMongoId(),
+  body('dates').isArray({ min: 1, max: 60 }),
+  body('dates.*').matches(DATE_PATTERN),
+  body('directions').optional().isArray({ min: 1 }),
+  body('directions.*').isIn(DIRECTIONS),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { childId, reason } = req.body;
+    const dates = [...new Set(req.body.dates)];
+    const directions = req.body.directions ? [...new Set(req.body.directions)] : DIRECTIONS;
+
+    const student = await Student.findById(childId);
+    if (!student || !student.isActive || !student.getGuardian(req.user._id)) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    const school = await School.findById(student.school).select('settings');
+    const now = new Date();
+    const locked = dates.flatMap(date => directions
+      .filter(direction => isAbsenceLocked(school.settings, date, direction, now))
+      .map(direction => ({ date, direction })));
+
+    if (locked.length > 0) {
+      return res.status(400).json({ error: 'Too late to change absences for these runs', locked });
+    }
+
+    const absences = await Promise.all(dates.map(date => Absence.findOneAndUpdate(
+      { student: student._id, date },
+      {
+        $setOnInsert: { school: student.school },
+        $addToSet: { directions: { $each: directions } },
+        $set: { reportedBy: req.user._id, ...(reason !== undefined && { reason }) }
+      },
+      { upsert: true, new: true, runValidators: true }
+    )));
+
+    res.status(201).json({
+      absences: absences.map(absence => toAbsenceView(absence, school.settings, now))
+    });
+  } catch (error) {
+    console.error('Report absence error:', error);
+    res.status(500).json({ error: 'Failed to report absence' });
+  }
+});
+
+// Cancel an absence, or only one run of it with ?direction=, before the
+// school's cutoff
+router.delete('/absences/:id', authenticateToken, requireRole(['parent']), [
+  param('id').isMongoId(),
+  (req, res, next) => (validationResult(req).isEmpty() ? next() : res.status(404).json({ error: 'Absence not found' }))
+], async (req, res) => {
+  try {
+    const { direction } = req.query;
+    if (direction && !DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: 'Invalid direction' });
+    }
+
+    const absence = await Absence.findById(req.params.id);
+    const student = absence && await Student.findById(absence.student);
+    if (!student || !student.getGuardian(req.user._id)) {
+      return res.status(404).json({ error: 'Absence not found' });
+    }
+
+    const school = await School.findById(absence.school).select('settings');
+    const cancelled = direction ? [direction] : absence.directions;
+    if (cancelled.some(run => isAbsenceLocked(school.settings, absence.date, run))) {
+      return res.status(400).json({ error: 'Too late to change this absence' });
+    }
+
+    absence.directions = absence.directions.filter(run => !cancelled.includes(run));
+    if (absence.directions.length === 0) {
+      await Absence.findByIdAndDelete(absence._id);
+      return res.json({ message: 'Absence cancelled successfully' });
+    }
+
+    await absence.save();
+
+    res.json({ absence: toAbsenceView(absence, school.settings) });
+  } catch (error) {
+    console.error('Cancel absence error:', error);
+    res.status(500).json({ error: 'Failed to cancel absence' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
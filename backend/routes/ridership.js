@@ -0,0 +1,36 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getRidership } = require('../services/ridershipService');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Get the school's boardings and drop-offs, filtered by day (date, or from
+// and to), studentId, busId, routeId, tripId, type and direction
+router.get('/', authenticateToken, requireRole(['school']), [
+  ...['date', 'from', 'to'].map(field =>
+    query(field).optional().matches(DATE_PATTERN).isISO8601({ strict: true })),
+  ...['studentId', 'busId', 'routeId', 'tripId'].map(field => query(field).optional().isMongoId())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, from, to, studentId, busId, routeId, tripId, type, direction } = req.query;
+
+    const { events, summary } = await getRidership(req.user.school, {
+      date, from, to, studentId, busId, routeId, tripId, type, direction
+    });
+
+    res.json({ events, summary });
+  } catch (error) {
+    console.error('Get ridership error:', error);
+    res.status(500).json({ error: 'Failed to get ridership' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,37 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const Route = require('../models/Route');
 const Bus = require('../models/Bus');
+const BusStop = require('../models/BusStop');
+const School = require('../models/School');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getRouteGeometry } = require('../services/trafficService');
+const { decodePolyline, lineLength } = require('../utils/geo');
+const { optimizeStopOrder, applyStopOrder } = require('../services/routeOptimizationService');
+const { SHARED_FIELDS, resolveRouteStops, updateBusStop, reassignStopRiders } = require('../services/stopService');
+const { parseRouteFile, buildDraftRoute } = require('../services/routeFileImportService');
+const { getRiders, getRouteCapacityReport } = require('../services/capacityService');
+const RouteVersion = require('../models/RouteVersion');
+const { snapshotRoute, resolveVersionStops, diffLayouts, createVersion, applyVersion } = require('../services/routeVersionService');
 
 const router = express.Router();
 
+// A route stop is an existing bus stop or a new one with a name and a
+// location or an address to geocode
+const isRouteStop = (stop) => {
+  if (!stop || (!stop.busStopId && !stop._id && !(stop.name && (stop.location || stop.address)))) {
+    throw new Error('Each stop needs a busStopId or a name and a location or address');
+  }
+  return true;
+};
+
+// Route files (GPX, KML/KMZ, GeoJSON) are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
 // Get all routes for school
 router.get('/', authenticateToken, requireRole(['school']), async (req, res) => {
   try {
@@ -20,6 +46,29 @@ router.get('/', authenticateToken, requireRole(['school']), async (req, res) =>
   }
 });
 
+// Capacity of every active route: riders assigned along each run against
+// the assigned bus's seats, with overloaded routes first
+router.get('/capacity', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const routes = await Route.find({ school: req.user.school, isActive: true }).sort({ name: 1 });
+    const riders = await getRiders(req.user.school);
+
+    const reports = [];
+    for (const route of routes) {
+      reports.push(await getRouteCapacityReport(route, { riders }));
+    }
+    reports.sort((a, b) => b.overloaded - a.overloaded);
+
+    res.json({
+      routes: reports,
+      overloadedRoutes: reports.filter(report => report.overloaded).length
+    });
+  } catch (error) {
+    console.error('Get capacity report error:', error);
+    res.status(500).json({ error: 'Failed to get capacity report' });
+  }
+});
+
 // Get single route
 router.get('/:id', authenticateToken, requireRole(['school', 'driver']), async (req, res) => {
   try {
@@ -54,12 +103,19 @@ router.get('/:id', authenticateToken, requireRole(['school', 'driver']), async (
 router.post('/', authenticateToken, requireRole(['school']), [
   body('name').notEmpty().trim(),
   body('stops').isArray({ min: 2 }),
-  body('stops.*.name').notEmpty().trim(),
-  body('stops.*.location.coordinates').isArray({ min: 2, max: 2 }),
-  body('stops.*.location.coordinates.*').isFloat(),
+  body('stops.*').custom(isRouteStop),
+  body('stops.*.busStopId').optional().isMongoId(),
+  body('stops.*.name').optional().notEmpty().trim(),
+  body('stops.*.location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('stops.*.location.coordinates.*').optional().isFloat(),
   body('stops.*.estimatedTime').isInt({ min: 0 }),
   body('stops.*.stopOrder').isInt({ min: 0 }),
+  body('stops.*.dwellMinutes').optional().isFloat({ min: 0 }),
+  body('stops.*.geofenceRadius').optional().isFloat({ min: 5 }),
   body('direction').isIn(['to_school', 'from_school', 'both']),
+  body('dwellMinutes').optional().isFloat({ min: 0 }),
+  body('stopDetection.geofenceRadius').optional().isFloat({ min: 5 }),
+  body('stopDetection.minDwellSeconds').optional().isInt({ min: 0 }),
   body('busId').optional().isMongoId()
 ], async (req, res) => {
   try {
@@ -68,7 +124,7 @@ router.post('/', authenticateToken, requireRole(['school']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, stops, direction, busId } = req.body;
+    const { name, stops, direction, dwellMinutes, stopDetection, busId } = req.body;
 
     // Check if route name already exists
     const existingRoute = await Route.findOne({ 
@@ -87,11 +143,18 @@ router.post('/', authenticateToken, requireRole(['school']), [
       return res.status(400).json({ error: 'Stop orders must be unique' });
     }
 
+    const resolved = await resolveRouteStops(req.user.school, stops);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({ error: resolved.errors[0], errors: resolved.errors });
+    }
+
     // Create route
     const route = new Route({
       name,
-      stops,
+      stops: resolved.stops,
       direction,
+      dwellMinutes,
+      stopDetection,
       school: req.user.school,
       bus: busId
     });
@@ -112,11 +175,114 @@ router.post('/', authenticateToken, requireRole(['school']), [
   }
 });
 
+// Import a GPX, KML/KMZ or GeoJSON file (field "file") as a draft route.
+// Waypoints and placemarks become stops and the first track or LineString
+// the route geometry. Features that cannot be read are listed in errors.
+router.post('/import', authenticateToken, requireRole(['school']), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Route file is required' });
+    }
+
+    const parsed = parseRouteFile(req.file.buffer, req.file.originalname);
+
+    if (parsed.stops.length < 2) {
+      return res.status(400).json({
+        error: 'The file needs at least two waypoints or placemarks to use as stops',
+        format: parsed.format,
+        stopsFound: parsed.stops.length,
+        errors: parsed.errors
+      });
+    }
+
+    const draft = buildDraftRoute(parsed, {
+      name: req.body.name && req.body.name.trim()
+    });
+
+    // Route names are unique per school, so number repeated imports
+    const baseName = draft.name || req.file.originalname.replace(/\.[^.]+$/, '') || 'Imported route';
+    let name = baseName;
+    for (let copy = 2; await Route.exists({ school: req.user.school, name }); copy++) {
+      name = `${baseName} (${copy})`;
+    }
+
+    // Stops already known to the school keep their identity. Drafts do not
+    // change shared stop details until they are published.
+    const resolved = await resolveRouteStops(req.user.school, draft.stops, { updateShared: false, geocode: false });
+
+    const route = new Route({
+      name,
+      school: req.user.school,
+      stops: resolved.stops,
+      geometry: draft.geometry,
+      isDraft: true,
+      isActive: false,
+      importSource: {
+        format: parsed.format,
+        fileName: req.file.originalname,
+        importedAt: new Date()
+      }
+    });
+
+    await route.save();
+
+    res.status(201).json({
+      route,
+      warnings: draft.warnings,
+      errors: parsed.errors
+    });
+  } catch (error) {
+    console.error('Import route file error:', error);
+    res.status(500).json({ error: 'Failed to import route file' });
+  }
+});
+
+// Publish a draft route so it can be assigned and driven
+router.post('/:id/publish', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    if (!route.isDraft) {
+      return res.status(400).json({ error: 'Route is already published' });
+    }
+
+    if (route.stops.length < 2) {
+      return res.status(400).json({ error: 'A route needs at least two stops' });
+    }
+
+    const resolved = await resolveRouteStops(route.school, route.stops);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({ error: resolved.errors[0], errors: resolved.errors });
+    }
+
+    route.stops = resolved.stops;
+    route.isDraft = false;
+    route.isActive = true;
+    await route.save();
+
+    res.json({ route });
+  } catch (error) {
+    console.error('Publish route error:', error);
+    res.status(500).json({ error: 'Failed to publish route' });
+  }
+});
+
 // Update route
 router.put('/:id', authenticateToken, requireRole(['school']), [
   body('name').optional().trim(),
   body('stops').optional().isArray({ min: 2 }),
+  body('stops.*').custom(isRouteStop),
+  body('stops.*.busStopId').optional().isMongoId(),
+  body('stops.*.location.coordinates.*').optional().isFloat(),
+  body('stops.*.dwellMinutes').optional().isFloat({ min: 0 }),
+  body('stops.*.geofenceRadius').optional().isFloat({ min: 5 }),
   body('direction').optional().isIn(['to_school', 'from_school', 'both']),
+  body('dwellMinutes').optional().isFloat({ min: 0 }),
+  body('stopDetection.geofenceRadius').optional().isFloat({ min: 5 }),
+  body('stopDetection.minDwellSeconds').optional().isInt({ min: 0 }),
   body('busId').optional().isMongoId()
 ], async (req, res) => {
   try {
@@ -125,7 +291,7 @@ router.put('/:id', authenticateToken, requireRole(['school']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, stops, direction, busId } = req.body;
+    const { name, stops, direction, dwellMinutes, stopDetection, busId } = req.body;
 
     const route = await Route.findById(req.params.id);
     if (!route || route.school.toString() !== req.user.school.toString()) {
@@ -154,11 +320,29 @@ router.put('/:id', authenticateToken, requireRole(['school']), [
       }
     }
 
+    let resolvedStops;
+    if (stops) {
+      const resolved = await resolveRouteStops(req.user.school, stops, { updateShared: !route.isDraft });
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({ error: resolved.errors[0], errors: resolved.errors });
+      }
+      resolvedStops = resolved.stops;
+    }
+
     // Update route
     const updates = {};
     if (name) updates.name = name;
-    if (stops) updates.stops = stops;
+    if (stops) updates.stops = resolvedStops;
     if (direction) updates.direction = direction;
+    if (dwellMinutes !== undefined) updates.dwellMinutes = dwellMinutes;
+    if (stopDetection) {
+      if (stopDetection.geofenceRadius !== undefined) updates['stopDetection.geofenceRadius'] = stopDetection.geofenceRadius;
+      if (stopDetection.minDwellSeconds !== undefined) updates['stopDetection.minDwellSeconds'] = stopDetection.minDwellSeconds;
+    }
+
+    if (busId && route.isDraft) {
+      return res.status(400).json({ error: 'Publish the route before assigning a bus' });
+    }
 
     // Handle bus assignment
     if (busId !== undefined) {
@@ -182,6 +366,17 @@ router.put('/:id', authenticateToken, requireRole(['school']), [
       { new: true, runValidators: true }
     ).populate('bus', 'busNumber');
 
+    // Stops left out of a replaced stop list no longer exist, so move their
+    // parents off them
+    if (stops) {
+      const keptStopIds = new Set(updatedRoute.stops.map(stop => stop._id.toString()));
+      for (const oldStop of route.stops) {
+        if (!keptStopIds.has(oldStop._id.toString())) {
+          await reassignStopRiders(updatedRoute, oldStop, null);
+        }
+      }
+    }
+
     res.json({ route: updatedRoute });
   } catch (error) {
     console.error('Update route error:', error);
@@ -227,10 +422,28 @@ router.get('/available-buses', authenticateToken, requireRole(['school']), async
   }
 });
 
+// Capacity report for a route: riders assigned to each stop, the load on
+// each segment of each run and the segments over the bus's capacity
+router.get('/:id/capacity', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const report = await getRouteCapacityReport(route);
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Get route capacity error:', error);
+    res.status(500).json({ error: 'Failed to get route capacity' });
+  }
+});
+
 // Get route stops
 router.get('/:id/stops', authenticateToken, requireRole(['school', 'driver']), async (req, res) => {
   try {
-    const route = await Route.findById(req.params.id).select('stops');
+    const route = await Route.findById(req.params.id).select('stops runs school');
 
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
@@ -248,6 +461,16 @@ router.get('/:id/stops', authenticateToken, requireRole(['school', 'driver']), a
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // With a direction, the stops that run visits in its order and timings
+    const { direction } = req.query;
+    if (direction === 'to_school' || direction === 'from_school') {
+      return res.json({
+        direction,
+        hasOwnRun: route.hasOwnRun(direction),
+        stops: route.getStopsForDirection(direction)
+      });
+    }
+
     res.json({ stops: route.stops });
   } catch (error) {
     console.error('Get route stops error:', error);
@@ -255,4 +478,710 @@ router.get('/:id/stops', authenticateToken, requireRole(['school', 'driver']), a
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Fields that can be set on a single stop
+const STOP_FIELDS = [
+  'name', 'location', 'address', 'estimatedTime', 'stopOrder',
+  'dwellMinutes', 'geofenceRadius', 'isSchoolStop', 'metadata'
+];
+
+const pickStopFields = (source) => {
+  const fields = {};
+  for (const field of STOP_FIELDS) {
+    if (source[field] !== undefined) fields[field] = source[field];
+  }
+  return fields;
+};
+
+const RUN_DIRECTIONS = ['to_school', 'from_school'];
+
+// Keep the stops array, which is the order the bus drives, sorted by stopOrder
+const sortStops = (route) => {
+  route.stops.sort((a, b) => a.stopOrder - b.stopOrder);
+  route.markModified('stops');
+};
+
+// Add a stop to a route: an existing bus stop (busStopId) or a new one
+router.post('/:id/stops', authenticateToken, requireRole(['school']), [
+  body().custom(isRouteStop),
+  body('busStopId').optional().isMongoId(),
+  body('name').optional().notEmpty().trim(),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('location.coordinates.*').optional().isFloat(),
+  body('estimatedTime').isInt({ min: 0 }),
+  body('stopOrder').optional().isInt({ min: 0 }),
+  body('dwellMinutes').optional().isFloat({ min: 0 }),
+  body('geofenceRadius').optional().isFloat({ min: 5 }),
+  body('isSchoolStop').optional().isBoolean(),
+  body('runs.*.estimatedTime').optional().isInt({ min: 0 }),
+  body('runs.*.dwellMinutes').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    // A direction with its own stop sequence only serves the stop once it is
+    // placed on it: runs.<direction> gives its estimatedTime on that run, or
+    // null leaves it off
+    const placements = req.body.runs || {};
+    for (const direction of RUN_DIRECTIONS) {
+      const placement = placements[direction];
+      if (route.hasOwnRun(direction)) {
+        if (placement === undefined || (placement && placement.estimatedTime === undefined)) {
+          return res.status(400).json({
+            error: `This route has its own ${direction} stop sequence; give runs.${direction}.estimatedTime, or null to leave the stop off it`
+          });
+        }
+      } else if (placement) {
+        return res.status(400).json({ error: `The ${direction} run follows the route's stops; leave out runs.${direction}` });
+      }
+    }
+
+    const fields = pickStopFields(req.body);
+
+    // Without a stopOrder the stop goes at the end of the route
+    if (fields.stopOrder === undefined) {
+      fields.stopOrder = route.stops.reduce((max, stop) => Math.max(max, stop.stopOrder + 1), 0);
+    } else if (route.stops.some(stop => stop.stopOrder === fields.stopOrder)) {
+      return res.status(400).json({ error: 'Stop orders must be unique' });
+    }
+
+    const resolved = await resolveRouteStops(
+      route.school,
+      [{ ...fields, busStopId: req.body.busStopId }],
+      { updateShared: !route.isDraft }
+    );
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({ error: resolved.errors[0] });
+    }
+
+    if (route.stops.id(resolved.stops[0]._id)) {
+      return res.status(400).json({ error: 'Stop is already on this route' });
+    }
+
+    route.stops.push(resolved.stops[0]);
+    const stop = route.stops[route.stops.length - 1];
+    sortStops(route);
+    RUN_DIRECTIONS.forEach(direction => {
+      if (placements[direction]) route.addToRun(direction, stop._id, placements[direction]);
+    });
+
+    await route.save();
+
+    res.status(201).json({ stop, stops: route.stops });
+  } catch (error) {
+    console.error('Add route stop error:', error);
+    res.status(500).json({ error: 'Failed to add stop' });
+  }
+});
+
+// Reorder all stops of a route. stopIds lists every stop in driving order
+// and the route's existing stopOrder values are reassigned in that order.
+router.put('/:id/stops/order', authenticateToken, requireRole(['school']), [
+  body('stopIds').isArray({ min: 2 }),
+  body('stopIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { stopIds } = req.body;
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const routeStopIds = new Set(route.stops.map(stop => stop._id.toString()));
+    if (stopIds.length !== routeStopIds.size ||
+        new Set(stopIds).size !== stopIds.length ||
+        !stopIds.every(id => routeStopIds.has(id))) {
+      return res.status(400).json({ error: 'stopIds must list every stop on the route exactly once' });
+    }
+
+    const stopOrders = route.stops.map(stop => stop.stopOrder).sort((a, b) => a - b);
+    stopIds.forEach((stopId, position) => {
+      route.stops.id(stopId).stopOrder = stopOrders[position];
+    });
+    sortStops(route);
+
+    await route.save();
+
+    res.json({ stops: route.stops });
+  } catch (error) {
+    console.error('Reorder route stops error:', error);
+    res.status(500).json({ error: 'Failed to reorder stops' });
+  }
+});
+
+// Update a stop. Order and timing change this route only; place details
+// (name, location, address...) change the shared bus stop on every route
+// that serves it, except on drafts.
+router.put('/:id/stops/:stopId', authenticateToken, requireRole(['school']), [
+  body('name').optional().notEmpty().trim(),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('location.coordinates.*').optional().isFloat(),
+  body('estimatedTime').optional().isInt({ min: 0 }),
+  body('stopOrder').optional().isInt({ min: 0 }),
+  body('dwellMinutes').optional().isFloat({ min: 0 }),
+  body('geofenceRadius').optional().isFloat({ min: 5 }),
+  body('isSchoolStop').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const stop = route.stops.id(req.params.stopId);
+    if (!stop) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+
+    const fields = pickStopFields(req.body);
+
+    if (fields.stopOrder !== undefined &&
+        route.stops.some(other => !other._id.equals(stop._id) && other.stopOrder === fields.stopOrder)) {
+      return res.status(400).json({ error: 'Stop orders must be unique' });
+    }
+
+    stop.set(fields);
+    sortStops(route);
+
+    await route.save();
+
+    if (!route.isDraft && SHARED_FIELDS.some(field => fields[field] !== undefined)) {
+      const busStop = await BusStop.findById(stop._id);
+      if (busStop) {
+        await updateBusStop(busStop, fields);
+      }
+    }
+
+    res.json({ stop, stops: route.stops });
+  } catch (error) {
+    console.error('Update route stop error:', error);
+    res.status(500).json({ error: 'Failed to update stop' });
+  }
+});
+
+// Remove a stop. Parents using it are moved to reassignTo (another stop on
+// the route) when given, or left to pick a new stop; they are notified
+// either way.
+router.delete('/:id/stops/:stopId', authenticateToken, requireRole(['school']), [
+  body('reassignTo').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const stop = route.stops.id(req.params.stopId);
+    if (!stop) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+
+    if (route.stops.length <= 2) {
+      return res.status(400).json({ error: 'A route needs at least two stops' });
+    }
+
+    let newStop = null;
+    if (req.body.reassignTo) {
+      newStop = route.stops.id(req.body.reassignTo);
+      if (!newStop || newStop._id.equals(stop._id)) {
+        return res.status(400).json({ error: 'reassignTo must be another stop on this route' });
+      }
+    }
+
+    const removedStop = stop.toObject();
+    route.stops.pull(stop._id);
+    for (const direction of RUN_DIRECTIONS) {
+      const run = route.runs && route.runs[direction];
+      if (run) {
+        route.set(`runs.${direction}`, run.filter(entry => !entry.stop.equals(stop._id)));
+      }
+    }
+    await route.save();
+
+    const affectedParents = await reassignStopRiders(route, removedStop, newStop);
+
+    res.json({
+      message: 'Stop removed successfully',
+      affectedParents,
+      reassignedTo: newStop ? newStop._id : null,
+      stops: route.stops
+    });
+  } catch (error) {
+    console.error('Remove route stop error:', error);
+    res.status(500).json({ error: 'Failed to remove stop' });
+  }
+});
+
+// Give one direction its own stop sequence and timings. stops lists the
+// route's stops that run serves, in driving order, with estimatedTime in
+// minutes from that run's start. Stops left out are not served that way.
+router.put('/:id/runs/:direction', authenticateToken, requireRole(['school']), [
+  body('stops').isArray({ min: 2 }),
+  body('stops.*.stopId').isMongoId(),
+  body('stops.*.estimatedTime').isInt({ min: 0 }),
+  body('stops.*.dwellMinutes').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { direction } = req.params;
+    if (!RUN_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: 'Direction must be to_school or from_school' });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const { stops } = req.body;
+    const stopIds = stops.map(entry => entry.stopId);
+    if (new Set(stopIds).size !== stopIds.length || !stopIds.every(id => route.stops.id(id))) {
+      return res.status(400).json({ error: 'stops must list stops of this route, each at most once' });
+    }
+
+    for (let i = 1; i < stops.length; i++) {
+      if (stops[i].estimatedTime < stops[i - 1].estimatedTime) {
+        return res.status(400).json({ error: 'estimatedTime must not decrease along the run' });
+      }
+    }
+
+    route.set(`runs.${direction}`, stops.map(entry => ({
+      stop: entry.stopId,
+      estimatedTime: entry.estimatedTime,
+      dwellMinutes: entry.dwellMinutes
+    })));
+    await route.save();
+
+    res.json({
+      direction,
+      stops: route.getStopsForDirection(direction)
+    });
+  } catch (error) {
+    console.error('Update route run error:', error);
+    res.status(500).json({ error: 'Failed to update run' });
+  }
+});
+
+// Drop a direction's own stop sequence, so it follows the route's stops
+// again (reversed for the afternoon)
+router.delete('/:id/runs/:direction', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const { direction } = req.params;
+    if (!RUN_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: 'Direction must be to_school or from_school' });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    route.set(`runs.${direction}`, undefined);
+    await route.save();
+
+    res.json({
+      direction,
+      stops: route.getStopsForDirection(direction)
+    });
+  } catch (error) {
+    console.error('Reset route run error:', error);
+    res.status(500).json({ error: 'Failed to reset run' });
+  }
+});
+
+// Get route geometry
+router.get('/:id/geometry', authenticateToken, requireRole(['school', 'driver']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id).select('school geometry offRouteThreshold');
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    // Check access permissions
+    if (req.user.role === 'driver') {
+      const bus = await Bus.findById(req.user.driver.bus);
+      if (!bus || !bus.route || bus.route.toString() !== req.params.id) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    if (req.user.role === 'school' && route.school.toString() !== req.user.school.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      geometry: {
+        to_school: route.getGeometryForDirection('to_school'),
+        from_school: route.getGeometryForDirection('from_school')
+      },
+      offRouteThreshold: route.offRouteThreshold
+    });
+  } catch (error) {
+    console.error('Get route geometry error:', error);
+    res.status(500).json({ error: 'Failed to get route geometry' });
+  }
+});
+
+// Upload route geometry for one direction
+router.put('/:id/geometry', authenticateToken, requireRole(['school']), [
+  body('direction').isIn(['to_school', 'from_school']),
+  body('coordinates').optional().isArray({ min: 2 }),
+  body('coordinates.*').optional().isArray({ min: 2, max: 2 }),
+  body('coordinates.*.*').optional().isFloat(),
+  body('encodedPolyline').optional().isString().notEmpty(),
+  body('offRouteThreshold.distance').optional().isFloat({ min: 10 }),
+  body('offRouteThreshold.duration').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { direction, encodedPolyline, offRouteThreshold } = req.body;
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const coordinates = encodedPolyline ?
+      decodePolyline(encodedPolyline) :
+      req.body.coordinates;
+
+    if (!coordinates || coordinates.length < 2) {
+      return res.status(400).json({ error: 'Geometry needs at least two coordinates' });
+    }
+
+    route.set(`geometry.${direction}`, {
+      type: 'LineString',
+      coordinates,
+      source: 'uploaded',
+      updatedAt: new Date()
+    });
+
+    if (offRouteThreshold) {
+      if (offRouteThreshold.distance !== undefined) route.offRouteThreshold.distance = offRouteThreshold.distance;
+      if (offRouteThreshold.duration !== undefined) route.offRouteThreshold.duration = offRouteThreshold.duration;
+    }
+
+    await route.save();
+
+    res.json({
+      direction,
+      geometry: route.geometry[direction],
+      length: Math.round(lineLength(coordinates)),
+      offRouteThreshold: route.offRouteThreshold
+    });
+  } catch (error) {
+    console.error('Upload route geometry error:', error);
+    res.status(500).json({ error: 'Failed to upload route geometry' });
+  }
+});
+
+// Generate route geometry from the stops using the routing provider
+router.post('/:id/geometry/generate', authenticateToken, requireRole(['school']), [
+  body('direction').optional().isIn(['to_school', 'from_school'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const directions = req.body.direction ?
+      [req.body.direction] :
+      ['to_school', 'from_school'];
+
+    const generated = {};
+
+    for (const direction of directions) {
+      const points = route.getStopsForDirection(direction).map(stop => ({
+        lat: stop.location.coordinates[1],
+        lng: stop.location.coordinates[0]
+      }));
+
+      const result = await getRouteGeometry(points);
+      if (!result) {
+        return res.status(503).json({ error: 'No routing provider available to generate geometry' });
+      }
+
+      route.set(`geometry.${direction}`, {
+        type: 'LineString',
+        coordinates: result.coordinates,
+        source: 'generated',
+        provider: result.provider,
+        updatedAt: new Date()
+      });
+
+      generated[direction] = {
+        points: result.coordinates.length,
+        length: Math.round(lineLength(result.coordinates))
+      };
+    }
+
+    await route.save();
+
+    res.json({ generated, geometry: route.geometry });
+  } catch (error) {
+    console.error('Generate route geometry error:', error);
+    res.status(500).json({ error: 'Failed to generate route geometry' });
+  }
+});
+
+// Propose a stop order that minimises drive time or distance, compared with
+// the current order. With apply set, the proposal (or the order given in
+// stopIds) is written to the route.
+router.post('/:id/optimize', authenticateToken, requireRole(['school']), [
+  body('objective').optional().isIn(['duration', 'distance']),
+  body('direction').optional().isIn(['to_school', 'from_school']),
+  body('apply').optional().isBoolean(),
+  body('stopIds').optional().isArray({ min: 2 }),
+  body('stopIds.*').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { objective, direction, apply, stopIds } = req.body;
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    if (stopIds) {
+      const routeStopIds = new Set(route.stops.map(stop => stop._id.toString()));
+      if (stopIds.length !== routeStopIds.size ||
+          new Set(stopIds).size !== stopIds.length ||
+          !stopIds.every(id => routeStopIds.has(id))) {
+        return res.status(400).json({ error: 'stopIds must list every stop on the route exactly once' });
+      }
+    }
+
+    // The optimizer reorders the route's stops, which a run with its own
+    // sequence does not follow
+    const runDirection = direction || (route.direction === 'from_school' ? 'from_school' : 'to_school');
+    if (route.hasOwnRun(runDirection)) {
+      return res.status(400).json({ error: 'This direction has its own stop sequence; edit it with PUT /api/route/:id/runs/:direction' });
+    }
+
+    const school = await School.findById(route.school);
+    const proposal = await optimizeStopOrder(route, school, { objective, direction, stopIds });
+
+    if (!proposal) {
+      return res.status(400).json({ error: 'School location is not set' });
+    }
+
+    if (apply) {
+      applyStopOrder(route, proposal);
+      await route.save();
+    }
+
+    res.json({ ...proposal, applied: !!apply });
+  } catch (error) {
+    console.error('Optimize route error:', error);
+    res.status(500).json({ error: 'Failed to optimize route' });
+  }
+});
+
+// List a route's versions, newest first
+router.get('/:id/versions', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const versions = await RouteVersion.find({ route: route._id })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ version: -1 });
+
+    res.json({ currentVersion: route.version, versions });
+  } catch (error) {
+    console.error('Get route versions error:', error);
+    res.status(500).json({ error: 'Failed to get route versions' });
+  }
+});
+
+// Schedule a new version of a route. Fields left out are carried over from
+// the current route. A version effective now or in the past is applied
+// straight away; later ones are applied by the scheduler.
+router.post('/:id/versions', authenticateToken, requireRole(['school']), [
+  body('effectiveFrom').isISO8601(),
+  body('stops').optional().isArray({ min: 2 }),
+  body('stops.*').custom(isRouteStop),
+  body('stops.*._id').optional().isMongoId(),
+  body('stops.*.busStopId').optional().isMongoId(),
+  body('stops.*.name').optional().notEmpty().trim(),
+  body('stops.*.location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('stops.*.location.coordinates.*').optional().isFloat(),
+  body('stops.*.estimatedTime').isInt({ min: 0 }),
+  body('stops.*.stopOrder').isInt({ min: 0 }),
+  body('stops.*.dwellMinutes').optional().isFloat({ min: 0 }),
+  body('stops.*.geofenceRadius').optional().isFloat({ min: 5 }),
+  body('schedule.morning.startTime').optional().matches(/^\d{2}:\d{2}$/),
+  body('schedule.morning.estimatedDuration').optional().isInt({ min: 0 }),
+  body('schedule.afternoon.startTime').optional().matches(/^\d{2}:\d{2}$/),
+  body('schedule.afternoon.estimatedDuration').optional().isInt({ min: 0 }),
+  body('direction').optional().isIn(['to_school', 'from_school', 'both']),
+  body('dwellMinutes').optional().isFloat({ min: 0 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    if (route.isDraft) {
+      return res.status(400).json({ error: 'Draft routes are edited directly; publish the route first' });
+    }
+
+    const { schedule, direction, dwellMinutes, notes } = req.body;
+    const effectiveFrom = new Date(req.body.effectiveFrom);
+
+    let stops;
+    if (req.body.stops) {
+      const uniqueOrders = new Set(req.body.stops.map(stop => stop.stopOrder));
+      if (uniqueOrders.size !== req.body.stops.length) {
+        return res.status(400).json({ error: 'Stop orders must be unique' });
+      }
+
+      const resolved = await resolveVersionStops(
+        route,
+        [...req.body.stops].sort((a, b) => a.stopOrder - b.stopOrder)
+      );
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({ error: resolved.errors[0], errors: resolved.errors });
+      }
+      stops = resolved.stops;
+    }
+
+    let version = await createVersion(route, {
+      effectiveFrom,
+      stops,
+      schedule,
+      direction,
+      dwellMinutes,
+      notes
+    }, req.user);
+
+    const diff = diffLayouts(snapshotRoute(route), version);
+
+    if (effectiveFrom <= new Date()) {
+      ({ version } = await applyVersion(version));
+    }
+
+    res.status(201).json({ version, diff });
+  } catch (error) {
+    console.error('Create route version error:', error);
+    res.status(500).json({ error: 'Failed to create route version' });
+  }
+});
+
+// Compare a version with the route as it is now, or with another version
+// given as ?against=<versionId>
+router.get('/:id/versions/:versionId/diff', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const version = await RouteVersion.findOne({ _id: req.params.versionId, route: route._id });
+    if (!version) {
+      return res.status(404).json({ error: 'Route version not found' });
+    }
+
+    let base = snapshotRoute(route);
+    let baseVersion = route.version;
+
+    if (req.query.against) {
+      const against = await RouteVersion.findOne({ _id: req.query.against, route: route._id });
+      if (!against) {
+        return res.status(404).json({ error: 'Route version to compare against not found' });
+      }
+      base = against;
+      baseVersion = against.version;
+    }
+
+    res.json({
+      from: baseVersion,
+      to: version.version,
+      diff: diffLayouts(base, version, version.effectiveFrom)
+    });
+  } catch (error) {
+    console.error('Diff route version error:', error);
+    res.status(500).json({ error: 'Failed to compare route versions' });
+  }
+});
+
+// Cancel a version that has not taken effect yet
+router.delete('/:id/versions/:versionId', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route || route.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const version = await RouteVersion.findOne({ _id: req.params.versionId, route: route._id });
+    if (!version) {
+      return res.status(404).json({ error: 'Route version not found' });
+    }
+
+    if (version.status !== 'scheduled') {
+      return res.status(400).json({ error: 'Only scheduled versions can be cancelled' });
+    }
+
+    version.status = 'cancelled';
+    await version.save();
+
+    res.json({ message: 'Route version cancelled', version });
+  } catch (error) {
+    console.error('Cancel route version error:', error);
+    res.status(500).json({ error: 'Failed to cancel route version' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ScanDevice = require('../models/ScanDevice');
+const Bus = require('../models/Bus');
+const { authenticateToken, requireRole, authenticateDeviceToken, generateFeedToken } = require('../middleware/auth');
+const { processScan } = require('../services/scanService');
+
+const router = express.Router();
+
+// Record a badge scan from a reader. The reader's own bus is used unless
+// busId names one (handheld readers). type (board or alight) is worked out
+// from the student's last scan when left out; scannedAt lets readers send
+// scans they buffered while offline, which are recorded at the stop the bus
+// was at then.
+router.post('/', authenticateDeviceToken, [
+  body('badgeId').notEmpty().trim(),
+  body('busId').optional().isMongoId(),
+  body('type').optional().isIn(['board', 'alight']),
+  body('scannedAt').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { badgeId, busId, type, scannedAt } = req.body;
+    const { device } = req;
+
+    const bus = await Bus.findOne({ _id: busId || device.bus, school: device.school })
+      .populate('route');
+
+    if (!bus || !bus.route) {
+      return res.status(400).json({ error: busId || device.bus ? 'Bus has no route' : 'Send the busId for this reader' });
+    }
+
+    const time = scannedAt ? new Date(scannedAt) : new Date();
+    const result = await processScan(req.app.get('io'), bus, badgeId, { type, time, device, buffered: !!scannedAt });
+
+    device.lastScanAt = new Date();
+    await device.save();
+
+    const student = result.student ? { id: result.student._id, name: result.student.name } : null;
+
+    if (result.status === 'rejected') {
+      return res.status(student ? 400 : 404).json({ status: result.status, error: result.error, student });
+    }
+
+    res.status(result.status === 'recorded' ? 201 : 200).json({
+      status: result.status,
+      student,
+      type: result.event.type,
+      stopId: result.event.stop,
+      flags: result.flags
+    });
+  } catch (error) {
+    console.error('Badge scan error:', error);
+    res.status(500).json({ error: 'Failed to record scan' });
+  }
+});
+
+// Get the school's badge readers
+router.get('/devices', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const devices = await ScanDevice.find({ school: req.user.school })
+      .populate('bus', 'busNumber')
+      .sort({ deviceId: 1 });
+
+    res.json({ devices });
+  } catch (error) {
+    console.error('Get scan devices error:', error);
+    res.status(500).json({ error: 'Failed to get scan devices' });
+  }
+});
+
+// Register a badge reader. Its token is only shown in this response.
+router.post('/devices', authenticateToken, requireRole(['school']), [
+  body('deviceId').notEmpty().trim(),
+  body('name').optional().trim(),
+  body('type').optional().isIn(['rfid', 'nfc', 'qr']),
+  body('busId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deviceId, name, type, busId } = req.body;
+
+    if (await ScanDevice.exists({ school: req.user.school, deviceId })) {
+      return res.status(400).json({ error: 'Device already registered' });
+    }
+
+    if (busId && !await Bus.exists({ _id: busId, school: req.user.school })) {
+      return res.status(400).json({ error: 'Invalid bus' });
+    }
+
+    const { token, tokenHash } = generateFeedToken();
+    const device = new ScanDevice({
+      school: req.user.school,
+      deviceId,
+      name,
+      type,
+      bus: busId,
+      tokenHash
+    });
+
+    await device.save();
+
+    res.status(201).json({
+      message: 'Device registered. Store its token now; it cannot be shown again.',
+      device: { ...device.toObject(), tokenHash: undefined },
+      token
+    });
+  } catch (error) {
+    console.error('Register scan device error:', error);
+    res.status(500).json({ error: 'Failed to register scan device' });
+  }
+});
+
+// Update a badge reader: its name, bus (null for handheld) or whether it
+// may scan
+router.put('/devices/:id', authenticateToken, requireRole(['school']), [
+  body('name').optional().trim(),
+  body('type').optional().isIn(['rfid', 'nfc', 'qr']),
+  body('busId').optional({ nullable: true }).isMongoId(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const device = await ScanDevice.findById(req.params.id);
+    if (!device || device.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { name, type, busId, isActive } = req.body;
+
+    if (busId && !await Bus.exists({ _id: busId, school: req.user.school })) {
+      return res.status(400).json({ error: 'Invalid bus' });
+    }
+
+    if (name !== undefined) device.name = name;
+    if (type) device.type = type;
+    if (busId !== undefined) device.bus = busId || undefined;
+    if (isActive !== undefined) device.isActive = isActive;
+
+    await device.save();
+
+    res.json({ device });
+  } catch (error) {
+    console.error('Update scan device error:', error);
+    res.status(500).json({ error: 'Failed to update scan device' });
+  }
+});
+
+// Replace a badge reader's token, e.g. when it was lost
+router.post('/devices/:id/token', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const device = await ScanDevice.findById(req.params.id);
+    if (!device || device.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { token, tokenHash } = generateFeedToken();
+    device.tokenHash = tokenHash;
+    await device.save();
+
+    res.status(201).json({
+      message: 'Device token replaced. Store it now; it cannot be shown again.',
+      token
+    });
+  } catch (error) {
+    console.error('Replace device token error:', error);
+    res.status(500).json({ error: 'Failed to replace device token' });
+  }
+});
+
+// Remove a badge reader. Scans it recorded keep pointing at it.
+router.delete('/devices/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const device = await ScanDevice.findById(req.params.id);
+    if (!device || device.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await ScanDevice.findByIdAndDelete(device._id);
+
+    res.json({ message: 'Device removed successfully' });
+  } catch (error) {
+    console.error('Delete scan device error:', error);
+    res.status(500).json({ error: 'Failed to delete scan device' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,29 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const School = require('../models/School');
 const User = require('../models/User');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, generateFeedToken } = require('../middleware/auth');
+const BusStop = require('../models/BusStop');
+const PickupEscalation = require('../models/PickupEscalation');
+const { getAdherenceReport } = require('../services/scheduleService');
+const { getRiders, countRiders } = require('../services/capacityService');
+const { getSchoolDateKey } = require('../services/calendarService');
+const { NEEDS_REVIEW, geocodePlace, confirmLocation } = require('../services/geocodingService');
 
 const router = express.Router();
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Every schedule of the school is worked out in this zone, so only names
+// the runtime knows are accepted
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error('Unknown time zone');
+  }
+  return true;
+};
+
 // Get school information
 router.get('/', authenticateToken, requireRole(['school']), async (req, res) => {
   try {
@@ -27,7 +46,14 @@ router.get('/', authenticateToken, requireRole(['school']), async (req, res) =>
 router.put('/', authenticateToken, requireRole(['school']), [
   body('name').optional().trim(),
   body('address').optional(),
-  body('contactInfo').optional()
+  body('contactInfo').optional(),
+  body('settings.earlyArrivalTolerance').optional().isInt({ min: 0, max: 30 }),
+  body('settings.lateArrivalTolerance').optional().isInt({ min: 0, max: 60 }),
+  body('settings.timezone').optional().isString().trim().custom(isTimeZone),
+  body('settings.schoolStartTime').optional().matches(TIME_PATTERN),
+  body('settings.schoolEndTime').optional().matches(TIME_PATTERN),
+  body('settings.morningAbsenceCutoff').optional().matches(TIME_PATTERN),
+  body('settings.afternoonAbsenceCutoff').optional().matches(TIME_PATTERN)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -35,12 +61,45 @@ router.put('/', authenticateToken, requireRole(['school']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, address, contactInfo } = req.body;
+    const { name, address, contactInfo, settings } = req.body;
     const updates = {};
 
     if (name) updates.name = name;
-    if (address) updates.address = address;
+    if (address) {
+      updates.address = address;
+
+      // A new address moves the school to wherever it geocodes to
+      const place = { address };
+      await geocodePlace(place);
+      if (place.location) updates.location = place.location;
+      if (place.geocoding) updates.geocoding = place.geocoding;
+    }
     if (contactInfo) updates.contactInfo = contactInfo;
+    if (settings) {
+      if (settings.earlyArrivalTolerance !== undefined) {
+        updates['settings.earlyArrivalTolerance'] = settings.earlyArrivalTolerance;
+      }
+      if (settings.lateArrivalTolerance !== undefined) {
+        updates['settings.lateArrivalTolerance'] = settings.lateArrivalTolerance;
+      }
+      if (settings.timezone) {
+        updates['settings.timezone'] = settings.timezone;
+      }
+      // Bell times the calendar's early releases and special schedules
+      // are measured against
+      if (settings.schoolStartTime) {
+        updates['settings.schoolStartTime'] = settings.schoolStartTime;
+      }
+      if (settings.schoolEndTime) {
+        updates['settings.schoolEndTime'] = settings.schoolEndTime;
+      }
+      if (settings.morningAbsenceCutoff) {
+        updates['settings.morningAbsenceCutoff'] = settings.morningAbsenceCutoff;
+      }
+      if (settings.afternoonAbsenceCutoff) {
+        updates['settings.afternoonAbsenceCutoff'] = settings.afternoonAbsenceCutoff;
+      }
+    }
 
     const school = await School.findByIdAndUpdate(
       req.user.school,
@@ -78,17 +137,51 @@ router.get('/stats', authenticateToken, requireRole(['school']), async (req, res
       isActive: true
     });
 
-    const routeCount = await require('../models/Route').countDocuments({
+    const routes = await require('../models/Route').find({
       school: schoolId,
       isActive: true
+    }).select('name direction stops._id');
+
+    // Today's riders on each run, and how many are expected after the
+    // absences guardians reported
+    const date = await getSchoolDateKey(schoolId);
+    const riders = await getRiders(schoolId, {
+      date,
+      stops: routes.flatMap(route => route.stops.map(stop => stop._id))
     });
+    const directions = ['to_school', 'from_school'];
+    const countRun = (route, direction) => {
+      const sum = (counts) => route.stops.reduce((total, stop) => total + (counts.get(stop._id.toString()) || 0), 0);
+      return {
+        riders: sum(countRiders(riders, route, direction)),
+        expected: sum(countRiders(riders, route, direction, { expected: true }))
+      };
+    };
 
     res.json({
       stats: {
         drivers: driverCount,
         parents: parentCount,
         buses: busCount,
-        routes: routeCount
+        routes: routes.length,
+        ridersToday: {
+          date,
+          ...Object.fromEntries(directions.map(direction => {
+            const riding = riders.filter(rider => rider.stops[direction]);
+            return [direction, {
+              riders: riding.length,
+              expected: riding.filter(rider => !rider.absent.has(direction)).length,
+              absent: riding.filter(rider => rider.absent.has(direction)).length
+            }];
+          })),
+          routes: routes.map(route => ({
+            routeId: route._id,
+            name: route.name,
+            ...Object.fromEntries(directions
+              .filter(direction => route.direction === 'both' || route.direction === direction)
+              .map(direction => [direction, countRun(route, direction)]))
+          }))
+        }
       }
     });
   } catch (error) {
@@ -97,4 +190,175 @@ router.get('/stats', authenticateToken, requireRole(['school']), async (req, res
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Get schedule adherence per route
+router.get('/adherence', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const routes = await getAdherenceReport(start, end, req.user.school);
+
+    res.json({
+      startDate: start,
+      endDate: end,
+      routes
+    });
+  } catch (error) {
+    console.error('Get schedule adherence error:', error);
+    res.status(500).json({ error: 'Failed to get schedule adherence' });
+  }
+});
+
+// Places whose address could not be geocoded with confidence: the school
+// itself and its bus stops, with the candidates the geocoder offered
+router.get('/geocoding/review', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const school = await School.findById(req.user.school).select('name address location geocoding');
+    const stops = await BusStop.find({
+      school: req.user.school,
+      'geocoding.status': { $in: NEEDS_REVIEW }
+    }).select('name address location geocoding');
+
+    res.json({
+      school: school && school.geocoding && NEEDS_REVIEW.includes(school.geocoding.status) ? school : null,
+      stops
+    });
+  } catch (error) {
+    console.error('Get geocoding review error:', error);
+    res.status(500).json({ error: 'Failed to get places to review' });
+  }
+});
+
+// Confirm the school's location: one of the geocoder's candidates (by
+// index) or coordinates picked by the admin
+router.post('/geocoding/confirm', authenticateToken, requireRole(['school']), [
+  body('candidate').optional().isInt({ min: 0 }),
+  body('coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('coordinates.*').optional().isFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { candidate, coordinates } = req.body;
+    if (candidate === undefined && !coordinates) {
+      return res.status(400).json({ error: 'Send a candidate or coordinates' });
+    }
+
+    const school = await School.findById(req.user.school);
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    if (!confirmLocation(school, { candidate, coordinates }, req.user)) {
+      return res.status(400).json({ error: 'Unknown candidate' });
+    }
+
+    await school.save();
+
+    res.json({ school });
+  } catch (error) {
+    console.error('Confirm school location error:', error);
+    res.status(500).json({ error: 'Failed to confirm school location' });
+  }
+});
+
+// Create (or replace) the token that third-party consumers use to read the
+// school's GTFS-Realtime feeds. The token is only shown in this response.
+router.post('/feed-token', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const { token, tokenHash } = generateFeedToken();
+
+    const school = await School.findByIdAndUpdate(req.user.school, {
+      realtimeFeed: { tokenHash, createdAt: new Date() }
+    });
+
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    res.status(201).json({
+      message: 'Feed token created. Store it now; it cannot be shown again.',
+      token
+    });
+  } catch (error) {
+    console.error('Create feed token error:', error);
+    res.status(500).json({ error: 'Failed to create feed token' });
+  }
+});
+
+// Revoke the school's realtime feed token
+router.delete('/feed-token', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    await School.findByIdAndUpdate(req.user.school, { $unset: { realtimeFeed: 1 } });
+
+    res.json({ message: 'Feed token revoked' });
+  } catch (error) {
+    console.error('Revoke feed token error:', error);
+    res.status(500).json({ error: 'Failed to revoke feed token' });
+  }
+});
+
+// Get students nobody collected at their stop, newest first. status
+// defaults to the ones still needing the school: open and returned.
+router.get('/pickup-escalations', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'returned', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const escalations = await PickupEscalation.find({
+      school: req.user.school,
+      status: status || { $in: ['open', 'returned'] }
+    })
+      .populate('student', 'name grade studentNumber')
+      .populate('bus', 'busNumber')
+      .populate('route', 'name')
+      .populate('stop', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ escalations });
+  } catch (error) {
+    console.error('Get pickup escalations error:', error);
+    res.status(500).json({ error: 'Failed to get pickup escalations' });
+  }
+});
+
+// Close an escalation once the student is with their family, noting how
+router.put('/pickup-escalations/:id/resolve', authenticateToken, requireRole(['school']), [
+  body('resolution').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const escalation = await PickupEscalation.findById(req.params.id);
+    if (!escalation || escalation.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    escalation.status = 'resolved';
+    escalation.resolution = req.body.resolution;
+    escalation.resolvedBy = req.user._id;
+    escalation.resolvedAt = new Date();
+    await escalation.save();
+
+    res.json({ escalation });
+  } catch (error) {
+    console.error('Resolve pickup escalation error:', error);
+    res.status(500).json({ error: 'Failed to resolve pickup escalation' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
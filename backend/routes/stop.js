@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const BusStop = require('../models/BusStop');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { findBusStop, updateBusStop } = require('../services/stopService');
+const { geocodeAddress, reverseGeocode, geocodePlace, confirmLocation } = require('../services/geocodingService');
+
+const router = express.Router();
+
+// Routes of the school that serve each of the given stops, keyed by stop id
+const getServingRoutes = async (schoolId, stopIds) => {
+  const routes = await Route.find({ school: schoolId, 'stops._id': { $in: stopIds } })
+    .select('name isActive isDraft stops runs');
+
+  const servingRoutes = new Map(stopIds.map(id => [id.toString(), []]));
+  for (const route of routes) {
+    for (const stop of route.stops) {
+      const entry = servingRoutes.get(stop._id.toString());
+      if (!entry) continue;
+      entry.push({
+        routeId: route._id,
+        routeName: route.name,
+        isActive: route.isActive,
+        isDraft: route.isDraft,
+        stopOrder: stop.stopOrder,
+        directions: ['to_school', 'from_school'].filter(direction => route.servesStop(stop._id, direction))
+      });
+    }
+  }
+  return servingRoutes;
+};
+
+// Get the school's bus stops with the routes that serve them
+router.get('/', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const busStops = await BusStop.find({ school: req.user.school }).sort({ name: 1 });
+    const servingRoutes = await getServingRoutes(req.user.school, busStops.map(busStop => busStop._id));
+
+    res.json({
+      stops: busStops.map(busStop => ({
+        ...busStop.toObject(),
+        routes: servingRoutes.get(busStop._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Get bus stops error:', error);
+    res.status(500).json({ error: 'Failed to get bus stops' });
+  }
+});
+
+// Look up an address (address) or the address at a point (lat, lng) with
+// the geocoder, without saving anything
+router.get('/geocode', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    let result;
+    if (req.query.address) {
+      result = await geocodeAddress(req.query.address);
+    } else if (!isNaN(lat) && !isNaN(lng)) {
+      result = await reverseGeocode([lng, lat]);
+    } else {
+      return res.status(400).json({ error: 'Send an address or lat and lng' });
+    }
+
+    if (!result) {
+      return res.status(503).json({ error: 'No geocoder is configured' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Geocode error:', error);
+    res.status(502).json({ error: 'Geocoder request failed' });
+  }
+});
+
+// Get a bus stop
+router.get('/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const busStop = await BusStop.findById(req.params.id);
+    if (!busStop || busStop.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Bus stop not found' });
+    }
+
+    const servingRoutes = await getServingRoutes(req.user.school, [busStop._id]);
+
+    res.json({
+      stop: busStop,
+      routes: servingRoutes.get(busStop._id.toString())
+    });
+  } catch (error) {
+    console.error('Get bus stop error:', error);
+    res.status(500).json({ error: 'Failed to get bus stop' });
+  }
+});
+
+// Create a bus stop, ready to be added to routes. A stop given by address
+// is geocoded and one given by location gets its address filled in. A stop
+// with the same name a few metres from an existing one is that stop and is
+// not created again.
+router.post('/', authenticateToken, requireRole(['school']), [
+  body('name').notEmpty().trim(),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('location.coordinates.*').optional().isFloat(),
+  body('isSchoolStop').optional().isBoolean(),
+  body('gtfsStopId').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, location, address, isSchoolStop, gtfsStopId, metadata } = req.body;
+
+    if (!location && !address) {
+      return res.status(400).json({ error: 'Send a location or an address' });
+    }
+
+    const place = {
+      address,
+      location: location ? { type: 'Point', coordinates: location.coordinates.map(Number) } : undefined
+    };
+    await geocodePlace(place, { locationGiven: !!location });
+
+    if (!place.location) {
+      return res.status(400).json({
+        error: 'Could not find a location for this address',
+        geocoding: place.geocoding
+      });
+    }
+
+    const existing = await findBusStop(req.user.school, { name, location: place.location, gtfsStopId });
+    if (existing) {
+      return res.json({ stop: existing, created: false });
+    }
+
+    const busStop = new BusStop({
+      school: req.user.school,
+      name,
+      location: place.location,
+      address: place.address,
+      geocoding: place.geocoding,
+      isSchoolStop,
+      gtfsStopId,
+      metadata
+    });
+
+    await busStop.save();
+
+    res.status(201).json({ stop: busStop, created: true });
+  } catch (error) {
+    console.error('Create bus stop error:', error);
+    res.status(500).json({ error: 'Failed to create bus stop' });
+  }
+});
+
+// Update a bus stop. Every route serving it gets the new details. A new
+// address without a location moves the stop to where it geocodes to.
+router.put('/:id', authenticateToken, requireRole(['school']), [
+  body('name').optional().notEmpty().trim(),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('location.coordinates.*').optional().isFloat(),
+  body('isSchoolStop').optional().isBoolean(),
+  body('gtfsStopId').optional().trim(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const busStop = await BusStop.findById(req.params.id);
+    if (!busStop || busStop.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Bus stop not found' });
+    }
+
+    if (req.body.isActive !== undefined) {
+      busStop.isActive = req.body.isActive;
+    }
+
+    const fields = { ...req.body };
+    if (fields.address && !fields.location) {
+      const place = { address: fields.address };
+      await geocodePlace(place);
+      if (place.location) fields.location = place.location;
+      if (place.geocoding) busStop.geocoding = place.geocoding;
+    } else if (fields.location && !fields.address && !(busStop.address && busStop.address.street)) {
+      const place = { location: fields.location };
+      await geocodePlace(place, { locationGiven: true });
+      if (place.address) fields.address = place.address;
+      if (place.geocoding) busStop.geocoding = place.geocoding;
+    }
+
+    const { routes } = await updateBusStop(busStop, fields);
+
+    res.json({ stop: busStop, routesUpdated: routes });
+  } catch (error) {
+    console.error('Update bus stop error:', error);
+    res.status(500).json({ error: 'Failed to update bus stop' });
+  }
+});
+
+// Confirm a flagged stop's location: one of the geocoder's candidates (by
+// index) or coordinates picked by the admin. Routes serving it follow.
+router.post('/:id/geocoding/confirm', authenticateToken, requireRole(['school']), [
+  body('candidate').optional().isInt({ min: 0 }),
+  body('coordinates').optional().isArray({ min: 2, max: 2 }),
+  body('coordinates.*').optional().isFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { candidate, coordinates } = req.body;
+    if (candidate === undefined && !coordinates) {
+      return res.status(400).json({ error: 'Send a candidate or coordinates' });
+    }
+
+    const busStop = await BusStop.findById(req.params.id);
+    if (!busStop || busStop.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Bus stop not found' });
+    }
+
+    if (!confirmLocation(busStop, { candidate, coordinates }, req.user)) {
+      return res.status(400).json({ error: 'Unknown candidate' });
+    }
+
+    const { routes } = await updateBusStop(busStop, { location: busStop.location });
+
+    res.json({ stop: busStop, routesUpdated: routes });
+  } catch (error) {
+    console.error('Confirm stop location error:', error);
+    res.status(500).json({ error: 'Failed to confirm stop location' });
+  }
+});
+
+// Delete a bus stop that no route uses. Parents and students assigned to
+// it are left to pick another stop.
+router.delete('/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const busStop = await BusStop.findById(req.params.id);
+    if (!busStop || busStop.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Bus stop not found' });
+    }
+
+    const routes = await Route.find({ 'stops._id': busStop._id }).select('name');
+    if (routes.length > 0) {
+      return res.status(400).json({
+        error: 'Remove the stop from its routes first',
+        routes: routes.map(route => ({ routeId: route._id, routeName: route.name }))
+      });
+    }
+
+    await User.updateMany({ 'parent.selectedStop': busStop._id }, { $unset: { 'parent.selectedStop': '' } });
+    await Student.updateMany({ amStop: busStop._id }, { $unset: { amStop: '' } });
+    await Student.updateMany({ pmStop: busStop._id }, { $unset: { pmStop: '' } });
+
+    await BusStop.findByIdAndDelete(busStop._id);
+
+    res.json({ message: 'Bus stop deleted successfully' });
+  } catch (error) {
+    console.error('Delete bus stop error:', error);
+    res.status(500).json({ error: 'Failed to delete bus stop' });
+  }
+});
+
+module.exports = router;
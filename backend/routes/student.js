@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const { RELATIONSHIPS, normalizeBadgeCode } = Student;
+const BusStop = require('../models/BusStop');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { assignTransport } = require('../services/studentService');
+const { findStudentByBadge } = require('../services/scanService');
+
+const router = express.Router();
+
+const GUARDIAN_FLAGS = ['isPrimary', 'canManage', 'canPickUp', 'receivesNotifications'];
+
+const guardianValidators = (prefix = '') => [
+  body(`${prefix}relationship`).optional().isIn(RELATIONSHIPS),
+  ...GUARDIAN_FLAGS.map(flag => body(`${prefix}${flag}`).optional().isBoolean())
+];
+
+const studentValidators = [
+  body('studentNumber').optional().trim(),
+  body('grade').optional().trim(),
+  body('amStopId').optional({ nullable: true }).isMongoId(),
+  body('pmStopId').optional({ nullable: true }).isMongoId(),
+  body('routeId').optional({ nullable: true }).isMongoId(),
+  body('busId').optional({ nullable: true }).isMongoId(),
+  body('requiresAdultAtStop').optional().isBoolean()
+];
+
+const populateStudent = (query) => query
+  .populate('amStop pmStop', 'name location address')
+  .populate('route', 'name')
+  .populate('bus', 'busNumber')
+  .populate('guardians.user', 'firstName lastName email phone');
+
+// A parent of the school, by user id or email
+const findParent = (schoolId, { userId, email }) => User.findOne({
+  ...(userId ? { _id: userId } : { email: (email || '').toLowerCase() }),
+  role: 'parent',
+  school: schoolId
+});
+
+const pickGuardianFields = (source) => {
+  const fields = {};
+  ['relationship', ...GUARDIAN_FLAGS].forEach(field => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+// Apply stop, route and bus ids from a request to a student. null clears
+// one. Returns an error message when an id isn't the school's.
+const applyTransport = async (student, { amStopId, pmStopId, routeId, busId }) => {
+  const checks = [
+    ['amStop', amStopId, BusStop, 'Invalid morning stop'],
+    ['pmStop', pmStopId, BusStop, 'Invalid afternoon stop'],
+    ['route', routeId, Route, 'Invalid route'],
+    ['bus', busId, Bus, 'Invalid bus']
+  ];
+
+  for (const [field, id, Model, message] of checks) {
+    if (id === undefined) continue;
+    if (id === null) {
+      student[field] = undefined;
+      continue;
+    }
+    if (!await Model.exists({ _id: id, school: student.school })) return message;
+    student[field] = id;
+  }
+
+  // Work out the route and bus from the stops unless the school set them
+  if (routeId === undefined && (amStopId || pmStopId)) {
+    await assignTransport(student);
+  }
+  return null;
+};
+
+// Get the school's students. Filter by grade, stop, route or bus.
+router.get('/', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const { grade, stopId, routeId, busId, includeInactive } = req.query;
+    const query = { school: req.user.school };
+
+    if (includeInactive !== 'true') query.isActive = true;
+    if (grade) query.grade = grade;
+    if (stopId) query.$or = [{ amStop: stopId }, { pmStop: stopId }];
+    if (routeId) query.route = routeId;
+    if (busId) query.bus = busId;
+
+    const students = await populateStudent(Student.find(query)).sort({ name: 1 });
+
+    res.json({ students });
+  } catch (error) {
+    console.error('Get students error:', error);
+    res.status(500).json({ error: 'Failed to get students' });
+  }
+});
+
+// Get a student
+router.get('/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const student = await populateStudent(Student.findById(req.params.id));
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    res.json({ student });
+  } catch (error) {
+    console.error('Get student error:', error);
+    res.status(500).json({ error: 'Failed to get student' });
+  }
+});
+
+// Create a student. guardians is a list of { userId or email, relationship,
+// and permission flags } naming parents of the school.
+router.post('/', authenticateToken, requireRole(['school']), [
+  body('name').notEmpty().trim(),
+  ...studentValidators,
+  body('guardians').optional().isArray(),
+  body('guardians.*.userId').optional().isMongoId(),
+  body('guardians.*.email').optional().isEmail(),
+  ...guardianValidators('guardians.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, grade, studentNumber, requiresAdultAtStop, guardians = [] } = req.body;
+
+    if (studentNumber && await Student.exists({ school: req.user.school, studentNumber })) {
+      return res.status(400).json({ error: 'Student number already exists' });
+    }
+
+    const student = new Student({ school: req.user.school, studentNumber, name, grade, requiresAdultAtStop });
+
+    const transportError = await applyTransport(student, req.body);
+    if (transportError) {
+      return res.status(400).json({ error: transportError });
+    }
+
+    for (const entry of guardians) {
+      const parent = await findParent(req.user.school, entry);
+      if (!parent) {
+        return res.status(400).json({ error: `Parent not found: ${entry.email || entry.userId}` });
+      }
+      if (!student.getGuardian(parent._id)) {
+        student.guardians.push({ user: parent._id, ...pickGuardianFields(entry) });
+      }
+    }
+
+    await student.save();
+
+    res.status(201).json({
+      message: 'Student created successfully',
+      student: await populateStudent(Student.findById(student._id))
+    });
+  } catch (error) {
+    console.error('Create student error:', error);
+    res.status(500).json({ error: 'Failed to create student' });
+  }
+});
+
+// Update a student
+router.put('/:id', authenticateToken, requireRole(['school']), [
+  body('name').optional().notEmpty().trim(),
+  ...studentValidators,
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const { name, grade, studentNumber, requiresAdultAtStop, isActive } = req.body;
+
+    if (studentNumber && studentNumber !== student.studentNumber &&
+        await Student.exists({ school: req.user.school, studentNumber })) {
+      return res.status(400).json({ error: 'Student number already exists' });
+    }
+
+    if (name) student.name = name;
+    if (grade !== undefined) student.grade = grade;
+    if (studentNumber !== undefined) student.studentNumber = studentNumber || undefined;
+    if (requiresAdultAtStop !== undefined) student.requiresAdultAtStop = requiresAdultAtStop;
+    if (isActive !== undefined) student.isActive = isActive;
+
+    const transportError = await applyTransport(student, req.body);
+    if (transportError) {
+      return res.status(400).json({ error: transportError });
+    }
+
+    await student.save();
+
+    res.json({
+      message: 'Student updated successfully',
+      student: await populateStudent(Student.findById(student._id))
+    });
+  } catch (error) {
+    console.error('Update student error:', error);
+    res.status(500).json({ error: 'Failed to update student' });
+  }
+});
+
+// Deactivate a student. Their riding history stays.
+router.delete('/:id', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    student.isActive = false;
+    await student.save();
+
+    res.json({ message: 'Student deactivated successfully' });
+  } catch (error) {
+    console.error('Delete student error:', error);
+    res.status(500).json({ error: 'Failed to delete student' });
+  }
+});
+
+// Link a parent (userId or email) to a student as a guardian
+router.post('/:id/guardians', authenticateToken, requireRole(['school']), [
+  body('userId').optional().isMongoId(),
+  body('email').optional().isEmail(),
+  ...guardianValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.body.userId && !req.body.email) {
+      return res.status(400).json({ error: 'Send a userId or an email' });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const parent = await findParent(req.user.school, req.body);
+    if (!parent) {
+      return res.status(404).json({ error: 'Parent not found' });
+    }
+
+    if (student.getGuardian(parent._id)) {
+      return res.status(400).json({ error: 'Parent is already a guardian of this student' });
+    }
+
+    student.guardians.push({ user: parent._id, ...pickGuardianFields(req.body) });
+    await student.save();
+
+    res.status(201).json({
+      message: 'Guardian added successfully',
+      student: await populateStudent(Student.findById(student._id))
+    });
+  } catch (error) {
+    console.error('Add guardian error:', error);
+    res.status(500).json({ error: 'Failed to add guardian' });
+  }
+});
+
+// Change a guardian's relationship or permissions
+router.put('/:id/guardians/:userId', authenticateToken, requireRole(['school']), guardianValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const guardian = student.getGuardian(req.params.userId);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    Object.assign(guardian, pickGuardianFields(req.body));
+    await student.save();
+
+    res.json({
+      message: 'Guardian updated successfully',
+      student: await populateStudent(Student.findById(student._id))
+    });
+  } catch (error) {
+    console.error('Update guardian error:', error);
+    res.status(500).json({ error: 'Failed to update guardian' });
+  }
+});
+
+// Unlink a guardian from a student
+router.delete('/:id/guardians/:userId', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const guardian = student.getGuardian(req.params.userId);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    student.guardians = student.guardians.filter(other => other !== guardian);
+    await student.save();
+
+    res.json({ message: 'Guardian removed successfully' });
+  } catch (error) {
+    console.error('Remove guardian error:', error);
+    res.status(500).json({ error: 'Failed to remove guardian' });
+  }
+});
+
+// Give a student a badge. A code can only be active on one student.
+router.post('/:id/badges', authenticateToken, requireRole(['school']), [
+  body('code').notEmpty().trim(),
+  body('type').optional().isIn(['rfid', 'nfc', 'qr'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const code = normalizeBadgeCode(req.body.code);
+    const holder = await findStudentByBadge(req.user.school, code);
+    if (holder) {
+      return res.status(400).json({ error: `Badge is already assigned to ${holder.name}` });
+    }
+
+    // A badge taken back earlier is reissued rather than added twice
+    student.badges = student.badges.filter(badge => badge.code !== code);
+    student.badges.push({ code, type: req.body.type });
+    await student.save();
+
+    res.status(201).json({
+      message: 'Badge assigned successfully',
+      badges: student.badges
+    });
+  } catch (error) {
+    console.error('Assign badge error:', error);
+    res.status(500).json({ error: 'Failed to assign badge' });
+  }
+});
+
+// Deactivate a student's badge, e.g. when it is lost
+router.delete('/:id/badges/:code', authenticateToken, requireRole(['school']), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student || student.school.toString() !== req.user.school.toString()) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const badge = student.badges.find(candidate => candidate.code === normalizeBadgeCode(req.params.code));
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    badge.isActive = false;
+    await student.save();
+
+    res.json({ message: 'Badge deactivated successfully' });
+  } catch (error) {
+    console.error('Deactivate badge error:', error);
+    res.status(500).json({ error: 'Failed to deactivate badge' });
+  }
+});
+
+module.exports = router;
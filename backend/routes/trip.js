@@ -0,0 +1,88 @@
+const express = require('express');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const Trip = require('../models/Trip');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getTripDetails } = require('../services/tripService');
+
+const router = express.Router();
+
+// Get trips for the school, or the driver's bus
+router.get('/', authenticateToken, requireRole(['school', 'driver']), [
+  queryParam('busId').optional().isMongoId(),
+  queryParam('routeId').optional().isMongoId(),
+  queryParam('startDate').optional().isISO8601(),
+  queryParam('endDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { busId, routeId, direction, status, startDate, endDate, limit = 50 } = req.query;
+
+    const query = req.user.role === 'driver' ?
+      { bus: req.user.driver.bus } :
+      { school: req.user.school };
+
+    if (busId && req.user.role === 'school') query.bus = busId;
+    if (routeId) query.route = routeId;
+    if (direction) query.direction = direction;
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.actualStart = {};
+      if (startDate) query.actualStart.$gte = new Date(startDate);
+      if (endDate) query.actualStart.$lte = new Date(endDate);
+    }
+
+    const trips = await Trip.find(query)
+      .populate('bus', 'busNumber')
+      .populate('route', 'name')
+      .populate('driver', 'firstName lastName')
+      .sort({ actualStart: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({ trips });
+  } catch (error) {
+    console.error('Get trips error:', error);
+    res.status(500).json({ error: 'Failed to get trips' });
+  }
+});
+
+// Get what happened on a trip: arrivals, missed stops and the location trail
+router.get('/:id', authenticateToken, requireRole(['school', 'driver']), [
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const details = await getTripDetails(req.params.id);
+
+    if (!details) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const { trip } = details;
+
+    // Check if user has access to this trip
+    if (req.user.role === 'driver' &&
+        (!req.user.driver.bus || trip.bus._id.toString() !== req.user.driver.bus.toString())) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (req.user.role === 'school' && trip.school.toString() !== req.user.school.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(details);
+  } catch (error) {
+    console.error('Get trip error:', error);
+    res.status(500).json({ error: 'Failed to get trip' });
+  }
+});
+
+module.exports = router;
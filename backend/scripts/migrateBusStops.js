@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Give stops saved inside routes before the BusStop collection existed a
+// shared bus stop. Run it once after upgrading, with the API stopped: it
+// rewrites routes and moves parents, students and arrival history off
+// merged copies. Running it again only picks up stops still missing one.
+//
+// Usage:
+//   npm run migrate:bus-stops
+//
+// Copies of one place on several routes (same name, a few metres apart)
+// become a single bus stop.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillBusStops } = require('../services/stopService');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/school-bus-tracker');
+
+  const { created, merged } = await backfillBusStops();
+  console.log(`Migrated bus stops: ${created} created, ${merged} merged`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Bus stop migration error:', error);
+  process.exit(1);
+});
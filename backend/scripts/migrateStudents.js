@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Move the children parents kept on their own accounts (parent.children)
+// into Students. Run it once after upgrading; running it again only picks
+// up accounts that still have children listed.
+//
+// Usage:
+//   npm run migrate:students
+//
+// Each child becomes its own student with the parent as primary guardian.
+// Children that two parents added separately are not merged; link the
+// second guardian from the school's student list instead.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillStudents } = require('../services/studentService');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/school-bus-tracker');
+
+  const { created, linked } = await backfillStudents();
+  console.log(`Migrated children: ${created} students created, ${linked} guardians linked`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Student migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Replay badge scans against the scan API, to try badge check-in without
+// reader hardware. Scans come from a CSV with the columns:
+//
+//   at       seconds from the start of the replay
+//   badgeId  the badge code as a reader would send it
+//   busId    optional, for readers not mounted on a bus
+//   type     optional, board or alight (left to the server when empty)
+//   token    optional, the device token for this scan (default --token)
+//
+// Usage:
+//   node scripts/simulateScans.js --file scans.csv --token <device token>
+//     [--url http://localhost:3000] [--speed 10] [--dry-run]
+//
+// --speed divides the waits between scans (0 sends them back to back).
+// Register a reader with POST /api/scan/devices to get a device token, and
+// start the bus's run first so scans have a trip to be recorded against.
+
+const fs = require('fs');
+const axios = require('axios');
+const { parseCsv } = require('../utils/csv');
+
+const parseArgs = (argv) => {
+  const options = { url: process.env.API_URL || 'http://localhost:3000', token: process.env.SCAN_DEVICE_TOKEN, speed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    }
+  }
+  options.speed = Number(options.speed);
+  return options;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describe = (data) => {
+  if (!data || !data.status) return JSON.stringify(data);
+  const name = data.student ? data.student.name : 'unknown student';
+  const flags = data.flags && data.flags.length ? ` (${data.flags.join(', ')})` : '';
+  return data.status === 'rejected' ?
+    `rejected ${name}: ${data.error}` :
+    `${data.status} ${data.type} ${name}${flags}`;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node scripts/simulateScans.js --file scans.csv --token <device token> [--url URL] [--speed N] [--dry-run]');
+    process.exit(1);
+  }
+
+  const scans = parseCsv(fs.readFileSync(options.file, 'utf8'))
+    .filter(row => row.badgeId)
+    .map(row => ({ ...row, at: Number(row.at) || 0 }))
+    .sort((a, b) => a.at - b.at);
+
+  const endpoint = `${options.url.replace(/\/+$/, '')}/api/scan`;
+  let elapsed = 0;
+  let failures = 0;
+
+  for (const scan of scans) {
+    if (options.speed > 0) {
+      await sleep((scan.at - elapsed) * 1000 / options.speed);
+    }
+    elapsed = scan.at;
+
+    const token = scan.token || options.token;
+    const payload = { badgeId: scan.badgeId };
+    if (scan.busId) payload.busId = scan.busId;
+    if (scan.type) payload.type = scan.type;
+
+    const label = `[+${scan.at}s] ${scan.badgeId}`;
+    if (options.dryRun) {
+      console.log(`${label} -> would send ${JSON.stringify(payload)}`);
+      continue;
+    }
+    if (!token) {
+      console.error(`${label} -> no device token (use --token or a token column)`);
+      failures++;
+      continue;
+    }
+
+    try {
+      const response = await axios.post(endpoint, payload, {
+        headers: { 'X-Device-Token': token },
+        validateStatus: () => true
+      });
+      console.log(`${label} -> ${response.status} ${describe(response.data)}`);
+      if (response.status >= 500 || response.status === 401) failures++;
+    } catch (error) {
+      console.error(`${label} -> ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log(`Replayed ${scans.length} scans, ${failures} failed`);
+  process.exit(failures > 0 ? 1 : 0);
+};
+
+run();
@@ -15,6 +15,13 @@ const driverRoutes = require('./routes/driver');
 const parentRoutes = require('./routes/parent');
 const locationRoutes = require('./routes/location');
 const notificationRoutes = require('./routes/notification');
+const tripRoutes = require('./routes/trip');
+const gtfsRoutes = require('./routes/gtfs');
+const calendarRoutes = require('./routes/calendar');
+const stopRoutes = require('./routes/stop');
+const studentRoutes = require('./routes/student');
+const ridershipRoutes = require('./routes/ridership');
+const scanRoutes = require('./routes/scan');
 
 const { initializeSocketHandlers } = require('./socket/socketHandlers');
 const { initializeCronJobs } = require('./services/cronJobs');
@@ -28,6 +35,9 @@ const io = socketIo(server, {
   }
 });
 
+// Make io available to routes
+app.set('io', io);
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -37,10 +47,19 @@ app.use(express.urlencoded({ extended: true }));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Badge scans have a limit of their own
+  skip: (req) => req.method === 'POST' && req.path === '/api/scan'
 });
 app.use(limiter);
 
+// Badge readers post a scan for every rider, so they get more room
+const scanLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000 // limit each IP to 1000 scans per windowMs
+});
+app.post('/api/scan', scanLimiter);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/school-bus-tracker', {
   useNewUrlParser: true,
@@ -58,6 +77,13 @@ app.use('/api/driver', driverRoutes);
 app.use('/api/parent', parentRoutes);
 app.use('/api/location', locationRoutes);
 app.use('/api/notification', notificationRoutes);
+app.use('/api/trip', tripRoutes);
+app.use('/api/gtfs', gtfsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/stop', stopRoutes);
+app.use('/api/student', studentRoutes);
+app.use('/api/ridership', ridershipRoutes);
+app.use('/api/scan', scanRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,65 @@
+const Absence = require('../../models/Absence');
+const { id, query } = require('../../test/helpers');
+const { getAbsenceCutoff, isAbsenceLocked, getAbsences, toAbsenceView } = require('../absenceService');
+
+const schoolId = id();
+const settings = { timezone: 'America/Chicago' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAbsenceCutoff', () => {
+  it('locks each run at its default cutoff on the school clock', () => {
+    expect(getAbsenceCutoff(settings, '2026-10-13', 'to_school')).toEqual(new Date('2026-10-13T11:00:00Z'));
+    expect(getAbsenceCutoff(settings, '2026-10-13', 'from_school')).toEqual(new Date('2026-10-13T17:00:00Z'));
+  });
+
+  it('uses the school cutoffs when set', () => {
+    const custom = { ...settings, morningAbsenceCutoff: '05:30', afternoonAbsenceCutoff: '13:15' };
+
+    expect(getAbsenceCutoff(custom, '2026-10-13', 'to_school')).toEqual(new Date('2026-10-13T10:30:00Z'));
+    expect(getAbsenceCutoff(custom, '2026-10-13', 'from_school')).toEqual(new Date('2026-10-13T18:15:00Z'));
+  });
+
+  it('falls back to the default time zone without settings', () => {
+    expect(getAbsenceCutoff(undefined, '2026-10-13', 'to_school')).toEqual(new Date('2026-10-13T10:00:00Z'));
+  });
+});
+
+describe('isAbsenceLocked', () => {
+  it('locks a run from its cutoff on', () => {
+    expect(isAbsenceLocked(settings, '2026-10-13', 'to_school', new Date('2026-10-13T10:59:00Z'))).toBe(false);
+    expect(isAbsenceLocked(settings, '2026-10-13', 'to_school', new Date('2026-10-13T11:00:00Z'))).toBe(true);
+  });
+});
+
+describe('getAbsences', () => {
+  it('maps students to the runs they will miss', async () => {
+    const studentId = id();
+    jest.spyOn(Absence, 'find').mockReturnValue(query([{ student: studentId, directions: ['to_school', 'from_school'] }]));
+
+    const absences = await getAbsences(schoolId, '2026-10-13', { students: [studentId] });
+
+    expect(Absence.find).toHaveBeenCalledWith({ school: schoolId, date: '2026-10-13', student: { $in: [studentId] } });
+    expect(absences).toEqual(new Map([[studentId.toString(), new Set(['to_school', 'from_school'])]]));
+  });
+
+  it('loads the whole school without a student filter', async () => {
+    jest.spyOn(Absence, 'find').mockReturnValue(query([]));
+
+    await getAbsences(schoolId, '2026-10-13');
+
+    expect(Absence.find).toHaveBeenCalledWith({ school: schoolId, date: '2026-10-13' });
+  });
+});
+
+describe('toAbsenceView', () => {
+  it('tells which runs can still be changed', () => {
+    const absence = new Absence({ school: schoolId, student: id(), date: '2026-10-13', directions: ['to_school', 'from_school'] });
+
+    const view = toAbsenceView(absence, settings, new Date('2026-10-13T12:00:00Z'));
+
+    expect(view).toMatchObject({ date: '2026-10-13', locked: { to_school: true, from_school: false } });
+  });
+});
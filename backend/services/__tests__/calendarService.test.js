@@ -0,0 +1,147 @@
+const CalendarEvent = require('../../models/CalendarEvent');
+const { zonedParts, zonedTime, getServiceDay, parseIcalFile } = require('../calendarService');
+const { id, query } = require('../../test/helpers');
+
+const school = {
+  _id: id(),
+  settings: { timezone: 'America/Chicago', schoolStartTime: '08:00', schoolEndTime: '15:00' }
+};
+
+const mockEvents = (events) => jest.spyOn(CalendarEvent, 'find').mockReturnValue(query(events));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('zonedParts and zonedTime', () => {
+  it('read and build wall-clock times in a time zone', () => {
+    const instant = new Date('2026-10-14T02:30:00Z');
+
+    expect(zonedParts(instant, 'America/Chicago')).toEqual({ dateKey: '2026-10-13', time: '21:30' });
+    expect(zonedTime('2026-10-13', '21:30', 'America/Chicago')).toEqual(instant);
+  });
+
+  it('follow daylight saving changes', () => {
+    // New York falls back on 1 November 2026
+    expect(zonedTime('2026-10-31', '07:00', 'America/New_York').toISOString()).toBe('2026-10-31T11:00:00.000Z');
+    expect(zonedTime('2026-11-02', '07:00', 'America/New_York').toISOString()).toBe('2026-11-02T12:00:00.000Z');
+  });
+});
+
+describe('getServiceDay', () => {
+  it('runs buses on ordinary weekdays but not at weekends', async () => {
+    mockEvents([]);
+
+    await expect(getServiceDay(school, '2026-10-13')).resolves.toMatchObject({
+      date: '2026-10-13',
+      timeZone: 'America/Chicago',
+      inService: true,
+      reason: null,
+      shifts: { to_school: 0, from_school: 0 }
+    });
+    await expect(getServiceDay(school, '2026-10-17')).resolves.toMatchObject({ inService: false, reason: 'weekend' });
+  });
+
+  it('takes an instant on the school calendar', async () => {
+    mockEvents([]);
+
+    // Already Wednesday in UTC, still Tuesday evening in Chicago
+    const serviceDay = await getServiceDay(school, new Date('2026-10-14T02:30:00Z'));
+
+    expect(serviceDay.date).toBe('2026-10-13');
+    expect(CalendarEvent.find).toHaveBeenCalledWith(expect.objectContaining({ startDate: { $lte: '2026-10-13' } }));
+  });
+
+  it('cancels service on closures, even when an early release overlaps', async () => {
+    mockEvents([
+      { _id: 'release', type: 'early_release', name: 'Early release', dismissalTime: '12:00' },
+      { _id: 'storm', type: 'closure', name: 'Snow day' }
+    ]);
+
+    const serviceDay = await getServiceDay(school, '2026-10-13');
+
+    expect(serviceDay).toMatchObject({ inService: false, reason: 'closure', event: { id: 'storm' } });
+  });
+
+  it('moves the afternoon run on early releases', async () => {
+    mockEvents([{ _id: 'release', type: 'early_release', name: 'Early release', dismissalTime: '12:30' }]);
+
+    const serviceDay = await getServiceDay(school, '2026-10-13');
+
+    expect(serviceDay).toMatchObject({ inService: true, dismissalTime: '12:30', shifts: { to_school: 0, from_school: -150 } });
+  });
+
+  it('runs special schedules on any day and moves both runs', async () => {
+    mockEvents([{ _id: 'saturday', type: 'special_schedule', name: 'Make-up day', startTime: '09:00', dismissalTime: '13:00' }]);
+
+    const serviceDay = await getServiceDay(school, '2026-10-17');
+
+    expect(serviceDay).toMatchObject({ inService: true, reason: null, shifts: { to_school: 60, from_school: -120 } });
+  });
+});
+
+describe('parseIcalFile', () => {
+  const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  it('imports all-day events as closures over their inclusive days', () => {
+    const { events } = parseIcalFile(calendar([
+      'UID:thanksgiving',
+      'SUMMARY:Thanksgiving Break',
+      'DTSTART;VALUE=DATE:20261126',
+      'DTEND;VALUE=DATE:20261128'
+    ]));
+
+    expect(events).toEqual([expect.objectContaining({
+      type: 'closure',
+      name: 'Thanksgiving Break',
+      startDate: '2026-11-26',
+      endDate: '2026-11-27',
+      source: 'ical',
+      icalUid: 'thanksgiving'
+    })]);
+  });
+
+  it('dismisses early releases at their start on the school clock', () => {
+    const { events } = parseIcalFile(calendar([
+      'UID:early',
+      'SUMMARY:Early Dismissal',
+      'DTSTART:20261124T183000Z',
+      'DTEND:20261124T190000Z'
+    ]), 'America/Chicago');
+
+    expect(events[0]).toMatchObject({ type: 'early_release', startDate: '2026-11-24', dismissalTime: '12:30' });
+  });
+
+  it('expands recurring events into one per day', () => {
+    const { events } = parseIcalFile(calendar([
+      'UID:work-day',
+      'SUMMARY:Teacher Work Day',
+      'DTSTART:20261104T140000Z',
+      'RRULE:FREQ=WEEKLY;COUNT=2'
+    ]), 'America/New_York');
+
+    expect(events.map(event => [event.startDate, event.icalUid])).toEqual([
+      ['2026-11-04', 'work-day#2026-11-04'],
+      ['2026-11-11', 'work-day#2026-11-11']
+    ]);
+  });
+
+  it('skips events that do not change bus service', () => {
+    const { events, skipped } = parseIcalFile(calendar(
+      ['UID:photos', 'SUMMARY:Picture Day', 'DTSTART:20261105T140000Z'],
+      ['UID:half', 'SUMMARY:Half-day', 'DTSTART;VALUE=DATE:20261106']
+    ));
+
+    expect(events).toEqual([]);
+    expect(skipped).toEqual([
+      { uid: 'photos', name: 'Picture Day', reason: 'Not a closure or early release' },
+      { uid: 'half', name: 'Half-day', reason: 'Early release without a dismissal time' }
+    ]);
+  });
+});
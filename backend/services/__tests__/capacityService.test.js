@@ -0,0 +1,140 @@
+const User = require('../../models/User');
+const Student = require('../../models/Student');
+const Route = require('../../models/Route');
+const Absence = require('../../models/Absence');
+const { id, query, makeRoute } = require('../../test/helpers');
+const { getRiders, countRiders, getRouteCapacityReport, getCapacityWarnings } = require('../capacityService');
+
+const schoolId = id();
+
+const rider = (stop, { route = null, absent = [] } = {}) => ({
+  route,
+  stops: { to_school: stop._id, from_school: stop._id },
+  absent: new Set(absent)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRiders', () => {
+  const oak = id();
+  const elm = id();
+  const guardian = { _id: id(), parent: { selectedStop: elm } };
+  const parentWithoutStudents = { _id: id(), parent: { selectedStop: oak } };
+  const students = [
+    { _id: id(), amStop: oak, guardians: [{ user: guardian._id }] },
+    { _id: id(), guardians: [] }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue(query([guardian, parentWithoutStudents]));
+    jest.spyOn(Student, 'find').mockReturnValue(query(students));
+  });
+
+  it('uses a guardian stop for the runs a student has no stop for', async () => {
+    const riders = await getRiders(schoolId);
+
+    expect(riders[0].stops).toEqual({ to_school: oak, from_school: elm });
+    expect(riders[1].stops).toEqual({ to_school: undefined, from_school: undefined });
+  });
+
+  it('counts a parent with a stop but no students as one rider', async () => {
+    const riders = await getRiders(schoolId);
+
+    expect(riders).toHaveLength(3);
+    expect(riders[2]).toEqual({ route: null, stops: { to_school: oak, from_school: oak }, absent: new Set() });
+  });
+
+  it('loads only riders who may ride from the given stops', async () => {
+    jest.spyOn(Absence, 'find').mockReturnValue(query([]));
+
+    await getRiders(schoolId, { stops: [oak], date: '2026-10-13' });
+
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({ 'parent.selectedStop': { $in: [oak] } }));
+    expect(Student.find).toHaveBeenCalledWith(expect.objectContaining({
+      $or: [
+        { amStop: { $in: [oak] } },
+        { pmStop: { $in: [oak] } },
+        { 'guardians.user': { $in: [guardian._id, parentWithoutStudents._id] } }
+      ]
+    }));
+    expect(Absence.find).toHaveBeenCalledWith({ school: schoolId, date: '2026-10-13', student: { $in: students.map(student => student._id) } });
+  });
+
+  it('marks the runs a student was reported absent from', async () => {
+    jest.spyOn(Absence, 'find').mockReturnValue(query([{ student: students[1]._id, directions: ['from_school'] }]));
+
+    const riders = await getRiders(schoolId, { date: '2026-10-13' });
+
+    expect(riders[1].absent).toEqual(new Set(['from_school']));
+    expect(riders[0].absent).toEqual(new Set());
+  });
+});
+
+describe('countRiders', () => {
+  it('counts riders of the route or of no route in particular', () => {
+    const route = makeRoute();
+    const [oak, elm] = route.stops;
+    const riders = [
+      rider(oak),
+      rider(oak, { route: route._id, absent: ['to_school'] }),
+      rider(elm, { route: id() })
+    ];
+
+    expect(countRiders(riders, route, 'to_school')).toEqual(new Map([[oak._id.toString(), 2]]));
+    expect(countRiders(riders, route, 'to_school', { expected: true })).toEqual(new Map([[oak._id.toString(), 1]]));
+  });
+});
+
+describe('getRouteCapacityReport', () => {
+  it('follows the load along each run against the bus capacity', async () => {
+    const route = makeRoute();
+    const [oak, elm] = route.stops;
+    const riders = [rider(oak), rider(oak), rider(elm)];
+    jest.spyOn(Route, 'countDocuments').mockResolvedValue(0);
+
+    const report = await getRouteCapacityReport(route, { riders, bus: { _id: id(), busNumber: '12', capacity: 2 } });
+    const [morning, afternoon] = report.directions;
+
+    expect(report.overloaded).toBe(true);
+    expect(report.sharesStopsWithOtherRoutes).toBe(false);
+    expect(morning.segments.map(segment => segment.load)).toEqual([2, 3]);
+    expect(morning).toMatchObject({ riders: 3, peakLoad: 3, utilization: 1.5, overloadedSegments: 1 });
+    expect(morning.stops.map(stop => [stop.boarding, stop.alighting])).toEqual([[2, 0], [1, 0], [0, 3]]);
+    // The afternoon run leaves the school full and drops riders off
+    expect(afternoon.stops.map(stop => stop.name)).toEqual(['School', 'Elm St', 'Oak St']);
+    expect(afternoon.segments.map(segment => segment.load)).toEqual([3, 2]);
+    expect(afternoon.stops.map(stop => [stop.boarding, stop.alighting])).toEqual([[3, 0], [0, 1], [0, 2]]);
+  });
+
+  it('reports loads without a bus to compare them with', async () => {
+    const route = makeRoute();
+    route.direction = 'to_school';
+    jest.spyOn(Route, 'countDocuments').mockResolvedValue(1);
+
+    const report = await getRouteCapacityReport(route, { riders: [rider(route.stops[0])], bus: null });
+
+    expect(report.directions).toHaveLength(1);
+    expect(report.sharesStopsWithOtherRoutes).toBe(true);
+    expect(report.directions[0]).toMatchObject({ capacity: null, utilization: null, overloaded: false });
+  });
+});
+
+describe('getCapacityWarnings', () => {
+  it('warns about each overloaded run', async () => {
+    const route = makeRoute();
+    route.direction = 'to_school';
+    jest.spyOn(Route, 'countDocuments').mockResolvedValue(0);
+    const report = await getRouteCapacityReport(route, {
+      riders: [rider(route.stops[0]), rider(route.stops[1])],
+      bus: { _id: id(), busNumber: '12', capacity: 1 }
+    });
+
+    expect(getCapacityWarnings(report)).toEqual([expect.objectContaining({
+      type: 'over_capacity',
+      direction: 'to_school',
+      message: 'Route 1 carries up to 2 riders to school but the bus seats 1'
+    })]);
+  });
+});
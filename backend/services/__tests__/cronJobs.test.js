@@ -0,0 +1,57 @@
+const School = require('../../models/School');
+const { ArrivalLog } = require('../../models/LocationLog');
+const { id, query, capturePushes } = require('../../test/helpers');
+const { sendDailyReports } = require('../cronJobs');
+
+const makeSchool = (timezone) => ({
+  _id: id(),
+  settings: { timezone },
+  admin: { pushToken: 'ExponentPushToken[admin]' }
+});
+
+let sent;
+
+beforeEach(() => {
+  sent = capturePushes();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendDailyReports', () => {
+  it('reports the previous day on the clock of schools where it is 6 AM', async () => {
+    const chicago = makeSchool('America/Chicago');
+    jest.spyOn(School, 'find').mockReturnValue(query([chicago, makeSchool('America/New_York')]));
+    jest.spyOn(ArrivalLog, 'aggregate').mockResolvedValue([
+      { school: chicago._id, totalArrivals: 4, onTimeArrivals: 3, lateArrivals: 1, missedStops: 0, skippedStops: 2 }
+    ]);
+
+    // 06:00 in Chicago, 07:00 in New York
+    await expect(sendDailyReports(new Date('2026-10-14T11:00:00Z'))).resolves.toBe(1);
+
+    const [pipeline] = ArrivalLog.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.actualTime).toEqual({
+      $gte: new Date('2026-10-13T05:00:00Z'),
+      $lt: new Date('2026-10-14T05:00:00Z')
+    });
+    expect(pipeline).toContainEqual({ $match: { 'routeInfo.school': chicago._id } });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].body).toBe('Yesterday: 75% on time across 1 routes (1 late, 0 missed, 2 skipped)');
+    expect(sent[0].data).toMatchObject({ type: 'daily_report', date: '2026-10-13' });
+  });
+
+  it('does not count skipped stops against the route', async () => {
+    jest.spyOn(School, 'find').mockReturnValue(query([makeSchool('America/Chicago')]));
+    jest.spyOn(ArrivalLog, 'aggregate').mockResolvedValue([
+      { totalArrivals: 0, onTimeArrivals: 0, lateArrivals: 0, missedStops: 0, skippedStops: 3 }
+    ]);
+
+    await sendDailyReports(new Date('2026-10-14T11:00:00Z'));
+
+    const [pipeline] = ArrivalLog.aggregate.mock.calls[0];
+    const { $group: group } = pipeline.find(stage => stage.$group);
+    expect(group.totalArrivals).toEqual({ $sum: { $cond: ['$skipped', 0, 1] } });
+    expect(sent[0].body).toBe('Yesterday: no arrivals recorded');
+  });
+});
@@ -0,0 +1,165 @@
+const Route = require('../../models/Route');
+const School = require('../../models/School');
+const LocationLog = require('../../models/LocationLog');
+const { ArrivalLog } = require('../../models/LocationLog');
+const SegmentStat = require('../../models/SegmentStat');
+const { id, query, makeRoute, makeBus } = require('../../test/helpers');
+const { setRoutingProvider } = require('../trafficService');
+const { createFakeProvider } = require('../routingProviders');
+const { calculateTimeline, calculateETA, rebuildRouteStats } = require('../etaService');
+
+// A bus at the first stop of the route
+const busAtStart = (route) => makeBus(route, { currentLocation: { coordinates: route.stops[0].location.coordinates } });
+
+// Stand-in for a Mongoose query cursor over the given documents
+const cursorOf = (docs) => ({
+  sort: () => ({
+    cursor: async function* () {
+      yield* docs;
+    }
+  })
+});
+
+const mockStats = (stats) => jest.spyOn(SegmentStat, 'find').mockReturnValue(query(stats));
+
+beforeEach(() => {
+  jest.spyOn(School, 'findById').mockReturnValue(query({ settings: { timezone: 'America/New_York' } }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setRoutingProvider(null);
+});
+
+describe('rebuildRouteStats', () => {
+  it('learns segment times from consecutive arrivals of one run', async () => {
+    const route = makeRoute();
+    const [oak, elm, school] = route.stops;
+    const bus = id();
+    const otherBus = id();
+    // 08:00 onwards in New York
+    const at = (time) => new Date(`2026-10-13T${time}:00Z`);
+
+    jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+    jest.spyOn(ArrivalLog, 'find').mockReturnValue(cursorOf([
+      { bus, direction: 'to_school', stop: oak._id, stopIndex: 0, actualTime: at('12:00') },
+      { bus, direction: 'to_school', stop: elm._id, stopIndex: 1, actualTime: at('12:06') },
+      { bus, direction: 'to_school', stop: school._id, stopIndex: 2, actualTime: at('12:10') },
+      // A different bus is never paired with the previous one
+      { bus: otherBus, direction: 'to_school', stop: elm._id, stopIndex: 1, actualTime: at('12:30') },
+      // Nor is a stop skipped in between
+      { bus: otherBus, direction: 'to_school', stop: oak._id, stopIndex: 3, actualTime: at('12:40') }
+    ]));
+    jest.spyOn(LocationLog, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(SegmentStat, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(SegmentStat, 'insertMany').mockResolvedValue([]);
+
+    await expect(rebuildRouteStats(route._id)).resolves.toBe(2);
+
+    const stats = insertMany.mock.calls[0][0];
+    expect(stats).toEqual([
+      expect.objectContaining({ kind: 'segment', fromStop: oak._id, toStop: elm._id, weekday: 2, hour: 8, meanMinutes: 6 }),
+      expect.objectContaining({ kind: 'segment', fromStop: elm._id, toStop: school._id, weekday: 2, hour: 8, meanMinutes: 4 })
+    ]);
+  });
+
+  it('does not pair arrivals on different days of the school', async () => {
+    const route = makeRoute();
+    const [oak, elm] = route.stops;
+    const bus = id();
+
+    jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+    // Either side of midnight in New York
+    jest.spyOn(ArrivalLog, 'find').mockReturnValue(cursorOf([
+      { bus, direction: 'to_school', stop: oak._id, stopIndex: 0, actualTime: new Date('2026-10-14T03:58:00Z') },
+      { bus, direction: 'to_school', stop: elm._id, stopIndex: 1, actualTime: new Date('2026-10-14T04:03:00Z') }
+    ]));
+    jest.spyOn(LocationLog, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(SegmentStat, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(SegmentStat, 'insertMany').mockResolvedValue([]);
+
+    await expect(rebuildRouteStats(route._id)).resolves.toBe(0);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('keeps rush hour in its bucket across daylight saving changes', async () => {
+    const route = makeRoute();
+    const [oak, elm] = route.stops;
+    const bus = id();
+
+    jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+    // 07:00 in New York, before and after the clocks go back
+    jest.spyOn(ArrivalLog, 'find').mockReturnValue(cursorOf([
+      { bus, direction: 'to_school', stop: oak._id, stopIndex: 0, actualTime: new Date('2026-10-27T11:00:00Z') },
+      { bus, direction: 'to_school', stop: elm._id, stopIndex: 1, actualTime: new Date('2026-10-27T11:06:00Z') },
+      { bus, direction: 'to_school', stop: oak._id, stopIndex: 0, actualTime: new Date('2026-11-03T12:00:00Z') },
+      { bus, direction: 'to_school', stop: elm._id, stopIndex: 1, actualTime: new Date('2026-11-03T12:08:00Z') }
+    ]));
+    const aggregate = jest.spyOn(LocationLog, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(SegmentStat, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(SegmentStat, 'insertMany').mockResolvedValue([]);
+
+    await rebuildRouteStats(route._id);
+
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ weekday: 2, hour: 7, sampleCount: 2, meanMinutes: 7 })
+    ]);
+    // Learned speeds are grouped on the same clock
+    const { $group: group } = aggregate.mock.calls[0][0].find(stage => stage.$group);
+    expect(group._id.hour).toEqual({ $hour: { date: '$timestamp', timezone: 'America/New_York' } });
+  });
+});
+
+describe('calculateTimeline', () => {
+  // 08:00 on a Tuesday in New York
+  const at = new Date('2026-10-13T12:00:00Z');
+
+  it('uses learned segment times first', async () => {
+    const route = makeRoute();
+    const [oak, elm, school] = route.stops;
+    mockStats([
+      { kind: 'segment', fromStop: oak._id, toStop: elm._id, weekday: 2, hour: 8, sampleCount: 4, meanMinutes: 7 },
+      { kind: 'segment', fromStop: elm._id, toStop: school._id, weekday: 2, hour: 8, sampleCount: 4, meanMinutes: 3 }
+    ]);
+    setRoutingProvider(createFakeProvider());
+
+    const timeline = await calculateTimeline(busAtStart(route), route, { at });
+
+    expect(timeline.model).toBe('historical');
+    expect(timeline.stops.map(stop => stop.source)).toEqual(['historical', 'historical']);
+  });
+
+  it('prefers the learned route speed over traffic', async () => {
+    const route = makeRoute();
+    mockStats([{ kind: 'route_speed', weekday: 2, hour: 8, sampleCount: 10, meanSpeed: 20 }]);
+    const provider = createFakeProvider();
+    const getDirections = jest.spyOn(provider, 'getDirections');
+    setRoutingProvider(provider);
+
+    const timeline = await calculateTimeline(busAtStart(route), route, { at });
+
+    expect(timeline.model).toBe('historical_speed');
+    expect(getDirections).not.toHaveBeenCalled();
+  });
+
+  it('falls back to traffic, then to the heuristic', async () => {
+    const route = makeRoute();
+    mockStats([]);
+    setRoutingProvider(createFakeProvider());
+
+    await expect(calculateTimeline(busAtStart(route), route, { at })).resolves.toMatchObject({ model: 'traffic', provider: 'fake' });
+    await expect(calculateTimeline(busAtStart(route), route, { at, useTraffic: false })).resolves.toMatchObject({ model: 'heuristic' });
+  });
+});
+
+describe('calculateETA', () => {
+  it('estimates the current stop from the learned route speed before traffic', async () => {
+    const route = makeRoute();
+    mockStats([{ kind: 'route_speed', weekday: 2, hour: 8, sampleCount: 10, meanSpeed: 20 }]);
+    setRoutingProvider(createFakeProvider());
+
+    const eta = await calculateETA(busAtStart(route), route, 0, { at: new Date('2026-10-13T12:00:00Z') });
+
+    expect(eta.model).toBe('historical_speed');
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { createCsvGeocoder, createGeocoderFromEnv } = require('../geocodingProviders');
+const { setGeocoder, geocodeAddress, geocodePlace, confirmLocation } = require('../geocodingService');
+
+const ROWS = [
+  { lat: '40.7000', lon: '-73.9900', house_number: '12', road: 'Oak Street', city: 'Springfield', state: 'NY', postcode: '10001' },
+  { lat: '40.7100', lon: '-73.9900', house_number: '3', road: 'Elm Street', city: 'Springfield', state: 'NY', postcode: '10001' },
+  // Two Main Streets in different towns
+  { lat: '40.8000', lon: '-73.9000', house_number: '1', road: 'Main Street', city: 'Riverton', state: 'NY', postcode: '10002' },
+  { lat: '40.9000', lon: '-73.8000', house_number: '1', road: 'Main Street', city: 'Lakeview', state: 'NY', postcode: '10003' }
+];
+
+beforeEach(() => {
+  setGeocoder(createCsvGeocoder({ rows: ROWS }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createGeocoderFromEnv', () => {
+  it('geocodes only when a provider or Google key is configured', () => {
+    expect(createGeocoderFromEnv({})).toBeNull();
+    expect(createGeocoderFromEnv({ GOOGLE_MAPS_API_KEY: 'key' }).name).toBe('google');
+    expect(createGeocoderFromEnv({ GEOCODER_PROVIDER: 'Nominatim' }).name).toBe('nominatim');
+  });
+
+  it('rejects incomplete or unknown configuration', () => {
+    expect(() => createGeocoderFromEnv({ GEOCODER_PROVIDER: 'csv' })).toThrow(/GEOCODER_CSV_FILE/);
+    expect(() => createGeocoderFromEnv({ GEOCODER_PROVIDER: 'bing' })).toThrow(/Unknown geocoder provider/);
+  });
+});
+
+describe('CSV geocoder', () => {
+  it('scores rows by the share of query words they contain', async () => {
+    const [best] = await createCsvGeocoder({ rows: ROWS }).geocode('12 Oak Street, Springfield');
+
+    expect(best).toEqual({
+      coordinates: [-73.99, 40.7],
+      formattedAddress: '12 Oak Street, Springfield, NY, 10001',
+      confidence: 1,
+      address: { street: '12 Oak Street', city: 'Springfield', state: 'NY', zipCode: '10001', country: undefined }
+    });
+  });
+
+  it('reverse geocodes to the nearest row within range', async () => {
+    const geocoder = createCsvGeocoder({ rows: ROWS });
+
+    await expect(geocoder.reverse({ lat: 40.7101, lng: -73.99 })).resolves.toEqual([expect.objectContaining({ formattedAddress: '3 Elm Street, Springfield, NY, 10001' })]);
+    await expect(geocoder.reverse({ lat: 41, lng: -73.99 })).resolves.toEqual([]);
+  });
+});
+
+describe('geocodeAddress', () => {
+  it('matches a clear address and caches the lookup', async () => {
+    const geocoder = createCsvGeocoder({ rows: ROWS });
+    const geocode = jest.spyOn(geocoder, 'geocode');
+    setGeocoder(geocoder);
+
+    const result = await geocodeAddress({ street: '12 Oak Street', city: 'Springfield', state: 'NY' });
+    await geocodeAddress('12 oak street, springfield, ny');
+
+    expect(result).toMatchObject({ status: 'matched', provider: 'csv', query: '12 Oak Street, Springfield, NY' });
+    expect(geocode).toHaveBeenCalledTimes(1);
+  });
+
+  it('flags an address equally matched in two places', async () => {
+    await expect(geocodeAddress('1 Main Street')).resolves.toMatchObject({ status: 'ambiguous' });
+  });
+
+  it('reports addresses that match nothing', async () => {
+    await expect(geocodeAddress('99 Nowhere Lane')).resolves.toMatchObject({ status: 'not_found', best: null });
+  });
+
+  it('does nothing without a geocoder', async () => {
+    setGeocoder(null);
+
+    await expect(geocodeAddress('12 Oak Street')).resolves.toBeNull();
+  });
+});
+
+describe('geocodePlace', () => {
+  it('locates a place from its address', async () => {
+    const stop = { name: 'Oak St', address: { street: '12 Oak Street', city: 'Springfield' } };
+
+    await expect(geocodePlace(stop)).resolves.toBe('matched');
+
+    expect(stop.location).toEqual({ type: 'Point', coordinates: [-73.99, 40.7] });
+    expect(stop.geocoding).toMatchObject({ status: 'matched', provider: 'csv', confidence: 1, candidates: [] });
+  });
+
+  it('keeps the candidates of an ambiguous address for an admin', async () => {
+    const stop = { name: 'Main St', address: '1 Main Street' };
+
+    await geocodePlace(stop);
+
+    expect(stop.geocoding.status).toBe('ambiguous');
+    expect(stop.geocoding.candidates).toHaveLength(2);
+  });
+
+  it('fills in the address of a place given by location', async () => {
+    const stop = { name: 'Elm St', location: { type: 'Point', coordinates: [-73.99, 40.7101] } };
+
+    await expect(geocodePlace(stop, { locationGiven: true })).resolves.toBe('reversed');
+
+    expect(stop.address).toEqual({ street: '3 Elm Street', city: 'Springfield', state: 'NY', zipCode: '10001' });
+    expect(stop.location.coordinates).toEqual([-73.99, 40.7101]);
+  });
+
+  it('records geocoder failures without throwing', async () => {
+    setGeocoder({ name: 'broken', geocode: async () => { throw new Error('timeout'); } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const stop = { name: 'Oak St', address: '12 Oak Street' };
+
+    await expect(geocodePlace(stop)).resolves.toBe('failed');
+
+    expect(stop.geocoding).toMatchObject({ status: 'failed', provider: 'broken', query: '12 Oak Street' });
+  });
+});
+
+describe('confirmLocation', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it('settles a place on one of its candidates', async () => {
+    const stop = { name: 'Main St', address: '1 Main Street' };
+    await geocodePlace(stop);
+    const second = stop.geocoding.candidates[1];
+
+    expect(confirmLocation(stop, { candidate: 1 }, user)).toBe(true);
+
+    expect(stop.location.coordinates).toEqual(second.coordinates);
+    expect(stop.geocoding).toMatchObject({ status: 'confirmed', formattedAddress: second.formattedAddress, confirmedBy: user._id });
+    expect(confirmLocation(stop, { candidate: 7 }, user)).toBe(false);
+  });
+
+  it('takes coordinates an admin picked', () => {
+    const stop = { name: 'Oak St' };
+
+    confirmLocation(stop, { coordinates: ['-73.98', '40.69'] }, user);
+
+    expect(stop.location).toEqual({ type: 'Point', coordinates: [-73.98, 40.69] });
+    expect(stop.geocoding.status).toBe('confirmed');
+  });
+});
@@ -0,0 +1,110 @@
+const Bus = require('../../models/Bus');
+const School = require('../../models/School');
+const CalendarEvent = require('../../models/CalendarEvent');
+const SegmentStat = require('../../models/SegmentStat');
+const { id, query, makeRoute, makeBus } = require('../../test/helpers');
+const { setRoutingProvider } = require('../trafficService');
+const { buildVehiclePositions, buildTripUpdates, encodeFeed, feedToJson } = require('../gtfsRealtimeService');
+const { transit_realtime: realtime } = require('gtfs-realtime-bindings');
+
+const schoolId = id();
+// 07:00 on a Tuesday in New York
+const now = new Date('2026-10-13T11:00:00Z');
+
+const route = makeRoute({
+  school: schoolId,
+  gtfs: { routeId: 'R1' },
+  schedule: { morning: { startTime: '07:00', estimatedDuration: 10 } }
+});
+// Stops keep the ids of the static feed they were imported from
+['A', 'B', 'S'].forEach((gtfsStopId, index) => {
+  route.stops[index].gtfsStopId = gtfsStopId;
+});
+
+// A bus that has just left the first stop
+const runningBus = (overrides = {}) => makeBus(route, {
+  currentLocation: { type: 'Point', coordinates: [-73.99, 40.701], heading: 0, speed: 36 },
+  lastLocationUpdate: new Date(now.getTime() - 10 * 1000),
+  stopVisit: { stopIndex: 0, arrivedAt: new Date(now.getTime() - 60 * 1000), departedAt: new Date(now.getTime() - 30 * 1000) },
+  ...overrides
+});
+
+beforeEach(() => {
+  setRoutingProvider(null);
+  jest.spyOn(School, 'findById').mockReturnValue(query({ _id: schoolId, settings: { timezone: 'America/New_York' } }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildVehiclePositions', () => {
+  it('reports buses between stops as heading to the next one', async () => {
+    const bus = runningBus();
+    jest.spyOn(Bus, 'find').mockReturnValue(query([bus, runningBus({ lastLocationUpdate: null })]));
+
+    const feed = feedToJson(await buildVehiclePositions(schoolId, now));
+
+    expect(feed.entity).toHaveLength(1);
+    expect(feed.entity[0].vehicle).toMatchObject({
+      trip: { tripId: 'R1_to_school', routeId: 'R1', directionId: 0, startDate: '20261013' },
+      vehicle: { id: bus._id.toString(), label: '12' },
+      position: { latitude: 40.701, longitude: -73.99, bearing: 0, speed: 10 },
+      currentStopSequence: 2,
+      stopId: 'B',
+      currentStatus: 'IN_TRANSIT_TO'
+    });
+  });
+
+  it('reports buses dwelling at a stop as stopped there', async () => {
+    const bus = runningBus({ stopVisit: { stopIndex: 0, arrivedAt: new Date(now.getTime() - 60 * 1000) } });
+    jest.spyOn(Bus, 'find').mockReturnValue(query([bus]));
+
+    const feed = feedToJson(await buildVehiclePositions(schoolId, now));
+
+    expect(feed.entity[0].vehicle).toMatchObject({ currentStopSequence: 1, stopId: 'A', currentStatus: 'STOPPED_AT' });
+  });
+
+  it('starts trips on the school service day, not the UTC one', async () => {
+    jest.spyOn(Bus, 'find').mockReturnValue(query([runningBus()]));
+
+    // 22:00 on the 13th in New York
+    const feed = feedToJson(await buildVehiclePositions(schoolId, new Date('2026-10-14T02:00:00Z')));
+
+    expect(feed.entity[0].vehicle.trip.startDate).toBe('20261013');
+  });
+
+  it('encodes to protobuf that decodes to the same feed', async () => {
+    jest.spyOn(Bus, 'find').mockReturnValue(query([runningBus()]));
+    const message = await buildVehiclePositions(schoolId, now);
+
+    const decoded = feedToJson(realtime.FeedMessage.decode(encodeFeed(message)));
+    const original = feedToJson(message);
+
+    // Positions are 32-bit floats on the wire
+    expect(decoded.entity[0].vehicle.position.latitude).toBeCloseTo(40.701, 5);
+    expect(decoded.entity[0].vehicle.position.longitude).toBeCloseTo(-73.99, 5);
+    delete decoded.entity[0].vehicle.position;
+    delete original.entity[0].vehicle.position;
+    expect(decoded).toEqual(original);
+  });
+});
+
+describe('buildTripUpdates', () => {
+  it('predicts the remaining stops against the schedule', async () => {
+    jest.spyOn(Bus, 'find').mockReturnValue(query([runningBus()]));
+    jest.spyOn(CalendarEvent, 'find').mockReturnValue(query([]));
+    jest.spyOn(SegmentStat, 'find').mockReturnValue(query([]));
+
+    const feed = feedToJson(await buildTripUpdates(schoolId, now));
+    const updates = feed.entity[0].tripUpdate.stopTimeUpdate;
+
+    expect(updates.map(update => [update.stopSequence, update.stopId])).toEqual([[2, 'B'], [3, 'S']]);
+    expect(updates[1].arrival.time).toBeGreaterThan(updates[0].arrival.time);
+    // Delays are measured from the scheduled 07:05 and 07:10
+    const scheduled = [Date.UTC(2026, 9, 13, 11, 5), Date.UTC(2026, 9, 13, 11, 10)];
+    updates.forEach((update, index) => {
+      expect(update.arrival.delay).toBe(update.arrival.time - scheduled[index] / 1000);
+    });
+  });
+});
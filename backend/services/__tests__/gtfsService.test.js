@@ -0,0 +1,173 @@
+const AdmZip = require('adm-zip');
+const Route = require('../../models/Route');
+const { parseCsv } = require('../../utils/csv');
+const { importGtfsFeed, exportGtfsFeed } = require('../gtfsService');
+const { id } = require('../../test/helpers');
+
+const schoolId = id();
+
+const makeFeed = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, text]) => zip.addFile(name, Buffer.from(text, 'utf8')));
+  return zip.toBuffer();
+};
+
+const readZip = (buffer) => {
+  const files = {};
+  new AdmZip(buffer).getEntries().forEach(entry => {
+    files[entry.entryName] = parseCsv(entry.getData().toString('utf8'));
+  });
+  return files;
+};
+
+const STOPS = [
+  'stop_id,stop_name,stop_lat,stop_lon',
+  'A,Oak St,40.70,-73.99',
+  'B,Elm St,40.71,-73.99',
+  'S,Lincoln Elementary,40.72,-73.99'
+].join('\n');
+
+const ROUTES = 'route_id,route_short_name,route_long_name\nR1,1,North Loop';
+
+const TRIPS = [
+  'route_id,service_id,trip_id,direction_id',
+  'R1,school,AM,0',
+  'R1,school,PM,1'
+].join('\n');
+
+// The middle morning stop has no time and is placed between its neighbours
+const MIRRORED_STOP_TIMES = [
+  'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+  'AM,07:00:00,07:00:00,A,1',
+  'AM,,,B,2',
+  'AM,07:20:00,07:20:00,S,3',
+  'PM,15:00:00,15:00:00,S,1',
+  'PM,15:10:00,15:10:00,B,2',
+  'PM,15:20:00,15:20:00,A,3'
+].join('\n');
+
+beforeEach(() => {
+  jest.spyOn(Route, 'find').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('importGtfsFeed', () => {
+  it('previews a route with its runs without writing anything', async () => {
+    const feed = makeFeed({ 'stops.txt': STOPS, 'routes.txt': ROUTES, 'trips.txt': TRIPS, 'stop_times.txt': MIRRORED_STOP_TIMES });
+
+    const result = await importGtfsFeed(feed, schoolId, { dryRun: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.summary).toEqual({ create: 1, update: 0, errors: 0 });
+    expect(result.routes[0]).toMatchObject({
+      gtfsRouteId: 'R1',
+      name: '1 - North Loop',
+      action: 'create',
+      direction: 'both',
+      stops: 3,
+      separateRuns: false,
+      schedule: {
+        morning: { startTime: '07:00', estimatedDuration: 20 },
+        afternoon: { startTime: '15:00', estimatedDuration: 20 }
+      }
+    });
+  });
+
+  it('keeps an afternoon run that is not the morning one reversed', async () => {
+    const stopTimes = MIRRORED_STOP_TIMES.replace('PM,15:10:00,15:10:00,B,2', 'PM,15:05:00,15:05:00,B,2');
+    const feed = makeFeed({ 'stops.txt': STOPS, 'routes.txt': ROUTES, 'trips.txt': TRIPS, 'stop_times.txt': stopTimes });
+
+    const result = await importGtfsFeed(feed, schoolId, { dryRun: true });
+
+    expect(result.routes[0].separateRuns).toBe(true);
+  });
+
+  it('reports missing files and unknown stops', async () => {
+    const incomplete = await importGtfsFeed(makeFeed({ 'stops.txt': STOPS }), schoolId, { dryRun: true });
+    expect(incomplete.errors.map(error => error.file)).toEqual(['routes.txt', 'trips.txt', 'stop_times.txt']);
+
+    const stopTimes = MIRRORED_STOP_TIMES.replace('AM,,,B,2', 'AM,,,X,2');
+    const feed = makeFeed({ 'stops.txt': STOPS, 'routes.txt': ROUTES, 'trips.txt': TRIPS, 'stop_times.txt': stopTimes });
+    const result = await importGtfsFeed(feed, schoolId, { dryRun: true });
+
+    expect(result.routes).toEqual([]);
+    expect(result.errors[0].message).toMatch(/unknown stop X/);
+  });
+
+  it('rejects files that are not zips', async () => {
+    const result = await importGtfsFeed(Buffer.from('not a zip'), schoolId);
+
+    expect(result.errors).toEqual([{ message: 'Feed is not a valid zip file' }]);
+  });
+});
+
+describe('exportGtfsFeed', () => {
+  const school = { _id: schoolId, name: 'Lincoln Elementary', settings: { timezone: 'America/Chicago' } };
+
+  const makeRoute = () => new Route({
+    name: 'North Loop',
+    school: schoolId,
+    stops: [
+      { name: 'Oak St', location: { coordinates: [-73.99, 40.70] }, estimatedTime: 0, stopOrder: 0, gtfsStopId: 'A' },
+      { name: 'Elm St', location: { coordinates: [-73.99, 40.71] }, estimatedTime: 8, stopOrder: 1 },
+      { name: 'Lincoln Elementary', location: { coordinates: [-73.99, 40.72] }, estimatedTime: 20, stopOrder: 2, isSchoolStop: true }
+    ],
+    schedule: {
+      morning: { startTime: '07:00', estimatedDuration: 20 },
+      afternoon: { startTime: '15:00', estimatedDuration: 20 }
+    }
+  });
+
+  it('writes both runs with dwell times at intermediate stops', () => {
+    const route = makeRoute();
+
+    const files = readZip(exportGtfsFeed(school, [route]));
+
+    expect(files['agency.txt'][0].agency_timezone).toBe('America/Chicago');
+    expect(files['stops.txt'].map(stop => stop.stop_id)).toEqual(['A', route.stops[1]._id.toString(), route.stops[2]._id.toString()]);
+    expect(files['trips.txt'].map(trip => trip.direction_id)).toEqual(['0', '1']);
+
+    const morning = files['stop_times.txt'].filter(stopTime => stopTime.trip_id.endsWith('_to_school'));
+    expect(morning.map(stopTime => [stopTime.arrival_time, stopTime.departure_time])).toEqual([
+      ['07:00:00', '07:00:00'],
+      ['07:08:00', '07:09:00'],
+      ['07:20:00', '07:20:00']
+    ]);
+
+    const afternoon = files['stop_times.txt'].filter(stopTime => stopTime.trip_id.endsWith('_from_school'));
+    expect(afternoon.map(stopTime => stopTime.arrival_time)).toEqual(['15:00:00', '15:12:00', '15:20:00']);
+  });
+
+  it('runs the service calendar from today on the school clock', () => {
+    // 22:00 on the 13th in Chicago
+    jest.useFakeTimers({ now: new Date('2026-10-14T03:00:00Z') });
+
+    try {
+      const [calendar] = readZip(exportGtfsFeed(school, [makeRoute()]))['calendar.txt'];
+
+      expect(calendar).toMatchObject({ monday: '1', saturday: '0', start_date: '20261013', end_date: '20271013' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('round-trips through import', async () => {
+    const feed = exportGtfsFeed(school, [makeRoute()]);
+
+    const result = await importGtfsFeed(feed, schoolId, { dryRun: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.routes[0]).toMatchObject({
+      name: 'North Loop',
+      stops: 3,
+      separateRuns: false,
+      schedule: {
+        morning: { startTime: '07:00', estimatedDuration: 20 },
+        afternoon: { startTime: '15:00', estimatedDuration: 20 }
+      }
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const Trip = require('../../models/Trip');
+const School = require('../../models/School');
+const User = require('../../models/User');
+const RideEvent = require('../../models/RideEvent');
+const PickupEscalation = require('../../models/PickupEscalation');
+const {
+  requiresHandover,
+  verifyPickupAdult,
+  escalateMissingAdult,
+  closeEscalation,
+  getOpenEscalations
+} = require('../pickupService');
+const { id, query, makeRoute, makeBus, makeStudent, capturePushes } = require('../../test/helpers');
+
+const schoolId = id();
+
+const route = makeRoute({ school: schoolId });
+
+const guardian = { _id: id(), firstName: 'Ana', lastName: 'Lee', isActive: true, parent: { pushToken: 'ExponentPushToken[parent]' } };
+
+const makeRider = (overrides = {}) => makeStudent({
+  school: schoolId,
+  requiresAdultAtStop: true,
+  guardians: [{ user: guardian._id, relationship: 'mother', receivesNotifications: true }],
+  pickupAdults: [{ name: 'Jo Park', relationship: 'aunt' }],
+  ...overrides
+});
+
+// A bus on the afternoon run, at the stop between school and the last one
+const afternoonBus = (overrides = {}) => makeBus(route, {
+  currentDirection: 'from_school',
+  currentStopIndex: 1,
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('pickup adult PINs', () => {
+  it('keeps only a hash of the PIN and never sends it', async () => {
+    const [adult] = makeRider().pickupAdults;
+
+    await adult.setPin(4821);
+
+    expect(adult.pinHash).not.toContain('4821');
+    await expect(adult.checkPin('4821')).resolves.toBe(true);
+    await expect(adult.checkPin('1111')).resolves.toBe(false);
+    expect(adult.toJSON()).toMatchObject({ name: 'Jo Park', hasPin: true });
+    expect(adult.toJSON()).not.toHaveProperty('pinHash');
+
+    await adult.setPin('');
+    expect(adult.pinHash).toBeUndefined();
+    await expect(adult.checkPin('4821')).resolves.toBe(false);
+  });
+});
+
+describe('requiresHandover', () => {
+  it('needs a hand-over only when getting off the afternoon run away from school', () => {
+    const student = makeRider();
+    const [oak, , schoolStop] = route.stops;
+
+    expect(requiresHandover(student, 'from_school', 'alight', oak)).toBe(true);
+    expect(requiresHandover(student, 'from_school', 'alight', schoolStop)).toBe(false);
+    expect(requiresHandover(student, 'to_school', 'alight', oak)).toBe(false);
+    expect(requiresHandover(student, 'from_school', 'board', oak)).toBe(false);
+    expect(requiresHandover(makeRider({ requiresAdultAtStop: false }), 'from_school', 'alight', oak)).toBe(false);
+  });
+});
+
+describe('verifyPickupAdult', () => {
+  it('accepts the PIN of a pickup adult', async () => {
+    const student = makeRider();
+    await student.pickupAdults[0].setPin('4821');
+
+    await expect(verifyPickupAdult(student, { pin: '4821' })).resolves.toEqual({
+      handover: { adultName: 'Jo Park', relationship: 'aunt', method: 'pin' }
+    });
+    await expect(verifyPickupAdult(student, { pin: '1111' })).resolves.toEqual({ error: 'PIN does not match an authorized adult' });
+  });
+
+  it('accepts the name of a pickup adult ignoring case and spacing', async () => {
+    await expect(verifyPickupAdult(makeRider(), { adultName: ' jo   PARK ' })).resolves.toEqual({
+      handover: { adultName: 'Jo Park', relationship: 'aunt', method: 'name' }
+    });
+  });
+
+  it('accepts the name of a guardian who can pick up', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(query([guardian]));
+
+    const result = await verifyPickupAdult(makeRider(), { adultName: 'Ana Lee' });
+
+    expect(User.find).toHaveBeenCalledWith({ _id: { $in: [guardian._id] }, isActive: true });
+    expect(result).toEqual({ handover: { adultName: 'Ana Lee', relationship: 'mother', method: 'name' } });
+  });
+
+  it('turns away anyone else', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(query([guardian]));
+
+    await expect(verifyPickupAdult(makeRider(), { adultName: 'Max Roe' })).resolves.toEqual({ error: 'Max Roe is not authorized to collect Sam Lee' });
+    await expect(verifyPickupAdult(makeRider(), {})).resolves.toEqual({ error: 'Enter the PIN or name of the adult collecting the student' });
+  });
+});
+
+describe('escalateMissingAdult', () => {
+  let student;
+  let saved;
+  let sent;
+
+  const mockTrip = (direction = 'from_school', status = 'in_progress') =>
+    jest.spyOn(Trip, 'findById').mockResolvedValue({ _id: id(), direction, status });
+
+  beforeEach(() => {
+    student = makeRider();
+    saved = [];
+    jest.spyOn(RideEvent, 'findOne').mockReturnValue(query({ type: 'board' }));
+    jest.spyOn(PickupEscalation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PickupEscalation.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(School, 'findById').mockReturnValue(query({ admin: { pushToken: 'ExponentPushToken[admin]' } }));
+    jest.spyOn(User, 'find').mockResolvedValue([guardian]);
+    sent = capturePushes();
+  });
+
+  it('records the escalation and alerts the school and guardians', async () => {
+    mockTrip();
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const bus = afternoonBus();
+
+    const { escalation } = await escalateMissingAdult(io, bus, student, { notes: 'Nobody at the stop' });
+
+    // The afternoon run goes School, Elm St, Oak St
+    expect(saved).toEqual([escalation]);
+    expect(escalation).toMatchObject({ stopIndex: 1, status: 'open', notes: 'Nobody at the stop' });
+    expect(escalation.stop).toEqual(route.stops[1]._id);
+    expect(io.to).toHaveBeenCalledWith(`school_${schoolId}`);
+    expect(emit).toHaveBeenCalledWith('pickup_escalation', expect.objectContaining({ studentName: 'Sam Lee', stopName: 'Elm St' }));
+    expect(sent.map(message => [message.to, message.title])).toEqual([
+      ['ExponentPushToken[admin]', 'No Adult at Stop'],
+      ['ExponentPushToken[parent]', 'Not Collected at Stop']
+    ]);
+  });
+
+  it('returns the open escalation instead of opening another', async () => {
+    mockTrip();
+    const existing = { _id: id(), status: 'open' };
+    PickupEscalation.findOne.mockResolvedValue(existing);
+
+    await expect(escalateMissingAdult(null, afternoonBus(), student)).resolves.toEqual({ escalation: existing });
+    expect(saved).toHaveLength(0);
+  });
+
+  it('only escalates for a student on board an afternoon run away from school', async () => {
+    mockTrip('to_school');
+    await expect(escalateMissingAdult(null, afternoonBus(), student)).resolves.toEqual({ error: 'Only afternoon runs in progress can be escalated' });
+
+    mockTrip();
+    await expect(escalateMissingAdult(null, afternoonBus(), student, { stopIndex: 0 })).resolves.toEqual({ error: 'Invalid stop index' });
+
+    RideEvent.findOne.mockReturnValue(query({ type: 'alight' }));
+    await expect(escalateMissingAdult(null, afternoonBus(), student)).resolves.toEqual({ error: 'Sam Lee is not on board' });
+  });
+});
+
+describe('closeEscalation', () => {
+  const tripId = id();
+  const studentId = id();
+  const time = new Date('2026-10-13T19:30:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(PickupEscalation, 'updateMany').mockResolvedValue({});
+  });
+
+  it('resolves an escalation with the hand-over', async () => {
+    await closeEscalation(tripId, studentId, { stop: route.stops[0], time, handover: { adultName: 'Jo Park' } });
+
+    expect(PickupEscalation.updateMany).toHaveBeenCalledWith(
+      { trip: tripId, student: studentId, status: 'open' },
+      { $set: { status: 'resolved', resolvedAt: time, resolution: 'Handed to Jo Park at Oak St' } }
+    );
+  });
+
+  it('marks the student returned when they get off at school', async () => {
+    await closeEscalation(tripId, studentId, { stop: route.stops[2], time });
+
+    expect(PickupEscalation.updateMany).toHaveBeenCalledWith(
+      { trip: tripId, student: studentId, status: 'open' },
+      { $set: { status: 'returned', returnedAt: time } }
+    );
+  });
+});
+
+describe('getOpenEscalations', () => {
+  it('lists the students still waiting on a trip', async () => {
+    const tripId = id();
+    const studentId = id();
+    jest.spyOn(PickupEscalation, 'find').mockReturnValue(query([{ student: studentId }]));
+
+    await expect(getOpenEscalations(tripId)).resolves.toEqual(new Set([studentId.toString()]));
+    expect(PickupEscalation.find).toHaveBeenCalledWith({ trip: tripId, status: 'open' });
+  });
+});
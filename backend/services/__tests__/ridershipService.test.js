@@ -0,0 +1,163 @@
+const Trip = require('../../models/Trip');
+const School = require('../../models/School');
+const Student = require('../../models/Student');
+const User = require('../../models/User');
+const RideEvent = require('../../models/RideEvent');
+const Absence = require('../../models/Absence');
+const PickupEscalation = require('../../models/PickupEscalation');
+const { ArrivalLog } = require('../../models/LocationLog');
+const { getRunRiders, recordRideEvent, getRidership } = require('../ridershipService');
+const { id, query, makeRoute, makeBus, makeStudent, capturePushes } = require('../../test/helpers');
+
+const school = { _id: id(), settings: { timezone: 'America/New_York' } };
+
+const route = makeRoute({ school: school._id });
+
+const guardian = { _id: id(), isActive: true, parent: { pushToken: 'ExponentPushToken[parent]' } };
+
+const makeRider = (overrides = {}) => makeStudent({
+  school: school._id,
+  guardians: [{ user: guardian._id, receivesNotifications: true }],
+  ...overrides
+});
+
+// 07:05 in New York
+const time = new Date('2026-10-13T11:05:00Z');
+
+let sent;
+
+beforeEach(() => {
+  sent = capturePushes();
+  jest.spyOn(School, 'findById').mockReturnValue(query(school));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordRideEvent', () => {
+  let student;
+  let saved;
+
+  const mockTrip = (direction = 'to_school', status = 'in_progress') =>
+    jest.spyOn(Trip, 'findById').mockResolvedValue({ _id: id(), direction, status });
+
+  beforeEach(() => {
+    student = makeRider();
+    saved = [];
+    jest.spyOn(Student, 'findOne').mockResolvedValue(student);
+    jest.spyOn(RideEvent, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(RideEvent.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(ArrivalLog, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(ArrivalLog, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'find').mockResolvedValue([guardian]);
+  });
+
+  it('records a boarding at the stop the bus is at and tells guardians', async () => {
+    mockTrip();
+    const arrivalLog = { _id: id() };
+    jest.spyOn(ArrivalLog, 'findById').mockResolvedValue(arrivalLog);
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const bus = makeBus(route, { stopVisit: { stopIndex: 0, arrivalLog: arrivalLog._id } });
+
+    const { event } = await recordRideEvent(io, bus, student._id, 'board', { time });
+
+    expect(saved).toEqual([event]);
+    expect(event).toMatchObject({ type: 'board', stopIndex: 0, direction: 'to_school', arrivalLog: arrivalLog._id });
+    expect(event.stop).toEqual(route.stops[0]._id);
+    expect(ArrivalLog.updateOne).toHaveBeenCalledWith({ _id: arrivalLog._id }, { $inc: { 'passengers.boarded': 1 } });
+    expect(emit).toHaveBeenCalledWith('student_ride_event', expect.objectContaining({ type: 'board', stopName: 'Oak St' }));
+    // On the school's clock, whatever the server's
+    expect(sent[0].body).toBe('Sam boarded Bus 12 at 07:05');
+  });
+
+  it('records getting off at a given stop', async () => {
+    mockTrip();
+    jest.spyOn(PickupEscalation, 'updateMany').mockResolvedValue({});
+
+    const { event } = await recordRideEvent(null, makeBus(route), student._id, 'alight', { stopIndex: 2, time });
+
+    expect(event.stop).toEqual(route.stops[2]._id);
+    expect(sent[0].body).toBe('Sam got off Bus 12 at School at 07:05');
+  });
+
+  it('needs a run in progress', async () => {
+    mockTrip('to_school', 'completed');
+
+    await expect(recordRideEvent(null, makeBus(route), student._id, 'board')).resolves.toEqual({ error: 'Start the run before recording riders' });
+    await expect(recordRideEvent(null, makeBus(route, { currentTrip: null }), student._id, 'board')).resolves.toEqual({ error: 'Start the run before recording riders' });
+  });
+
+  it('does not record the same event twice in a row', async () => {
+    mockTrip();
+    RideEvent.findOne.mockReturnValue(query({ type: 'board' }));
+
+    await expect(recordRideEvent(null, makeBus(route), student._id, 'board')).resolves.toEqual({ error: 'Sam Lee is already on board' });
+    expect(saved).toHaveLength(0);
+  });
+
+  it('keeps students who must be met on the bus without a handover', async () => {
+    mockTrip('from_school');
+    student.requiresAdultAtStop = true;
+
+    const result = await recordRideEvent(null, makeBus(route, { currentDirection: 'from_school' }), student._id, 'alight', { stopIndex: 1 });
+
+    expect(result).toEqual({ error: 'Sam Lee must be handed to an authorized adult', requiresHandover: true });
+  });
+});
+
+describe('getRunRiders', () => {
+  it('lists the riders expected on the run with their stop and status', async () => {
+    const bus = makeBus(route);
+    const [oak, elm] = route.stops;
+    const boarded = makeRider({ name: 'Ana Diaz', amStop: oak._id });
+    const absent = makeRider({ name: 'Ben Ford', amStop: elm._id });
+    jest.spyOn(Student, 'find').mockReturnValue(query([boarded, absent]));
+    jest.spyOn(RideEvent, 'find').mockReturnValue(query([{ student: boarded._id, type: 'board', time }]));
+    jest.spyOn(Absence, 'find').mockReturnValue(query([{ student: absent._id, directions: ['to_school'] }]));
+    jest.spyOn(PickupEscalation, 'find').mockReturnValue(query([]));
+
+    const riders = await getRunRiders(bus);
+
+    expect(Student.find).toHaveBeenCalledWith(expect.objectContaining({ amStop: { $in: route.stops.map(stop => stop._id) } }));
+    expect(Absence.find).toHaveBeenCalledWith({ school: school._id, date: expect.any(String), student: { $in: [boarded._id, absent._id] } });
+    expect(riders.map(rider => [rider.stopName, rider.status, rider.absent])).toEqual([
+      ['Oak St', 'on_board', false],
+      ['Elm St', 'not_boarded', true]
+    ]);
+  });
+});
+
+describe('getRidership', () => {
+  it('takes days from midnight to midnight on the school clock', async () => {
+    const studentId = id();
+    jest.spyOn(RideEvent, 'find').mockReturnValue(query([
+      { type: 'board', student: { _id: studentId } },
+      { type: 'alight', student: { _id: studentId } },
+      { type: 'board', student: id() }
+    ]));
+
+    const { summary } = await getRidership(school._id, { from: '2026-10-12', to: '2026-10-13', direction: 'to_school' });
+
+    expect(RideEvent.find).toHaveBeenCalledWith({
+      school: school._id,
+      direction: 'to_school',
+      time: { $gte: new Date('2026-10-12T04:00:00Z'), $lt: new Date('2026-10-14T04:00:00Z') }
+    });
+    expect(summary).toEqual({ boardings: 2, alightings: 1, students: 2 });
+  });
+  it('counts the rides of deleted students without them', async () => {
+    jest.spyOn(RideEvent, 'find').mockReturnValue(query([
+      { type: 'board', student: null },
+      { type: 'board', student: { _id: id() } }
+    ]));
+
+    const { summary } = await getRidership(school._id);
+
+    expect(summary).toEqual({ boardings: 2, alightings: 0, students: 1 });
+  });
+});
@@ -0,0 +1,131 @@
+const AdmZip = require('adm-zip');
+const { parseRouteFile, buildDraftRoute } = require('../routeFileImportService');
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>North Loop</name></metadata>
+  <wpt lat="40.72" lon="-73.99"><name>School</name><time>2026-10-13T11:20:00Z</time></wpt>
+  <wpt lat="40.70" lon="-73.99"><name>Oak St</name><desc>By the oak</desc><time>2026-10-13T11:00:00Z</time></wpt>
+  <wpt lat="95" lon="-73.99"><name>Nowhere</name></wpt>
+  <trk><name>Morning</name><trkseg>
+    <trkpt lat="40.70" lon="-73.99"/>
+    <trkpt lat="40.71" lon="-73.99"/>
+    <trkpt lat="40.72" lon="-73.99"/>
+  </trkseg></trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>North Loop</name>
+    <Folder>
+      <Placemark><name>Oak St</name><Point><coordinates>-73.99,40.70,0</coordinates></Point></Placemark>
+      <Placemark><name>Elm St</name><Point><coordinates>-73.99,40.71</coordinates></Point></Placemark>
+    </Folder>
+    <Placemark><name>Path</name><LineString><coordinates>-73.99,40.70 -73.99,40.72</coordinates></LineString></Placemark>
+    <Placemark><name>Empty</name></Placemark>
+  </Document>
+</kml>`;
+
+const GEOJSON = JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Oak St' }, geometry: { type: 'Point', coordinates: [-73.99, 40.70] } },
+    { type: 'Feature', properties: { name: 'Path' }, geometry: { type: 'LineString', coordinates: [[-73.99, 40.70], [-73.99, 40.72]] } },
+    { type: 'Feature', properties: { name: 'Field' }, geometry: { type: 'Polygon', coordinates: [] } },
+    { type: 'Feature', properties: { name: 'Blank' } }
+  ]
+});
+
+describe('parseRouteFile', () => {
+  it('reads GPX waypoints and tracks', () => {
+    const result = parseRouteFile(Buffer.from(GPX), 'north.gpx');
+
+    expect(result.format).toBe('gpx');
+    expect(result.name).toBe('North Loop');
+    expect(result.stops.map(stop => stop.name)).toEqual(['School', 'Oak St']);
+    expect(result.stops[1]).toMatchObject({ description: 'By the oak', coordinates: [-73.99, 40.70] });
+    expect(result.lines).toEqual([{ name: 'Morning', coordinates: [[-73.99, 40.70], [-73.99, 40.71], [-73.99, 40.72]] }]);
+    expect(result.errors).toEqual([{ feature: 'Nowhere', message: 'Waypoint has invalid coordinates' }]);
+  });
+
+  it('uses a GPX route for stops and path when there is nothing else', () => {
+    const gpx = `<gpx><rte><name>Planned</name>
+      <rtept lat="40.70" lon="-73.99"><name>Oak St</name></rtept>
+      <rtept lat="40.71" lon="-73.99"><name>Elm St</name></rtept>
+    </rte></gpx>`;
+
+    const result = parseRouteFile(Buffer.from(gpx), 'planned.gpx');
+
+    expect(result.stops.map(stop => stop.name)).toEqual(['Oak St', 'Elm St']);
+    expect(result.lines[0].name).toBe('Planned');
+  });
+
+  it('reads KML placemarks nested in folders and reports empty ones', () => {
+    const result = parseRouteFile(Buffer.from(KML), 'north.kml');
+
+    expect(result.format).toBe('kml');
+    expect(result.name).toBe('North Loop');
+    expect(result.stops.map(stop => [stop.name, stop.coordinates])).toEqual([
+      ['Oak St', [-73.99, 40.70]],
+      ['Elm St', [-73.99, 40.71]]
+    ]);
+    expect(result.lines[0]).toEqual({ name: 'Path', coordinates: [[-73.99, 40.70], [-73.99, 40.72]] });
+    expect(result.errors).toEqual([{ feature: 'Empty', message: 'Placemark has no Point or LineString' }]);
+  });
+
+  it('reads the KML inside a KMZ', () => {
+    const zip = new AdmZip();
+    zip.addFile('doc.kml', Buffer.from(KML));
+
+    const result = parseRouteFile(zip.toBuffer(), 'north.kmz');
+
+    expect(result.stops).toHaveLength(2);
+    expect(parseRouteFile(Buffer.from('not a zip'), 'broken.kmz').errors[0].message).toBe('KMZ file has no KML document');
+  });
+
+  it('reads GeoJSON points and lines and reports the rest per feature', () => {
+    const result = parseRouteFile(Buffer.from(GEOJSON), 'north.geojson');
+
+    expect(result.stops.map(stop => stop.name)).toEqual(['Oak St']);
+    expect(result.lines).toHaveLength(1);
+    expect(result.errors).toEqual([
+      { feature: 'Field', message: 'Unsupported geometry type Polygon' },
+      { feature: 'Blank', message: 'Feature has no geometry' }
+    ]);
+  });
+
+  it('detects the format from the content when the name does not say', () => {
+    expect(parseRouteFile(Buffer.from(GEOJSON), 'upload').format).toBe('geojson');
+    expect(parseRouteFile(Buffer.from(GPX), 'upload').format).toBe('gpx');
+    expect(parseRouteFile(Buffer.from('hello'), 'upload').errors[0].message).toMatch(/Unrecognised file format/);
+  });
+});
+
+describe('buildDraftRoute', () => {
+  it('orders stops along the line and times them from their timestamps', () => {
+    const draft = buildDraftRoute(parseRouteFile(Buffer.from(GPX), 'north.gpx'));
+
+    expect(draft.name).toBe('North Loop');
+    expect(draft.stops.map(stop => [stop.name, stop.estimatedTime, stop.stopOrder])).toEqual([
+      ['Oak St', 0, 0],
+      ['School', 20, 1]
+    ]);
+    expect(draft.stops[0].metadata).toEqual({ description: 'By the oak' });
+    expect(draft.geometry.to_school).toMatchObject({ type: 'LineString', source: 'uploaded', provider: 'gpx' });
+  });
+
+  it('estimates times from distance when stops have no timestamps', () => {
+    const draft = buildDraftRoute(parseRouteFile(Buffer.from(KML), 'north.kml'), { name: 'Custom', dwellMinutes: 2 });
+
+    // 1.1 km at 30 km/h is about 2 minutes, plus the dwell
+    expect(draft.name).toBe('Custom');
+    expect(draft.stops.map(stop => stop.estimatedTime)).toEqual([0, 4]);
+  });
+
+  it('warns when only the first of several lines is used', () => {
+    const parsed = { format: 'geojson', stops: [], lines: [{ name: 'A', coordinates: [] }, { name: 'B', coordinates: [] }] };
+
+    expect(buildDraftRoute(parsed).warnings).toEqual(['2 lines found; only "A" is used as the route geometry']);
+  });
+});
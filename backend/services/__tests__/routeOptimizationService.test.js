@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Route = require('../../models/Route');
+const { setRoutingProvider } = require('../trafficService');
+const { optimizeStopOrder, applyStopOrder } = require('../routeOptimizationService');
+
+// Stops along one street heading north to a school at 40.75
+const school = { location: { coordinates: [-73.99, 40.75] } };
+
+const makeRoute = (latitudes, overrides = {}) => new Route({
+  name: 'Route 1',
+  school: new mongoose.Types.ObjectId(),
+  stops: latitudes.map((lat, index) => ({
+    name: `Stop at ${lat}`,
+    location: { coordinates: [-73.99, lat] },
+    estimatedTime: index * 5,
+    stopOrder: index + 1
+  })),
+  ...overrides
+});
+
+const latitudesOf = (route, stops) => stops.map(stop =>
+  route.stops.find(candidate => candidate._id.equals(stop.stopId)).location.coordinates[1]);
+
+beforeEach(() => {
+  // Without a provider the straight-line heuristic is used
+  setRoutingProvider(null);
+});
+
+describe('optimizeStopOrder', () => {
+  it('orders the stops from the farthest to the school', async () => {
+    const route = makeRoute([40.72, 40.70, 40.74, 40.71, 40.73]);
+
+    const proposal = await optimizeStopOrder(route, school);
+
+    expect(proposal.provider).toBe('heuristic');
+    expect(latitudesOf(route, proposal.proposed.stops)).toEqual([40.70, 40.71, 40.72, 40.73, 40.74]);
+    expect(proposal.changed).toBe(true);
+    expect(proposal.delta.duration).toBeLessThan(0);
+    // The route's stopOrder values are reused in the new sequence
+    expect(proposal.proposed.stops.map(stop => stop.stopOrder)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('leaves an already optimal route unchanged', async () => {
+    const route = makeRoute([40.70, 40.71, 40.72]);
+
+    const proposal = await optimizeStopOrder(route, school);
+
+    expect(proposal.changed).toBe(false);
+    expect(proposal.delta).toEqual({ distance: 0, duration: 0 });
+  });
+
+  it('keeps school stops at the school end', async () => {
+    const route = makeRoute([40.75, 40.72, 40.70]);
+    route.stops[0].isSchoolStop = true;
+
+    const proposal = await optimizeStopOrder(route, null);
+
+    expect(latitudesOf(route, proposal.proposed.stops)).toEqual([40.70, 40.72, 40.75]);
+  });
+
+  it('evaluates a given order', async () => {
+    const route = makeRoute([40.72, 40.70, 40.71]);
+    const stopIds = [route.stops[1]._id, route.stops[2]._id, route.stops[0]._id];
+
+    const proposal = await optimizeStopOrder(route, school, { stopIds });
+
+    expect(latitudesOf(route, proposal.proposed.stops)).toEqual([40.70, 40.71, 40.72]);
+  });
+
+  it('needs to know where the school is', async () => {
+    await expect(optimizeStopOrder(makeRoute([40.70, 40.71]), { location: { coordinates: [0, 0] } })).resolves.toBeNull();
+  });
+});
+
+describe('applyStopOrder', () => {
+  it('rewrites the stops in the proposed order with their new times', async () => {
+    const route = makeRoute([40.71, 40.70]);
+    const proposal = await optimizeStopOrder(route, school);
+
+    applyStopOrder(route, proposal);
+
+    expect(route.stops.map(stop => stop.location.coordinates[1])).toEqual([40.70, 40.71]);
+    expect(route.stops.map(stop => stop.stopOrder)).toEqual([1, 2]);
+    expect(route.stops[0].estimatedTime).toBe(0);
+    expect(route.stops[1].estimatedTime).toBeGreaterThan(0);
+  });
+});
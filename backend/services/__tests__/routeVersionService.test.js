@@ -0,0 +1,120 @@
+const Route = require('../../models/Route');
+const RouteVersion = require('../../models/RouteVersion');
+const { layoutFingerprint, diffLayouts, createVersion, applyVersion } = require('../routeVersionService');
+const { query, makeRoute } = require('../../test/helpers');
+
+const versionedRoute = () => makeRoute({
+  version: 1,
+  schedule: { morning: { startTime: '07:00', estimatedDuration: 10 } }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('layoutFingerprint', () => {
+  it('does not depend on the order fields were stored in', () => {
+    const route = versionedRoute();
+    const stored = route.toObject();
+    // A document loaded from the database may list a stop's fields in any order
+    stored.stops = stored.stops.map(stop => Object.fromEntries(Object.entries(stop).reverse()));
+
+    expect(layoutFingerprint(new Route(stored))).toBe(layoutFingerprint(route));
+  });
+
+  it('changes when the layout is edited', () => {
+    const route = versionedRoute();
+    const before = layoutFingerprint(route);
+
+    route.stops[1].estimatedTime = 6;
+
+    expect(layoutFingerprint(route)).not.toBe(before);
+  });
+
+  it('ignores fields a version does not replace', () => {
+    const route = versionedRoute();
+    const before = layoutFingerprint(route);
+
+    route.name = 'Route 1A';
+
+    expect(layoutFingerprint(route)).toBe(before);
+  });
+});
+
+describe('diffLayouts', () => {
+  it('lists added, removed, moved and retimed stops', () => {
+    const from = versionedRoute();
+    const to = new Route(from.toObject());
+    const date = new Date(2026, 9, 13, 12);
+    to.stops[0].location.coordinates = [-73.99, 40.701];
+    to.stops[1].estimatedTime = 8;
+    to.stops.splice(2, 1);
+    to.stops.push({ name: 'Pine St', location: { coordinates: [-73.99, 40.715] }, estimatedTime: 10, stopOrder: 2 });
+
+    const diff = diffLayouts(from, to, date);
+
+    expect(diff.added.map(stop => stop.name)).toEqual(['Pine St']);
+    expect(diff.removed.map(stop => stop.name)).toEqual(['School']);
+    expect(diff.changed).toEqual([
+      expect.objectContaining({ name: 'Oak St', changes: { location: expect.objectContaining({ distance: 111 }) } }),
+      expect.objectContaining({
+        name: 'Elm St',
+        changes: {
+          morningTime: { from: '07:05', to: '07:08' },
+          afternoonTime: { from: '14:35', to: '14:32' }
+        }
+      })
+    ]);
+  });
+});
+
+describe('createVersion', () => {
+  it('keeps stop ids, drops runs of removed stops and records the base layout', async () => {
+    const route = versionedRoute();
+    const [oak, elm] = route.stops;
+    route.runs = { to_school: [{ stop: oak._id, estimatedTime: 0 }, { stop: elm._id, estimatedTime: 5 }] };
+    jest.spyOn(RouteVersion, 'findOne').mockReturnValue(query({ version: 1 }));
+    jest.spyOn(RouteVersion.prototype, 'save').mockResolvedValue();
+
+    const version = await createVersion(route, {
+      effectiveFrom: new Date('2026-11-02'),
+      stops: [
+        { name: 'elm st ', location: { coordinates: [-73.99, 40.71] }, estimatedTime: 0, stopOrder: 0 },
+        { name: 'Pine St', location: { coordinates: [-73.99, 40.715] }, estimatedTime: 4, stopOrder: 1 }
+      ],
+      schedule: { morning: { startTime: '07:10' } }
+    });
+
+    expect(version.version).toBe(2);
+    expect(version.stops[0]._id).toEqual(elm._id);
+    expect(version.stops[1]._id).not.toEqual(oak._id);
+    expect(version.runs.to_school.map(entry => entry.stop)).toEqual([elm._id]);
+    expect(version.schedule.morning.toObject()).toEqual({ startTime: '07:10', estimatedDuration: 10 });
+    expect(version.baseFingerprint).toBe(layoutFingerprint(route));
+  });
+});
+
+describe('applyVersion', () => {
+  it('marks a version drafted from an older layout as a conflict', async () => {
+    const route = versionedRoute();
+    const version = new RouteVersion({
+      route: route._id,
+      school: route.school,
+      version: 2,
+      effectiveFrom: new Date(),
+      stops: [],
+      baseFingerprint: layoutFingerprint(route)
+    });
+    route.stops[0].name = 'Oak Street';
+    jest.spyOn(Route, 'findById').mockResolvedValue(route);
+    jest.spyOn(RouteVersion.prototype, 'save').mockResolvedValue();
+    const saveRoute = jest.spyOn(Route.prototype, 'save');
+
+    const result = await applyVersion(version);
+
+    expect(result.conflict).toBe(true);
+    expect(version.status).toBe('conflict');
+    expect(saveRoute).not.toHaveBeenCalled();
+    expect(route.stops).toHaveLength(3);
+  });
+});
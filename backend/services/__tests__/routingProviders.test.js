@@ -0,0 +1,124 @@
+const axios = require('axios');
+const {
+  createGoogleProvider,
+  createOsrmProvider,
+  createFakeProvider,
+  createProviderFromEnv
+} = require('../routingProviders');
+
+const origin = { lat: 40.70, lng: -73.99 };
+const destination = { lat: 40.71, lng: -73.99 };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createProviderFromEnv', () => {
+  it('builds the named provider', () => {
+    expect(createProviderFromEnv({ ROUTING_PROVIDER: 'fake' }).name).toBe('fake');
+    expect(createProviderFromEnv({ ROUTING_PROVIDER: 'OSRM', OSRM_URL: 'http://osrm' }).name).toBe('osrm');
+    expect(createProviderFromEnv({ ROUTING_PROVIDER: 'none', GOOGLE_MAPS_API_KEY: 'key' })).toBeNull();
+  });
+
+  it('uses Google only when a key is configured', () => {
+    expect(createProviderFromEnv({ GOOGLE_MAPS_API_KEY: 'key' }).name).toBe('google');
+    expect(createProviderFromEnv({})).toBeNull();
+  });
+
+  it('rejects incomplete or unknown configuration', () => {
+    expect(() => createProviderFromEnv({ ROUTING_PROVIDER: 'google' })).toThrow(/GOOGLE_MAPS_API_KEY/);
+    expect(() => createProviderFromEnv({ ROUTING_PROVIDER: 'osrm' })).toThrow(/OSRM_URL/);
+    expect(() => createProviderFromEnv({ ROUTING_PROVIDER: 'here' })).toThrow(/Unknown routing provider/);
+  });
+});
+
+describe('fake provider', () => {
+  it('drives the stretched straight-line distance at its speed', async () => {
+    const provider = createFakeProvider({ speed: 36, detourFactor: 1, trafficFactor: 2 });
+
+    const { routes } = await provider.getDirections({ origin, destination });
+    const [leg] = routes[0].legs;
+
+    expect(leg.distance).toBeCloseTo(1112, -1);
+    expect(leg.duration).toBe(Math.round(leg.distance / 10));
+    expect(leg.durationInTraffic).toBeCloseTo(leg.duration * 2, -1);
+  });
+
+  it('returns one leg per waypoint hop', async () => {
+    const provider = createFakeProvider();
+
+    const { routes } = await provider.getDirections({ origin, destination, waypoints: [{ lat: 40.705, lng: -73.99 }] });
+
+    expect(routes[0].legs).toHaveLength(2);
+  });
+});
+
+describe('OSRM provider', () => {
+  it('maps OSRM legs and uses the typical duration as the traffic one', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({
+      data: {
+        code: 'Ok',
+        routes: [{ legs: [{ distance: 1200, duration: 150 }], geometry: { coordinates: [[-73.99, 40.70], [-73.99, 40.71]] } }]
+      }
+    });
+    const provider = createOsrmProvider({ baseUrl: 'http://osrm/' });
+
+    const result = await provider.getDirections({ origin, destination, geometry: true });
+
+    expect(get.mock.calls[0][0]).toBe('http://osrm/route/v1/driving/-73.99,40.7;-73.99,40.71');
+    expect(result.routes[0].legs).toEqual([{ distance: 1200, duration: 150, durationInTraffic: 150 }]);
+    expect(result.routes[0].geometry).toHaveLength(2);
+  });
+
+  it('returns null when OSRM finds no route', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { code: 'NoRoute' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(createOsrmProvider({ baseUrl: 'http://osrm' }).getDirections({ origin, destination })).resolves.toBeNull();
+  });
+});
+
+describe('Google provider', () => {
+  it('requests the matrix in blocks within the element and point limits', async () => {
+    // Point i sits at latitude 40 + i / 1000, which identifies it in requests
+    const points = Array.from({ length: 30 }, (unused, i) => ({ lat: 40 + i / 1000, lng: -73.99 }));
+    const indexOf = (param) => Math.round((Number(param.split(',')[0]) - 40) * 1000);
+    const get = jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => {
+      const origins = params.origins.split('|').map(indexOf);
+      const destinations = params.destinations.split('|').map(indexOf);
+      return {
+        data: {
+          status: 'OK',
+          rows: origins.map(from => ({
+            elements: destinations.map(to => ({
+              status: 'OK',
+              distance: { value: from * 100 + to },
+              duration: { value: from + to }
+            }))
+          }))
+        }
+      };
+    });
+
+    const { distances, durations } = await createGoogleProvider({ apiKey: 'key' }).getMatrix({ points });
+
+    get.mock.calls.forEach(([, { params }]) => {
+      const origins = params.origins.split('|').length;
+      const destinations = params.destinations.split('|').length;
+      expect(origins).toBeLessThanOrEqual(25);
+      expect(destinations).toBeLessThanOrEqual(25);
+      expect(origins * destinations).toBeLessThanOrEqual(100);
+    });
+    expect(distances[29][0]).toBe(2900);
+    expect(distances[3][27]).toBe(327);
+    expect(durations[12][12]).toBe(24);
+    expect(distances.flat().every(distance => distance !== null)).toBe(true);
+  });
+
+  it('fails the whole matrix when a block fails', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: 'OVER_QUERY_LIMIT' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(createGoogleProvider({ apiKey: 'key' }).getMatrix({ points: [origin, destination] })).resolves.toBeNull();
+  });
+});
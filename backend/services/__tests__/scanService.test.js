@@ -0,0 +1,160 @@
+const Trip = require('../../models/Trip');
+const Student = require('../../models/Student');
+const User = require('../../models/User');
+const RideEvent = require('../../models/RideEvent');
+const PickupEscalation = require('../../models/PickupEscalation');
+const { ArrivalLog } = require('../../models/LocationLog');
+const { getRiderFlags, locateScan, processScan } = require('../scanService');
+const { id, query, makeRoute, makeBus, makeStudent } = require('../../test/helpers');
+
+const { normalizeBadgeCode } = Student;
+
+const schoolId = id();
+
+const route = makeRoute({ school: schoolId });
+const [oak, elm, schoolStop] = route.stops;
+
+// A bus on the morning run, at Elm St
+const busAtElm = (overrides = {}) => makeBus(route, { currentStopIndex: 1, ...overrides });
+
+const makeRider = (overrides = {}) => makeStudent({
+  school: schoolId,
+  amStop: oak._id,
+  pmStop: oak._id,
+  badges: [{ code: 'A1B2C3' }],
+  ...overrides
+});
+
+const now = new Date('2026-10-13T11:30:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeBadgeCode', () => {
+  it('ignores case, spaces and separators', () => {
+    expect(normalizeBadgeCode(' a1:b2-c3 ')).toBe('A1B2C3');
+    expect(normalizeBadgeCode(123)).toBe('123');
+  });
+});
+
+describe('getRiderFlags', () => {
+  it('flags boarding in the morning away from the student stop', () => {
+    expect(getRiderFlags(makeRider(), busAtElm(), elm, 'board')).toEqual(['wrong_stop']);
+    expect(getRiderFlags(makeRider(), busAtElm(), oak, 'board')).toEqual([]);
+    // Getting off at school in the morning is expected
+    expect(getRiderFlags(makeRider(), busAtElm(), schoolStop, 'alight')).toEqual([]);
+  });
+
+  it('flags getting off in the afternoon away from the student stop', () => {
+    const bus = busAtElm({ currentDirection: 'from_school' });
+
+    expect(getRiderFlags(makeRider(), bus, elm, 'alight')).toEqual(['wrong_stop']);
+    expect(getRiderFlags(makeRider(), bus, schoolStop, 'board')).toEqual([]);
+  });
+
+  it('flags another route or bus than the student is assigned', () => {
+    const bus = busAtElm();
+
+    expect(getRiderFlags(makeRider({ route: id() }), bus, oak, 'board')).toEqual(['wrong_bus']);
+    expect(getRiderFlags(makeRider({ route: route._id }), bus, oak, 'board')).toEqual([]);
+    expect(getRiderFlags(makeRider({ bus: id() }), bus, oak, 'board')).toEqual(['wrong_bus']);
+  });
+
+  it('flags a run that does not serve the stop of an unassigned student', () => {
+    expect(getRiderFlags(makeRider({ amStop: id() }), busAtElm(), oak, 'board')).toEqual(['wrong_bus', 'wrong_stop']);
+  });
+});
+
+describe('locateScan', () => {
+  const trip = { _id: id(), actualStart: minutesAgo(30) };
+
+  it('places a buffered scan at the last stop reached when it was made', async () => {
+    jest.spyOn(Trip, 'findById').mockResolvedValue(trip);
+    jest.spyOn(ArrivalLog, 'findOne').mockReturnValue(query({ stopIndex: 0 }));
+
+    await expect(locateScan(busAtElm(), minutesAgo(10), now)).resolves.toEqual({ stopIndex: 0 });
+
+    expect(ArrivalLog.findOne).toHaveBeenCalledWith({ trip: trip._id, status: { $ne: 'missed' }, actualTime: { $lte: minutesAgo(10) } });
+  });
+
+  it('places a scan before the first arrival at the first stop', async () => {
+    jest.spyOn(Trip, 'findById').mockResolvedValue(trip);
+    jest.spyOn(ArrivalLog, 'findOne').mockReturnValue(query(null));
+
+    await expect(locateScan(busAtElm(), minutesAgo(29), now)).resolves.toEqual({ stopIndex: 0 });
+  });
+
+  it('rejects scans from before the run or from the future', async () => {
+    jest.spyOn(Trip, 'findById').mockResolvedValue(trip);
+
+    await expect(locateScan(busAtElm(), minutesAgo(31), now)).resolves.toEqual({ error: 'Scan was made before the current run started' });
+    await expect(locateScan(busAtElm(), new Date(now.getTime() + 2 * 60000), now)).resolves.toEqual({ error: 'Scan time is in the future' });
+    // Reader clocks may be a little ahead
+    await expect(locateScan(busAtElm({ currentTrip: null }), new Date(now.getTime() + 30000), now)).resolves.toEqual({ stopIndex: 1 });
+  });
+});
+
+describe('processScan', () => {
+  let student;
+  let saved;
+
+  beforeEach(() => {
+    student = makeRider();
+    saved = [];
+    jest.spyOn(Student, 'findOne').mockResolvedValue(student);
+    jest.spyOn(Trip, 'findById').mockResolvedValue({ _id: id(), direction: 'to_school', status: 'in_progress', actualStart: minutesAgo(60) });
+    jest.spyOn(RideEvent, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(RideEvent.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(ArrivalLog, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(PickupEscalation, 'updateMany').mockResolvedValue({});
+    jest.spyOn(User, 'find').mockResolvedValue([]);
+  });
+
+  it('looks the badge up by its normalized code', async () => {
+    Student.findOne.mockResolvedValue(null);
+
+    await expect(processScan(null, busAtElm(), 'a1-b2-c3')).resolves.toEqual({ status: 'rejected', error: 'Unknown badge' });
+
+    expect(Student.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      badges: { $elemMatch: { code: 'A1B2C3', isActive: true } }
+    }));
+  });
+
+  it('boards a student at the current stop with its flags', async () => {
+    const result = await processScan(null, busAtElm(), 'A1B2C3', { time: now });
+
+    expect(result).toMatchObject({ status: 'recorded', flags: ['wrong_stop'] });
+    expect(saved[0]).toMatchObject({ type: 'board', stopIndex: 1, source: 'scan', badgeCode: 'A1B2C3' });
+  });
+
+  it('lets a student on board get off', async () => {
+    RideEvent.findOne.mockReturnValue(query({ type: 'board', time: minutesAgo(10) }));
+
+    await processScan(null, busAtElm({ currentStopIndex: 2 }), 'A1B2C3', { time: now });
+
+    expect(saved[0].type).toBe('alight');
+  });
+
+  it('ignores a repeat of the last scan', async () => {
+    const last = { type: 'board', time: new Date(now.getTime() - 5000), flags: [] };
+    RideEvent.findOne.mockReturnValue(query(last));
+
+    await expect(processScan(null, busAtElm(), 'A1B2C3', { time: now })).resolves.toMatchObject({ status: 'duplicate', event: last });
+    expect(saved).toHaveLength(0);
+  });
+
+  it('records a buffered scan at the stop it was made at', async () => {
+    ArrivalLog.findOne.mockReturnValue(query({ _id: id(), stopIndex: 0 }));
+    jest.spyOn(ArrivalLog, 'updateOne').mockResolvedValue({});
+
+    const result = await processScan(null, busAtElm(), 'A1B2C3', { time: minutesAgo(20), buffered: true });
+
+    expect(result.flags).toEqual([]);
+    expect(saved[0]).toMatchObject({ stopIndex: 0, time: minutesAgo(20) });
+  });
+});
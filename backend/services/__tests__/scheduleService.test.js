@@ -0,0 +1,72 @@
+const { ArrivalLog } = require('../../models/LocationLog');
+const { classifyArrival, scoreArrival, getScheduledTime, getRunSchedule } = require('../scheduleService');
+
+const route = {
+  schedule: {
+    morning: { startTime: '07:00', estimatedDuration: 60 },
+    afternoon: { startTime: '14:30', estimatedDuration: 60 }
+  }
+};
+
+const serviceDay = {
+  date: '2026-10-19',
+  timeZone: 'America/New_York',
+  inService: true,
+  shifts: { to_school: 0, from_school: 0 }
+};
+
+describe('classifyArrival', () => {
+  const scheduled = new Date('2026-10-19T11:10:00Z');
+  const minutes = (offset) => new Date(scheduled.getTime() + offset * 60000);
+
+  it('uses the default tolerances of 2 minutes early and 5 late', () => {
+    expect(classifyArrival(scheduled, minutes(-2))).toEqual({ status: 'on_time', delayMinutes: -2 });
+    expect(classifyArrival(scheduled, minutes(-3))).toEqual({ status: 'early', delayMinutes: -3 });
+    expect(classifyArrival(scheduled, minutes(5))).toEqual({ status: 'on_time', delayMinutes: 5 });
+    expect(classifyArrival(scheduled, minutes(6))).toEqual({ status: 'late', delayMinutes: 6 });
+  });
+
+  it('uses the school tolerances', () => {
+    const settings = { earlyArrivalTolerance: 0, lateArrivalTolerance: 10 };
+
+    expect(classifyArrival(scheduled, minutes(-1), settings).status).toBe('early');
+    expect(classifyArrival(scheduled, minutes(10), settings).status).toBe('on_time');
+  });
+});
+
+describe('getRunSchedule', () => {
+  it('moves a run by the service day shift', () => {
+    const earlyRelease = { ...serviceDay, shifts: { to_school: 0, from_school: -150 } };
+
+    expect(getRunSchedule(route, 'from_school', earlyRelease)).toEqual({ startTime: '12:00', estimatedDuration: 60 });
+    expect(getRunSchedule(route, 'to_school', earlyRelease)).toBe(route.schedule.morning);
+  });
+
+  it('has no run on days without service', () => {
+    expect(getRunSchedule(route, 'to_school', { ...serviceDay, inService: false })).toBeNull();
+  });
+});
+
+describe('getScheduledTime', () => {
+  it('adds the stop offset to the run start on the school clock', () => {
+    const scheduled = getScheduledTime(route, 'to_school', { estimatedTime: 10 }, new Date('2026-10-19T12:00:00Z'), serviceDay);
+
+    expect(scheduled.toISOString()).toBe('2026-10-19T11:10:00.000Z');
+  });
+
+  it('has no time for stops without an offset', () => {
+    expect(getScheduledTime(route, 'to_school', {}, new Date(), serviceDay)).toBeNull();
+  });
+});
+
+describe('scoreArrival', () => {
+  it('fills in the schedule fields of an arrival log', () => {
+    const log = new ArrivalLog({ direction: 'to_school', actualTime: new Date('2026-10-19T11:18:00Z') });
+
+    scoreArrival(log, route, { estimatedTime: 10 }, { lateArrivalTolerance: 5 }, serviceDay);
+
+    expect(log.scheduledTime.toISOString()).toBe('2026-10-19T11:10:00.000Z');
+    expect(log.status).toBe('late');
+    expect(log.delayMinutes).toBe(8);
+  });
+});
@@ -0,0 +1,211 @@
+const BusStop = require('../../models/BusStop');
+const Route = require('../../models/Route');
+const User = require('../../models/User');
+const Student = require('../../models/Student');
+const { findBusStop, resolveRouteStops, listAvailableStops, reassignStopRiders } = require('../stopService');
+const { id, query, capturePushes } = require('../../test/helpers');
+
+const schoolId = id();
+
+// BusStop queries answered from an in-memory list of stops
+const mockBusStops = (busStops) => {
+  const matches = (filter) => (busStop) =>
+    (!filter._id || busStop._id.equals(filter._id)) &&
+    (!filter.gtfsStopId || busStop.gtfsStopId === filter.gtfsStopId) &&
+    (!filter.name || busStop.name.toLowerCase() === filter.name.toLowerCase());
+
+  jest.spyOn(BusStop, 'findOne').mockImplementation(async (filter) => busStops.find(matches(filter)) || null);
+  jest.spyOn(BusStop, 'find').mockImplementation((filter) => ({
+    collation: async () => busStops.filter(matches(filter))
+  }));
+  jest.spyOn(BusStop.prototype, 'save').mockImplementation(async function() {
+    if (!busStops.includes(this)) busStops.push(this);
+    return this;
+  });
+  jest.spyOn(Route, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+};
+
+const makeBusStop = (fields) => new BusStop({ school: schoolId, location: { coordinates: [-73.99, 40.70] }, ...fields });
+
+const route = { _id: id(), name: 'Route 1' };
+const removedStop = { _id: id(), name: 'Oak St' };
+const newStop = { _id: id(), name: 'Elm St' };
+
+let sent;
+
+beforeEach(() => {
+  sent = capturePushes();
+  jest.spyOn(Route, 'exists').mockResolvedValue(null);
+  jest.spyOn(Student, 'find').mockReturnValue(query([]));
+  jest.spyOn(User, 'find').mockReturnValue(query([
+    { _id: id(), parent: { pushToken: 'ExponentPushToken[parent]' } }
+  ]));
+  jest.spyOn(User, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Student, 'updateMany').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reassignStopRiders', () => {
+  it('moves riders to the new stop and tells their parents', async () => {
+    await expect(reassignStopRiders(route, removedStop, newStop)).resolves.toBe(1);
+
+    expect(User.updateMany).toHaveBeenCalledWith({ 'parent.selectedStop': removedStop._id }, { 'parent.selectedStop': newStop._id });
+    expect(Student.updateMany).toHaveBeenCalledWith({ amStop: removedStop._id }, { amStop: newStop._id });
+    expect(Student.updateMany).toHaveBeenCalledWith({ pmStop: removedStop._id }, { pmStop: newStop._id });
+    expect(sent[0].body).toBe('Oak St has been removed from Route 1. Your stop is now Elm St.');
+  });
+
+  it('leaves riders without a stop when there is no replacement', async () => {
+    await reassignStopRiders(route, removedStop, null);
+
+    expect(Student.updateMany).toHaveBeenCalledWith({ amStop: removedStop._id }, { $unset: { amStop: '' } });
+    expect(sent[0].body).toMatch(/Please select a new stop/);
+  });
+
+  it('keeps riders of a stop another route still serves', async () => {
+    Route.exists.mockResolvedValue({ _id: id() });
+
+    await expect(reassignStopRiders(route, removedStop, null)).resolves.toBe(0);
+
+    expect(User.updateMany).not.toHaveBeenCalled();
+    expect(Student.updateMany).not.toHaveBeenCalled();
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('findBusStop', () => {
+  const oak = makeBusStop({ name: 'Oak St', gtfsStopId: 'A' });
+  const elm = makeBusStop({ name: 'Elm St', location: { coordinates: [-73.99, 40.71] } });
+
+  beforeEach(() => {
+    mockBusStops([oak, elm]);
+  });
+
+  it('matches by id, then GTFS stop id', async () => {
+    await expect(findBusStop(schoolId, { busStopId: elm._id.toString() })).resolves.toBe(elm);
+    await expect(findBusStop(schoolId, { _id: id(), gtfsStopId: 'A' })).resolves.toBe(oak);
+  });
+
+  it('matches by name only a few metres away', async () => {
+    await expect(findBusStop(schoolId, { name: 'elm st', location: { coordinates: [-73.99, 40.7101] } })).resolves.toBe(elm);
+    await expect(findBusStop(schoolId, { name: 'Elm St', location: { coordinates: [-73.99, 40.712] } })).resolves.toBeNull();
+  });
+
+  it('does not match by name stops with different GTFS ids', async () => {
+    await expect(findBusStop(schoolId, { name: 'Oak St', gtfsStopId: 'B', location: { coordinates: [-73.99, 40.70] } })).resolves.toBeNull();
+  });
+});
+
+describe('resolveRouteStops', () => {
+  let busStops;
+  let oak;
+
+  beforeEach(() => {
+    oak = makeBusStop({ name: 'Oak St' });
+    busStops = [oak];
+    mockBusStops(busStops);
+  });
+
+  it('creates the stops that do not exist yet and keeps route fields', async () => {
+    const { stops, errors } = await resolveRouteStops(schoolId, [
+      { busStopId: oak._id.toString(), estimatedTime: 0 },
+      { name: 'Pine St', location: { coordinates: [-73.99, 40.72] }, estimatedTime: 6, dwellMinutes: 2 }
+    ], { geocode: false });
+
+    expect(errors).toEqual([]);
+    expect(busStops).toHaveLength(2);
+    expect(stops.map(stop => [stop.name, stop.estimatedTime])).toEqual([['Oak St', 0], ['Pine St', 6]]);
+    expect(stops[1]._id).toEqual(busStops[1]._id);
+    expect(stops[1].dwellMinutes).toBe(2);
+  });
+
+  it('updates a referenced stop on every route', async () => {
+    const { stops } = await resolveRouteStops(schoolId, [{ busStopId: oak._id.toString(), name: 'Oak Street' }], { geocode: false });
+
+    expect(oak.name).toBe('Oak Street');
+    expect(stops[0].name).toBe('Oak Street');
+    expect(Route.updateMany).toHaveBeenCalledWith(
+      { 'stops._id': oak._id },
+      expect.objectContaining({ $set: expect.objectContaining({ 'stops.$[stop].name': 'Oak Street' }) }),
+      { arrayFilters: [{ 'stop._id': oak._id }] }
+    );
+  });
+
+  it('keeps the details on the route stop only when not updating shared stops', async () => {
+    const { stops } = await resolveRouteStops(schoolId, [{ _id: oak._id, name: 'Oak Street' }], { updateShared: false });
+
+    expect(oak.name).toBe('Oak St');
+    expect(stops[0].name).toBe('Oak Street');
+    expect(Route.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('keeps the shared details of a stop matched by name', async () => {
+    const { stops } = await resolveRouteStops(schoolId, [
+      { name: 'OAK ST', location: { coordinates: [-73.99, 40.70005] }, address: { street: '1 Oak St' } }
+    ], { geocode: false });
+
+    expect(stops[0]._id).toEqual(oak._id);
+    expect(stops[0].name).toBe('Oak St');
+    expect(oak.address.street).toBeUndefined();
+  });
+
+  it('reports unknown, incomplete and repeated stops', async () => {
+    const { stops, errors } = await resolveRouteStops(schoolId, [
+      { busStopId: id().toString() },
+      { name: 'Nowhere' },
+      { busStopId: oak._id.toString() },
+      { busStopId: oak._id.toString() }
+    ], { geocode: false });
+
+    expect(stops).toHaveLength(1);
+    expect(errors).toEqual([
+      expect.stringMatching(/^Bus stop .* not found$/),
+      'New stops need a name and a location or address',
+      'Oak St is on the route more than once'
+    ]);
+  });
+});
+
+describe('listAvailableStops', () => {
+  const oakId = id();
+  const stop = (_id, name, lat, estimatedTime) => ({ _id, name, location: { coordinates: [-73.99, lat] }, estimatedTime, stopOrder: estimatedTime });
+  const schedule = {
+    morning: { startTime: '07:00', estimatedDuration: 20 },
+    afternoon: { startTime: '15:00', estimatedDuration: 20 }
+  };
+
+  // Oak St is on both routes; the second only runs in the morning
+  const routes = [
+    new Route({ name: 'Route 1', school: schoolId, direction: 'both', schedule, stops: [stop(oakId, 'Oak St', 40.70, 0), stop(id(), 'Elm St', 40.71, 10), stop(id(), 'School', 40.75, 20)] }),
+    new Route({ name: 'Route 2', school: schoolId, direction: 'to_school', schedule, stops: [stop(id(), 'Pine St', 40.69, 0), stop(oakId, 'Oak St', 40.70, 5)] })
+  ];
+
+  it('lists each stop once with the runs that serve it', () => {
+    const stops = listAvailableStops(routes, { selectedStop: oakId });
+
+    expect(stops.map(entry => entry.name)).toEqual(['Oak St', 'Elm St', 'School', 'Pine St']);
+    expect(stops[0].selected).toBe(true);
+    expect(stops[0].directions).toEqual(['to_school', 'from_school']);
+    expect(stops[0].routes).toEqual([
+      expect.objectContaining({ routeName: 'Route 1', directions: ['to_school', 'from_school'], pickupTime: '07:00', dropOffTime: '15:20' }),
+      expect.objectContaining({ routeName: 'Route 2', directions: ['to_school'], pickupTime: '07:05', dropOffTime: null })
+    ]);
+    expect(stops[0].distance).toBeUndefined();
+  });
+
+  it('ranks the stops in range by distance from an origin', () => {
+    const stops = listAvailableStops(routes, { origin: [-73.99, 40.705], maxDistance: 1500, limit: 10 });
+
+    // Pine St is 1.7 km away
+    expect(stops.map(entry => [entry.name, entry.distance])).toEqual([['Oak St', 556], ['Elm St', 556]]);
+  });
+
+  it('keeps only the nearest stops up to the limit', () => {
+    const stops = listAvailableStops(routes, { origin: [-73.99, 40.69], maxDistance: 5000, limit: 2 });
+
+    expect(stops.map(entry => entry.name)).toEqual(['Pine St', 'Oak St']);
+  });
+});
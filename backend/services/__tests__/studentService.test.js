@@ -0,0 +1,149 @@
+const Student = require('../../models/Student');
+const User = require('../../models/User');
+const Route = require('../../models/Route');
+const Bus = require('../../models/Bus');
+const { findStopParents, assignTransport, toChildView, backfillStudents } = require('../studentService');
+const { id, query } = require('../../test/helpers');
+
+const schoolId = id();
+
+const makeRoute = (stops, overrides = {}) => new Route({
+  name: 'Route 1',
+  school: schoolId,
+  stops: stops.map((stopId, index) => ({
+    _id: stopId,
+    name: `Stop ${index}`,
+    location: { coordinates: [-73.99, 40.70 + index * 0.01] },
+    estimatedTime: index * 5,
+    stopOrder: index
+  })),
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findStopParents', () => {
+  it('finds parents at the stop and guardians who want notifications', async () => {
+    const stopId = id();
+    const notified = id();
+    jest.spyOn(Student, 'find').mockReturnValue(query([
+      { guardians: [{ user: notified, receivesNotifications: true }, { user: id(), receivesNotifications: false }] }
+    ]));
+    jest.spyOn(User, 'find').mockResolvedValue([]);
+
+    await findStopParents(stopId, { school: schoolId, direction: 'from_school' });
+
+    expect(Student.find).toHaveBeenCalledWith({ isActive: true, school: schoolId, pmStop: stopId });
+    expect(User.find).toHaveBeenCalledWith({
+      role: 'parent',
+      school: schoolId,
+      $or: [{ 'parent.selectedStop': stopId }, { _id: { $in: [notified] } }]
+    });
+  });
+});
+
+describe('assignTransport', () => {
+  const oak = id();
+  const elm = id();
+
+  it('assigns a route serving both stops and its bus', async () => {
+    const busId = id();
+    const route = makeRoute([oak, elm], { bus: busId });
+    const student = new Student({ school: schoolId, name: 'Sam', amStop: oak, pmStop: elm });
+    jest.spyOn(Route, 'find').mockResolvedValue([route]);
+
+    await assignTransport(student);
+
+    expect(Route.find).toHaveBeenCalledWith(expect.objectContaining({ 'stops._id': { $all: [oak, elm] } }));
+    expect(student.route).toEqual(route._id);
+    expect(student.bus).toEqual(busId);
+  });
+
+  it('keeps an assigned route that still serves the stops', async () => {
+    const other = makeRoute([oak, elm]);
+    const assigned = makeRoute([elm, oak]);
+    const student = new Student({ school: schoolId, name: 'Sam', amStop: oak, route: assigned._id });
+    jest.spyOn(Route, 'find').mockResolvedValue([other, assigned]);
+    jest.spyOn(Bus, 'findOne');
+
+    await assignTransport(student);
+
+    expect(student.route).toEqual(assigned._id);
+    expect(Bus.findOne).not.toHaveBeenCalled();
+  });
+
+  it('skips routes that only serve a stop in the other direction', async () => {
+    const route = makeRoute([oak, elm]);
+    route.runs = { from_school: [{ stop: oak, estimatedTime: 0 }] };
+    const student = new Student({ school: schoolId, name: 'Sam', pmStop: elm });
+    jest.spyOn(Route, 'find').mockResolvedValue([route]);
+
+    await assignTransport(student);
+
+    expect(student.route).toBeUndefined();
+  });
+});
+
+describe('toChildView', () => {
+  it('shows the morning stop as the bus stop and the guardian link', () => {
+    const parentId = id();
+    const stopId = id();
+    const student = new Student({ school: schoolId, name: 'Sam', amStop: stopId, guardians: [{ user: parentId, relationship: 'mother' }] });
+
+    const view = toChildView(student, parentId);
+
+    expect(view.busStop).toEqual(stopId);
+    expect(view.guardian).toMatchObject({ user: parentId, relationship: 'mother', canPickUp: true });
+    expect(toChildView(student, id()).guardian).toBeNull();
+  });
+});
+
+describe('backfillStudents', () => {
+  let students;
+
+  const mockParents = (parents) => {
+    jest.spyOn(User.collection, 'find').mockReturnValue({ project: () => ({ toArray: async () => parents }) });
+    jest.spyOn(User.collection, 'updateOne').mockResolvedValue({});
+  };
+
+  beforeEach(() => {
+    students = [];
+    jest.spyOn(Student, 'findById').mockImplementation(async (studentId) =>
+      students.find(student => student._id.equals(studentId)) || null);
+    jest.spyOn(Student.prototype, 'save').mockImplementation(async function() {
+      if (!students.includes(this)) students.push(this);
+      return this;
+    });
+    jest.spyOn(Route, 'find').mockResolvedValue([]);
+  });
+
+  it('keeps lookalike children of different parents apart', async () => {
+    const first = { _id: id(), school: schoolId, parent: { children: [{ _id: id(), name: 'Sam Lee', grade: '3' }] } };
+    const second = { _id: id(), school: schoolId, parent: { children: [{ _id: id(), name: 'Sam Lee', grade: '3' }] } };
+    mockParents([first, second]);
+
+    await expect(backfillStudents()).resolves.toEqual({ created: 2, linked: 0 });
+
+    expect(students.map(student => student._id)).toEqual([first.parent.children[0]._id, second.parent.children[0]._id]);
+    expect(students.map(student => student.guardians[0].user)).toEqual([first._id, second._id]);
+    expect(User.collection.updateOne).toHaveBeenCalledWith(
+      { _id: first._id },
+      { $rename: { 'parent.children': 'parent.migratedChildren' } }
+    );
+  });
+
+  it('links a parent to the student with their own child id', async () => {
+    const childId = id();
+    const stopId = id();
+    const first = { _id: id(), school: schoolId, parent: { children: [{ _id: childId, name: 'Sam Lee', busStop: stopId }] } };
+    const second = { _id: id(), school: schoolId, parent: { children: [{ _id: childId, name: 'Sam Lee' }] } };
+    mockParents([first, second]);
+
+    await expect(backfillStudents()).resolves.toEqual({ created: 1, linked: 1 });
+
+    expect(students[0]).toMatchObject({ amStop: stopId, pmStop: stopId });
+    expect(students[0].guardians.map(guardian => [guardian.user, guardian.isPrimary])).toEqual([[first._id, true], [second._id, false]]);
+  });
+});
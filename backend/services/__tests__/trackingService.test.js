@@ -0,0 +1,173 @@
+const Route = require('../../models/Route');
+const School = require('../../models/School');
+const User = require('../../models/User');
+const Student = require('../../models/Student');
+const CalendarEvent = require('../../models/CalendarEvent');
+const Absence = require('../../models/Absence');
+const { ArrivalLog } = require('../../models/LocationLog');
+const { checkRouteAdherence, detectStopEvents, recordMissedStop } = require('../trackingService');
+const { id, query, makeBus } = require('../../test/helpers');
+
+// A route driving north along one street
+const makeRoute = (overrides = {}) => new Route({
+  name: 'Route 1',
+  school: id(),
+  stops: [0, 1, 2].map(index => ({
+    name: `Stop ${index}`,
+    location: { coordinates: [-73.99, 40.70 + index * 0.01] },
+    estimatedTime: index * 5,
+    stopOrder: index
+  })),
+  geometry: {
+    to_school: { coordinates: [[-73.99, 40.70], [-73.99, 40.72]] }
+  },
+  ...overrides
+});
+
+const at = (seconds) => new Date(Date.UTC(2026, 9, 13, 12, 0, seconds));
+
+// A bus that has just left the first stop
+const leavingStop0 = (route) => makeBus(route, { stopVisit: { stopIndex: 0, arrivedAt: at(-60), departedAt: at(-30) } });
+
+// Stop events save logs and look up schools, calendars and parents
+const mockStopEventModels = () => {
+  const saved = [];
+  jest.spyOn(ArrivalLog.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(ArrivalLog, 'findByIdAndUpdate').mockResolvedValue(null);
+  jest.spyOn(ArrivalLog, 'findOne').mockResolvedValue(null);
+  jest.spyOn(School, 'findById').mockReturnValue(query(null));
+  jest.spyOn(CalendarEvent, 'find').mockReturnValue(query([]));
+  jest.spyOn(Student, 'find').mockReturnValue(query([]));
+  jest.spyOn(User, 'find').mockReturnValue(query([]));
+  jest.spyOn(Absence, 'find').mockReturnValue(query([]));
+  return saved;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkRouteAdherence', () => {
+  it('only alerts once the bus has stayed off route long enough', () => {
+    const bus = makeBus(makeRoute());
+
+    // About 250 m east of the street
+    expect(checkRouteAdherence(bus, 40.705, -73.987, at(0))).toMatchObject({ isOnRoute: false, event: null });
+    expect(checkRouteAdherence(bus, 40.706, -73.987, at(30))).toMatchObject({ isOnRoute: false, event: null });
+    expect(checkRouteAdherence(bus, 40.707, -73.987, at(60))).toMatchObject({ isOnRoute: false, event: 'off_route' });
+    expect(checkRouteAdherence(bus, 40.708, -73.987, at(90))).toMatchObject({ event: null });
+    expect(bus.offRoute.since).toEqual(at(0));
+  });
+
+  it('ignores a single stray reading', () => {
+    const bus = makeBus(makeRoute());
+
+    checkRouteAdherence(bus, 40.705, -73.987, at(0));
+    expect(checkRouteAdherence(bus, 40.706, -73.99, at(30))).toMatchObject({ isOnRoute: true, event: null });
+    expect(checkRouteAdherence(bus, 40.707, -73.987, at(70))).toMatchObject({ event: null });
+  });
+
+  it('reports the bus back on route after an alert', () => {
+    const bus = makeBus(makeRoute({ offRouteThreshold: { distance: 150, duration: 0 } }));
+
+    expect(checkRouteAdherence(bus, 40.705, -73.987, at(0)).event).toBe('off_route');
+    expect(checkRouteAdherence(bus, 40.706, -73.99, at(10)).event).toBe('back_on_route');
+    expect(bus.offRoute.alertedAt).toBeNull();
+  });
+
+  it('treats routes without geometry as on route', () => {
+    const bus = makeBus(makeRoute({ geometry: undefined }));
+
+    expect(checkRouteAdherence(bus, 40.705, -73.90, at(0))).toEqual({ isOnRoute: true, distanceFromRoute: null, event: null });
+  });
+});
+
+describe('detectStopEvents', () => {
+  // Stop 1 sits at 40.71; its geofence is 50 m
+  const atStop1 = [40.71, -73.99];
+  const nearStop1 = [40.7102, -73.99];
+
+  it('arrives once the bus has stayed inside the geofence for the minimum dwell', async () => {
+    mockStopEventModels();
+    const bus = leavingStop0(makeRoute());
+
+    await expect(detectStopEvents(null, bus, ...nearStop1, 20, at(0))).resolves.toEqual([]);
+    expect(bus.stopVisit).toMatchObject({ stopIndex: 1, enteredAt: at(0) });
+
+    await expect(detectStopEvents(null, bus, ...atStop1, 10, at(10))).resolves.toEqual([]);
+    await expect(detectStopEvents(null, bus, ...atStop1, 10, at(15))).resolves.toEqual(['arrived']);
+    expect(bus.currentStopIndex).toBe(1);
+    expect(bus.stopVisit.arrivedAt).toEqual(at(0));
+  });
+
+  it('arrives straight away when the bus is standing still', async () => {
+    const saved = mockStopEventModels();
+    const bus = leavingStop0(makeRoute());
+
+    await expect(detectStopEvents(null, bus, ...atStop1, 0, at(0))).resolves.toEqual(['arrived']);
+    expect(saved[0]).toMatchObject({ stopIndex: 1, detection: 'geofence' });
+  });
+
+  it('departs when the bus leaves the geofence', async () => {
+    mockStopEventModels();
+    const bus = leavingStop0(makeRoute());
+
+    await detectStopEvents(null, bus, ...atStop1, 0, at(0));
+    await expect(detectStopEvents(null, bus, ...nearStop1, 15, at(30))).resolves.toEqual([]);
+    await expect(detectStopEvents(null, bus, 40.712, -73.99, 30, at(45))).resolves.toEqual(['departed']);
+    expect(bus.stopVisit.departedAt).toEqual(at(45));
+    expect(ArrivalLog.findByIdAndUpdate).toHaveBeenCalledWith(bus.stopVisit.arrivalLog, { departureTime: at(45) });
+  });
+});
+
+describe('missed stops', () => {
+  it('marks a stop the bus drove through as missed', async () => {
+    const saved = mockStopEventModels();
+    const bus = leavingStop0(makeRoute());
+
+    await detectStopEvents(null, bus, 40.71, -73.99, 30, at(0));
+    await expect(detectStopEvents(null, bus, 40.712, -73.99, 30, at(10))).resolves.toEqual(['missed']);
+
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ stopIndex: 1, status: 'missed', detection: 'geofence' });
+    expect(saved[0].skip.reason).toBeUndefined();
+  });
+
+  it('marks the stops before a later one the bus reached as missed', async () => {
+    const saved = mockStopEventModels();
+    const bus = leavingStop0(makeRoute());
+
+    await expect(detectStopEvents(null, bus, 40.72, -73.99, 0, at(0))).resolves.toEqual(['missed', 'arrived']);
+    expect(saved.map(log => log.stopIndex)).toEqual([1, 2]);
+    expect(saved[0].status).toBe('missed');
+    expect(bus.currentStopIndex).toBe(2);
+  });
+
+  it('flags a stop only once a day', async () => {
+    const saved = mockStopEventModels();
+    ArrivalLog.findOne.mockResolvedValue(new ArrivalLog({ status: 'missed' }));
+    const bus = leavingStop0(makeRoute());
+
+    await expect(recordMissedStop(null, bus, 1, at(0))).resolves.toBeNull();
+    expect(saved).toHaveLength(0);
+  });
+
+  it('logs a stop whose riders are all absent as skipped, without alerts', async () => {
+    const saved = mockStopEventModels();
+    const route = makeRoute();
+    const student = { _id: id(), amStop: route.stops[1]._id, route: null, guardians: [] };
+    Student.find.mockReturnValue(query([student]));
+    Absence.find.mockReturnValue(query([{ student: student._id, directions: ['to_school'] }]));
+    const bus = leavingStop0(route);
+
+    const log = await recordMissedStop(null, bus, 1, at(0));
+
+    expect(saved).toEqual([log]);
+    expect(log.skip).toMatchObject({ reason: 'no_riders' });
+    // The school is only loaded for its calendar, not to alert its admin
+    expect(School.findById).toHaveBeenCalledTimes(1);
+  });
+});
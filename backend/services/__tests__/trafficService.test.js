@@ -0,0 +1,70 @@
+const { createFakeProvider } = require('../routingProviders');
+
+// trafficService keeps its provider in module state, so each test loads a
+// fresh copy
+const loadTrafficService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../trafficService');
+  });
+  return service;
+};
+
+const env = process.env;
+
+afterEach(() => {
+  process.env = env;
+  jest.restoreAllMocks();
+});
+
+describe('getRoutingProvider', () => {
+  it('reports a misconfigured provider once and runs without it', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env = { ...env, ROUTING_PROVIDER: 'google', GOOGLE_MAPS_API_KEY: '' };
+    const { getRoutingProvider } = loadTrafficService();
+
+    expect(getRoutingProvider()).toBeNull();
+    expect(getRoutingProvider()).toBeNull();
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('calculateTrafficETA', () => {
+  it('shares one provider call between identical requests', async () => {
+    const { setRoutingProvider, calculateTrafficETA } = loadTrafficService();
+    const provider = createFakeProvider({ trafficFactor: 1.5 });
+    const getDirections = jest.spyOn(provider, 'getDirections');
+    setRoutingProvider(provider);
+
+    const first = await calculateTrafficETA(40.70, -73.99, 40.71, -73.99);
+    const second = await calculateTrafficETA(40.700001, -73.99, 40.71, -73.99);
+
+    expect(second).toEqual(first);
+    expect(getDirections).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ provider: 'fake', hasTraffic: true });
+  });
+
+  it('returns null without a provider', async () => {
+    const { setRoutingProvider, calculateTrafficETA } = loadTrafficService();
+    setRoutingProvider(null);
+
+    await expect(calculateTrafficETA(40.70, -73.99, 40.71, -73.99)).resolves.toBeNull();
+  });
+});
+
+describe('calculateRouteETA', () => {
+  it('accumulates the legs through every waypoint', async () => {
+    const { setRoutingProvider, calculateRouteETA } = loadTrafficService();
+    setRoutingProvider(createFakeProvider());
+
+    const legs = await calculateRouteETA([
+      { lat: 40.70, lng: -73.99 },
+      { lat: 40.71, lng: -73.99 },
+      { lat: 40.72, lng: -73.99 }
+    ]);
+
+    expect(legs).toHaveLength(2);
+    expect(legs[1].etaMinutes).toBeGreaterThan(legs[0].etaMinutes);
+  });
+});
@@ -0,0 +1,87 @@
+const Trip = require('../../models/Trip');
+const School = require('../../models/School');
+const CalendarEvent = require('../../models/CalendarEvent');
+const { startTrip, endTrip } = require('../tripService');
+const { id, query, makeRoute } = require('../../test/helpers');
+
+const school = { _id: id(), settings: { timezone: 'America/New_York' } };
+
+const scheduledRoute = () => makeRoute({
+  school: school._id,
+  schedule: {
+    morning: { startTime: '07:00', estimatedDuration: 45 },
+    afternoon: { startTime: '14:30', estimatedDuration: 45 }
+  }
+});
+
+const makeBus = () => ({ _id: id(), school: school._id, currentTrip: null, currentStopIndex: 3 });
+
+let trips;
+
+beforeEach(() => {
+  trips = new Map();
+  jest.spyOn(School, 'findById').mockReturnValue(query(school));
+  jest.spyOn(CalendarEvent, 'find').mockReturnValue(query([]));
+  jest.spyOn(Trip.prototype, 'save').mockImplementation(async function() {
+    trips.set(this._id.toString(), this);
+    return this;
+  });
+  jest.spyOn(Trip, 'findById').mockImplementation(async (tripId) => trips.get(tripId.toString()) || null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('startTrip', () => {
+  it('opens a trip with the planned times of the likely run', async () => {
+    const bus = makeBus();
+
+    const { trip, resumed } = await startTrip(bus, scheduledRoute(), { time: new Date('2026-10-19T11:05:00Z') });
+
+    expect(resumed).toBe(false);
+    expect(trip.direction).toBe('to_school');
+    expect(trip.plannedStart.toISOString()).toBe('2026-10-19T11:00:00.000Z');
+    expect(trip.plannedEnd.toISOString()).toBe('2026-10-19T11:45:00.000Z');
+    expect(bus.currentTrip).toEqual(trip._id);
+    expect(bus.currentStopIndex).toBe(0);
+  });
+
+  it('resumes the open trip of the same run and school day', async () => {
+    const bus = makeBus();
+    const route = scheduledRoute();
+    const { trip } = await startTrip(bus, route, { time: new Date('2026-10-19T11:05:00Z') });
+
+    const again = await startTrip(bus, route, { time: new Date('2026-10-19T11:20:00Z') });
+
+    expect(again).toEqual({ trip, resumed: true });
+  });
+
+  it('abandons an open trip from an earlier school day', async () => {
+    const bus = makeBus();
+    const route = scheduledRoute();
+    // 22:00 in New York, the evening before
+    const { trip: stale } = await startTrip(bus, route, { direction: 'to_school', time: new Date('2026-10-19T02:00:00Z') });
+
+    const { trip, resumed } = await startTrip(bus, route, { direction: 'to_school', time: new Date('2026-10-19T11:00:00Z') });
+
+    expect(resumed).toBe(false);
+    expect(trip._id).not.toEqual(stale._id);
+    expect(stale.status).toBe('abandoned');
+  });
+});
+
+describe('endTrip', () => {
+  it('completes the open trip and clears it from the bus', async () => {
+    const bus = makeBus();
+    const { trip } = await startTrip(bus, scheduledRoute(), { time: new Date('2026-10-19T18:30:00Z') });
+    const end = new Date('2026-10-19T19:10:00Z');
+
+    await endTrip(bus, { time: end });
+
+    expect(trip.direction).toBe('from_school');
+    expect(trip.status).toBe('completed');
+    expect(trip.actualEnd).toEqual(end);
+    expect(bus.currentTrip).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+const Absence = require('../models/Absence');
+const { DEFAULT_TIMEZONE, zonedTime } = require('./calendarService');
+
+const DIRECTIONS = ['to_school', 'from_school'];
+
+const DEFAULT_CUTOFFS = {
+  to_school: '06:00',
+  from_school: '12:00'
+};
+
+// When changes to absences for a run lock on a day: the school's cutoff
+// time for that run, on the school's clock
+const getAbsenceCutoff = (settings, dateKey, direction) => {
+  const cutoff = (settings && (direction === 'from_school' ?
+    settings.afternoonAbsenceCutoff : settings.morningAbsenceCutoff)) || DEFAULT_CUTOFFS[direction];
+
+  return zonedTime(dateKey, cutoff, (settings && settings.timezone) || DEFAULT_TIMEZONE);
+};
+
+const isAbsenceLocked = (settings, dateKey, direction, now = new Date()) =>
+  now >= getAbsenceCutoff(settings, dateKey, direction);
+
+// Students reported absent on a day, keyed by student id, with the
+// directions they won't ride
+const getAbsences = async (schoolId, dateKey, { students } = {}) => {
+  const absences = await Absence.find({
+    school: schoolId,
+    date: dateKey,
+    ...(students && { student: { $in: students } })
+  }).select('student directions');
+  return new Map(absences.map(absence => [absence.student.toString(), new Set(absence.directions)]));
+};
+
+// An absence with whether each of its runs can still be changed
+const toAbsenceView = (absence, settings, now = new Date()) => ({
+  ...absence.toObject(),
+  locked: Object.fromEntries(DIRECTIONS.map(direction =>
+    [direction, isAbsenceLocked(settings, absence.date, direction, now)]))
+});
+
+module.exports = {
+  getAbsenceCutoff,
+  isAbsenceLocked,
+  getAbsences,
+  toAbsenceView
+};
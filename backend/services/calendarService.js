@@ -0,0 +1,285 @@
+const ical = require('node-ical');
+const CalendarEvent = require('../models/CalendarEvent');
+const School = require('../models/School');
+
+// School calendars decide whether buses run on a day and when. Dates are
+// YYYY-MM-DD keys in the school's time zone (settings.timezone), the zone
+// iCal imports are read in.
+
+// Closures win over schedule changes when events overlap
+const TYPE_PRIORITY = ['closure', 'no_service', 'special_schedule', 'early_release'];
+
+// Summaries that mark an imported event as an early release or a day off
+const EARLY_RELEASE_PATTERN = /early (release|dismissal)|half[- ]day|minimum day/i;
+const CLOSURE_PATTERN = /no school|no classes|closed|closure|holiday|break|vacation|recess|in-?service|professional development|teacher work|snow day/i;
+
+// How far ahead recurring iCal events are expanded
+const RECURRENCE_HORIZON_DAYS = 400;
+
+// Schools without a time zone are taken to use the School model's default
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = (time || '').split(':').map(Number);
+  return isNaN(hours) || isNaN(minutes) ? null : hours * 60 + minutes;
+};
+
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+};
+
+// Wall-clock date and time of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// The instant a wall-clock time (HH:MM) on a YYYY-MM-DD day occurs in a
+// time zone
+const zonedTime = (dateKey, time, timeZone) => {
+  const toUTC = (key, clock) => {
+    const [year, month, day] = key.split('-').map(Number);
+    const [hours, minutes] = clock.split(':').map(Number);
+    return Date.UTC(year, month - 1, day, hours, minutes);
+  };
+
+  // Move by the zone's offset, then again in case it differs at the result
+  // (daylight saving changes)
+  const wanted = toUTC(dateKey, time);
+  let instant = wanted;
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(new Date(instant), timeZone);
+    instant += wanted - toUTC(parts.dateKey, parts.time);
+  }
+  return new Date(instant);
+};
+
+// Calendar events of a school overlapping a date range (inclusive keys)
+const getEvents = (schoolId, fromKey, toKey) => CalendarEvent.find({
+  school: schoolId,
+  startDate: { $lte: toKey },
+  endDate: { $gte: fromKey }
+}).sort({ startDate: 1, type: 1 });
+
+// A school's time zone. Pass a school document to avoid loading it again.
+const getSchoolTimeZone = async (school) => {
+  const schoolDoc = school && school.settings ? school : await School.findById(school).select('settings');
+  const settings = (schoolDoc && schoolDoc.settings) || {};
+  return settings.timezone || DEFAULT_TIMEZONE;
+};
+
+// The YYYY-MM-DD key of an instant (default now) on a school's calendar
+const getSchoolDateKey = async (school, date = new Date()) => zonedParts(date, await getSchoolTimeZone(school)).dateKey;
+
+// Day of the week (0 is Sunday) of a YYYY-MM-DD key
+const weekdayOf = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Bus service on a day: whether buses run and how far each run moves from
+// its usual start. date is an instant, taken on the school's own calendar,
+// or a YYYY-MM-DD key. Weekends have no service unless a special schedule
+// covers them. Pass a school document to avoid loading it again.
+const getServiceDay = async (school, date = new Date()) => {
+  const schoolDoc = school && school.settings ? school : await School.findById(school).select('settings');
+  const schoolId = schoolDoc ? schoolDoc._id : school;
+  const settings = (schoolDoc && schoolDoc.settings) || {};
+  const dateKey = typeof date === 'string' ? date : zonedParts(date, settings.timezone || DEFAULT_TIMEZONE).dateKey;
+  const weekday = weekdayOf(dateKey);
+  const weekend = weekday === 0 || weekday === 6;
+
+  const events = await getEvents(schoolId, dateKey, dateKey);
+  const event = [...events].sort((a, b) => TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type))[0];
+
+  const serviceDay = {
+    date: dateKey,
+    timeZone: settings.timezone || DEFAULT_TIMEZONE,
+    inService: !weekend,
+    reason: weekend ? 'weekend' : null,
+    event: event ? {
+      id: event._id,
+      type: event.type,
+      name: event.name,
+      startTime: event.startTime,
+      dismissalTime: event.dismissalTime
+    } : null,
+    startTime: settings.schoolStartTime || '08:00',
+    dismissalTime: settings.schoolEndTime || '15:00',
+    shifts: { to_school: 0, from_school: 0 }
+  };
+
+  if (!event) return serviceDay;
+
+  if (event.type === 'closure' || event.type === 'no_service') {
+    serviceDay.inService = false;
+    serviceDay.reason = event.type;
+    return serviceDay;
+  }
+
+  if (event.type === 'special_schedule') {
+    serviceDay.inService = true;
+    serviceDay.reason = null;
+  }
+
+  // Runs move by as much as the bell times they serve
+  if (event.type === 'special_schedule' && event.startTime) {
+    serviceDay.shifts.to_school = toMinutes(event.startTime) - toMinutes(serviceDay.startTime);
+    serviceDay.startTime = event.startTime;
+  }
+  if (event.dismissalTime) {
+    serviceDay.shifts.from_school = toMinutes(event.dismissalTime) - toMinutes(serviceDay.dismissalTime);
+    serviceDay.dismissalTime = event.dismissalTime;
+  }
+
+  return serviceDay;
+};
+
+// Decide what an imported event means for buses. Timed events are early
+// releases (dismissing at the event's start); all-day events are closures
+// unless the summary says otherwise.
+const classifyIcalEvent = (summary, allDay) => {
+  if (EARLY_RELEASE_PATTERN.test(summary)) return 'early_release';
+  if (allDay || CLOSURE_PATTERN.test(summary)) return 'closure';
+  return null;
+};
+
+// Calendar events from an iCal file, one per event or recurrence, with the
+// events that could not be used listed as skipped
+const parseIcalFile = (text, timeZone = DEFAULT_TIMEZONE) => {
+  let data;
+  try {
+    data = ical.sync.parseICS(text);
+  } catch (error) {
+    return { events: [], skipped: [], errors: [`Invalid iCal file: ${error.message}`] };
+  }
+
+  const events = [];
+  const skipped = [];
+  const horizon = new Date(Date.now() + RECURRENCE_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+  for (const item of Object.values(data)) {
+    if (!item || item.type !== 'VEVENT' || !item.start) continue;
+
+    const summary = (typeof item.summary === 'object' ? item.summary.val : item.summary) || 'Calendar event';
+    const allDay = item.datetype === 'date' || (item.start && item.start.dateOnly);
+    const type = classifyIcalEvent(summary, allDay);
+
+    if (!type) {
+      skipped.push({ uid: item.uid, name: summary, reason: 'Not a closure or early release' });
+      continue;
+    }
+    if (type === 'early_release' && allDay) {
+      skipped.push({ uid: item.uid, name: summary, reason: 'Early release without a dismissal time' });
+      continue;
+    }
+
+    const lengthMs = item.end ? item.end - item.start : 0;
+    const starts = item.rrule ?
+      item.rrule.between(new Date(item.start.getTime() - 1), horizon, true) :
+      [item.start];
+
+    for (const start of starts) {
+      let startDate;
+      let endDate;
+      let dismissalTime;
+
+      if (allDay) {
+        startDate = toDateKey(start);
+        // All-day DTEND is exclusive
+        const lastDay = lengthMs > 0 ? new Date(start.getTime() + lengthMs - 1) : start;
+        endDate = toDateKey(lastDay);
+      } else {
+        const parts = zonedParts(start, timeZone);
+        startDate = parts.dateKey;
+        endDate = parts.dateKey;
+        dismissalTime = type === 'early_release' ? parts.time : undefined;
+      }
+
+      events.push({
+        type,
+        name: summary,
+        startDate,
+        endDate,
+        dismissalTime,
+        notes: item.description || undefined,
+        source: 'ical',
+        icalUid: item.rrule ? `${item.uid}#${startDate}` : item.uid
+      });
+    }
+  }
+
+  return { events, skipped, errors: [] };
+};
+
+// Import an iCal file into a school's calendar. Events imported before
+// (matched by UID) are updated in place. With dryRun nothing is saved.
+const importIcalCalendar = async (buffer, school, { dryRun = false, user } = {}) => {
+  const timeZone = (school.settings && school.settings.timezone) || DEFAULT_TIMEZONE;
+  const parsed = parseIcalFile(buffer.toString('utf8'), timeZone);
+  if (parsed.errors.length > 0) {
+    return { dryRun, events: [], skipped: parsed.skipped, errors: parsed.errors };
+  }
+
+  const results = [];
+  for (const data of parsed.events) {
+    const existing = await CalendarEvent.findOne({ school: school._id, icalUid: data.icalUid });
+    const result = { ...data, action: existing ? 'update' : 'create' };
+
+    if (!dryRun) {
+      const event = existing || new CalendarEvent({ school: school._id, createdBy: user ? user._id : undefined });
+      event.set(data);
+      await event.save();
+      result.id = event._id;
+    }
+
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    events: results,
+    skipped: parsed.skipped,
+    errors: [],
+    summary: {
+      create: results.filter(result => result.action === 'create').length,
+      update: results.filter(result => result.action === 'update').length,
+      skipped: parsed.skipped.length
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  toDateKey,
+  getSchoolTimeZone,
+  getSchoolDateKey,
+  addDays,
+  zonedParts,
+  zonedTime,
+  weekdayOf,
+  getEvents,
+  getServiceDay,
+  parseIcalFile,
+  importIcalCalendar
+};
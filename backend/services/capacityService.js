@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const { getAbsences } = require('./absenceService');
+
+// Capacity planning from stop assignments. Each active student is a rider
+// at their morning and afternoon stops, on their own route when they have
+// one. Students without a stop ride from a guardian's stop, and a parent
+// with a stop but no students counts as one rider.
+
+const DIRECTIONS = ['to_school', 'from_school'];
+
+// The school's riders: { route, stops: { to_school, from_school }, absent },
+// where route is null for riders who take whichever route serves their stop.
+// With a date (YYYY-MM-DD), absent holds the runs a student's guardians
+// said they won't ride that day. stops (ids) limits the riders loaded to
+// those who may ride from one of them; others may be left out.
+const getRiders = async (schoolId, { date, stops } = {}) => {
+  const parents = await User.find({
+    role: 'parent',
+    school: schoolId,
+    isActive: true,
+    ...(stops && { 'parent.selectedStop': { $in: stops } })
+  }).select('parent.selectedStop');
+
+  const students = await Student.find({
+    school: schoolId,
+    isActive: true,
+    ...(stops && {
+      $or: [
+        { amStop: { $in: stops } },
+        { pmStop: { $in: stops } },
+        { 'guardians.user': { $in: parents.map(parent => parent._id) } }
+      ]
+    })
+  }).select('amStop pmStop route guardians.user');
+
+  const absences = date ?
+    await getAbsences(schoolId, date, stops ? { students: students.map(student => student._id) } : {}) :
+    new Map();
+
+  const parentStops = new Map(parents.map(parent => [parent._id.toString(), parent.parent.selectedStop]));
+  const guardianIds = new Set();
+  const riders = [];
+
+  for (const student of students) {
+    const ids = student.guardians.map(guardian => guardian.user.toString());
+    ids.forEach(id => guardianIds.add(id));
+    const guardianStop = ids.map(id => parentStops.get(id)).find(Boolean);
+
+    riders.push({
+      route: student.route || null,
+      stops: {
+        to_school: student.amStop || guardianStop,
+        from_school: student.pmStop || guardianStop
+      },
+      absent: absences.get(student._id.toString()) || new Set()
+    });
+  }
+
+  for (const parent of parents) {
+    const { selectedStop } = parent.parent;
+    if (!selectedStop || guardianIds.has(parent._id.toString())) continue;
+    riders.push({ route: null, stops: { to_school: selectedStop, from_school: selectedStop }, absent: new Set() });
+  }
+
+  return riders;
+};
+
+// Riders of a route in one direction, keyed by stop id. expected leaves
+// out riders reported absent.
+const countRiders = (riders, route, direction, { expected = false } = {}) => {
+  const counts = new Map();
+  for (const rider of riders) {
+    const stopId = rider.stops[direction];
+    if (!stopId || (rider.route && !rider.route.equals(route._id))) continue;
+    if (expected && rider.absent.has(direction)) continue;
+    const key = stopId.toString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+// Load along one run. Morning riders board at their stop and get off at the
+// next school stop (or the end); afternoon riders board at the last school
+// stop before theirs (or the start) and get off at their stop.
+const buildDirectionReport = (route, direction, riders, capacity) => {
+  const riderCounts = countRiders(riders, route, direction);
+  const stops = route.getStopsForDirection(direction);
+  const stopRiders = stops.map(stop => (stop.isSchoolStop ? 0 : riderCounts.get(stop._id.toString()) || 0));
+
+  const rides = [];
+  stops.forEach((stop, index) => {
+    if (stopRiders[index] === 0) return;
+
+    let from = index;
+    let to = index;
+    if (direction === 'to_school') {
+      to = stops.findIndex((other, otherIndex) => otherIndex > index && other.isSchoolStop);
+      if (to === -1) to = stops.length - 1;
+    } else {
+      from = 0;
+      stops.forEach((other, otherIndex) => {
+        if (otherIndex < index && other.isSchoolStop) from = otherIndex;
+      });
+    }
+    rides.push({ from, to, riders: stopRiders[index] });
+  });
+
+  const segments = stops.slice(0, -1).map((stop, index) => {
+    const load = rides
+      .filter(ride => ride.from <= index && ride.to > index)
+      .reduce((sum, ride) => sum + ride.riders, 0);
+    return {
+      from: { stopId: stop._id, name: stop.name },
+      to: { stopId: stops[index + 1]._id, name: stops[index + 1].name },
+      load,
+      overCapacity: capacity !== null && load > capacity,
+      excess: capacity !== null ? Math.max(0, load - capacity) : null
+    };
+  });
+
+  const peakLoad = segments.reduce((max, segment) => Math.max(max, segment.load), 0);
+
+  return {
+    direction,
+    riders: stopRiders.reduce((sum, count) => sum + count, 0),
+    peakLoad,
+    capacity,
+    utilization: capacity ? Math.round(peakLoad / capacity * 100) / 100 : null,
+    overloaded: capacity !== null && peakLoad > capacity,
+    stops: stops.map((stop, index) => ({
+      stopId: stop._id,
+      name: stop.name,
+      riders: stopRiders[index],
+      boarding: rides.filter(ride => ride.from === index).reduce((sum, ride) => sum + ride.riders, 0),
+      alighting: rides.filter(ride => ride.to === index).reduce((sum, ride) => sum + ride.riders, 0),
+      loadAfter: index < segments.length ? segments[index].load : 0
+    })),
+    overloadedSegments: segments.filter(segment => segment.overCapacity).length,
+    segments
+  };
+};
+
+// Capacity report for a route in each direction it runs. bus defaults to
+// the route's assigned bus; riders can be passed in when reporting on
+// several routes of a school.
+const getRouteCapacityReport = async (route, { bus, riders } = {}) => {
+  const schoolRiders = riders || await getRiders(route.school);
+  const assignedBus = bus !== undefined ? bus :
+    (route.bus ? await Bus.findById(route.bus).select('busNumber capacity') : null) ||
+    await Bus.findOne({ route: route._id, isActive: true }).select('busNumber capacity');
+
+  const capacity = assignedBus ? assignedBus.capacity : null;
+  const directions = route.direction === 'both' ? DIRECTIONS : [route.direction];
+
+  // Riders at a stop several routes serve are counted on each of them,
+  // unless they are assigned a route
+  const sharedStops = await Route.countDocuments({
+    _id: { $ne: route._id },
+    school: route.school,
+    isActive: true,
+    'stops._id': { $in: route.stops.map(stop => stop._id) }
+  });
+
+  const reports = directions.map(direction => buildDirectionReport(route, direction, schoolRiders, capacity));
+
+  return {
+    routeId: route._id,
+    routeName: route.name,
+    bus: assignedBus ? { id: assignedBus._id, busNumber: assignedBus.busNumber, capacity } : null,
+    sharesStopsWithOtherRoutes: sharedStops > 0,
+    overloaded: reports.some(report => report.overloaded),
+    directions: reports
+  };
+};
+
+// Warnings for a bus whose capacity is below a route's peak load
+const getCapacityWarnings = (report) => report.directions
+  .filter(direction => direction.overloaded)
+  .map(direction => ({
+    type: 'over_capacity',
+    routeId: report.routeId,
+    routeName: report.routeName,
+    direction: direction.direction,
+    peakLoad: direction.peakLoad,
+    capacity: direction.capacity,
+    message: `${report.routeName} carries up to ${direction.peakLoad} riders ${direction.direction === 'to_school' ? 'to' : 'from'} school but the bus seats ${direction.capacity}`
+  }));
+
+module.exports = {
+  getRiders,
+  countRiders,
+  getRouteCapacityReport,
+  getCapacityWarnings
+};
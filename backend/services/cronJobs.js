@@ -1,7 +1,62 @@
 const cron = require('node-cron');
 const Bus = require('../models/Bus');
 const User = require('../models/User');
+const School = require('../models/School');
 const { sendPushNotification } = require('./notificationService');
+const { rebuildSegmentStats } = require('./etaService');
+const { getAdherenceReport, getRunSchedule } = require('./scheduleService');
+const { applyDueVersions } = require('./routeVersionService');
+const { getServiceDay, getSchoolTimeZone, zonedParts, zonedTime, addDays } = require('./calendarService');
+
+// Send each school admin whose clock reads 6 AM the report for their own
+// school's previous day, midnight to midnight on that clock. Skips the
+// driver confirmed or that had no riders are counted apart from misses.
+const sendDailyReports = async (now = new Date()) => {
+  const schools = await School.find({ isActive: true }).populate('admin');
+  let sent = 0;
+
+  for (const school of schools) {
+    const admin = school.admin;
+    if (!admin || !admin.pushToken) continue;
+
+    const timeZone = await getSchoolTimeZone(school);
+    const { dateKey: today, time } = zonedParts(now, timeZone);
+    if (!time.startsWith('06:')) continue;
+
+    const yesterday = addDays(today, -1);
+    const schoolStats = await getAdherenceReport(
+      zonedTime(yesterday, '00:00', timeZone),
+      zonedTime(today, '00:00', timeZone),
+      school._id
+    );
+    const totals = schoolStats.reduce((sum, stat) => ({
+      arrivals: sum.arrivals + stat.totalArrivals,
+      onTime: sum.onTime + stat.onTimeArrivals,
+      late: sum.late + stat.lateArrivals,
+      missed: sum.missed + stat.missedStops,
+      skipped: sum.skipped + stat.skippedStops
+    }), { arrivals: 0, onTime: 0, late: 0, missed: 0, skipped: 0 });
+    const onTimePercentage = totals.arrivals > 0 ?
+      Math.round((totals.onTime / totals.arrivals) * 100) :
+      null;
+
+    await sendPushNotification(admin.pushToken, {
+      title: 'Daily Route Report',
+      body: onTimePercentage !== null ?
+        `Yesterday: ${onTimePercentage}% on time across ${schoolStats.length} routes (${totals.late} late, ${totals.missed} missed, ${totals.skipped} skipped)` :
+        'Yesterday: no arrivals recorded',
+      data: {
+        type: 'daily_report',
+        date: yesterday,
+        onTimePercentage,
+        stats: schoolStats
+      }
+    });
+    sent++;
+  }
+
+  return sent;
+};
 
 const initializeCronJobs = () => {
   console.log('Initializing cron jobs...');
@@ -23,6 +78,29 @@ const initializeCronJobs = () => {
     }
   });
 
+  // Relearn segment travel times from arrival and location history (daily at 3 AM)
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      const result = await rebuildSegmentStats();
+      console.log(`Rebuilt ${result.stats} travel time statistics for ${result.routes} routes`);
+    } catch (error) {
+      console.error('Error rebuilding travel time statistics:', error);
+    }
+  });
+
+  // Put scheduled route versions into effect (every 5 minutes)
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const applied = await applyDueVersions();
+
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} scheduled route versions`);
+      }
+    } catch (error) {
+      console.error('Error applying route versions:', error);
+    }
+  });
+
   // Check for inactive buses and notify school admins (every hour)
   cron.schedule('0 * * * *', async () => {
     try {
@@ -59,59 +137,14 @@ const initializeCronJobs = () => {
     }
   });
 
-  // Daily route performance report (daily at 6 AM)
-  cron.schedule('0 6 * * *', async () => {
+  // Daily route performance report (at 6 AM on each school's clock)
+  cron.schedule('0 * * * *', async () => {
     try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      const ArrivalLog = require('../models/LocationLog').ArrivalLog;
-      const arrivalStats = await ArrivalLog.aggregate([
-        {
-          $match: {
-            actualTime: { $gte: yesterday, $lt: today }
-          }
-        },
-        {
-          $group: {
-            _id: '$route',
-            totalArrivals: { $sum: 1 },
-            onTimeArrivals: {
-              $sum: {
-                $cond: [{ $eq: ['$status', 'on_time'] }, 1, 0]
-              }
-            },
-            lateArrivals: {
-              $sum: {
-                $cond: [{ $eq: ['$status', 'late'] }, 1, 0]
-              }
-            }
-          }
-        }
-      ]);
-
-      // Send report to school admins
-      const schools = await User.find({ role: 'school' });
-      
-      for (const admin of schools) {
-        if (admin.pushToken) {
-          await sendPushNotification(admin.pushToken, {
-            title: 'Daily Route Report',
-            body: `Yesterday's performance: ${arrivalStats.length} routes completed`,
-            data: {
-              type: 'daily_report',
-              date: yesterday.toISOString().split('T')[0],
-              stats: arrivalStats
-            }
-          });
-        }
-      }
+      const sent = await sendDailyReports();
 
-      console.log('Sent daily route performance reports');
+      if (sent > 0) {
+        console.log(`Sent daily route performance reports to ${sent} schools`);
+      }
     } catch (error) {
       console.error('Error generating daily report:', error);
     }
@@ -148,63 +181,72 @@ const initializeCronJobs = () => {
     }
   });
 
-  // Check for buses that should be starting routes (every 15 minutes during school hours)
-  cron.schedule('*/15 6-18 * * 1-5', async () => {
+  // Check for buses that should be starting routes (every 15 minutes). Start
+  // times are compared with the school's own clock, and the school calendar
+  // decides which days have service.
+  cron.schedule('*/15 * * * *', async () => {
     try {
       const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-
-      // Only run during school hours (6 AM to 6 PM, weekdays)
-      if (currentHour >= 6 && currentHour < 18) {
-        const buses = await Bus.find({
-          isActive: true,
-          status: 'inactive'
-        }).populate('route');
-
-        for (const bus of buses) {
-          if (bus.route) {
-            const schedule = bus.route.schedule;
-            const morningStart = schedule.morning.startTime;
-            const afternoonStart = schedule.afternoon.startTime;
-
-            const [morningHour, morningMin] = morningStart.split(':').map(Number);
-            const [afternoonHour, afternoonMin] = afternoonStart.split(':').map(Number);
-
-            // Check if it's time to start morning route
-            if (currentHour === morningHour && Math.abs(currentMinute - morningMin) <= 5) {
-              // Notify driver
-              const driver = await User.findById(bus.driver);
-              if (driver && driver.pushToken) {
-                await sendPushNotification(driver.pushToken, {
-                  title: 'Route Starting',
-                  body: `Time to start your morning route for Bus ${bus.busNumber}`,
-                  data: {
-                    type: 'route_start',
-                    busId: bus._id.toString(),
-                    routeId: bus.route._id.toString(),
-                    direction: 'to_school'
-                  }
-                });
-              }
+
+      const buses = await Bus.find({
+        isActive: true,
+        status: 'inactive'
+      }).populate('route');
+
+      const serviceDays = new Map();
+
+      for (const bus of buses) {
+        if (bus.route) {
+          // No reminders on holidays and other days without service;
+          // early releases and special schedules move the start times
+          const schoolKey = bus.school.toString();
+          if (!serviceDays.has(schoolKey)) {
+            serviceDays.set(schoolKey, await getServiceDay(bus.school, now));
+          }
+          const serviceDay = serviceDays.get(schoolKey);
+          if (!serviceDay.inService) continue;
+
+          const [currentHour, currentMinute] = zonedParts(now, serviceDay.timeZone).time.split(':').map(Number);
+
+          const morningStart = getRunSchedule(bus.route, 'to_school', serviceDay).startTime;
+          const afternoonStart = getRunSchedule(bus.route, 'from_school', serviceDay).startTime;
+
+          const [morningHour, morningMin] = morningStart.split(':').map(Number);
+          const [afternoonHour, afternoonMin] = afternoonStart.split(':').map(Number);
+
+          // Check if it's time to start morning route
+          if (currentHour === morningHour && Math.abs(currentMinute - morningMin) <= 5) {
+            // Notify driver
+            const driver = await User.findById(bus.driver);
+            if (driver && driver.pushToken) {
+              await sendPushNotification(driver.pushToken, {
+                title: 'Route Starting',
+                body: `Time to start your morning route for Bus ${bus.busNumber}`,
+                data: {
+                  type: 'route_start',
+                  busId: bus._id.toString(),
+                  routeId: bus.route._id.toString(),
+                  direction: 'to_school'
+                }
+              });
             }
+          }
 
-            // Check if it's time to start afternoon route
-            if (currentHour === afternoonHour && Math.abs(currentMinute - afternoonMin) <= 5) {
-              // Notify driver
-              const driver = await User.findById(bus.driver);
-              if (driver && driver.pushToken) {
-                await sendPushNotification(driver.pushToken, {
-                  title: 'Route Starting',
-                  body: `Time to start your afternoon route for Bus ${bus.busNumber}`,
-                  data: {
-                    type: 'route_start',
-                    busId: bus._id.toString(),
-                    routeId: bus.route._id.toString(),
-                    direction: 'from_school'
-                  }
-                });
-              }
+          // Check if it's time to start afternoon route
+          if (currentHour === afternoonHour && Math.abs(currentMinute - afternoonMin) <= 5) {
+            // Notify driver
+            const driver = await User.findById(bus.driver);
+            if (driver && driver.pushToken) {
+              await sendPushNotification(driver.pushToken, {
+                title: 'Route Starting',
+                body: `Time to start your afternoon route for Bus ${bus.busNumber}`,
+                data: {
+                  type: 'route_start',
+                  busId: bus._id.toString(),
+                  routeId: bus.route._id.toString(),
+                  direction: 'from_school'
+                }
+              });
             }
           }
         }
@@ -217,4 +259,4 @@ const initializeCronJobs = () => {
   console.log('Cron jobs initialized successfully');
 };
 
-module.exports = { initializeCronJobs }; 
\ No newline at end of file
+module.exports = { initializeCronJobs, sendDailyReports }; 
\ No newline at end of file
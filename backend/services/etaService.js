@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const LocationLog = require('../models/LocationLog');
+const { ArrivalLog } = require('../models/LocationLog');
+const Route = require('../models/Route');
+const SegmentStat = require('../models/SegmentStat');
+const { DEFAULT_TIMEZONE, getSchoolTimeZone, zonedParts, weekdayOf } = require('./calendarService');
+const {
+  calculateTrafficETA,
+  calculateRouteETA,
+  calculateBasicETA,
+  getRoutingProvider
+} = require('./trafficService');
+
+// How far back history is used when learning travel times
+const HISTORY_DAYS = 56;
+// Segment samples outside this range (minutes) are treated as noise
+const MIN_SEGMENT_MINUTES = 0.1;
+const MAX_SEGMENT_MINUTES = 90;
+// Speeds below this (km/h) are mostly idling at stops and are ignored
+const MIN_MOVING_SPEED = 3;
+// Fallback speed when a route has no history at all
+const DEFAULT_AVERAGE_SPEED = 30; // km/h
+
+// Buckets are taken on the school's clock, so rush hours stay in place
+// across daylight saving changes
+const getBucket = (date, timeZone) => {
+  const { dateKey, time } = zonedParts(date, timeZone);
+  return { weekday: weekdayOf(dateKey), hour: Number(time.slice(0, 2)) };
+};
+
+// Arrivals are paired within a day on the same clock as the buckets
+const schoolDay = (date, timeZone) => zonedParts(date, timeZone).dateKey;
+
+const bucketKey = (parts) => parts.map(part => (part === undefined || part === null ? '' : part.toString())).join(':');
+
+// Add a sample to an in-memory accumulator map
+const accumulate = (map, key, base, value) => {
+  const entry = map.get(key) || { ...base, sampleCount: 0, total: 0 };
+  entry.sampleCount += 1;
+  entry.total += value;
+  map.set(key, entry);
+};
+
+// Learn stop-to-stop travel times from consecutive arrivals of the same run
+const learnSegmentTimes = async (routeId, since, timeZone) => {
+  const segments = new Map();
+  let previous = null;
+
+  const cursor = ArrivalLog.find({
+    route: routeId,
+    status: { $ne: 'missed' },
+    actualTime: { $gte: since }
+  })
+    .sort({ bus: 1, actualTime: 1 })
+    .cursor();
+
+  for await (const log of cursor) {
+    if (
+      previous &&
+      previous.bus.toString() === log.bus.toString() &&
+      previous.direction === log.direction &&
+      schoolDay(previous.actualTime, timeZone) === schoolDay(log.actualTime, timeZone) &&
+      log.stopIndex === previous.stopIndex + 1
+    ) {
+      const minutes = (log.actualTime - previous.actualTime) / 60000;
+
+      if (minutes >= MIN_SEGMENT_MINUTES && minutes <= MAX_SEGMENT_MINUTES) {
+        const { weekday, hour } = getBucket(previous.actualTime, timeZone);
+        accumulate(
+          segments,
+          bucketKey([log.direction, previous.stop, log.stop, weekday, hour]),
+          { direction: log.direction, fromStop: previous.stop, toStop: log.stop, weekday, hour },
+          minutes
+        );
+      }
+    }
+
+    previous = log;
+  }
+
+  return Array.from(segments.values()).map(entry => ({
+    route: routeId,
+    kind: 'segment',
+    direction: entry.direction,
+    fromStop: entry.fromStop,
+    toStop: entry.toStop,
+    weekday: entry.weekday,
+    hour: entry.hour,
+    sampleCount: entry.sampleCount,
+    meanMinutes: entry.total / entry.sampleCount
+  }));
+};
+
+// Learn the average moving speed of a route from its location logs
+const learnRouteSpeeds = async (routeId, since, timeZone) => {
+  const results = await LocationLog.aggregate([
+    {
+      $match: {
+        route: new mongoose.Types.ObjectId(routeId),
+        timestamp: { $gte: since },
+        speed: { $gte: MIN_MOVING_SPEED }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          direction: '$direction',
+          weekday: { $subtract: [{ $dayOfWeek: { date: '$timestamp', timezone: timeZone } }, 1] },
+          hour: { $hour: { date: '$timestamp', timezone: timeZone } }
+        },
+        sampleCount: { $sum: 1 },
+        meanSpeed: { $avg: '$speed' }
+      }
+    }
+  ]);
+
+  return results.map(result => ({
+    route: routeId,
+    kind: 'route_speed',
+    direction: result._id.direction,
+    weekday: result._id.weekday,
+    hour: result._id.hour,
+    sampleCount: result.sampleCount,
+    meanSpeed: result.meanSpeed
+  }));
+};
+
+// Rebuild the learned travel statistics for one route
+const rebuildRouteStats = async (routeId) => {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const route = await Route.findById(routeId).select('school');
+  const timeZone = route ? await getSchoolTimeZone(route.school) : DEFAULT_TIMEZONE;
+
+  const [segmentStats, speedStats] = await Promise.all([
+    learnSegmentTimes(routeId, since, timeZone),
+    learnRouteSpeeds(routeId, since, timeZone)
+  ]);
+
+  await SegmentStat.deleteMany({ route: routeId });
+  const stats = [...segmentStats, ...speedStats];
+  if (stats.length > 0) {
+    await SegmentStat.insertMany(stats);
+  }
+
+  return stats.length;
+};
+
+// Rebuild the learned travel statistics for every route with recent history
+const rebuildSegmentStats = async () => {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const routeIds = await ArrivalLog.distinct('route', { actualTime: { $gte: since } });
+  const loggedRouteIds = await LocationLog.distinct('route', { timestamp: { $gte: since } });
+
+  const uniqueRouteIds = new Map();
+  [...routeIds, ...loggedRouteIds].forEach(id => uniqueRouteIds.set(id.toString(), id));
+
+  let total = 0;
+  for (const routeId of uniqueRouteIds.values()) {
+    total += await rebuildRouteStats(routeId);
+  }
+
+  return { routes: uniqueRouteIds.size, stats: total };
+};
+
+// Pick the most specific estimate available: same weekday and hour,
+// then the same hour on any weekday, then any time at all
+const pickEstimate = (stats, bucket, field) => {
+  const candidates = [
+    stats.filter(stat => stat.weekday === bucket.weekday && stat.hour === bucket.hour),
+    stats.filter(stat => stat.hour === bucket.hour),
+    stats
+  ];
+
+  for (const matches of candidates) {
+    const sampleCount = matches.reduce((sum, stat) => sum + stat.sampleCount, 0);
+    if (sampleCount > 0) {
+      return matches.reduce((sum, stat) => sum + stat[field] * stat.sampleCount, 0) / sampleCount;
+    }
+  }
+
+  return null;
+};
+
+// Load the learned model for a route and direction
+const loadTravelModel = async (routeId, direction) => {
+  const stats = await SegmentStat.find({ route: routeId, direction }).lean();
+
+  const segments = new Map();
+  const speeds = [];
+
+  stats.forEach(stat => {
+    if (stat.kind === 'route_speed') {
+      speeds.push(stat);
+      return;
+    }
+
+    const key = bucketKey([stat.fromStop, stat.toStop]);
+    if (!segments.has(key)) {
+      segments.set(key, []);
+    }
+    segments.get(key).push(stat);
+  });
+
+  return { segments, speeds };
+};
+
+// Learned travel time between two consecutive stops, or null without history
+const getSegmentMinutes = (model, fromStop, toStop, bucket) => {
+  const stats = model.segments.get(bucketKey([fromStop._id, toStop._id]));
+  if (!stats) return null;
+  return pickEstimate(stats, bucket, 'meanMinutes');
+};
+
+// Learned driving speed for the route, or null without history
+const getRouteSpeed = (model, bucket) => {
+  if (model.speeds.length === 0) return null;
+  return pickEstimate(model.speeds, bucket, 'meanSpeed');
+};
+
+// Estimate arrival at every upcoming stop of a bus's run, following the stop
+// sequence for its current direction. Uses the route's history when it has
+// any (learned segment times, then its learned speed), then the routing
+// provider's traffic, then the fixed-speed heuristic.
+const calculateTimeline = async (bus, route, options = {}) => {
+  const direction = options.direction || bus.currentDirection;
+  const stops = route.getStopsForDirection(direction);
+  const currentStopIndex = Math.min(bus.currentStopIndex || 0, Math.max(stops.length - 1, 0));
+  const lastStopIndex = options.lastStopIndex !== undefined ?
+    Math.min(options.lastStopIndex, stops.length - 1) :
+    stops.length - 1;
+
+  const [lng, lat] = bus.currentLocation.coordinates;
+
+  if (lastStopIndex <= currentStopIndex) {
+    return { direction, currentStopIndex, model: null, trafficDelay: 0, stops: [] };
+  }
+
+  const bucket = getBucket(options.at || new Date(), await getSchoolTimeZone(route.school));
+
+  const model = await loadTravelModel(route._id, direction);
+  const learnedSpeed = getRouteSpeed(model, bucket);
+  const averageSpeed = learnedSpeed || DEFAULT_AVERAGE_SPEED;
+
+  const timeline = route.buildStopTimeline(
+    lat, lng,
+    currentStopIndex, lastStopIndex,
+    direction,
+    (fromStop, toStop, distance) => {
+      const minutes = getSegmentMinutes(model, fromStop, toStop, bucket);
+      if (minutes !== null) {
+        return { minutes, source: 'historical' };
+      }
+      return {
+        minutes: (distance / averageSpeed) * 60,
+        source: learnedSpeed ? 'historical_speed' : 'heuristic'
+      };
+    }
+  );
+
+  const learnedSegments = timeline.filter(entry => entry.source === 'historical').length;
+  if (learnedSegments > 0) {
+    return {
+      direction,
+      currentStopIndex,
+      model: learnedSegments === timeline.length ? 'historical' : 'mixed',
+      coverage: Math.round((learnedSegments / timeline.length) * 100) / 100,
+      trafficDelay: 0,
+      stops: timeline
+    };
+  }
+
+  if (learnedSpeed) {
+    return {
+      direction,
+      currentStopIndex,
+      model: 'historical_speed',
+      trafficDelay: 0,
+      stops: timeline
+    };
+  }
+
+  // Without any history, ask the traffic provider for the whole sequence
+  if (options.useTraffic !== false) {
+    const waypoints = [
+      { lat, lng },
+      ...stops.slice(currentStopIndex + 1, lastStopIndex + 1).map(stop => ({
+        lat: stop.location.coordinates[1],
+        lng: stop.location.coordinates[0]
+      }))
+    ];
+    const legs = await calculateRouteETA(waypoints);
+
+    if (legs && legs.length === lastStopIndex - currentStopIndex) {
+      const trafficTimeline = route.buildStopTimeline(
+        lat, lng,
+        currentStopIndex, lastStopIndex,
+        direction,
+        (fromStop, toStop, distance, index) => {
+          const leg = legs[index - currentStopIndex];
+          const previous = legs[index - currentStopIndex - 1];
+          return {
+            minutes: leg.etaMinutes - (previous ? previous.etaMinutes : 0),
+            distance: leg.distance,
+            source: 'traffic'
+          };
+        }
+      );
+
+      return {
+        direction,
+        currentStopIndex,
+        model: 'traffic',
+        provider: getRoutingProvider().name,
+        trafficDelay: Math.round(legs.reduce((sum, leg) => sum + leg.trafficDelay, 0)),
+        stops: trafficTimeline
+      };
+    }
+  }
+
+  return {
+    direction,
+    currentStopIndex,
+    model: 'heuristic',
+    trafficDelay: 0,
+    stops: timeline
+  };
+};
+
+// Calculate the ETA from a bus's current position to a stop on its route
+const calculateETA = async (bus, route, targetStopIndex, options = {}) => {
+  const direction = options.direction || bus.currentDirection;
+  const stops = route.getStopsForDirection(direction);
+  const targetStop = stops[targetStopIndex];
+  if (!targetStop) return null;
+
+  const [lng, lat] = bus.currentLocation.coordinates;
+
+  // Stops ahead of the bus are reached through every stop in between
+  if (targetStopIndex > (bus.currentStopIndex || 0)) {
+    const timeline = await calculateTimeline(bus, route, {
+      ...options,
+      direction,
+      lastStopIndex: targetStopIndex
+    });
+    const arrival = timeline.stops[timeline.stops.length - 1];
+
+    if (arrival) {
+      return {
+        etaMinutes: arrival.etaMinutes,
+        distance: arrival.distance,
+        targetStop,
+        trafficDelay: timeline.trafficDelay,
+        model: timeline.model,
+        provider: timeline.provider,
+        coverage: timeline.coverage,
+        stops: timeline.stops
+      };
+    }
+  }
+
+  // The stop the bus is at, or one it has passed, is estimated directly,
+  // from the route's learned speed when it has one
+  const model = await loadTravelModel(route._id, direction);
+  const learnedSpeed = getRouteSpeed(model, getBucket(options.at || new Date(), await getSchoolTimeZone(route.school)));
+
+  if (!learnedSpeed && options.useTraffic !== false) {
+    try {
+      const trafficETA = await calculateTrafficETA(
+        lat, lng,
+        targetStop.location.coordinates[1],
+        targetStop.location.coordinates[0]
+      );
+
+      if (trafficETA) {
+        return {
+          etaMinutes: trafficETA.etaMinutes,
+          distance: trafficETA.distance,
+          targetStop,
+          trafficDelay: trafficETA.trafficDelay,
+          model: 'traffic',
+          provider: trafficETA.provider,
+          stops: []
+        };
+      }
+    } catch (trafficError) {
+      console.warn('Traffic calculation failed, using basic ETA:', trafficError.message);
+    }
+  }
+
+  const basicETA = calculateBasicETA(
+    lat, lng,
+    targetStop.location.coordinates[1],
+    targetStop.location.coordinates[0],
+    learnedSpeed || DEFAULT_AVERAGE_SPEED
+  );
+
+  return {
+    etaMinutes: basicETA.etaMinutes,
+    distance: basicETA.distance,
+    targetStop,
+    trafficDelay: 0,
+    model: learnedSpeed ? 'historical_speed' : 'heuristic',
+    stops: []
+  };
+};
+
+module.exports = {
+  calculateETA,
+  calculateTimeline,
+  rebuildSegmentStats,
+  rebuildRouteStats
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const NodeGeocoder = require('node-geocoder');
+const { parseCsv } = require('../utils/csv');
+const { distanceBetween } = require('../utils/geo');
+
+// Every provider implements geocode(query), where query is a one-line
+// address, and reverse({ lat, lng }). Both resolve to a list of results
+// (best first, empty when nothing matched):
+// { coordinates: [lng, lat], formattedAddress, confidence (0-1),
+//   address: { street, city, state, zipCode, country } }
+
+// Nominatim ranks results by importance (0-1) rather than by confidence
+const DEFAULT_CONFIDENCE = 0.5;
+
+const joinStreet = (number, name) => [number, name].filter(Boolean).join(' ') || undefined;
+
+// node-geocoder's result shape, shared by its providers
+const fromNodeGeocoder = (result, confidence) => ({
+  coordinates: [result.longitude, result.latitude],
+  formattedAddress: result.formattedAddress,
+  confidence,
+  address: {
+    street: joinStreet(result.streetNumber, result.streetName),
+    city: result.city,
+    state: result.state || (result.administrativeLevels && result.administrativeLevels.level1long),
+    zipCode: result.zipcode,
+    country: result.country
+  }
+});
+
+// Google Maps Geocoding API
+const createGoogleGeocoder = ({ apiKey }) => {
+  const geocoder = NodeGeocoder({ provider: 'google', apiKey });
+
+  return {
+    name: 'google',
+
+    geocode: async (query) => {
+      const results = await geocoder.geocode(query);
+      return results.map(result => fromNodeGeocoder(result, result.extra ? result.extra.confidence : DEFAULT_CONFIDENCE));
+    },
+
+    reverse: async ({ lat, lng }) => {
+      const results = await geocoder.reverse({ lat, lon: lng });
+      return results.map(result => fromNodeGeocoder(result, result.extra ? result.extra.confidence : DEFAULT_CONFIDENCE));
+    }
+  };
+};
+
+// Nominatim, the public OpenStreetMap server or a self-hosted one at baseUrl
+const createNominatimGeocoder = ({ baseUrl, email } = {}) => {
+  const geocoder = NodeGeocoder({
+    provider: 'openstreetmap',
+    osmServer: baseUrl ? baseUrl.replace(/\/+$/, '') : undefined,
+    email
+  });
+
+  const withImportance = (results) => results.map((result, index) => {
+    const raw = Array.isArray(results.raw) ? results.raw[index] : results.raw;
+    const importance = raw && raw.importance !== undefined ? parseFloat(raw.importance) : DEFAULT_CONFIDENCE;
+    return fromNodeGeocoder(result, importance);
+  });
+
+  return {
+    name: 'nominatim',
+
+    geocode: async (query) => withImportance(await geocoder.geocode(query)),
+
+    reverse: async ({ lat, lng }) => withImportance(await geocoder.reverse({ lat, lon: lng }))
+  };
+};
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(Boolean);
+
+// Offline stand-in for Nominatim: a gazetteer CSV with Nominatim's address
+// columns (lat, lon, display_name, house_number, road, city, state,
+// postcode, country). Addresses match rows sharing most of their words; the
+// share is the confidence. Reverse lookups return the nearest row within
+// maxReverseDistance metres.
+const createCsvGeocoder = ({ file, rows: givenRows, maxReverseDistance = 250 }) => {
+  const rows = (givenRows || parseCsv(fs.readFileSync(file, 'utf8')))
+    .map(row => ({
+      ...row,
+      lat: parseFloat(row.lat),
+      lon: parseFloat(row.lon)
+    }))
+    .filter(row => !isNaN(row.lat) && !isNaN(row.lon));
+
+  const toResult = (row, confidence) => ({
+    coordinates: [row.lon, row.lat],
+    formattedAddress: row.display_name ||
+      [joinStreet(row.house_number, row.road), row.city, row.state, row.postcode].filter(Boolean).join(', '),
+    confidence,
+    address: {
+      street: joinStreet(row.house_number, row.road),
+      city: row.city || undefined,
+      state: row.state || undefined,
+      zipCode: row.postcode || undefined,
+      country: row.country || undefined
+    }
+  });
+
+  const indexed = rows.map(row => ({
+    row,
+    tokens: new Set(tokenize([row.display_name, row.house_number, row.road, row.city, row.state, row.postcode].join(' ')))
+  }));
+
+  return {
+    name: 'csv',
+
+    geocode: async (query) => {
+      const queryTokens = [...new Set(tokenize(query))];
+      if (queryTokens.length === 0) return [];
+
+      return indexed
+        .map(({ row, tokens }) => ({
+          row,
+          score: queryTokens.filter(token => tokens.has(token)).length / queryTokens.length
+        }))
+        .filter(match => match.score >= 0.5)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map(match => toResult(match.row, Math.round(match.score * 100) / 100));
+    },
+
+    reverse: async ({ lat, lng }) => indexed
+      .map(({ row }) => ({ row, distance: distanceBetween([lng, lat], [row.lon, row.lat]) }))
+      .filter(match => match.distance <= maxReverseDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 1)
+      .map(match => toResult(match.row, Math.round((1 - match.distance / maxReverseDistance / 2) * 100) / 100))
+  };
+};
+
+// Build the geocoder named by GEOCODER_PROVIDER. Without one, Google is used
+// when an API key is configured and geocoding is disabled otherwise.
+const createGeocoderFromEnv = (env = process.env) => {
+  const name = (env.GEOCODER_PROVIDER || (env.GOOGLE_MAPS_API_KEY ? 'google' : 'none')).toLowerCase();
+
+  switch (name) {
+    case 'google':
+      if (!env.GOOGLE_MAPS_API_KEY) {
+        throw new Error('GEOCODER_PROVIDER is google but GOOGLE_MAPS_API_KEY is not set');
+      }
+      return createGoogleGeocoder({ apiKey: env.GOOGLE_MAPS_API_KEY });
+    case 'nominatim':
+      return createNominatimGeocoder({ baseUrl: env.NOMINATIM_URL, email: env.NOMINATIM_EMAIL });
+    case 'csv':
+      if (!env.GEOCODER_CSV_FILE) {
+        throw new Error('GEOCODER_PROVIDER is csv but GEOCODER_CSV_FILE is not set');
+      }
+      return createCsvGeocoder({ file: env.GEOCODER_CSV_FILE });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown geocoder provider: ${name}`);
+  }
+};
+
+module.exports = {
+  createGoogleGeocoder,
+  createNominatimGeocoder,
+  createCsvGeocoder,
+  createGeocoderFromEnv
+};
@@ -0,0 +1,223 @@
+const TTLCache = require('../utils/ttlCache');
+const { distanceBetween } = require('../utils/geo');
+const { createGeocoderFromEnv } = require('./geocodingProviders');
+
+// Addresses rarely move, so lookups are cached for a day
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Coordinates are rounded to about a metre when building cache keys
+const CACHE_PRECISION = 5;
+
+// Matches below this confidence need an admin to confirm them
+const MIN_CONFIDENCE = 0.6;
+// A runner-up nearly as confident as the best match but somewhere else
+// makes the match ambiguous
+const RUNNER_UP_MARGIN = 0.1;
+const AMBIGUOUS_DISTANCE = 200; // metres
+// Flagged places keep this many candidates for the admin to choose from
+const MAX_CANDIDATES = 5;
+
+// Geocoding outcomes a school admin should look at
+const NEEDS_REVIEW = ['ambiguous', 'not_found', 'failed'];
+
+const geocodeCache = new TTLCache({ ttlMs: CACHE_TTL_MS, maxEntries: 5000 });
+
+let geocoder;
+let geocoderLoaded = false;
+
+// Get the configured geocoder, or null when geocoding is disabled
+const getGeocoder = () => {
+  if (!geocoderLoaded) {
+    geocoderLoaded = true;
+    try {
+      geocoder = createGeocoderFromEnv();
+    } catch (error) {
+      // A misconfigured geocoder is reported once, then addresses go without
+      console.error('Geocoder configuration error:', error.message);
+      geocoder = null;
+    }
+
+    if (!geocoder) {
+      console.warn('No geocoder configured (set GEOCODER_PROVIDER or GOOGLE_MAPS_API_KEY), addresses will not be geocoded');
+    }
+  }
+  return geocoder;
+};
+
+// Replace the geocoder, e.g. with a CSV one in tests
+const setGeocoder = (provider) => {
+  geocoder = provider;
+  geocoderLoaded = true;
+  geocodeCache.clear();
+};
+
+// One-line form of a structured address (or an address already on one line)
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address.trim();
+
+  const region = [address.state, address.zipCode].filter(Boolean).join(' ');
+  return [address.street, address.city, region, address.country].filter(Boolean).join(', ');
+};
+
+// A country alone (schools default to USA) is not an address
+const hasAddress = (address) => !!address &&
+  (typeof address === 'string' ? !!address.trim() : !!(address.street || address.city || address.zipCode));
+
+const hasCoordinates = (location) => !!location && Array.isArray(location.coordinates) &&
+  location.coordinates.length === 2 && !(location.coordinates[0] === 0 && location.coordinates[1] === 0);
+
+// matched, ambiguous or not_found for a provider's results, best first
+const classifyResults = (results) => {
+  if (results.length === 0) return 'not_found';
+
+  const [best, ...others] = results;
+  if (best.confidence < MIN_CONFIDENCE) return 'ambiguous';
+
+  const rival = others.some(other =>
+    other.confidence >= best.confidence - RUNNER_UP_MARGIN &&
+    distanceBetween(other.coordinates, best.coordinates) > AMBIGUOUS_DISTANCE
+  );
+  return rival ? 'ambiguous' : 'matched';
+};
+
+// Look up an address. Resolves to { status, provider, query, best,
+// candidates }, or null when there is no geocoder or no address.
+const geocodeAddress = async (address) => {
+  const provider = getGeocoder();
+  const query = formatAddress(address);
+  if (!provider || !query) return null;
+
+  const results = await geocodeCache.wrap(
+    [provider.name, 'geocode', query.toLowerCase()].join('|'),
+    () => provider.geocode(query)
+  );
+
+  return {
+    status: classifyResults(results),
+    provider: provider.name,
+    query,
+    best: results[0] || null,
+    candidates: results.slice(0, MAX_CANDIDATES)
+  };
+};
+
+// Look up the address at [lng, lat]. Resolves to { provider, best }, or
+// null when there is no geocoder.
+const reverseGeocode = async ([lng, lat]) => {
+  const provider = getGeocoder();
+  if (!provider) return null;
+
+  const results = await geocodeCache.wrap(
+    [provider.name, 'reverse', lat.toFixed(CACHE_PRECISION), lng.toFixed(CACHE_PRECISION)].join('|'),
+    () => provider.reverse({ lat, lng })
+  );
+
+  return { provider: provider.name, best: results[0] || null };
+};
+
+const toCandidate = (result) => ({
+  formattedAddress: result.formattedAddress,
+  coordinates: result.coordinates,
+  confidence: result.confidence
+});
+
+// Geocode a school or bus stop (a document or plain fields) before it is
+// saved. Without a location given, its address is geocoded and the best
+// match becomes its location; with a location and no address, the address
+// is filled in by reverse geocoding. Ambiguous and unmatched addresses are
+// flagged for an admin, and geocoder failures never block the save.
+// Returns the geocoding status, or null when nothing was looked up.
+const geocodePlace = async (place, { locationGiven = false } = {}) => {
+  const geocodedAt = new Date();
+
+  try {
+    if (!locationGiven && hasAddress(place.address)) {
+      const result = await geocodeAddress(place.address);
+      if (!result) return null;
+
+      const { status, best } = result;
+      if (best) {
+        place.location = { type: 'Point', coordinates: best.coordinates };
+      }
+      place.geocoding = {
+        status,
+        provider: result.provider,
+        query: result.query,
+        formattedAddress: best ? best.formattedAddress : undefined,
+        confidence: best ? best.confidence : undefined,
+        candidates: status === 'matched' ? [] : result.candidates.map(toCandidate),
+        geocodedAt
+      };
+      return status;
+    }
+
+    if (locationGiven && !hasAddress(place.address) && hasCoordinates(place.location)) {
+      const result = await reverseGeocode(place.location.coordinates.map(Number));
+      if (!result || !result.best) return null;
+
+      const address = {};
+      for (const [field, value] of Object.entries(result.best.address)) {
+        if (value) address[field] = value;
+      }
+      place.address = address;
+      place.geocoding = {
+        status: 'reversed',
+        provider: result.provider,
+        formattedAddress: result.best.formattedAddress,
+        confidence: result.best.confidence,
+        candidates: [],
+        geocodedAt
+      };
+      return 'reversed';
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Geocoding error:', error.message);
+    place.geocoding = {
+      status: 'failed',
+      provider: geocoder ? geocoder.name : undefined,
+      query: formatAddress(place.address) || undefined,
+      candidates: [],
+      geocodedAt
+    };
+    return 'failed';
+  }
+};
+
+// Settle a flagged place on one of its candidates (by index) or on
+// coordinates an admin picked. Returns false for an unknown candidate.
+const confirmLocation = (place, { candidate, coordinates }, user) => {
+  const geocoding = place.geocoding ?
+    (typeof place.geocoding.toObject === 'function' ? place.geocoding.toObject() : { ...place.geocoding }) :
+    { candidates: [] };
+
+  let chosen = coordinates;
+  if (candidate !== undefined) {
+    const match = (geocoding.candidates || [])[candidate];
+    if (!match) return false;
+    chosen = match.coordinates;
+    geocoding.formattedAddress = match.formattedAddress;
+    geocoding.confidence = match.confidence;
+  }
+
+  place.location = { type: 'Point', coordinates: chosen.map(Number) };
+  place.geocoding = {
+    ...geocoding,
+    status: 'confirmed',
+    confirmedBy: user._id,
+    confirmedAt: new Date()
+  };
+  return true;
+};
+
+module.exports = {
+  NEEDS_REVIEW,
+  getGeocoder,
+  setGeocoder,
+  formatAddress,
+  geocodeAddress,
+  reverseGeocode,
+  geocodePlace,
+  confirmLocation
+};
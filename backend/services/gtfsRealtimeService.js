@@ -0,0 +1,145 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const Bus = require('../models/Bus');
+const { calculateTimeline } = require('./etaService');
+const { getScheduledTime } = require('./scheduleService');
+const { getServiceDay, getSchoolDateKey } = require('./calendarService');
+const { getGtfsStopId, getGtfsRouteId, getGtfsTripId, formatGtfsDate } = require('./gtfsService');
+
+const { transit_realtime: realtime } = GtfsRealtimeBindings;
+
+// GTFS-Realtime feeds for a school's active buses. Route, trip and stop ids
+// match the static feed from GET /api/gtfs/export.
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const buildHeader = (timestamp) => ({
+  gtfsRealtimeVersion: '2.0',
+  incrementality: realtime.FeedHeader.Incrementality.FULL_DATASET,
+  timestamp: toSeconds(timestamp)
+});
+
+// Buses currently running a route for the school
+const getActiveBuses = (schoolId) => Bus.find({
+  school: schoolId,
+  status: 'active',
+  isActive: true,
+  route: { $ne: null }
+}).populate('route');
+
+// Trips start on the school's service day (a YYYY-MM-DD key), the dates of
+// the static feed's calendar
+const buildTripDescriptor = (bus, serviceDate) => ({
+  tripId: getGtfsTripId(bus.route, bus.currentDirection),
+  routeId: getGtfsRouteId(bus.route),
+  directionId: bus.currentDirection === 'to_school' ? 0 : 1,
+  startDate: formatGtfsDate(serviceDate),
+  scheduleRelationship: realtime.TripDescriptor.ScheduleRelationship.SCHEDULED
+});
+
+const buildVehicleDescriptor = (bus) => ({
+  id: bus._id.toString(),
+  label: bus.busNumber,
+  licensePlate: bus.metadata && bus.metadata.licensePlate
+});
+
+// VehiclePositions from each active bus's last reported location
+const buildVehiclePositions = async (schoolId, now = new Date()) => {
+  const buses = await getActiveBuses(schoolId);
+  const serviceDate = await getSchoolDateKey(schoolId, now);
+  const entity = [];
+
+  for (const bus of buses) {
+    if (!bus.lastLocationUpdate) continue;
+
+    const stops = bus.route.getStopsForDirection(bus.currentDirection);
+    const visit = bus.stopVisit || {};
+    const atStop = visit.arrivedAt && !visit.departedAt && visit.stopIndex === bus.currentStopIndex;
+    // Between stops the vehicle is heading to the one after its last arrival
+    const stopIndex = atStop ? bus.currentStopIndex : Math.min(bus.currentStopIndex + 1, stops.length - 1);
+    const stop = stops[stopIndex];
+
+    const [longitude, latitude] = bus.currentLocation.coordinates;
+    const { heading, speed } = bus.currentLocation;
+
+    entity.push({
+      id: bus._id.toString(),
+      vehicle: {
+        trip: buildTripDescriptor(bus, serviceDate),
+        vehicle: buildVehicleDescriptor(bus),
+        position: {
+          latitude,
+          longitude,
+          bearing: heading !== undefined && heading !== null ? heading : undefined,
+          speed: speed !== undefined && speed !== null ? speed / 3.6 : undefined // m/s
+        },
+        currentStopSequence: stop ? stopIndex + 1 : undefined,
+        stopId: stop ? getGtfsStopId(stop) : undefined,
+        currentStatus: atStop ?
+          realtime.VehiclePosition.VehicleStopStatus.STOPPED_AT :
+          realtime.VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO,
+        timestamp: toSeconds(bus.lastLocationUpdate)
+      }
+    });
+  }
+
+  return realtime.FeedMessage.fromObject({ header: buildHeader(now), entity });
+};
+
+// TripUpdates with predicted arrivals at the remaining stops of each run
+const buildTripUpdates = async (schoolId, now = new Date()) => {
+  const buses = await getActiveBuses(schoolId);
+  const serviceDay = await getServiceDay(schoolId, now);
+  const entity = [];
+
+  for (const bus of buses) {
+    if (!bus.lastLocationUpdate) continue;
+
+    const stops = bus.route.getStopsForDirection(bus.currentDirection);
+    const timeline = await calculateTimeline(bus, bus.route, { at: now });
+
+    const stopTimeUpdate = timeline.stops.map(entry => {
+      const stop = stops[entry.stopIndex];
+      const arrival = new Date(now.getTime() + entry.etaMinutes * 60000);
+      const scheduled = getScheduledTime(bus.route, bus.currentDirection, stop, now, serviceDay);
+
+      return {
+        stopSequence: entry.stopIndex + 1,
+        stopId: getGtfsStopId(stop),
+        arrival: {
+          time: toSeconds(arrival),
+          delay: scheduled ? Math.round((arrival - scheduled) / 1000) : undefined
+        },
+        scheduleRelationship: realtime.TripUpdate.StopTimeUpdate.ScheduleRelationship.SCHEDULED
+      };
+    });
+
+    entity.push({
+      id: bus._id.toString(),
+      tripUpdate: {
+        trip: buildTripDescriptor(bus, serviceDay.date),
+        vehicle: buildVehicleDescriptor(bus),
+        stopTimeUpdate,
+        timestamp: toSeconds(now)
+      }
+    });
+  }
+
+  return realtime.FeedMessage.fromObject({ header: buildHeader(now), entity });
+};
+
+// Protobuf bytes for a feed message
+const encodeFeed = (message) => Buffer.from(realtime.FeedMessage.encode(message).finish());
+
+// Readable JSON for a feed message, for debugging
+const feedToJson = (message) => realtime.FeedMessage.toObject(message, {
+  enums: String,
+  longs: Number,
+  defaults: false
+});
+
+module.exports = {
+  buildVehiclePositions,
+  buildTripUpdates,
+  encodeFeed,
+  feedToJson
+};
@@ -0,0 +1,546 @@
+const AdmZip = require('adm-zip');
+const Route = require('../models/Route');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { resolveRouteStops, reassignStopRiders } = require('./stopService');
+const { DEFAULT_TIMEZONE, zonedParts, addDays } = require('./calendarService');
+
+// GTFS static import and export. Each GTFS route becomes one Route: the
+// longest trip with direction_id 0 is the morning (to_school) run and the
+// longest with direction_id 1 the afternoon (from_school) run. Stops are
+// stored in morning order with estimatedTime as minutes from the morning
+// start; an afternoon trip that is not the morning one reversed is kept as
+// its own run in route.runs.
+
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['shapes.txt', 'agency.txt'];
+
+const DIRECTIONS = { 0: 'to_school', 1: 'from_school' };
+const SERVICE_ID = 'school_days';
+const BUS_ROUTE_TYPE = 3;
+
+// Parse a GTFS HH:MM:SS time (hours may pass 24) into minutes after midnight
+const parseGtfsTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]) + (match[3] ? parseInt(match[3]) / 60 : 0);
+};
+
+const formatGtfsTime = (minutes) => {
+  const totalSeconds = Math.round(minutes * 60);
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  return [hours, mins, secs].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+// Minutes after midnight as an HH:MM schedule start time
+const formatStartTime = (minutes) => {
+  const wrapped = Math.round(minutes) % (24 * 60);
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+const parseStartTime = (value) => {
+  const [hours, minutes] = (value || '').split(':').map(Number);
+  return isNaN(hours) || isNaN(minutes) ? null : hours * 60 + minutes;
+};
+
+// A YYYY-MM-DD key of the school's calendar as a GTFS service date
+const formatGtfsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Ids used for a school's routes, stops and trips in its GTFS feeds. Imported
+// records keep their original ids so feeds round-trip.
+const getGtfsStopId = (stop) => stop.gtfsStopId || stop._id.toString();
+const getGtfsRouteId = (route) => (route.gtfs && route.gtfs.routeId) || route._id.toString();
+const getGtfsTripId = (route, direction) => `${getGtfsRouteId(route)}_${direction}`;
+
+const groupBy = (records, key) => {
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record[key])) groups.set(record[key], []);
+    groups.get(record[key]).push(record);
+  }
+  return groups;
+};
+
+// Read the feed's text files out of a zip. Files may sit in a subfolder.
+const readFeed = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    return { errors: [{ message: 'Feed is not a valid zip file' }] };
+  }
+
+  const files = {};
+  for (const entry of zip.getEntries()) {
+    const name = entry.entryName.split('/').pop();
+    if (REQUIRED_FILES.includes(name) || OPTIONAL_FILES.includes(name)) {
+      files[name] = parseCsv(entry.getData().toString('utf8'));
+    }
+  }
+
+  const errors = REQUIRED_FILES
+    .filter(name => !files[name])
+    .map(name => ({ file: name, message: 'Required file is missing' }));
+
+  return { files, errors };
+};
+
+// Pick the trip with the most stops for each direction of a route
+const pickTrips = (trips, stopTimesByTrip) => {
+  const picked = {};
+  for (const trip of trips) {
+    const direction = DIRECTIONS[trip.direction_id === '1' ? 1 : 0];
+    const count = (stopTimesByTrip.get(trip.trip_id) || []).length;
+    if (!picked[direction] || count > picked[direction].count) {
+      picked[direction] = { trip, count };
+    }
+  }
+  return picked;
+};
+
+// Turn one trip's stop_times into stops with times, or report why not
+const buildTripStops = (trip, stopTimesByTrip, stopsById) => {
+  const stopTimes = [...(stopTimesByTrip.get(trip.trip_id) || [])]
+    .sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+
+  const errors = [];
+  const stops = [];
+
+  for (const stopTime of stopTimes) {
+    const stop = stopsById.get(stopTime.stop_id);
+    if (!stop) {
+      errors.push(`stop_times.txt references unknown stop ${stopTime.stop_id} on trip ${trip.trip_id}`);
+      continue;
+    }
+
+    const arrival = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+    const departure = parseGtfsTime(stopTime.departure_time || stopTime.arrival_time);
+
+    stops.push({ stop, arrival, departure });
+  }
+
+  // Times are optional on intermediate stops in GTFS, but the first and last
+  // are needed to place the run in the day
+  if (stops.length > 0 && (stops[0].arrival === null || stops[stops.length - 1].arrival === null)) {
+    errors.push(`Trip ${trip.trip_id} has no times on its first or last stop`);
+  }
+  if (stops.length < 2) {
+    errors.push(`Trip ${trip.trip_id} has fewer than two stops`);
+  }
+
+  return { stops, errors };
+};
+
+// Fill in missing intermediate times by spreading them between known ones
+const interpolateTimes = (tripStops) => {
+  let lastKnown = 0;
+  for (let i = 1; i < tripStops.length; i++) {
+    if (tripStops[i].arrival === null) {
+      let next = i;
+      while (tripStops[next].arrival === null) next++;
+      const start = tripStops[lastKnown].departure;
+      const step = (tripStops[next].arrival - start) / (next - lastKnown);
+      for (let j = i; j < next; j++) {
+        tripStops[j].arrival = tripStops[j].departure = start + step * (j - lastKnown);
+      }
+    }
+    lastKnown = i;
+  }
+};
+
+const buildShape = (shapesById, shapeId) => {
+  const points = (shapesById.get(shapeId) || [])
+    .map(point => ({
+      sequence: parseInt(point.shape_pt_sequence),
+      coordinates: [parseFloat(point.shape_pt_lon), parseFloat(point.shape_pt_lat)]
+    }))
+    .filter(point => !isNaN(point.coordinates[0]) && !isNaN(point.coordinates[1]))
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(point => point.coordinates);
+
+  return points.length >= 2 ? points : null;
+};
+
+// Build Route data for every route in a parsed feed
+const buildRoutes = (files) => {
+  const errors = [];
+
+  const stopsById = new Map();
+  files['stops.txt'].forEach((stop, index) => {
+    // Stations and entrances are not places a bus stops
+    if (stop.location_type && stop.location_type !== '0') return;
+
+    const lat = parseFloat(stop.stop_lat);
+    const lng = parseFloat(stop.stop_lon);
+    if (!stop.stop_id || isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push({ file: 'stops.txt', row: index + 2, message: `Stop ${stop.stop_id || '(no id)'} has no valid coordinates` });
+      return;
+    }
+
+    stopsById.set(stop.stop_id, { ...stop, lat, lng });
+  });
+
+  const tripsByRoute = groupBy(files['trips.txt'], 'route_id');
+  const stopTimesByTrip = groupBy(files['stop_times.txt'], 'trip_id');
+  const shapesById = groupBy(files['shapes.txt'] || [], 'shape_id');
+
+  const routes = [];
+
+  for (const gtfsRoute of files['routes.txt']) {
+    const gtfsRouteId = gtfsRoute.route_id;
+    const name = gtfsRoute.route_long_name ?
+      (gtfsRoute.route_short_name ? `${gtfsRoute.route_short_name} - ${gtfsRoute.route_long_name}` : gtfsRoute.route_long_name) :
+      gtfsRoute.route_short_name || gtfsRouteId;
+
+    const picked = pickTrips(tripsByRoute.get(gtfsRouteId) || [], stopTimesByTrip);
+    if (!picked.to_school && !picked.from_school) {
+      errors.push({ file: 'trips.txt', routeId: gtfsRouteId, message: `Route ${gtfsRouteId} has no trips` });
+      continue;
+    }
+
+    const runs = {};
+    const routeErrors = [];
+    for (const direction of Object.keys(picked)) {
+      const result = buildTripStops(picked[direction].trip, stopTimesByTrip, stopsById);
+      routeErrors.push(...result.errors);
+      runs[direction] = { trip: picked[direction].trip, stops: result.stops };
+    }
+
+    if (routeErrors.length > 0) {
+      errors.push(...routeErrors.map(message => ({ file: 'stop_times.txt', routeId: gtfsRouteId, message })));
+      continue;
+    }
+
+    Object.values(runs).forEach(run => interpolateTimes(run.stops));
+
+    const warnings = [];
+
+    // Morning order with offsets from the morning start. An afternoon-only
+    // route is mirrored so offsets still count from the far end.
+    const base = runs.to_school || runs.from_school;
+    const tripStart = base.stops[0].arrival;
+    const tripEnd = base.stops[base.stops.length - 1].arrival;
+    const ordered = runs.to_school ?
+      base.stops.map(entry => ({ ...entry, offset: entry.arrival - tripStart })) :
+      [...base.stops].reverse().map(entry => ({ ...entry, offset: tripEnd - entry.arrival }));
+
+    const toStop = (entry, index) => {
+      const dwell = entry.departure - entry.arrival;
+      return {
+        name: entry.stop.stop_name || entry.stop.stop_id,
+        location: { type: 'Point', coordinates: [entry.stop.lng, entry.stop.lat] },
+        estimatedTime: Math.round(entry.offset),
+        stopOrder: index,
+        dwellMinutes: dwell > 0 ? Math.round(dwell * 10) / 10 : undefined,
+        gtfsStopId: entry.stop.stop_id,
+        metadata: entry.stop.stop_desc ? { description: entry.stop.stop_desc } : undefined
+      };
+    };
+    const stops = ordered.map(toStop);
+
+    // An afternoon trip that is not the morning one driven backwards keeps
+    // its own stop sequence and timings. Stops it alone serves are added to
+    // the route, so the morning run is listed explicitly too.
+    let directionRuns;
+    if (runs.to_school && runs.from_school) {
+      const afternoonStart = runs.from_school.stops[0].arrival;
+      const afternoon = runs.from_school.stops.map(entry => ({ ...entry, offset: entry.arrival - afternoonStart }));
+      const morningEnd = ordered[ordered.length - 1].offset;
+      const mirrored = [...ordered].reverse();
+
+      const isMirror = afternoon.length === mirrored.length && afternoon.every((entry, index) =>
+        entry.stop.stop_id === mirrored[index].stop.stop_id &&
+        Math.round(entry.offset) === Math.round(morningEnd - mirrored[index].offset)
+      );
+
+      if (!isMirror) {
+        const morningIds = new Set(ordered.map(entry => entry.stop.stop_id));
+        afternoon
+          .filter(entry => !morningIds.has(entry.stop.stop_id))
+          .forEach(entry => stops.push(toStop(entry, stops.length)));
+
+        const toRun = (entries) => entries.map(entry => ({
+          gtfsStopId: entry.stop.stop_id,
+          estimatedTime: Math.round(entry.offset)
+        }));
+        directionRuns = { to_school: toRun(ordered), from_school: toRun(afternoon) };
+      }
+    }
+
+    const schedule = {};
+    const geometry = {};
+    for (const [direction, run] of Object.entries(runs)) {
+      const start = run.stops[0].arrival;
+      const end = run.stops[run.stops.length - 1].arrival;
+      schedule[direction === 'to_school' ? 'morning' : 'afternoon'] = {
+        startTime: formatStartTime(start),
+        estimatedDuration: Math.round(end - start)
+      };
+
+      const shape = run.trip.shape_id && buildShape(shapesById, run.trip.shape_id);
+      if (shape) {
+        geometry[direction] = {
+          type: 'LineString',
+          coordinates: shape,
+          source: 'uploaded',
+          provider: 'gtfs',
+          updatedAt: new Date()
+        };
+      }
+    }
+
+    routes.push({
+      gtfsRouteId,
+      name,
+      direction: runs.to_school && runs.from_school ? 'both' : Object.keys(runs)[0],
+      stops,
+      runs: directionRuns,
+      schedule,
+      geometry,
+      warnings
+    });
+  }
+
+  return { routes, errors };
+};
+
+// Import a GTFS zip into a school's routes. Routes already imported from the
+// same route_id (or with the same name) are updated in place. Stops are
+// matched to the school's bus stops by GTFS stop id, so parents keep stops
+// that are still in the feed.
+// With dryRun nothing is written and the plan is returned as a preview.
+const importGtfsFeed = async (buffer, schoolId, { dryRun = false } = {}) => {
+  const feed = readFeed(buffer);
+  if (feed.errors.length > 0) {
+    return { dryRun, routes: [], errors: feed.errors };
+  }
+
+  const { routes: imported, errors } = buildRoutes(feed.files);
+  const existingRoutes = await Route.find({ school: schoolId });
+
+  const results = [];
+
+  for (const data of imported) {
+    const existing = existingRoutes.find(route => route.gtfs && route.gtfs.routeId === data.gtfsRouteId) ||
+      existingRoutes.find(route => route.name === data.name);
+
+    const result = {
+      gtfsRouteId: data.gtfsRouteId,
+      name: data.name,
+      action: existing ? 'update' : 'create',
+      routeId: existing ? existing._id : null,
+      direction: data.direction,
+      stops: data.stops.length,
+      separateRuns: !!data.runs,
+      schedule: data.schedule,
+      hasGeometry: Object.keys(data.geometry).length > 0,
+      warnings: data.warnings
+    };
+
+    if (!dryRun) {
+      const route = existing || new Route({ school: schoolId });
+      const previousStops = existing ? existing.stops.map(stop => stop.toObject()) : [];
+
+      const resolved = await resolveRouteStops(schoolId, data.stops, { geocode: false });
+      if (resolved.errors.length > 0) {
+        result.warnings = [...result.warnings, ...resolved.errors];
+      }
+      const stops = resolved.stops;
+
+      route.set({
+        name: data.name,
+        direction: data.direction,
+        stops,
+        gtfs: { routeId: data.gtfsRouteId, importedAt: new Date() }
+      });
+
+      // Runs name stops by GTFS id until the stops have ids of their own
+      const stopIdsByGtfsId = new Map(route.stops.map(stop => [stop.gtfsStopId, stop._id]));
+      for (const direction of ['to_school', 'from_school']) {
+        route.set(`runs.${direction}`, data.runs ?
+          data.runs[direction].map(entry => ({
+            stop: stopIdsByGtfsId.get(entry.gtfsStopId),
+            estimatedTime: entry.estimatedTime
+          })) :
+          undefined);
+      }
+      for (const [run, times] of Object.entries(data.schedule)) {
+        route.set(`schedule.${run}`, times);
+      }
+      for (const [direction, geometry] of Object.entries(data.geometry)) {
+        route.set(`geometry.${direction}`, geometry);
+      }
+
+      await route.save();
+      result.routeId = route._id;
+
+      const keptStopIds = new Set(route.stops.map(stop => stop._id.toString()));
+      for (const oldStop of previousStops) {
+        if (!keptStopIds.has(oldStop._id.toString())) {
+          await reassignStopRiders(route, oldStop, null);
+        }
+      }
+    }
+
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    routes: results,
+    errors,
+    summary: {
+      create: results.filter(result => result.action === 'create').length,
+      update: results.filter(result => result.action === 'update').length,
+      errors: errors.length
+    }
+  };
+};
+
+// Stop times for one run of a route, in the order the run drives them
+const buildRunStopTimes = (route, direction) => {
+  const run = direction === 'from_school' ? route.schedule.afternoon : route.schedule.morning;
+  const start = parseStartTime(run && run.startTime);
+  if (start === null) return [];
+
+  // Each run's stops carry their own offsets from the run's start
+  const stops = route.getStopsForDirection(direction);
+
+  const stopTimes = [];
+  let previousDeparture = start;
+
+  stops.forEach((stop, index) => {
+    const offset = stop.estimatedTime || 0;
+    const arrival = Math.max(start + offset, previousDeparture);
+    const isEndpoint = index === 0 || index === stops.length - 1;
+    const departure = arrival + (isEndpoint ? 0 : route.getDwellMinutes(stop));
+    previousDeparture = departure;
+
+    stopTimes.push({
+      trip_id: getGtfsTripId(route, direction),
+      arrival_time: formatGtfsTime(arrival),
+      departure_time: formatGtfsTime(departure),
+      stop_id: getGtfsStopId(stop),
+      stop_sequence: index + 1,
+      timepoint: 0
+    });
+  });
+
+  return stopTimes;
+};
+
+// Export a school's routes as a GTFS zip
+const exportGtfsFeed = (school, routes) => {
+  const agencyId = school._id.toString();
+
+  const stops = new Map();
+  const gtfsRoutes = [];
+  const trips = [];
+  const stopTimes = [];
+  const shapes = [];
+
+  for (const route of routes) {
+    const routeId = getGtfsRouteId(route);
+    gtfsRoutes.push({
+      route_id: routeId,
+      agency_id: agencyId,
+      route_short_name: route.name,
+      route_type: BUS_ROUTE_TYPE
+    });
+
+    for (const stop of route.stops) {
+      const stopId = getGtfsStopId(stop);
+      if (!stops.has(stopId)) {
+        stops.set(stopId, {
+          stop_id: stopId,
+          stop_name: stop.name,
+          stop_desc: stop.metadata && stop.metadata.description,
+          stop_lat: stop.location.coordinates[1],
+          stop_lon: stop.location.coordinates[0]
+        });
+      }
+    }
+
+    const directions = route.direction === 'both' ? ['to_school', 'from_school'] : [route.direction];
+
+    for (const direction of directions) {
+      const tripId = getGtfsTripId(route, direction);
+      const runStopTimes = buildRunStopTimes(route, direction);
+      if (runStopTimes.length < 2) continue;
+
+      const geometry = route.getGeometryForDirection(direction);
+      const shapeId = geometry ? tripId : '';
+      if (geometry) {
+        geometry.forEach((point, index) => {
+          shapes.push({
+            shape_id: shapeId,
+            shape_pt_lat: point[1],
+            shape_pt_lon: point[0],
+            shape_pt_sequence: index + 1
+          });
+        });
+      }
+
+      const runStops = route.getStopsForDirection(direction);
+      trips.push({
+        route_id: routeId,
+        service_id: SERVICE_ID,
+        trip_id: tripId,
+        trip_headsign: direction === 'to_school' ? school.name : runStops[runStops.length - 1].name,
+        direction_id: direction === 'to_school' ? 0 : 1,
+        shape_id: shapeId
+      });
+      stopTimes.push(...runStopTimes);
+    }
+  }
+
+  // School days run Monday to Friday for a year from today on the school's
+  // clock, the agency time zone of the feed
+  const timeZone = (school.settings && school.settings.timezone) || DEFAULT_TIMEZONE;
+  const startDate = zonedParts(new Date(), timeZone).dateKey;
+  const endDate = addDays(startDate, 365);
+
+  const zip = new AdmZip();
+  const addFile = (name, records, columns) => {
+    zip.addFile(name, Buffer.from(toCsv(records, columns), 'utf8'));
+  };
+
+  addFile('agency.txt', [{
+    agency_id: agencyId,
+    agency_name: school.name,
+    agency_url: (school.contactInfo && school.contactInfo.website) || process.env.GTFS_AGENCY_URL || 'https://example.com',
+    agency_timezone: timeZone,
+    agency_phone: school.contactInfo && school.contactInfo.phone
+  }], ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_phone']);
+  addFile('stops.txt', [...stops.values()], ['stop_id', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon']);
+  addFile('routes.txt', gtfsRoutes, ['route_id', 'agency_id', 'route_short_name', 'route_type']);
+  addFile('trips.txt', trips, ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id']);
+  addFile('stop_times.txt', stopTimes, ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'timepoint']);
+  addFile('calendar.txt', [{
+    service_id: SERVICE_ID,
+    monday: 1,
+    tuesday: 1,
+    wednesday: 1,
+    thursday: 1,
+    friday: 1,
+    saturday: 0,
+    sunday: 0,
+    start_date: formatGtfsDate(startDate),
+    end_date: formatGtfsDate(endDate)
+  }], ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date']);
+  if (shapes.length > 0) {
+    addFile('shapes.txt', shapes, ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence']);
+  }
+
+  return zip.toBuffer();
+};
+
+module.exports = {
+  importGtfsFeed,
+  exportGtfsFeed,
+  formatGtfsDate,
+  getGtfsStopId,
+  getGtfsRouteId,
+  getGtfsTripId
+};
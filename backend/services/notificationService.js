@@ -204,19 +204,111 @@ const sendDelayNotification = async (parent, bus, stop, delayMinutes) => {
   }
 };
 
-// Send route change notification
-const sendRouteChangeNotification = async (parent, bus, oldRoute, newRoute) => {
+// Send missed stop notification to parents
+const sendMissedStopNotification = async (parent, bus, stop) => {
+  try {
+    if (!parent.parent.pushToken || !parent.parent.notificationPreferences.arrivalNotifications) {
+      return false;
+    }
+
+    const message = {
+      title: 'Stop Missed',
+      body: `Bus ${bus.busNumber} did not stop at ${stop.name}. The school has been notified.`,
+      data: {
+        type: 'stop_missed',
+        busId: bus._id.toString(),
+        stopId: stop._id.toString(),
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(parent.parent.pushToken, message);
+  } catch (error) {
+    console.error('Error sending missed stop notification:', error);
+    return false;
+  }
+};
+
+// Send missed stop alert to school admin
+const sendMissedStopAlert = async (schoolAdmin, bus, stop) => {
+  try {
+    if (!schoolAdmin.pushToken) {
+      return false;
+    }
+
+    const message = {
+      title: 'Missed Stop Alert',
+      body: `Bus ${bus.busNumber} passed ${stop.name} without stopping`,
+      data: {
+        type: 'stop_missed',
+        busId: bus._id.toString(),
+        stopId: stop._id.toString(),
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(schoolAdmin.pushToken, message);
+  } catch (error) {
+    console.error('Error sending missed stop alert:', error);
+    return false;
+  }
+};
+
+// Tell a parent their stop was removed from the route, and which stop
+// replaces it if any
+const sendStopChangeNotification = async (parent, route, removedStop, newStop) => {
+  try {
+    if (!parent.parent.pushToken) {
+      return false;
+    }
+
+    const message = {
+      title: 'Bus Stop Change',
+      body: newStop ?
+        `${removedStop.name} has been removed from ${route.name}. Your stop is now ${newStop.name}.` :
+        `${removedStop.name} has been removed from ${route.name}. Please select a new stop.`,
+      data: {
+        type: 'stop_change',
+        routeId: route._id.toString(),
+        removedStopId: removedStop._id.toString(),
+        newStopId: newStop ? newStop._id.toString() : null,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(parent.parent.pushToken, message);
+  } catch (error) {
+    console.error('Error sending stop change notification:', error);
+    return false;
+  }
+};
+
+// Send route change notification. With changes ({ stopName, time, location })
+// the message says what changed at the parent's stop.
+const sendRouteChangeNotification = async (parent, bus, oldRoute, newRoute, changes) => {
   try {
     if (!parent.parent.pushToken) {
       return false;
     }
 
+    let body = bus ?
+      `Bus ${bus.busNumber} route has been updated` :
+      `Route ${newRoute.name} has been updated`;
+
+    if (changes) {
+      const details = [
+        changes.location && 'a new location',
+        changes.time && `a new pickup time of ${changes.time}`
+      ].filter(Boolean).join(' and ');
+      body = `${changes.stopName} on ${newRoute.name} now has ${details}`;
+    }
+
     const message = {
       title: 'Route Change',
-      body: `Bus ${bus.busNumber} route has been updated`,
+      body,
       data: {
         type: 'route_change',
-        busId: bus._id.toString(),
+        busId: bus ? bus._id.toString() : null,
         oldRouteId: oldRoute._id.toString(),
         newRouteId: newRoute._id.toString(),
         timestamp: new Date().toISOString()
@@ -230,6 +322,91 @@ const sendRouteChangeNotification = async (parent, bus, oldRoute, newRoute) => {
   }
 };
 
+// Tell a guardian their student got on or off a bus, e.g. "Maya boarded
+// Bus 12 at 7:42". time is the HH:MM it happened.
+const sendRideNotification = async (parent, { student, bus, stop, type, time }) => {
+  try {
+    if (!parent.parent.pushToken) {
+      return false;
+    }
+
+    const firstName = student.name.split(' ')[0];
+    const message = {
+      title: type === 'board' ? 'Boarded Bus' : 'Left Bus',
+      body: type === 'board' ?
+        `${firstName} boarded Bus ${bus.busNumber} at ${time}` :
+        `${firstName} got off Bus ${bus.busNumber} at ${stop.name} at ${time}`,
+      data: {
+        type: type === 'board' ? 'student_boarded' : 'student_alighted',
+        studentId: student._id.toString(),
+        busId: bus._id.toString(),
+        stopId: stop._id.toString(),
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(parent.parent.pushToken, message);
+  } catch (error) {
+    console.error('Error sending ride notification:', error);
+    return false;
+  }
+};
+
+// Alert the school admin that nobody was at the stop to collect a student
+// who must be met, and the bus is bringing them back
+const sendPickupEscalationAlert = async (schoolAdmin, { student, bus, stop }) => {
+  try {
+    if (!schoolAdmin.pushToken) {
+      return false;
+    }
+
+    const message = {
+      title: 'No Adult at Stop',
+      body: `Nobody was at ${stop.name} to collect ${student.name}. Bus ${bus.busNumber} is bringing them back to school.`,
+      data: {
+        type: 'pickup_escalation',
+        studentId: student._id.toString(),
+        busId: bus._id.toString(),
+        stopId: stop._id.toString(),
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(schoolAdmin.pushToken, message);
+  } catch (error) {
+    console.error('Error sending pickup escalation alert:', error);
+    return false;
+  }
+};
+
+// Tell a guardian their child wasn't collected at the stop and is going
+// back to school
+const sendNoPickupNotification = async (parent, { student, bus, stop }) => {
+  try {
+    if (!parent.parent.pushToken) {
+      return false;
+    }
+
+    const firstName = student.name.split(' ')[0];
+    const message = {
+      title: 'Not Collected at Stop',
+      body: `Nobody was at ${stop.name} to collect ${firstName}. Bus ${bus.busNumber} is taking ${firstName} back to school.`,
+      data: {
+        type: 'pickup_escalation',
+        studentId: student._id.toString(),
+        busId: bus._id.toString(),
+        stopId: stop._id.toString(),
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return await sendPushNotification(parent.parent.pushToken, message);
+  } catch (error) {
+    console.error('Error sending no pickup notification:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendPushNotification,
   sendPushNotifications,
@@ -237,5 +414,11 @@ module.exports = {
   sendArrivalNotification,
   sendEmergencyNotification,
   sendDelayNotification,
-  sendRouteChangeNotification
+  sendMissedStopNotification,
+  sendMissedStopAlert,
+  sendStopChangeNotification,
+  sendRouteChangeNotification,
+  sendRideNotification,
+  sendPickupEscalationAlert,
+  sendNoPickupNotification
 }; 
\ No newline at end of file
@@ -0,0 +1,154 @@
+const PickupEscalation = require('../models/PickupEscalation');
+const RideEvent = require('../models/RideEvent');
+const School = require('../models/School');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const {
+  sendPickupEscalationAlert,
+  sendNoPickupNotification
+} = require('./notificationService');
+
+// Names are compared ignoring case and spacing
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Whether getting off here needs a confirmed hand-over: students who must
+// be met, leaving an afternoon run anywhere but at a school
+const requiresHandover = (student, direction, type, stop) =>
+  !!student.requiresAdultAtStop && direction === 'from_school' && type === 'alight' && !stop.isSchoolStop;
+
+// Check who is collecting a student: a pickup adult by PIN, or a pickup
+// adult or a guardian who can pick up by name. Resolves to { handover }
+// for the ride event, or { error }.
+const verifyPickupAdult = async (student, { pin, adultName } = {}) => {
+  if (pin) {
+    for (const adult of student.pickupAdults) {
+      if (await adult.checkPin(pin)) {
+        return { handover: { adultName: adult.name, relationship: adult.relationship, method: 'pin' } };
+      }
+    }
+    return { error: 'PIN does not match an authorized adult' };
+  }
+
+  const name = normalizeName(adultName);
+  if (!name) {
+    return { error: 'Enter the PIN or name of the adult collecting the student' };
+  }
+
+  const adult = student.pickupAdults.find(entry => normalizeName(entry.name) === name);
+  if (adult) {
+    return { handover: { adultName: adult.name, relationship: adult.relationship, method: 'name' } };
+  }
+
+  const pickupGuardians = student.guardians.filter(guardian => guardian.canPickUp);
+  const users = await User.find({ _id: { $in: pickupGuardians.map(guardian => guardian.user) }, isActive: true })
+    .select('firstName lastName');
+  const user = users.find(entry => normalizeName(`${entry.firstName} ${entry.lastName}`) === name);
+  if (user) {
+    const guardian = student.getGuardian(user._id);
+    return { handover: { adultName: `${user.firstName} ${user.lastName}`, relationship: guardian.relationship, method: 'name' } };
+  }
+
+  return { error: `${adultName} is not authorized to collect ${student.name}` };
+};
+
+// Nobody authorized is at the stop: keep the student on board, record an
+// escalation and alert the school and the student's guardians. Resolves to
+// { escalation } or { error }. bus must have its route populated.
+const escalateMissingAdult = async (io, bus, student, { stopIndex = bus.currentStopIndex, notes, reportedBy } = {}) => {
+  const trip = bus.currentTrip ? await Trip.findById(bus.currentTrip) : null;
+  if (!trip || trip.status !== 'in_progress' || trip.direction !== 'from_school') {
+    return { error: 'Only afternoon runs in progress can be escalated' };
+  }
+
+  const stop = bus.route.getStopsForDirection(trip.direction)[stopIndex];
+  if (!stop || stop.isSchoolStop) {
+    return { error: 'Invalid stop index' };
+  }
+
+  const last = await RideEvent.findOne({ trip: trip._id, student: student._id }).sort({ time: -1 });
+  if (!last || last.type !== 'board') {
+    return { error: `${student.name} is not on board` };
+  }
+
+  const existing = await PickupEscalation.findOne({ trip: trip._id, student: student._id, status: 'open' });
+  if (existing) {
+    return { escalation: existing };
+  }
+
+  const escalation = new PickupEscalation({
+    school: bus.school,
+    student: student._id,
+    bus: bus._id,
+    route: bus.route._id,
+    trip: trip._id,
+    stop: stop._id,
+    stopIndex,
+    notes,
+    reportedBy
+  });
+  await escalation.save();
+
+  const event = {
+    escalationId: escalation._id,
+    studentId: student._id,
+    studentName: student.name,
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    stopId: stop._id,
+    stopName: stop.name,
+    timestamp: escalation.createdAt
+  };
+
+  if (io) {
+    io.to(`bus_${bus._id}`).emit('pickup_escalation', event);
+    io.to(`school_${bus.school}`).emit('pickup_escalation', event);
+  }
+
+  try {
+    const school = await School.findById(bus.school).populate('admin');
+    if (school && school.admin) {
+      await sendPickupEscalationAlert(school.admin, { student, bus, stop });
+    }
+
+    const guardianIds = student.guardians
+      .filter(guardian => guardian.receivesNotifications)
+      .map(guardian => guardian.user);
+    const guardians = await User.find({ _id: { $in: guardianIds }, isActive: true });
+    for (const guardian of guardians) {
+      await sendNoPickupNotification(guardian, { student, bus, stop });
+    }
+  } catch (error) {
+    console.error('Error sending pickup escalation notifications:', error);
+  }
+
+  return { escalation };
+};
+
+// Close a student's open escalation on a trip once they get off: returned
+// when that is at a school, otherwise resolved by the hand-over
+const closeEscalation = (tripId, studentId, { stop, time, handover }) => PickupEscalation.updateMany(
+  { trip: tripId, student: studentId, status: 'open' },
+  stop.isSchoolStop ?
+    { $set: { status: 'returned', returnedAt: time } } :
+    {
+      $set: {
+        status: 'resolved',
+        resolvedAt: time,
+        resolution: handover ? `Handed to ${handover.adultName} at ${stop.name}` : `Got off at ${stop.name}`
+      }
+    }
+);
+
+// Students on a trip whose escalation is still open, by id
+const getOpenEscalations = async (tripId) => {
+  const escalations = await PickupEscalation.find({ trip: tripId, status: 'open' }).select('student');
+  return new Set(escalations.map(escalation => escalation.student.toString()));
+};
+
+module.exports = {
+  requiresHandover,
+  verifyPickupAdult,
+  escalateMissingAdult,
+  closeEscalation,
+  getOpenEscalations
+};
@@ -0,0 +1,222 @@
+const RideEvent = require('../models/RideEvent');
+const Student = require('../models/Student');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { ArrivalLog } = require('../models/LocationLog');
+const { sendRideNotification } = require('./notificationService');
+const { getAbsences } = require('./absenceService');
+const { getSchoolDateKey, getSchoolTimeZone, zonedParts, zonedTime, addDays } = require('./calendarService');
+const { requiresHandover, closeEscalation, getOpenEscalations } = require('./pickupService');
+
+// Where a student is on a run, from their latest event
+const RIDE_STATUS = {
+  board: 'on_board',
+  alight: 'off_bus'
+};
+
+// Latest event of each student on a trip, keyed by student id
+const getLatestEvents = async (tripId) => {
+  const events = await RideEvent.find({ trip: tripId }).sort({ time: 1 });
+  return new Map(events.map(event => [event.student.toString(), event]));
+};
+
+// Students expected on a bus's current run: those assigned to its route or
+// bus, and those without a route whose stop for the run is on it. Each comes
+// with their stop on the run, whether they are on board and whether a
+// guardian reported them absent from today's run. Students who must be met
+// at their stop are marked, and returningToSchool marks those nobody
+// collected.
+const getRunRiders = async (bus) => {
+  const stops = bus.route.getStopsForDirection(bus.currentDirection);
+  const stopField = bus.currentDirection === 'from_school' ? 'pmStop' : 'amStop';
+
+  const students = await Student.find({
+    school: bus.school,
+    isActive: true,
+    [stopField]: { $in: stops.map(stop => stop._id) },
+    $or: [
+      { route: bus.route._id },
+      { bus: bus._id },
+      { route: null }
+    ]
+  }).select('name grade studentNumber amStop pmStop route bus requiresAdultAtStop').sort({ name: 1 });
+
+  const [latest, absences, escalated] = await Promise.all([
+    bus.currentTrip ? getLatestEvents(bus.currentTrip) : new Map(),
+    getSchoolDateKey(bus.school).then(date => getAbsences(bus.school, date, { students: students.map(student => student._id) })),
+    bus.currentTrip ? getOpenEscalations(bus.currentTrip) : new Set()
+  ]);
+
+  return students.map(student => {
+    const stopIndex = stops.findIndex(stop => stop._id.equals(student[stopField]));
+    const event = latest.get(student._id.toString());
+    const absent = absences.get(student._id.toString());
+    return {
+      student,
+      stopId: stops[stopIndex]._id,
+      stopName: stops[stopIndex].name,
+      stopIndex,
+      status: event ? RIDE_STATUS[event.type] : 'not_boarded',
+      absent: !!absent && absent.has(bus.currentDirection),
+      requiresAdultAtStop: student.requiresAdultAtStop,
+      returningToSchool: escalated.has(student._id.toString()),
+      lastEventAt: event ? event.time : null
+    };
+  });
+};
+
+// Record a student boarding or getting off a bus during its current run, at
+// stopIndex or the stop the bus is at. Counts the rider on the bus's arrival
+// at the stop and tells the student's guardians. Resolves to { event } or
+// { error } when there is no run or the student is already in that state.
+// Scans pass their device, badgeCode and flags. Students who must be met at
+// their afternoon stop only get off there with a confirmed handover (see
+// pickupService). bus must have its route populated.
+const recordRideEvent = async (io, bus, studentId, type, {
+  stopIndex = bus.currentStopIndex,
+  time = new Date(),
+  source = 'manual',
+  recordedBy,
+  device,
+  badgeCode,
+  flags = [],
+  handover
+} = {}) => {
+  const trip = bus.currentTrip ? await Trip.findById(bus.currentTrip) : null;
+  if (!trip || trip.status !== 'in_progress') {
+    return { error: 'Start the run before recording riders' };
+  }
+
+  const stop = bus.route.getStopsForDirection(bus.currentDirection)[stopIndex];
+  if (!stop) {
+    return { error: 'Invalid stop index' };
+  }
+
+  const student = await Student.findOne({ _id: studentId, school: bus.school, isActive: true });
+  if (!student) {
+    return { error: 'Student not found' };
+  }
+
+  if (!handover && requiresHandover(student, trip.direction, type, stop)) {
+    return { error: `${student.name} must be handed to an authorized adult`, requiresHandover: true };
+  }
+
+  const last = await RideEvent.findOne({ trip: trip._id, student: student._id }).sort({ time: -1 });
+  if (last && last.type === type) {
+    return {
+      error: type === 'board' ? `${student.name} is already on board` : `${student.name} has already got off`
+    };
+  }
+
+  const visit = bus.stopVisit;
+  const arrivalLog = visit && visit.stopIndex === stopIndex && !visit.departedAt && visit.arrivalLog ?
+    await ArrivalLog.findById(visit.arrivalLog) :
+    await ArrivalLog.findOne({ trip: trip._id, stop: stop._id }).sort({ actualTime: -1 });
+
+  const event = new RideEvent({
+    school: bus.school,
+    student: student._id,
+    type,
+    bus: bus._id,
+    route: bus.route._id,
+    trip: trip._id,
+    direction: trip.direction,
+    stop: stop._id,
+    stopIndex,
+    arrivalLog: arrivalLog ? arrivalLog._id : undefined,
+    time,
+    source,
+    device,
+    badgeCode,
+    flags,
+    handover,
+    recordedBy
+  });
+  await event.save();
+
+  if (type === 'alight') {
+    await closeEscalation(trip._id, student._id, { stop, time, handover });
+  }
+
+  if (arrivalLog) {
+    await ArrivalLog.updateOne(
+      { _id: arrivalLog._id },
+      { $inc: { [type === 'board' ? 'passengers.boarded' : 'passengers.disembarked']: 1 } }
+    );
+  }
+
+  if (io) {
+    io.to(`school_${bus.school}`).emit('student_ride_event', {
+      studentId: student._id,
+      studentName: student.name,
+      type,
+      busId: bus._id,
+      stopId: stop._id,
+      stopName: stop.name,
+      source,
+      flags,
+      timestamp: time
+    });
+  }
+
+  const guardianIds = student.guardians
+    .filter(guardian => guardian.receivesNotifications)
+    .map(guardian => guardian.user);
+  const guardians = await User.find({ _id: { $in: guardianIds }, isActive: true });
+  if (guardians.length > 0) {
+    // Guardians read the time on the school's clock
+    const { time: clock } = zonedParts(time, await getSchoolTimeZone(bus.school));
+    for (const guardian of guardians) {
+      await sendRideNotification(guardian, { student, bus, stop, type, time: clock });
+    }
+  }
+
+  return { event };
+};
+
+// A school's ride events, oldest first, filtered by day (date, or from and
+// to, YYYY-MM-DD inclusive), student, bus, route, trip, type or direction.
+// Resolves to { events, summary }, where summary counts boardings,
+// alightings and the students who rode.
+const getRidership = async (schoolId, { date, from, to, studentId, busId, routeId, tripId, type, direction } = {}) => {
+  const query = { school: schoolId };
+  if (studentId) query.student = studentId;
+  if (busId) query.bus = busId;
+  if (routeId) query.route = routeId;
+  if (tripId) query.trip = tripId;
+  if (type) query.type = type;
+  if (direction) query.direction = direction;
+
+  // Days start at midnight on the school's clock
+  const first = date || from;
+  const last = date || to;
+  if (first || last) {
+    const timeZone = await getSchoolTimeZone(schoolId);
+    query.time = {};
+    if (first) query.time.$gte = zonedTime(first, '00:00', timeZone);
+    if (last) query.time.$lt = zonedTime(addDays(last, 1), '00:00', timeZone);
+  }
+
+  const events = await RideEvent.find(query)
+    .populate('student', 'name grade studentNumber')
+    .populate('bus', 'busNumber')
+    .populate('route', 'name')
+    .populate('stop', 'name')
+    .sort({ time: 1 });
+
+  return {
+    events,
+    summary: {
+      boardings: events.filter(event => event.type === 'board').length,
+      alightings: events.filter(event => event.type === 'alight').length,
+      // Rides of students since deleted populate as null
+      students: new Set(events.filter(event => event.student).map(event => (event.student._id || event.student).toString())).size
+    }
+  };
+};
+
+module.exports = {
+  getRunRiders,
+  recordRideEvent,
+  getRidership
+};
@@ -0,0 +1,341 @@
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const { distanceBetween, matchToLine } = require('../utils/geo');
+
+// Turn GPX, KML/KMZ and GeoJSON files into draft route data. Waypoints and
+// placemarks become stops; tracks and LineStrings become the route
+// geometry. Problems are reported per feature so one bad placemark does not
+// sink the whole file.
+
+// Speed used to estimate stop times when the file has no timestamps
+const ESTIMATE_SPEED = 30; // km/h
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// Text content of an XML node, which may carry attributes or CDATA
+const textOf = (node) => {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : undefined;
+  return String(node);
+};
+
+const isValidCoordinate = ([lng, lat]) =>
+  typeof lng === 'number' && typeof lat === 'number' &&
+  !isNaN(lng) && !isNaN(lat) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// Guess the format from the file name, then from the content
+const detectFormat = (fileName = '', text = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'kml' || extension === 'kmz') return 'kml';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(text)) return 'gpx';
+  if (/<kml[\s>]/.test(text)) return 'kml';
+  return null;
+};
+
+const parseGeoJson = (text, result) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    result.errors.push({ feature: null, message: `Invalid JSON: ${error.message}` });
+    return;
+  }
+
+  const features = data.type === 'FeatureCollection' ? asArray(data.features) :
+    data.type === 'Feature' ? [data] :
+    [{ type: 'Feature', geometry: data, properties: {} }];
+
+  result.name = data.name || (data.properties && data.properties.name);
+
+  features.forEach((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const label = properties.name || `Feature ${index + 1}`;
+    const geometry = feature && feature.geometry;
+
+    if (!geometry || !geometry.type) {
+      result.errors.push({ feature: label, message: 'Feature has no geometry' });
+      return;
+    }
+
+    switch (geometry.type) {
+      case 'Point':
+        if (!Array.isArray(geometry.coordinates) || !isValidCoordinate(geometry.coordinates)) {
+          result.errors.push({ feature: label, message: 'Point has invalid coordinates' });
+          return;
+        }
+        result.stops.push({
+          name: properties.name || properties.title,
+          description: properties.description || properties.desc,
+          coordinates: geometry.coordinates.slice(0, 2),
+          time: properties.time ? new Date(properties.time) : undefined
+        });
+        break;
+      case 'LineString':
+      case 'MultiLineString': {
+        const parts = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const line = [].concat(...asArray(parts).map(asArray)).map(point => asArray(point).slice(0, 2));
+        if (line.length < 2 || !line.every(isValidCoordinate)) {
+          result.errors.push({ feature: label, message: `${geometry.type} has invalid coordinates` });
+          return;
+        }
+        result.lines.push({ name: label, coordinates: line });
+        break;
+      }
+      default:
+        result.errors.push({ feature: label, message: `Unsupported geometry type ${geometry.type}` });
+    }
+  });
+};
+
+const gpxPoint = (point) => [parseFloat(point['@_lon']), parseFloat(point['@_lat'])];
+
+const parseGpx = (text, result) => {
+  let gpx;
+  try {
+    gpx = xmlParser.parse(text).gpx;
+  } catch (error) {
+    result.errors.push({ feature: null, message: `Invalid GPX: ${error.message}` });
+    return;
+  }
+
+  if (!gpx) {
+    result.errors.push({ feature: null, message: 'File has no <gpx> element' });
+    return;
+  }
+
+  result.name = textOf(gpx.metadata && gpx.metadata.name);
+
+  const addStop = (point, label) => {
+    const coordinates = gpxPoint(point);
+    if (!isValidCoordinate(coordinates)) {
+      result.errors.push({ feature: label, message: 'Waypoint has invalid coordinates' });
+      return;
+    }
+    result.stops.push({
+      name: textOf(point.name),
+      description: textOf(point.desc) || textOf(point.cmt),
+      coordinates,
+      time: point.time ? new Date(textOf(point.time)) : undefined
+    });
+  };
+
+  const addLine = (points, label) => {
+    const coordinates = points.map(gpxPoint);
+    if (coordinates.length < 2 || !coordinates.every(isValidCoordinate)) {
+      result.errors.push({ feature: label, message: 'Track has fewer than two valid points' });
+      return;
+    }
+    result.lines.push({ name: label, coordinates });
+  };
+
+  asArray(gpx.wpt).forEach((point, index) => addStop(point, textOf(point.name) || `Waypoint ${index + 1}`));
+
+  asArray(gpx.trk).forEach((track, index) => {
+    const label = textOf(track.name) || `Track ${index + 1}`;
+    const points = [].concat(...asArray(track.trkseg).map(segment => asArray(segment.trkpt)));
+    addLine(points, label);
+  });
+
+  // A planned <rte> supplies the stops when there are no waypoints, and the
+  // path when there is no recorded track
+  asArray(gpx.rte).forEach((route, index) => {
+    const label = textOf(route.name) || `Route ${index + 1}`;
+    const points = asArray(route.rtept);
+    if (asArray(gpx.wpt).length === 0) {
+      points.forEach((point, pointIndex) => addStop(point, textOf(point.name) || `${label} point ${pointIndex + 1}`));
+    }
+    if (asArray(gpx.trk).length === 0) {
+      addLine(points, label);
+    }
+  });
+};
+
+const kmlCoordinates = (node) => (textOf(node) || '')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(parseFloat));
+
+// Collect every Placemark, however deeply Documents and Folders nest them
+const collectPlacemarks = (node, placemarks = []) => {
+  if (!node || typeof node !== 'object') return placemarks;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'Placemark') {
+      placemarks.push(...asArray(value));
+    } else if (typeof value === 'object') {
+      asArray(value).forEach(child => collectPlacemarks(child, placemarks));
+    }
+  }
+  return placemarks;
+};
+
+const parseKml = (text, result) => {
+  let kml;
+  try {
+    kml = xmlParser.parse(text).kml;
+  } catch (error) {
+    result.errors.push({ feature: null, message: `Invalid KML: ${error.message}` });
+    return;
+  }
+
+  if (!kml) {
+    result.errors.push({ feature: null, message: 'File has no <kml> element' });
+    return;
+  }
+
+  const documentNode = kml.Document || kml.Folder || {};
+  result.name = textOf(documentNode.name);
+
+  collectPlacemarks(kml).forEach((placemark, index) => {
+    const label = textOf(placemark.name) || `Placemark ${index + 1}`;
+    const geometries = [placemark, ...asArray(placemark.MultiGeometry)];
+    const points = [].concat(...geometries.map(geometry => asArray(geometry.Point)));
+    const lines = [].concat(...geometries.map(geometry => asArray(geometry.LineString)));
+
+    if (points.length === 0 && lines.length === 0) {
+      result.errors.push({ feature: label, message: 'Placemark has no Point or LineString' });
+      return;
+    }
+
+    points.forEach(point => {
+      const [coordinates] = kmlCoordinates(point.coordinates);
+      if (!coordinates || !isValidCoordinate(coordinates)) {
+        result.errors.push({ feature: label, message: 'Point has invalid coordinates' });
+        return;
+      }
+      result.stops.push({
+        name: textOf(placemark.name),
+        description: textOf(placemark.description),
+        coordinates,
+        time: placemark.TimeStamp ? new Date(textOf(placemark.TimeStamp.when)) : undefined
+      });
+    });
+
+    lines.forEach(line => {
+      const coordinates = kmlCoordinates(line.coordinates);
+      if (coordinates.length < 2 || !coordinates.every(isValidCoordinate)) {
+        result.errors.push({ feature: label, message: 'LineString has fewer than two valid points' });
+        return;
+      }
+      result.lines.push({ name: label, coordinates });
+    });
+  });
+};
+
+// KMZ files are zips holding a KML document
+const readKmz = (buffer) => {
+  try {
+    const entry = new AdmZip(buffer).getEntries()
+      .find(candidate => candidate.entryName.toLowerCase().endsWith('.kml'));
+    return entry ? entry.getData().toString('utf8') : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse an uploaded file into stops, lines and per-feature errors
+const parseRouteFile = (buffer, fileName = '') => {
+  const result = { format: null, name: undefined, stops: [], lines: [], errors: [] };
+
+  let text = buffer.toString('utf8');
+  if (fileName.toLowerCase().endsWith('.kmz')) {
+    text = readKmz(buffer);
+    if (!text) {
+      result.errors.push({ feature: null, message: 'KMZ file has no KML document' });
+      return result;
+    }
+  }
+
+  result.format = detectFormat(fileName, text);
+
+  switch (result.format) {
+    case 'geojson':
+      parseGeoJson(text, result);
+      break;
+    case 'gpx':
+      parseGpx(text, result);
+      break;
+    case 'kml':
+      parseKml(text, result);
+      break;
+    default:
+      result.errors.push({ feature: null, message: 'Unrecognised file format; expected GPX, KML or GeoJSON' });
+  }
+
+  return result;
+};
+
+// Build draft Route fields from a parsed file. Stops follow the line when
+// there is one, otherwise file order. Stop times come from timestamps when
+// every stop has one, otherwise from distance at a fixed speed.
+const buildDraftRoute = (parsed, { name, dwellMinutes = 1 } = {}) => {
+  const warnings = [];
+  const line = parsed.lines[0];
+
+  if (parsed.lines.length > 1) {
+    warnings.push(`${parsed.lines.length} lines found; only "${line.name}" is used as the route geometry`);
+  }
+
+  let stops = parsed.stops.map((stop, index) => ({ ...stop, fileIndex: index }));
+
+  if (line) {
+    stops = stops
+      .map(stop => ({ ...stop, progress: matchToLine(stop.coordinates, line.coordinates).progress }))
+      .sort((a, b) => a.progress - b.progress || a.fileIndex - b.fileIndex);
+  }
+
+  const hasTimes = stops.length > 0 &&
+    stops.every(stop => stop.time instanceof Date && !isNaN(stop.time));
+
+  let elapsed = 0;
+  const routeStops = stops.map((stop, index) => {
+    if (index > 0) {
+      const previous = stops[index - 1];
+      elapsed = hasTimes ?
+        (stop.time - stops[0].time) / 60000 :
+        elapsed + (distanceBetween(previous.coordinates, stop.coordinates) / 1000 / ESTIMATE_SPEED) * 60 + dwellMinutes;
+    }
+
+    return {
+      name: stop.name || `Stop ${index + 1}`,
+      location: { type: 'Point', coordinates: stop.coordinates },
+      estimatedTime: Math.max(0, Math.round(elapsed)),
+      stopOrder: index,
+      metadata: stop.description ? { description: stop.description } : undefined
+    };
+  });
+
+  return {
+    name: name || parsed.name,
+    stops: routeStops,
+    geometry: line ? {
+      to_school: {
+        type: 'LineString',
+        coordinates: line.coordinates,
+        source: 'uploaded',
+        provider: parsed.format,
+        updatedAt: new Date()
+      }
+    } : undefined,
+    warnings
+  };
+};
+
+module.exports = {
+  parseRouteFile,
+  buildDraftRoute
+};
@@ -0,0 +1,213 @@
+const { getTravelMatrix } = require('./trafficService');
+const { distanceBetween } = require('../utils/geo');
+
+// Straight-line fallback when no routing provider is configured
+const HEURISTIC_SPEED = 30; // km/h
+const HEURISTIC_DETOUR_FACTOR = 1.3;
+
+const toPoint = (coordinates) => ({ lat: coordinates[1], lng: coordinates[0] });
+
+// Estimate a travel matrix from straight-line distances
+const buildHeuristicMatrix = (points) => {
+  const distances = points.map(from => points.map(to =>
+    distanceBetween([from.lng, from.lat], [to.lng, to.lat]) * HEURISTIC_DETOUR_FACTOR));
+  const durations = distances.map(row => row.map(distance => distance / (HEURISTIC_SPEED / 3.6)));
+  return { distances, durations, provider: 'heuristic' };
+};
+
+// Unreachable pairs cost far more than any real leg
+const legCost = (costs, from, to) => {
+  const cost = costs[from][to];
+  return cost === null || cost === undefined ? 1e9 : cost;
+};
+
+const pathCost = (costs, path) => {
+  let total = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    total += legCost(costs, path[i], path[i + 1]);
+  }
+  return total;
+};
+
+// Order `nodes` into a path that ends at `end`, minimising the summed costs.
+// Tries a nearest-neighbour path back from the end, then improves it with
+// 2-opt moves until none helps. Costs may be asymmetric, so each candidate
+// is re-costed in full; routes are small enough for this to be quick.
+const solvePathToEnd = (costs, nodes, end) => {
+  const remaining = new Set(nodes);
+  const reversed = [end];
+  let current = end;
+
+  while (remaining.size > 0) {
+    let nearest = null;
+    for (const node of remaining) {
+      if (nearest === null || legCost(costs, node, current) < legCost(costs, nearest, current)) {
+        nearest = node;
+      }
+    }
+    reversed.push(nearest);
+    remaining.delete(nearest);
+    current = nearest;
+  }
+
+  let path = reversed.reverse();
+  let bestCost = pathCost(costs, path);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    // The last node is the fixed end and is never moved
+    for (let i = 0; i < path.length - 2; i++) {
+      for (let j = i + 1; j < path.length - 1; j++) {
+        const candidate = [
+          ...path.slice(0, i),
+          ...path.slice(i, j + 1).reverse(),
+          ...path.slice(j + 1)
+        ];
+        const cost = pathCost(costs, candidate);
+        if (cost < bestCost - 1e-6) {
+          path = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return path;
+};
+
+// Distance, duration and schedule offsets for stops driven in the given
+// order (indexes into route.stops). Totals use the run's own costs;
+// estimatedTime follows the stored morning order, keeping the first stop's
+// offset and adding each leg's drive time plus the dwell at the stop before.
+const describeOrder = (route, order, matrix, runMatrix, schoolIndex, startOffset) => {
+  const path = [...order, schoolIndex];
+  let distance = 0;
+  let duration = 0;
+  let elapsed = startOffset;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    distance += legCost(runMatrix.distances, path[i], path[i + 1]);
+    duration += legCost(runMatrix.durations, path[i], path[i + 1]);
+  }
+
+  const stops = order.map((stopIndex, position) => {
+    const stop = route.stops[stopIndex];
+
+    if (position > 0) {
+      const previous = route.stops[order[position - 1]];
+      elapsed += legCost(matrix.durations, order[position - 1], stopIndex) / 60 +
+        route.getDwellMinutes(previous);
+    }
+
+    return {
+      stopId: stop._id,
+      name: stop.name,
+      stopOrder: stop.stopOrder,
+      estimatedTime: Math.round(elapsed)
+    };
+  });
+
+  return {
+    stops,
+    distance: Math.round(distance / 10) / 100, // km
+    duration: Math.round(duration / 60) // minutes
+  };
+};
+
+// Propose a stop order for a route that minimises drive time or distance.
+// Stops are stored in morning order, ending at the school, and afternoon
+// runs drive them backwards from the school. Stops flagged isSchoolStop stay
+// at the school end. Pass stopIds (every stop once) to evaluate a specific
+// order, such as a proposal being accepted. Returns null when the school's
+// location is unknown.
+const optimizeStopOrder = async (route, school, { objective = 'duration', direction, stopIds } = {}) => {
+  const runDirection = direction || (route.direction === 'from_school' ? 'from_school' : 'to_school');
+
+  const schoolStops = [];
+  const movable = [];
+  route.stops.forEach((stop, index) => {
+    (stop.isSchoolStop ? schoolStops : movable).push(index);
+  });
+
+  const schoolCoordinates = schoolStops.length > 0 ?
+    route.stops[schoolStops[schoolStops.length - 1]].location.coordinates :
+    school && school.location && school.location.coordinates;
+
+  if (!schoolCoordinates || schoolCoordinates.length < 2 ||
+      (schoolCoordinates[0] === 0 && schoolCoordinates[1] === 0)) {
+    return null;
+  }
+
+  // Matrix nodes are the route's stops followed by the school
+  const schoolIndex = route.stops.length;
+  const points = [
+    ...route.stops.map(stop => toPoint(stop.location.coordinates)),
+    toPoint(schoolCoordinates)
+  ];
+
+  const matrix = await getTravelMatrix(points) || buildHeuristicMatrix(points);
+
+  // Afternoon runs leave the school and drive the stored order backwards,
+  // so they are costed on the transposed matrix
+  const transpose = (costs) => costs.map((row, i) => row.map((cost, j) => costs[j][i]));
+  const runMatrix = runDirection === 'from_school' ?
+    { distances: transpose(matrix.distances), durations: transpose(matrix.durations) } :
+    matrix;
+  const costs = objective === 'distance' ? runMatrix.distances : runMatrix.durations;
+
+  let proposedOrder;
+  if (stopIds) {
+    const indexById = new Map(route.stops.map((stop, index) => [stop._id.toString(), index]));
+    proposedOrder = stopIds.map(id => indexById.get(id.toString()));
+  } else {
+    const solved = solvePathToEnd(costs, movable, schoolIndex).slice(0, -1);
+    proposedOrder = [...solved, ...schoolStops];
+  }
+
+  const currentOrder = route.stops.map((stop, index) => index);
+  const startOffset = Math.min(...route.stops.map(stop => stop.estimatedTime || 0));
+
+  const current = describeOrder(route, currentOrder, matrix, runMatrix, schoolIndex, startOffset);
+  const proposed = describeOrder(route, proposedOrder, matrix, runMatrix, schoolIndex, startOffset);
+
+  // Assign the route's existing stopOrder values in the new sequence
+  const stopOrders = route.stops.map(stop => stop.stopOrder).sort((a, b) => a - b);
+  proposed.stops.forEach((stop, position) => {
+    stop.stopOrder = stopOrders[position];
+  });
+
+  return {
+    objective,
+    direction: runDirection,
+    provider: matrix.provider,
+    current,
+    proposed,
+    delta: {
+      distance: Math.round((proposed.distance - current.distance) * 100) / 100,
+      duration: proposed.duration - current.duration
+    },
+    changed: proposedOrder.some((stopIndex, position) => stopIndex !== position)
+  };
+};
+
+// Rewrite the route's stops in the proposed order with their new stopOrder
+// and estimatedTime. The caller saves the route.
+const applyStopOrder = (route, proposal) => {
+  const stopsById = new Map(route.stops.map(stop => [stop._id.toString(), stop.toObject()]));
+
+  route.stops = proposal.proposed.stops.map(proposedStop => ({
+    ...stopsById.get(proposedStop.stopId.toString()),
+    stopOrder: proposedStop.stopOrder,
+    estimatedTime: proposedStop.estimatedTime
+  }));
+  route.totalDistance = proposal.proposed.distance;
+
+  return route;
+};
+
+module.exports = {
+  optimizeStopOrder,
+  applyStopOrder
+};
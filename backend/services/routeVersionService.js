@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const Route = require('../models/Route');
+const RouteVersion = require('../models/RouteVersion');
+const Bus = require('../models/Bus');
+const { getStopTimes } = require('./scheduleService');
+const { resolveRouteStops, reassignStopRiders } = require('./stopService');
+const { findStopParents } = require('./studentService');
+const { sendRouteChangeNotification } = require('./notificationService');
+const { distanceBetween } = require('../utils/geo');
+
+// A stop counts as moved when it shifts further than this
+const MOVED_THRESHOLD = 25; // metres
+
+// The parts of a route that a version replaces
+const VERSIONED_FIELDS = ['stops', 'runs', 'schedule', 'direction', 'dwellMinutes'];
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const snapshotRoute = (route) => ({
+  stops: route.stops.map(toPlain),
+  runs: toPlain(route.runs),
+  schedule: toPlain(route.schedule),
+  direction: route.direction,
+  dwellMinutes: route.dwellMinutes
+});
+
+// Plain JSON with keys sorted, since a loaded route lists its fields in
+// the stored order rather than the schema's
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+};
+
+// Identifies a route's layout, so a version can tell whether the route was
+// edited after the version was drafted from it
+const layoutFingerprint = (route) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(sortKeys(JSON.parse(JSON.stringify(snapshotRoute(route))))))
+  .digest('hex');
+
+// Keep the run entries whose stops are still on the route
+const filterRuns = (runs, stops) => {
+  if (!runs) return runs;
+
+  const stopIds = new Set(stops.filter(stop => stop._id).map(stop => stop._id.toString()));
+  const filtered = {};
+  for (const direction of ['to_school', 'from_school']) {
+    if (runs[direction]) {
+      filtered[direction] = runs[direction].filter(entry => stopIds.has(entry.stop.toString()));
+    }
+  }
+  return filtered;
+};
+
+// Give new stops the ids of the current stops they stand for, matched by id,
+// GTFS stop id or name, so parents keep their stop across versions
+const matchStopIds = (currentStops, newStops) => {
+  const unmatched = [...currentStops];
+  const take = (predicate) => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  return newStops.map(stop => {
+    const match =
+      (stop._id && take(current => current._id.toString() === stop._id.toString())) ||
+      (stop.gtfsStopId && take(current => current.gtfsStopId === stop.gtfsStopId)) ||
+      (stop.name && take(current => current.name.trim().toLowerCase() === stop.name.trim().toLowerCase()));
+
+    const { _id, ...fields } = stop;
+    return match ? { ...fields, _id: match._id } : fields;
+  });
+};
+
+// Stops for a new version: current stops keep their ids and the rest are
+// matched to, or added as, the school's bus stops. Their details change the
+// shared stops only when the version is applied. Returns { stops, errors }.
+const resolveVersionStops = (route, stops) =>
+  resolveRouteStops(route.school, matchStopIds(route.stops, stops), { updateShared: false });
+
+// Compare two route layouts (a route or a version). Stops are matched by id.
+const diffLayouts = (from, to, date = new Date()) => {
+  const fromStops = new Map(from.stops.map(stop => [stop._id.toString(), stop]));
+  const toStops = new Map(to.stops.map(stop => [stop._id.toString(), stop]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, stop] of toStops) {
+    const previous = fromStops.get(id);
+    if (!previous) {
+      added.push({ stopId: stop._id, name: stop.name });
+      continue;
+    }
+
+    const changes = {};
+
+    const moved = distanceBetween(previous.location.coordinates, stop.location.coordinates);
+    if (moved > MOVED_THRESHOLD) {
+      changes.location = {
+        from: previous.location.coordinates,
+        to: stop.location.coordinates,
+        distance: Math.round(moved)
+      };
+    }
+
+    const previousTimes = getStopTimes(from, previous, date);
+    const newTimes = getStopTimes(to, stop, date);
+    for (const run of ['morning', 'afternoon']) {
+      if (previousTimes[run] !== newTimes[run]) {
+        changes[`${run}Time`] = { from: previousTimes[run], to: newTimes[run] };
+      }
+    }
+
+    if (previous.name !== stop.name) {
+      changes.name = { from: previous.name, to: stop.name };
+    }
+    if (previous.stopOrder !== stop.stopOrder) {
+      changes.stopOrder = { from: previous.stopOrder, to: stop.stopOrder };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ stopId: stop._id, name: stop.name, changes });
+    }
+  }
+
+  for (const [id, stop] of fromStops) {
+    if (!toStops.has(id)) {
+      removed.push({ stopId: stop._id, name: stop.name });
+    }
+  }
+
+  return { added, removed, changed };
+};
+
+// Record the route's current layout as a version, once, so later versions
+// have something to be compared with
+const ensureCurrentVersion = async (route) => {
+  const existing = await RouteVersion.findOne({ route: route._id, version: route.version });
+  if (existing) return existing;
+
+  return RouteVersion.create({
+    route: route._id,
+    school: route.school,
+    version: route.version,
+    effectiveFrom: route.createdAt || new Date(),
+    status: 'active',
+    appliedAt: route.createdAt || new Date(),
+    ...snapshotRoute(route)
+  });
+};
+
+// Schedule a new version of a route. Fields left out keep their current
+// values.
+const createVersion = async (route, data, user) => {
+  await ensureCurrentVersion(route);
+
+  const latest = await RouteVersion.findOne({ route: route._id }).sort({ version: -1 });
+  const current = snapshotRoute(route);
+  const stops = data.stops ? matchStopIds(route.stops, data.stops) : current.stops;
+
+  const version = new RouteVersion({
+    route: route._id,
+    school: route.school,
+    version: Math.max(route.version, latest ? latest.version : 0) + 1,
+    effectiveFrom: data.effectiveFrom,
+    stops,
+    runs: filterRuns(current.runs, stops),
+    schedule: data.schedule ? {
+      morning: { ...current.schedule.morning, ...data.schedule.morning },
+      afternoon: { ...current.schedule.afternoon, ...data.schedule.afternoon }
+    } : current.schedule,
+    direction: data.direction || current.direction,
+    dwellMinutes: data.dwellMinutes !== undefined ? data.dwellMinutes : current.dwellMinutes,
+    notes: data.notes,
+    baseFingerprint: layoutFingerprint(route),
+    createdBy: user ? user._id : undefined
+  });
+
+  await version.save();
+  return version;
+};
+
+// Tell the parents at changed stops what changed, and move parents off
+// removed stops. Returns the number of parents notified.
+const notifyParents = async (route, diff) => {
+  const bus = route.bus ? await Bus.findById(route.bus) : null;
+  let notified = 0;
+
+  for (const entry of diff.changed) {
+    const { changes } = entry;
+    const timeChange = changes.morningTime || changes.afternoonTime;
+    if (!changes.location && !timeChange) continue;
+
+    const parents = await findStopParents(entry.stopId, { school: route.school });
+
+    for (const parent of parents) {
+      await sendRouteChangeNotification(parent, bus, route, route, {
+        stopName: entry.name,
+        location: !!changes.location,
+        time: timeChange && [changes.morningTime, changes.afternoonTime]
+          .filter(Boolean)
+          .map(change => change.to)
+          .join(' / ')
+      });
+    }
+    notified += parents.length;
+  }
+
+  for (const entry of diff.removed) {
+    notified += await reassignStopRiders(route, { _id: entry.stopId, name: entry.name }, null);
+  }
+
+  return notified;
+};
+
+// Put a scheduled version into effect: rewrite the route, retire the
+// previous version and notify affected parents. A version drafted from a
+// layout the route no longer has would undo the edits made since, so it is
+// marked as a conflict instead and the route is left alone.
+const applyVersion = async (version, now = new Date()) => {
+  const route = await Route.findById(version.route);
+  if (!route) {
+    version.status = 'cancelled';
+    await version.save();
+    return null;
+  }
+
+  if (version.baseFingerprint && version.baseFingerprint !== layoutFingerprint(route)) {
+    version.status = 'conflict';
+    await version.save();
+    return { route, version, conflict: true };
+  }
+
+  await ensureCurrentVersion(route);
+  const previous = snapshotRoute(route);
+
+  // The version's stop details become those of the shared bus stops
+  const resolved = await resolveRouteStops(route.school, toPlain(version.stops));
+  version.stops = resolved.stops;
+
+  for (const field of VERSIONED_FIELDS) {
+    if (version[field] !== undefined) {
+      route.set(field, toPlain(version[field]));
+    }
+  }
+  route.version = version.version;
+  await route.save();
+
+  await RouteVersion.updateMany(
+    { route: route._id, status: 'active', _id: { $ne: version._id } },
+    { status: 'superseded' }
+  );
+
+  const diff = diffLayouts(previous, route, now);
+
+  version.status = 'active';
+  version.appliedAt = now;
+  version.notifiedParents = await notifyParents(route, diff);
+  await version.save();
+
+  return { route, version, diff };
+};
+
+// Apply every scheduled version whose effective date has come, oldest first
+const applyDueVersions = async (now = new Date()) => {
+  const due = await RouteVersion.find({
+    status: 'scheduled',
+    effectiveFrom: { $lte: now }
+  }).sort({ effectiveFrom: 1, version: 1 });
+
+  const applied = [];
+  for (const version of due) {
+    try {
+      const result = await applyVersion(version, now);
+      if (result && result.conflict) {
+        console.warn(`Version ${version.version} of route ${version.route} was not applied: the route changed after it was scheduled`);
+      } else if (result) {
+        applied.push(result);
+      }
+    } catch (error) {
+      console.error(`Error applying version ${version.version} of route ${version.route}:`, error);
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  snapshotRoute,
+  layoutFingerprint,
+  resolveVersionStops,
+  diffLayouts,
+  createVersion,
+  applyVersion,
+  applyDueVersions
+};
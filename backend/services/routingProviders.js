@@ -0,0 +1,239 @@
+const axios = require('axios');
+const { distanceBetween, decodePolyline } = require('../utils/geo');
+
+// Every provider implements getDirections({ origin, destination, waypoints,
+// alternatives, geometry }) with points as { lat, lng } and resolves to
+// { routes: [{ legs: [{ distance, duration, durationInTraffic }], geometry }] }
+// (metres and seconds), or null when no route is available. geometry is a
+// list of [lng, lat] pairs and is only filled in when requested.
+//
+// Providers also implement getMatrix({ points }), resolving to
+// { distances, durations } where entry [i][j] is the trip from point i to
+// point j (metres and seconds, null when unreachable), or null on failure.
+
+const REQUEST_TIMEOUT = 10000; // milliseconds
+// Google's Distance Matrix API allows 100 elements per request, and 25
+// origins and 25 destinations
+const GOOGLE_MATRIX_ELEMENTS = 100;
+const GOOGLE_MATRIX_POINTS = 25;
+
+// Google Maps Directions API
+const createGoogleProvider = ({ apiKey }) => ({
+  name: 'google',
+  supportsTraffic: true,
+
+  getDirections: async ({ origin, destination, waypoints = [], alternatives = false, geometry = false }) => {
+    const params = {
+      origin: `${origin.lat},${origin.lng}`,
+      destination: `${destination.lat},${destination.lng}`,
+      mode: 'driving',
+      traffic_model: 'best_guess',
+      departure_time: 'now',
+      key: apiKey
+    };
+
+    if (waypoints.length > 0) {
+      params.waypoints = waypoints.map(wp => `${wp.lat},${wp.lng}`).join('|');
+    }
+    if (alternatives) {
+      params.alternatives = true;
+    }
+
+    const response = await axios.get('https://maps.googleapis.com/maps/api/directions/json', {
+      params,
+      timeout: REQUEST_TIMEOUT
+    });
+
+    if (response.data.status !== 'OK') {
+      console.error('Google Maps API error:', response.data.status);
+      return null;
+    }
+
+    return {
+      routes: response.data.routes.map(route => ({
+        legs: route.legs.map(leg => ({
+          distance: leg.distance.value,
+          duration: leg.duration.value,
+          durationInTraffic: (leg.duration_in_traffic || leg.duration).value
+        })),
+        geometry: geometry && route.overview_polyline ?
+          decodePolyline(route.overview_polyline.points) :
+          undefined
+      }))
+    };
+  },
+
+  // Requested in blocks of origins and destinations within Google's limits
+  getMatrix: async ({ points }) => {
+    const distances = points.map(() => new Array(points.length).fill(null));
+    const durations = points.map(() => new Array(points.length).fill(null));
+    const columnsPerRequest = Math.min(GOOGLE_MATRIX_POINTS, points.length);
+    const rowsPerRequest = Math.max(1, Math.floor(GOOGLE_MATRIX_ELEMENTS / columnsPerRequest));
+    const toParam = (block) => block.map(point => `${point.lat},${point.lng}`).join('|');
+
+    for (let row = 0; row < points.length; row += rowsPerRequest) {
+      for (let column = 0; column < points.length; column += columnsPerRequest) {
+        const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+          params: {
+            origins: toParam(points.slice(row, row + rowsPerRequest)),
+            destinations: toParam(points.slice(column, column + columnsPerRequest)),
+            mode: 'driving',
+            departure_time: 'now',
+            key: apiKey
+          },
+          timeout: REQUEST_TIMEOUT
+        });
+
+        if (response.data.status !== 'OK') {
+          console.error('Google Maps API error:', response.data.status);
+          return null;
+        }
+
+        response.data.rows.forEach((result, i) => {
+          result.elements.forEach((element, j) => {
+            if (element.status !== 'OK') return;
+            distances[row + i][column + j] = element.distance.value;
+            durations[row + i][column + j] = (element.duration_in_traffic || element.duration).value;
+          });
+        });
+      }
+    }
+
+    return { distances, durations };
+  }
+});
+
+// Self-hosted OSRM, or any server exposing the OSRM route service
+// (for example Valhalla's OSRM-compatible endpoint)
+const createOsrmProvider = ({ baseUrl, profile = 'driving' }) => ({
+  name: 'osrm',
+  supportsTraffic: false,
+
+  getDirections: async ({ origin, destination, waypoints = [], alternatives = false, geometry = false }) => {
+    const coordinates = [origin, ...waypoints, destination]
+      .map(point => `${point.lng},${point.lat}`)
+      .join(';');
+
+    const response = await axios.get(
+      `${baseUrl.replace(/\/+$/, '')}/route/v1/${profile}/${coordinates}`,
+      {
+        params: {
+          overview: geometry ? 'full' : 'false',
+          geometries: 'geojson',
+          alternatives: alternatives ? 'true' : 'false'
+        },
+        timeout: REQUEST_TIMEOUT
+      }
+    );
+
+    if (response.data.code !== 'Ok') {
+      console.error('OSRM routing error:', response.data.code);
+      return null;
+    }
+
+    // OSRM has no live traffic, so the typical duration stands in for it
+    return {
+      routes: response.data.routes.map(route => ({
+        legs: route.legs.map(leg => ({
+          distance: leg.distance,
+          duration: leg.duration,
+          durationInTraffic: leg.duration
+        })),
+        geometry: geometry && route.geometry ? route.geometry.coordinates : undefined
+      }))
+    };
+  },
+
+  getMatrix: async ({ points }) => {
+    const coordinates = points
+      .map(point => `${point.lng},${point.lat}`)
+      .join(';');
+
+    const response = await axios.get(
+      `${baseUrl.replace(/\/+$/, '')}/table/v1/${profile}/${coordinates}`,
+      {
+        params: { annotations: 'distance,duration' },
+        timeout: REQUEST_TIMEOUT
+      }
+    );
+
+    if (response.data.code !== 'Ok') {
+      console.error('OSRM routing error:', response.data.code);
+      return null;
+    }
+
+    return {
+      distances: response.data.distances,
+      durations: response.data.durations
+    };
+  }
+});
+
+// Deterministic offline provider for development and tests: straight-line
+// distance stretched by a detour factor, driven at a fixed speed
+const createFakeProvider = ({ speed = 30, detourFactor = 1.3, trafficFactor = 1 } = {}) => ({
+  name: 'fake',
+  supportsTraffic: true,
+
+  getDirections: async ({ origin, destination, waypoints = [], geometry = false }) => {
+    const points = [origin, ...waypoints, destination].map(point => [point.lng, point.lat]);
+    const legs = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const distance = distanceBetween(points[i], points[i + 1]) * detourFactor;
+      const duration = distance / (speed / 3.6);
+      legs.push({
+        distance: Math.round(distance),
+        duration: Math.round(duration),
+        durationInTraffic: Math.round(duration * trafficFactor)
+      });
+    }
+
+    return { routes: [{ legs, geometry: geometry ? points : undefined }] };
+  },
+
+  getMatrix: async ({ points }) => {
+    const coordinates = points.map(point => [point.lng, point.lat]);
+    const distances = coordinates.map(from =>
+      coordinates.map(to => Math.round(distanceBetween(from, to) * detourFactor)));
+    const durations = distances.map(row =>
+      row.map(distance => Math.round(distance / (speed / 3.6) * trafficFactor)));
+
+    return { distances, durations };
+  }
+});
+
+// Build the provider named by ROUTING_PROVIDER. Without one, Google is used
+// when an API key is configured and routing is disabled otherwise.
+const createProviderFromEnv = (env = process.env) => {
+  const name = (env.ROUTING_PROVIDER || (env.GOOGLE_MAPS_API_KEY ? 'google' : 'none')).toLowerCase();
+
+  switch (name) {
+    case 'google':
+      if (!env.GOOGLE_MAPS_API_KEY) {
+        throw new Error('ROUTING_PROVIDER is google but GOOGLE_MAPS_API_KEY is not set');
+      }
+      return createGoogleProvider({ apiKey: env.GOOGLE_MAPS_API_KEY });
+    case 'osrm':
+      if (!env.OSRM_URL) {
+        throw new Error('ROUTING_PROVIDER is osrm but OSRM_URL is not set');
+      }
+      return createOsrmProvider({ baseUrl: env.OSRM_URL, profile: env.OSRM_PROFILE });
+    case 'fake':
+      return createFakeProvider({
+        speed: env.FAKE_ROUTING_SPEED ? parseFloat(env.FAKE_ROUTING_SPEED) : undefined,
+        trafficFactor: env.FAKE_TRAFFIC_FACTOR ? parseFloat(env.FAKE_TRAFFIC_FACTOR) : undefined
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown routing provider: ${name}`);
+  }
+};
+
+module.exports = {
+  createGoogleProvider,
+  createOsrmProvider,
+  createFakeProvider,
+  createProviderFromEnv
+};
@@ -0,0 +1,128 @@
+const Student = require('../models/Student');
+const { normalizeBadgeCode } = Student;
+const RideEvent = require('../models/RideEvent');
+const Trip = require('../models/Trip');
+const { ArrivalLog } = require('../models/LocationLog');
+const { recordRideEvent } = require('./ridershipService');
+
+// Readers often report one tap several times; another scan of the same
+// student this soon after the last is ignored rather than read as getting off
+const SCAN_REPEAT_MS = 15 * 1000;
+// Reader clocks may run a little ahead of the server's
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+// The active student a badge belongs to, or null
+const findStudentByBadge = (schoolId, code) => Student.findOne({
+  school: schoolId,
+  isActive: true,
+  badges: { $elemMatch: { code: normalizeBadgeCode(code), isActive: true } }
+});
+
+// What is unexpected about a student riding this bus at this stop: a bus
+// or route other than theirs (or, without one, a run that doesn't serve
+// their stop), or boarding in the morning / getting off in the afternoon
+// somewhere other than their stop
+const getRiderFlags = (student, bus, stop, type) => {
+  const flags = [];
+  const direction = bus.currentDirection;
+  const assignedStop = student.getStop(direction);
+
+  let wrongBus;
+  if (student.route) {
+    wrongBus = !student.route.equals(bus.route._id);
+  } else if (student.bus) {
+    wrongBus = !student.bus.equals(bus._id);
+  } else {
+    wrongBus = !!assignedStop && !bus.route.servesStop(assignedStop, direction);
+  }
+  if (wrongBus) flags.push('wrong_bus');
+
+  const atOwnStop = (direction === 'to_school' && type === 'board') ||
+    (direction === 'from_school' && type === 'alight');
+  if (atOwnStop && assignedStop && !assignedStop.equals(stop._id)) {
+    flags.push('wrong_stop');
+  }
+
+  return flags;
+};
+
+// Where the bus was when a buffered scan was made: the last stop it reached
+// on the current run by then. Scans from before the run started, or from
+// the future, can't be placed on it. Resolves to { stopIndex } or { error }.
+const locateScan = async (bus, time, now = new Date()) => {
+  if (time - now > MAX_CLOCK_SKEW_MS) {
+    return { error: 'Scan time is in the future' };
+  }
+
+  const trip = bus.currentTrip ? await Trip.findById(bus.currentTrip) : null;
+  if (!trip) {
+    return { stopIndex: bus.currentStopIndex };
+  }
+  if (time < trip.actualStart) {
+    return { error: 'Scan was made before the current run started' };
+  }
+
+  const arrival = await ArrivalLog.findOne({
+    trip: trip._id,
+    status: { $ne: 'missed' },
+    actualTime: { $lte: time }
+  }).sort({ actualTime: -1 });
+
+  return { stopIndex: arrival ? arrival.stopIndex : 0 };
+};
+
+// Turn a badge scan on a bus into a boarding or drop-off at the bus's
+// current stop. Without a type, a student on board gets off and anyone else
+// boards. Resolves to { status, student, event, flags } where status is
+// recorded, duplicate (a repeat of the last scan) or rejected (with error).
+// buffered scans are placed at the stop the bus was at when they were made
+// rather than where it is now. bus must have its route populated.
+const processScan = async (io, bus, code, { type, time = new Date(), device, buffered = false } = {}) => {
+  const student = await findStudentByBadge(bus.school, code);
+  if (!student) {
+    return { status: 'rejected', error: 'Unknown badge' };
+  }
+
+  let stopIndex = bus.currentStopIndex;
+  if (buffered) {
+    const located = await locateScan(bus, time);
+    if (located.error) {
+      return { status: 'rejected', student, error: located.error };
+    }
+    ({ stopIndex } = located);
+  }
+
+  const last = bus.currentTrip ?
+    await RideEvent.findOne({ trip: bus.currentTrip, student: student._id }).sort({ time: -1 }) :
+    null;
+
+  if (last && Math.abs(time - last.time) < SCAN_REPEAT_MS && (!type || type === last.type)) {
+    return { status: 'duplicate', student, event: last, flags: last.flags };
+  }
+
+  const scanType = type || (last && last.type === 'board' ? 'alight' : 'board');
+  const stop = bus.route.getStopsForDirection(bus.currentDirection)[stopIndex];
+  const flags = stop ? getRiderFlags(student, bus, stop, scanType) : [];
+
+  const result = await recordRideEvent(io, bus, student._id, scanType, {
+    stopIndex,
+    time,
+    source: 'scan',
+    device: device ? device._id : undefined,
+    badgeCode: normalizeBadgeCode(code),
+    flags
+  });
+
+  if (result.error) {
+    return { status: 'rejected', student, error: result.error };
+  }
+
+  return { status: 'recorded', student, event: result.event, flags };
+};
+
+module.exports = {
+  findStudentByBadge,
+  getRiderFlags,
+  locateScan,
+  processScan
+};
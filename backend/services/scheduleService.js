@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { ArrivalLog } = require('../models/LocationLog');
+const { getRunStops } = require('../models/Route');
+const { zonedParts, zonedTime } = require('./calendarService');
+
+const DEFAULT_EARLY_TOLERANCE = 2; // minutes
+const DEFAULT_LATE_TOLERANCE = 5; // minutes
+
+// Get the schedule (start time and duration) for a direction of a route.
+// With a service day from the school calendar, there is no run on days
+// without service and the start moves with that day's bell times.
+const getRunSchedule = (route, direction, serviceDay) => {
+  const schedule = route.schedule || {};
+  const run = direction === 'from_school' ? schedule.afternoon : schedule.morning;
+  if (!serviceDay || !run) return run;
+  if (!serviceDay.inService) return null;
+
+  const shift = serviceDay.shifts[direction] || 0;
+  const [hours, minutes] = (run.startTime || '').split(':').map(Number);
+  if (shift === 0 || isNaN(hours) || isNaN(minutes)) return run;
+
+  const start = hours * 60 + minutes + shift;
+  return {
+    startTime: `${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`,
+    estimatedDuration: run.estimatedDuration
+  };
+};
+
+// Scheduled arrival at a stop on the day of `date`: the run's start time
+// plus the stop's estimated minutes from the start. With a service day the
+// start is taken on the school's clock, otherwise on the server's.
+const getScheduledTime = (route, direction, stop, date = new Date(), serviceDay) => {
+  const run = getRunSchedule(route, direction, serviceDay);
+  if (!run || !run.startTime || !stop || stop.estimatedTime === undefined) {
+    return null;
+  }
+
+  const [hours, minutes] = run.startTime.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) {
+    return null;
+  }
+
+  if (serviceDay && serviceDay.timeZone) {
+    const start = zonedTime(serviceDay.date, run.startTime, serviceDay.timeZone);
+    return new Date(start.getTime() + stop.estimatedTime * 60000);
+  }
+
+  const scheduled = new Date(date);
+  scheduled.setHours(hours, minutes, 0, 0);
+  scheduled.setMinutes(scheduled.getMinutes() + stop.estimatedTime);
+  return scheduled;
+};
+
+const formatTime = (date) => (date ?
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}` :
+  null);
+
+// Scheduled times (HH:MM) a route layout calls at a stop on each run, null
+// for a run that does not serve it
+const getStopTimes = (layout, stop, date) => {
+  const timeOn = (direction) => {
+    const runStop = getRunStops(layout, direction).find(candidate => candidate._id.toString() === stop._id.toString());
+    return runStop ? formatTime(getScheduledTime(layout, direction, runStop, date)) : null;
+  };
+
+  return {
+    morning: timeOn('to_school'),
+    afternoon: timeOn('from_school')
+  };
+};
+
+// Planned start and end of a run on the day of `date`
+const getPlannedRun = (route, direction, date = new Date(), serviceDay) => {
+  const run = getRunSchedule(route, direction, serviceDay);
+  const plannedStart = getScheduledTime(route, direction, { estimatedTime: 0 }, date, serviceDay);
+  if (!plannedStart) {
+    return { plannedStart: null, plannedEnd: null };
+  }
+
+  const plannedEnd = new Date(plannedStart);
+  plannedEnd.setMinutes(plannedEnd.getMinutes() + (run.estimatedDuration || 0));
+  return { plannedStart, plannedEnd };
+};
+
+// The direction whose scheduled start is closest to `date`
+const getLikelyDirection = (route, date = new Date(), serviceDay) => {
+  const morning = getPlannedRun(route, 'to_school', date, serviceDay).plannedStart;
+  const afternoon = getPlannedRun(route, 'from_school', date, serviceDay).plannedStart;
+  if (!morning || !afternoon) {
+    const hour = serviceDay && serviceDay.timeZone ?
+      Number(zonedParts(date, serviceDay.timeZone).time.split(':')[0]) :
+      date.getHours();
+    return hour < 12 ? 'to_school' : 'from_school';
+  }
+  return Math.abs(date - morning) <= Math.abs(date - afternoon) ? 'to_school' : 'from_school';
+};
+
+// Classify an arrival against the school's early and late tolerances
+const classifyArrival = (scheduledTime, actualTime, settings = {}) => {
+  const earlyTolerance = settings.earlyArrivalTolerance !== undefined ?
+    settings.earlyArrivalTolerance :
+    DEFAULT_EARLY_TOLERANCE;
+  const lateTolerance = settings.lateArrivalTolerance !== undefined ?
+    settings.lateArrivalTolerance :
+    DEFAULT_LATE_TOLERANCE;
+
+  const delayMinutes = Math.round((actualTime - scheduledTime) / 60000);
+
+  let status = 'on_time';
+  if (delayMinutes < -earlyTolerance) {
+    status = 'early';
+  } else if (delayMinutes > lateTolerance) {
+    status = 'late';
+  }
+
+  return { status, delayMinutes };
+};
+
+// Fill in scheduledTime, status and delayMinutes on an arrival log. Runs on
+// days without service are not scored.
+const scoreArrival = (arrivalLog, route, stop, settings, serviceDay) => {
+  const scheduledTime = getScheduledTime(route, arrivalLog.direction, stop, arrivalLog.actualTime, serviceDay);
+  if (!scheduledTime) {
+    return arrivalLog;
+  }
+
+  const { status, delayMinutes } = classifyArrival(scheduledTime, arrivalLog.actualTime, settings);
+
+  arrivalLog.scheduledTime = scheduledTime;
+  arrivalLog.status = status;
+  arrivalLog.delayMinutes = delayMinutes;
+  return arrivalLog;
+};
+
+// Summarise schedule adherence per route for arrivals between two dates,
+// optionally limited to one school
+const getAdherenceReport = async (startDate, endDate, schoolId) => {
+  const pipeline = [
+    {
+      $match: {
+        actualTime: { $gte: startDate, $lt: endDate }
+      }
+    },
+    {
+      $lookup: {
+        from: 'routes',
+        localField: 'route',
+        foreignField: '_id',
+        as: 'routeInfo'
+      }
+    },
+    { $unwind: '$routeInfo' },
+    // Stops the driver confirmed skipping, or that had no riders, were
+    // passed for a reason and are not held against the route
+    { $addFields: { skipped: { $ne: [{ $ifNull: ['$skip.reason', null] }, null] } } }
+  ];
+
+  if (schoolId) {
+    pipeline.push({ $match: { 'routeInfo.school': new mongoose.Types.ObjectId(schoolId) } });
+  }
+
+  pipeline.push({
+    $group: {
+      _id: '$route',
+      routeName: { $first: '$routeInfo.name' },
+      school: { $first: '$routeInfo.school' },
+      totalArrivals: { $sum: { $cond: ['$skipped', 0, 1] } },
+      onTimeArrivals: { $sum: { $cond: [{ $eq: ['$status', 'on_time'] }, 1, 0] } },
+      earlyArrivals: { $sum: { $cond: [{ $eq: ['$status', 'early'] }, 1, 0] } },
+      lateArrivals: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+      missedStops: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'missed'] }, { $not: ['$skipped'] }] }, 1, 0] } },
+      skippedStops: { $sum: { $cond: ['$skipped', 1, 0] } },
+      averageDelayMinutes: {
+        $avg: { $cond: [{ $eq: ['$status', 'missed'] }, null, '$delayMinutes'] }
+      }
+    }
+  });
+
+  const routes = await ArrivalLog.aggregate(pipeline);
+
+  return routes.map(route => ({
+    ...route,
+    averageDelayMinutes: route.averageDelayMinutes !== null ?
+      Math.round(route.averageDelayMinutes * 10) / 10 :
+      null,
+    onTimePercentage: route.totalArrivals > 0 ?
+      Math.round((route.onTimeArrivals / route.totalArrivals) * 1000) / 10 :
+      null
+  }));
+};
+
+module.exports = {
+  getRunSchedule,
+  getScheduledTime,
+  getStopTimes,
+  getPlannedRun,
+  getLikelyDirection,
+  classifyArrival,
+  scoreArrival,
+  getAdherenceReport
+};
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const BusStop = require('../models/BusStop');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { ArrivalLog } = require('../models/LocationLog');
+const { sendStopChangeNotification } = require('./notificationService');
+const { geocodePlace } = require('./geocodingService');
+const { findStopParents } = require('./studentService');
+const { getStopTimes } = require('./scheduleService');
+const { distanceBetween } = require('../utils/geo');
+
+// Place details that live on the shared BusStop. The rest of a route stop
+// (order, timing, dwell, geofence) belongs to the route.
+const SHARED_FIELDS = ['name', 'location', 'address', 'isSchoolStop', 'gtfsStopId', 'metadata'];
+
+// A new stop this close to an existing stop with the same name is that stop
+const SAME_STOP_DISTANCE = 15; // metres
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : { ...value });
+
+const pickShared = (source) => {
+  const fields = {};
+  for (const field of SHARED_FIELDS) {
+    if (source[field] !== undefined) fields[field] = source[field];
+  }
+  if (fields.location && !Array.isArray(fields.location.coordinates)) {
+    delete fields.location;
+  }
+  if (fields.location) {
+    fields.location = { type: 'Point', coordinates: fields.location.coordinates.map(Number) };
+  }
+  return fields;
+};
+
+// Copy a BusStop's details onto every route that serves it
+const syncBusStop = async (busStop) => {
+  const fields = pickShared(busStop.toObject());
+  const update = { $set: {}, $unset: {} };
+
+  for (const field of SHARED_FIELDS) {
+    if (fields[field] !== undefined) {
+      update.$set[`stops.$[stop].${field}`] = fields[field];
+    } else {
+      update.$unset[`stops.$[stop].${field}`] = '';
+    }
+  }
+
+  const result = await Route.updateMany(
+    { 'stops._id': busStop._id },
+    update,
+    { arrayFilters: [{ 'stop._id': busStop._id }] }
+  );
+  return result.modifiedCount;
+};
+
+// The shared stop a route stop stands for: by id (busStopId, or _id for
+// stops sent back as they were read), then GTFS stop id, then same name a
+// few metres away. Feeds often name both sides of a street alike, so stops
+// with different GTFS ids never match by name. Returns null when there is none.
+const findBusStop = async (schoolId, stop) => {
+  const id = stop.busStopId || stop._id;
+  if (id && mongoose.isValidObjectId(id)) {
+    const byId = await BusStop.findOne({ _id: id, school: schoolId });
+    if (byId) return byId;
+  }
+
+  if (stop.gtfsStopId) {
+    const byGtfsId = await BusStop.findOne({ school: schoolId, gtfsStopId: stop.gtfsStopId });
+    if (byGtfsId) return byGtfsId;
+  }
+
+  if (stop.name && stop.location && Array.isArray(stop.location.coordinates)) {
+    const sameName = await BusStop.find({ school: schoolId, name: stop.name.trim() })
+      .collation({ locale: 'en', strength: 2 });
+    return sameName.find(candidate =>
+      (!candidate.gtfsStopId || !stop.gtfsStopId) &&
+      distanceBetween(candidate.location.coordinates, stop.location.coordinates.map(Number)) <= SAME_STOP_DISTANCE
+    ) || null;
+  }
+
+  return null;
+};
+
+const isReference = (busStop, stop) => {
+  const id = stop.busStopId || stop._id;
+  return (id && busStop._id.equals(id)) ||
+    (stop.gtfsStopId && busStop.gtfsStopId === stop.gtfsStopId);
+};
+
+// Back route stops, as sent by a client or an importer, with shared
+// BusStops, creating the ones that do not exist yet. Each returned stop has
+// its BusStop's id and details. With updateShared, details sent for a stop
+// referenced by id (or GTFS stop id) change it on every route; without,
+// they are kept on the returned stop only (for route versions that have not
+// taken effect). Stops matched by name keep their shared details. New
+// stops given by address are geocoded, and new stops given by location get
+// their address filled in, unless geocode is false (bulk imports).
+// Returns { stops, errors }.
+const resolveRouteStops = async (schoolId, stops, { updateShared = true, geocode = true } = {}) => {
+  const resolved = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const stop of stops) {
+    const { busStopId, ...routeFields } = toPlain(stop);
+    const shared = pickShared(routeFields);
+    let busStop = await findBusStop(schoolId, { ...routeFields, busStopId });
+
+    if (!busStop && busStopId) {
+      errors.push(`Bus stop ${busStopId} not found`);
+      continue;
+    }
+
+    let geocoding;
+    if (!busStop && geocode && shared.name) {
+      const place = { ...shared };
+      await geocodePlace(place, { locationGiven: !!shared.location });
+      geocoding = place.geocoding;
+
+      // A stop given by address may turn out to be one the school has
+      const located = !shared.location && place.location;
+      Object.assign(shared, pickShared(place));
+      if (located) {
+        busStop = await findBusStop(schoolId, shared);
+      }
+    }
+
+    if (!busStop) {
+      if (!shared.name || !shared.location) {
+        errors.push(shared.name && shared.address ?
+          `Could not find a location for ${shared.name}` :
+          'New stops need a name and a location or address');
+        continue;
+      }
+      // Stops saved before BusStops existed keep their id
+      busStop = new BusStop({ ...shared, geocoding, school: schoolId, _id: routeFields._id });
+      await busStop.save();
+    } else if (updateShared && isReference(busStop, { ...routeFields, busStopId })) {
+      const current = pickShared(busStop.toObject());
+      // A stop keeps the GTFS id it was first imported with
+      const changed = Object.keys(shared).filter(field =>
+        !(field === 'gtfsStopId' && current.gtfsStopId) &&
+        JSON.stringify(shared[field]) !== JSON.stringify(current[field])
+      );
+      if (changed.length > 0) {
+        changed.forEach(field => busStop.set(field, shared[field]));
+        await busStop.save();
+        await syncBusStop(busStop);
+      }
+    }
+
+    if (seen.has(busStop._id.toString())) {
+      errors.push(`${busStop.name} is on the route more than once`);
+      continue;
+    }
+    seen.add(busStop._id.toString());
+
+    const details = pickShared(busStop.toObject());
+    resolved.push(updateShared ?
+      { ...routeFields, ...details, _id: busStop._id } :
+      { ...details, ...routeFields, _id: busStop._id });
+  }
+
+  return { stops: resolved, errors };
+};
+
+// Update a shared stop's details and copy them to every route serving it
+const updateBusStop = async (busStop, fields) => {
+  const shared = pickShared(fields);
+  Object.entries(shared).forEach(([field, value]) => busStop.set(field, value));
+  await busStop.save();
+  const routes = await syncBusStop(busStop);
+  return { busStop, routes };
+};
+
+// Point parents, students and arrival history at another stop
+const moveStopReferences = async (fromId, toId) => {
+  await User.updateMany({ 'parent.selectedStop': fromId }, { 'parent.selectedStop': toId });
+  await Student.updateMany({ amStop: fromId }, { amStop: toId });
+  await Student.updateMany({ pmStop: fromId }, { pmStop: toId });
+  await ArrivalLog.updateMany({ stop: fromId }, { stop: toId });
+};
+
+// Give stops saved inside routes before the BusStop collection existed a
+// shared BusStop. Copies of one place on several routes (same name, a few
+// metres apart) are merged, and whatever pointed at a merged copy is moved
+// to the shared stop.
+const backfillBusStops = async () => {
+  const routes = await Route.find({});
+  let created = 0;
+  let merged = 0;
+
+  for (const route of routes) {
+    const stopIds = route.stops.map(stop => stop._id);
+    const known = new Set(
+      (await BusStop.find({ _id: { $in: stopIds } }).select('_id')).map(busStop => busStop._id.toString())
+    );
+    if (known.size === stopIds.length) continue;
+
+    let changed = false;
+    for (const stop of route.stops) {
+      if (known.has(stop._id.toString())) continue;
+
+      const details = pickShared(stop.toObject());
+      const match = await findBusStop(route.school, details);
+
+      if (match && !route.stops.some(other => other._id.equals(match._id))) {
+        await moveStopReferences(stop._id, match._id);
+        for (const direction of ['to_school', 'from_school']) {
+          const run = route.runs && route.runs[direction];
+          (run || []).forEach(entry => {
+            if (entry.stop.equals(stop._id)) entry.stop = match._id;
+          });
+        }
+        stop._id = match._id;
+        changed = true;
+        merged++;
+      } else {
+        await BusStop.create({ ...details, school: route.school, _id: stop._id });
+        created++;
+      }
+    }
+
+    if (changed) {
+      route.markModified('stops');
+      route.markModified('runs');
+      await route.save();
+    }
+  }
+
+  return { created, merged };
+};
+
+// Each stop of the given routes once, with the routes that serve it and
+// their usual pickup (morning) and drop-off (afternoon) times. From an
+// origin ([lng, lat]) only the nearest limit stops within maxDistance
+// metres are kept, closest first.
+const listAvailableStops = (routes, { origin, selectedStop, maxDistance, limit } = {}) => {
+  const stopsById = new Map();
+  routes.forEach(route => {
+    // Routes that only run one way serve none of their stops the other way
+    const runsDirection = (direction) => route.direction === 'both' || route.direction === direction;
+
+    route.stops.forEach(stop => {
+      const id = stop._id.toString();
+      if (!stopsById.has(id)) {
+        stopsById.set(id, {
+          id: stop._id,
+          name: stop.name,
+          address: stop.address,
+          location: stop.location,
+          distance: origin ? Math.round(distanceBetween(origin, stop.location.coordinates)) : undefined,
+          selected: !!selectedStop && selectedStop.equals(stop._id),
+          routeName: route.name,
+          routeId: route._id,
+          directions: [],
+          routes: []
+        });
+      }
+
+      // Some stops are only served in the morning or the afternoon
+      const directions = ['to_school', 'from_school']
+        .filter(direction => runsDirection(direction) && route.servesStop(stop._id, direction));
+      const times = getStopTimes(route, stop);
+      const entry = stopsById.get(id);
+      entry.routes.push({
+        routeId: route._id,
+        routeName: route.name,
+        directions,
+        pickupTime: directions.includes('to_school') ? times.morning : null,
+        dropOffTime: directions.includes('from_school') ? times.afternoon : null
+      });
+      entry.directions = [...new Set([...entry.directions, ...directions])];
+    });
+  });
+
+  const stops = [...stopsById.values()];
+  if (!origin) return stops;
+
+  return stops
+    .filter(stop => stop.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+};
+
+// Move parents and students off a stop that is being removed from a route.
+// They are reassigned to newStop when given, or left without a stop
+// otherwise, and parents are told either way. Riders of a stop another
+// active route still serves keep it. Returns the number of parents told.
+const reassignStopRiders = async (route, removedStop, newStop) => {
+  const stillServed = await Route.exists({
+    _id: { $ne: route._id },
+    isActive: true,
+    'stops._id': removedStop._id
+  });
+  if (stillServed) return 0;
+
+  const parents = await findStopParents(removedStop._id);
+  const assign = (field) => (newStop ? { [field]: newStop._id } : { $unset: { [field]: '' } });
+
+  await User.updateMany({ 'parent.selectedStop': removedStop._id }, assign('parent.selectedStop'));
+  await Student.updateMany({ amStop: removedStop._id }, assign('amStop'));
+  await Student.updateMany({ pmStop: removedStop._id }, assign('pmStop'));
+
+  for (const parent of parents) {
+    await sendStopChangeNotification(parent, route, removedStop, newStop);
+  }
+
+  return parents.length;
+};
+
+module.exports = {
+  SHARED_FIELDS,
+  findBusStop,
+  resolveRouteStops,
+  updateBusStop,
+  backfillBusStops,
+  listAvailableStops,
+  reassignStopRiders
+};
@@ -0,0 +1,139 @@
+const Student = require('../models/Student');
+const User = require('../models/User');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+
+// Parents to tell about a stop: those who selected it and the guardians
+// (with notifications on) of active students riding from it. direction
+// limits students to their morning or afternoon stop.
+const findStopParents = async (stopId, { school, direction } = {}) => {
+  const studentQuery = { isActive: true };
+  if (school) studentQuery.school = school;
+  if (direction === 'to_school') {
+    studentQuery.amStop = stopId;
+  } else if (direction === 'from_school') {
+    studentQuery.pmStop = stopId;
+  } else {
+    studentQuery.$or = [{ amStop: stopId }, { pmStop: stopId }];
+  }
+
+  const students = await Student.find(studentQuery).select('guardians');
+  const guardianIds = students.flatMap(student => student.guardians
+    .filter(guardian => guardian.receivesNotifications)
+    .map(guardian => guardian.user));
+
+  const parentQuery = {
+    role: 'parent',
+    $or: [
+      { 'parent.selectedStop': stopId },
+      { _id: { $in: guardianIds } }
+    ]
+  };
+  if (school) parentQuery.school = school;
+
+  return User.find(parentQuery);
+};
+
+// Active students a user is a guardian of
+const findGuardianStudents = (userId) => Student.find({
+  'guardians.user': userId,
+  isActive: true
+}).sort({ name: 1 });
+
+// Fill in the route and bus serving a student's stops, unless the route
+// already assigned still serves them. Changes the student in memory.
+const assignTransport = async (student) => {
+  const stopIds = [student.amStop, student.pmStop].filter(Boolean);
+  if (stopIds.length === 0) return;
+
+  const routes = await Route.find({
+    school: student.school,
+    isActive: true,
+    'stops._id': { $all: stopIds }
+  });
+
+  const serves = (route) =>
+    (!student.amStop || route.servesStop(student.amStop, 'to_school')) &&
+    (!student.pmStop || route.servesStop(student.pmStop, 'from_school'));
+
+  if (student.route && routes.some(route => route._id.equals(student.route) && serves(route))) {
+    return;
+  }
+
+  const route = routes.find(serves);
+  if (!route) return;
+
+  student.route = route._id;
+  const bus = route.bus ? { _id: route.bus } :
+    await Bus.findOne({ route: route._id, isActive: true }).select('_id');
+  student.bus = bus ? bus._id : undefined;
+};
+
+// What a guardian sees of a student under /parent/children. busStop is the
+// morning stop, as on the children parents used to keep themselves.
+const toChildView = (student, userId) => {
+  const view = student.toObject();
+  const guardian = student.getGuardian(userId);
+  view.busStop = view.amStop;
+  view.guardian = guardian ? guardian.toObject() : null;
+  return view;
+};
+
+// Turn the children parents kept on their own accounts (parent.children)
+// into Students, keeping each child's _id so child ids in the apps keep
+// working. A parent is only linked to a student with the id of their own
+// child; lookalike children of different parents stay separate students
+// for the school to merge. The old list is kept as parent.migratedChildren.
+// Run through scripts/migrateStudents.js.
+const backfillStudents = async () => {
+  const parents = await User.collection
+    .find({ 'parent.children.0': { $exists: true } })
+    .project({ school: 1, 'parent.children': 1 })
+    .toArray();
+  let created = 0;
+  let linked = 0;
+
+  for (const parent of parents) {
+    for (const child of parent.parent.children) {
+      if (!child.name) continue;
+
+      const existing = await Student.findById(child._id);
+      if (existing) {
+        if (!existing.getGuardian(parent._id)) {
+          existing.guardians.push({ user: parent._id });
+          await existing.save();
+          linked++;
+        }
+        continue;
+      }
+
+      const student = new Student({
+        _id: child._id,
+        school: parent.school,
+        name: child.name,
+        grade: child.grade,
+        amStop: child.busStop,
+        pmStop: child.busStop,
+        guardians: [{ user: parent._id, isPrimary: true }]
+      });
+      await assignTransport(student);
+      await student.save();
+      created++;
+    }
+
+    await User.collection.updateOne(
+      { _id: parent._id },
+      { $rename: { 'parent.children': 'parent.migratedChildren' } }
+    );
+  }
+
+  return { created, linked };
+};
+
+module.exports = {
+  findStopParents,
+  findGuardianStudents,
+  assignTransport,
+  toChildView,
+  backfillStudents
+};
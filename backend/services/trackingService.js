@@ -0,0 +1,392 @@
+const LocationLog = require('../models/LocationLog');
+const { ArrivalLog } = require('../models/LocationLog');
+const School = require('../models/School');
+const {
+  sendArrivalNotification,
+  sendMissedStopNotification,
+  sendMissedStopAlert
+} = require('./notificationService');
+const { scoreArrival, getScheduledTime } = require('./scheduleService');
+const { getServiceDay, zonedTime } = require('./calendarService');
+const { getRiders, countRiders } = require('./capacityService');
+const { findStopParents } = require('./studentService');
+
+// A bus has left a stop once it is this many geofence radii away
+const GEOFENCE_EXIT_FACTOR = 1.5;
+// Readings below this speed (km/h) inside a geofence count as stopped
+const STOPPED_SPEED = 3;
+
+// Compare a position with the bus's route geometry and track how long the
+// bus has been away from it. Mutates bus.offRoute; the caller saves the bus.
+const checkRouteAdherence = (bus, latitude, longitude, timestamp = new Date()) => {
+  const route = bus.route;
+  if (!route || typeof route.matchToRoute !== 'function') {
+    return { isOnRoute: true, distanceFromRoute: null, event: null };
+  }
+
+  const match = route.matchToRoute(latitude, longitude, bus.currentDirection);
+  if (!match) {
+    // Without geometry there is nothing to compare against
+    return { isOnRoute: true, distanceFromRoute: null, event: null };
+  }
+
+  const threshold = route.offRouteThreshold || {};
+  const maxDistance = threshold.distance || 150;
+  const minDuration = (threshold.duration !== undefined ? threshold.duration : 60) * 1000;
+  const distanceFromRoute = Math.round(match.distance);
+  const offRoute = bus.offRoute || {};
+
+  if (distanceFromRoute <= maxDistance) {
+    const wasAlerted = Boolean(offRoute.alertedAt);
+    bus.offRoute = { since: null, alertedAt: null, distance: null };
+
+    return {
+      isOnRoute: true,
+      distanceFromRoute,
+      event: wasAlerted ? 'back_on_route' : null
+    };
+  }
+
+  const since = offRoute.since || timestamp;
+  let event = null;
+  let alertedAt = offRoute.alertedAt || null;
+
+  // Only a sustained deviation raises an alert, not a single GPS jump
+  if (!alertedAt && timestamp - since >= minDuration) {
+    alertedAt = timestamp;
+    event = 'off_route';
+  }
+
+  bus.offRoute = { since, alertedAt, distance: distanceFromRoute };
+
+  return { isOnRoute: false, distanceFromRoute, event };
+};
+
+// Notify parents who selected a stop, or whose children ride from it, that
+// the bus has arrived there
+const notifyArrival = async (bus, stop) => {
+  try {
+    const parents = await findStopParents(stop._id, { school: bus.school, direction: bus.currentDirection });
+
+    for (const parent of parents.filter(parent => parent.parent.notificationPreferences.arrivalNotifications)) {
+      await sendArrivalNotification(parent, bus, stop);
+    }
+  } catch (error) {
+    console.error('Error sending arrival notifications:', error);
+  }
+};
+
+// Log a bus's arrival at a stop, advance it and tell parents. Arriving again
+// at the stop being visited reuses its log, so a driver can confirm an
+// automatic arrival. Updates the bus in memory; the caller saves it.
+const recordArrival = async (io, bus, stopIndex, { actualTime = new Date(), detection = 'manual' } = {}) => {
+  const stops = bus.route.getStopsForDirection(bus.currentDirection);
+  const stop = stops[stopIndex];
+  if (!stop) return null;
+
+  const visit = bus.stopVisit || {};
+  const sameVisit = visit.stopIndex === stopIndex && !visit.departedAt;
+
+  if (sameVisit && visit.arrivalLog) {
+    const existingLog = await ArrivalLog.findById(visit.arrivalLog);
+    if (existingLog) {
+      if (detection === 'manual' && existingLog.detection !== 'manual') {
+        existingLog.notes = existingLog.notes || 'Arrival confirmed by driver';
+        await existingLog.save();
+      }
+      return existingLog;
+    }
+  }
+
+  const arrivalLog = new ArrivalLog({
+    bus: bus._id,
+    route: bus.route._id,
+    trip: bus.currentTrip,
+    stop: stop._id,
+    stopIndex,
+    direction: bus.currentDirection,
+    actualTime,
+    detection
+  });
+
+  // Score the arrival against the route's schedule for the day
+  const school = await School.findById(bus.school).select('settings');
+  const serviceDay = await getServiceDay(school || bus.school, actualTime);
+  scoreArrival(arrivalLog, bus.route, stop, school ? school.settings : undefined, serviceDay);
+
+  await arrivalLog.save();
+
+  bus.currentStopIndex = stopIndex;
+  bus.stopVisit = {
+    stopIndex,
+    enteredAt: sameVisit && visit.enteredAt ? visit.enteredAt : actualTime,
+    arrivedAt: actualTime,
+    departedAt: null,
+    arrivalLog: arrivalLog._id
+  };
+
+  if (io) {
+    io.to(`bus_${bus._id}`).emit('bus_arrived_at_stop', {
+      busId: bus._id,
+      stopIndex,
+      stopId: stop._id,
+      stopName: stop.name,
+      detection,
+      status: arrivalLog.status,
+      delayMinutes: arrivalLog.delayMinutes,
+      timestamp: actualTime
+    });
+  }
+
+  await notifyArrival(bus, stop);
+
+  return arrivalLog;
+};
+
+// Log a bus leaving the stop it is visiting. Updates the bus in memory; the
+// caller saves it.
+const recordDeparture = async (io, bus, departureTime = new Date()) => {
+  const visit = bus.stopVisit;
+  if (!visit || !visit.arrivedAt || visit.departedAt) return null;
+
+  const stops = bus.route.getStopsForDirection(bus.currentDirection);
+  const stop = stops[visit.stopIndex];
+
+  if (visit.arrivalLog) {
+    await ArrivalLog.findByIdAndUpdate(visit.arrivalLog, { departureTime });
+  }
+
+  bus.stopVisit.departedAt = departureTime;
+
+  if (io && stop) {
+    io.to(`bus_${bus._id}`).emit('bus_departed_stop', {
+      busId: bus._id,
+      stopIndex: visit.stopIndex,
+      stopId: stop._id,
+      stopName: stop.name,
+      dwellSeconds: Math.round((departureTime - visit.arrivedAt) / 1000),
+      timestamp: departureTime
+    });
+  }
+
+  return visit;
+};
+
+// Alert the school admin and the stop's parents about a missed stop
+const notifyMissedStop = async (bus, stop) => {
+  try {
+    const school = await School.findById(bus.school).populate('admin');
+    if (school && school.admin) {
+      await sendMissedStopAlert(school.admin, bus, stop);
+    }
+
+    const parents = await findStopParents(stop._id, { school: bus.school, direction: bus.currentDirection });
+
+    for (const parent of parents) {
+      await sendMissedStopNotification(parent, bus, stop);
+    }
+  } catch (error) {
+    console.error('Error sending missed stop notifications:', error);
+  }
+};
+
+// Log a stop the bus passed without an arrival and raise the alert. A stop
+// is only flagged once per day and direction. Passing a stop where every
+// rider was reported absent is logged as skipped for no riders, without
+// alerts.
+const recordMissedStop = async (io, bus, stopIndex, timestamp = new Date()) => {
+  const stops = bus.route.getStopsForDirection(bus.currentDirection);
+  const stop = stops[stopIndex];
+  if (!stop) return null;
+
+  // The day starts at midnight on the school's clock
+  const serviceDay = await getServiceDay(bus.school, timestamp);
+  const startOfDay = zonedTime(serviceDay.date, '00:00', serviceDay.timeZone);
+
+  const existingLog = await ArrivalLog.findOne({
+    bus: bus._id,
+    stop: stop._id,
+    direction: bus.currentDirection,
+    actualTime: { $gte: startOfDay }
+  });
+  if (existingLog) return null;
+
+  const riders = await getRiders(bus.school, { date: serviceDay.date, stops: [stop._id] });
+  const expected = countRiders(riders, bus.route, bus.currentDirection, { expected: true });
+  const noRiders = !stop.isSchoolStop &&
+    countRiders(riders, bus.route, bus.currentDirection).has(stop._id.toString()) &&
+    !expected.has(stop._id.toString());
+
+  const missedLog = new ArrivalLog({
+    bus: bus._id,
+    route: bus.route._id,
+    trip: bus.currentTrip,
+    stop: stop._id,
+    stopIndex,
+    direction: bus.currentDirection,
+    scheduledTime: getScheduledTime(bus.route, bus.currentDirection, stop, timestamp, serviceDay),
+    actualTime: timestamp,
+    status: 'missed',
+    detection: 'geofence',
+    ...(noRiders && { skip: { reason: 'no_riders', notes: 'All riders reported absent' } })
+  });
+
+  await missedLog.save();
+  if (noRiders) return missedLog;
+
+  const event = {
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    arrivalLogId: missedLog._id,
+    stopIndex,
+    stopId: stop._id,
+    stopName: stop.name,
+    timestamp
+  };
+
+  if (io) {
+    io.to(`bus_${bus._id}`).emit('stop_missed', event);
+    io.to(`school_${bus.school}`).emit('stop_missed', event);
+  }
+
+  await notifyMissedStop(bus, stop);
+
+  return missedLog;
+};
+
+// Detect arrivals, departures and missed stops from the stop geofences. An
+// arrival needs the bus to stay inside a stop's geofence for the route's
+// minimum dwell time, or to be seen standing still there. Driving through a
+// geofence, or reaching a later stop first, marks a stop as missed.
+const detectStopEvents = async (io, bus, latitude, longitude, speed, timestamp = new Date()) => {
+  const route = bus.route;
+  if (!route || typeof route.getStopsForDirection !== 'function') return [];
+
+  const stops = route.getStopsForDirection(bus.currentDirection);
+  if (stops.length === 0) return [];
+
+  const detection = route.stopDetection || {};
+  const minDwell = (detection.minDwellSeconds !== undefined ? detection.minDwellSeconds : 15) * 1000;
+  const isStopped = speed !== undefined && speed !== null && speed < STOPPED_SPEED;
+  const distanceTo = (stop) => route.calculateDistance(
+    latitude, longitude,
+    stop.location.coordinates[1],
+    stop.location.coordinates[0]
+  ) * 1000; // meters
+
+  const events = [];
+  const visit = bus.stopVisit || {};
+  const visiting = visit.enteredAt && !visit.departedAt && stops[visit.stopIndex];
+
+  if (visiting) {
+    const stop = stops[visit.stopIndex];
+    const radius = route.getGeofenceRadius(stop);
+    const distance = distanceTo(stop);
+
+    if (distance <= radius * GEOFENCE_EXIT_FACTOR) {
+      if (!visit.arrivedAt && distance <= radius && (isStopped || timestamp - visit.enteredAt >= minDwell)) {
+        await recordArrival(io, bus, visit.stopIndex, { actualTime: visit.enteredAt, detection: 'geofence' });
+        events.push('arrived');
+      }
+      return events;
+    }
+
+    if (visit.arrivedAt) {
+      await recordDeparture(io, bus, timestamp);
+      events.push('departed');
+    } else {
+      // Drove through without stopping
+      bus.stopVisit = { stopIndex: visit.stopIndex, enteredAt: visit.enteredAt, departedAt: timestamp };
+      await recordMissedStop(io, bus, visit.stopIndex, timestamp);
+      events.push('missed');
+    }
+  }
+
+  // Look for the next stop ahead whose geofence the bus has entered
+  const current = bus.stopVisit || {};
+  const firstIndex = current.departedAt !== undefined && current.departedAt !== null ?
+    current.stopIndex + 1 :
+    bus.currentStopIndex || 0;
+
+  for (let i = firstIndex; i < stops.length; i++) {
+    if (distanceTo(stops[i]) <= route.getGeofenceRadius(stops[i])) {
+      // Reaching a later stop means the ones in between were skipped
+      for (let skipped = firstIndex; skipped < i; skipped++) {
+        await recordMissedStop(io, bus, skipped, timestamp);
+        events.push('missed');
+      }
+
+      bus.stopVisit = { stopIndex: i, enteredAt: timestamp };
+
+      if (isStopped || minDwell === 0) {
+        await recordArrival(io, bus, i, { actualTime: timestamp, detection: 'geofence' });
+        events.push('arrived');
+      }
+      break;
+    }
+  }
+
+  return events;
+};
+
+// Record a position reported by a driver: update the bus, log the location
+// and raise route events. bus must have its route populated.
+const recordLocation = async (io, bus, data) => {
+  const { latitude, longitude, heading, speed, accuracy, batteryLevel, signalStrength } = data;
+  const timestamp = new Date();
+
+  const adherence = checkRouteAdherence(bus, latitude, longitude, timestamp);
+  const stopEvents = await detectStopEvents(io, bus, latitude, longitude, speed, timestamp);
+
+  await bus.updateLocation(latitude, longitude, heading, speed);
+
+  let locationLog = null;
+  if (bus.route) {
+    locationLog = new LocationLog({
+      bus: bus._id,
+      route: bus.route._id,
+      trip: bus.currentTrip,
+      location: {
+        coordinates: [longitude, latitude]
+      },
+      heading,
+      speed,
+      timestamp,
+      direction: bus.currentDirection,
+      currentStopIndex: bus.currentStopIndex,
+      isOnRoute: adherence.isOnRoute,
+      distanceFromRoute: adherence.distanceFromRoute,
+      offRouteAlert: adherence.event === 'off_route',
+      metadata: {
+        accuracy,
+        batteryLevel,
+        signalStrength
+      }
+    });
+
+    await locationLog.save();
+  }
+
+  if (adherence.event && io) {
+    io.to(`school_${bus.school}`).emit(adherence.event, {
+      busId: bus._id,
+      busNumber: bus.busNumber,
+      routeId: bus.route._id,
+      location: { latitude, longitude },
+      distanceFromRoute: adherence.distanceFromRoute,
+      since: bus.offRoute && bus.offRoute.since,
+      timestamp
+    });
+  }
+
+  return { locationLog, adherence, stopEvents };
+};
+
+module.exports = {
+  checkRouteAdherence,
+  detectStopEvents,
+  recordArrival,
+  recordDeparture,
+  recordMissedStop,
+  recordLocation
+};
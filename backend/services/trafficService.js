@@ -1,55 +1,87 @@
-const axios = require('axios');
-
-// Google Maps API key (you'll need to set this in environment variables)
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+const TTLCache = require('../utils/ttlCache');
+const { createProviderFromEnv } = require('./routingProviders');
+
+// Routing responses are cached so polling clients share one provider call
+const CACHE_TTL_MS = (parseInt(process.env.ROUTING_CACHE_TTL_SECONDS) || 60) * 1000;
+// Coordinates are rounded to about 10 metres when building cache keys
+const CACHE_PRECISION = 4;
+
+const directionsCache = new TTLCache({ ttlMs: CACHE_TTL_MS, maxEntries: 2000 });
+
+let routingProvider;
+let providerLoaded = false;
+
+// Get the configured routing provider, or null when routing is disabled
+const getRoutingProvider = () => {
+  if (!providerLoaded) {
+    providerLoaded = true;
+    try {
+      routingProvider = createProviderFromEnv();
+    } catch (error) {
+      // A misconfigured provider is reported once, then ETAs go without it
+      console.error('Routing provider configuration error:', error.message);
+      routingProvider = null;
+    }
 
-// Calculate traffic-aware ETA using Google Maps Directions API
-const calculateTrafficETA = async (originLat, originLng, destLat, destLng) => {
-  try {
-    if (!GOOGLE_MAPS_API_KEY) {
-      console.warn('Google Maps API key not configured, using basic ETA calculation');
-      return null;
+    if (!routingProvider) {
+      console.warn('No routing provider configured (set ROUTING_PROVIDER or GOOGLE_MAPS_API_KEY), using basic ETA calculation');
     }
+  }
+  return routingProvider;
+};
 
-    const url = `https://maps.googleapis.com/maps/api/directions/json`;
-    const params = {
-      origin: `${originLat},${originLng}`,
-      destination: `${destLat},${destLng}`,
-      mode: 'driving',
-      traffic_model: 'best_guess',
-      departure_time: 'now',
-      key: GOOGLE_MAPS_API_KEY
-    };
+// Replace the routing provider, e.g. with a fake in tests
+const setRoutingProvider = (provider) => {
+  routingProvider = provider;
+  providerLoaded = true;
+  directionsCache.clear();
+};
 
-    const response = await axios.get(url, { params });
-    
-    if (response.data.status !== 'OK') {
-      console.error('Google Maps API error:', response.data.status);
-      return null;
-    }
+const pointKey = (point) => `${point.lat.toFixed(CACHE_PRECISION)},${point.lng.toFixed(CACHE_PRECISION)}`;
+
+// Fetch directions through the provider and the cache
+const getDirections = async (request) => {
+  const provider = getRoutingProvider();
+  if (!provider) {
+    return null;
+  }
+
+  const key = [
+    provider.name,
+    request.alternatives ? 'alt' : 'single',
+    request.geometry ? 'geometry' : 'legs',
+    pointKey(request.origin),
+    ...(request.waypoints || []).map(pointKey),
+    pointKey(request.destination)
+  ].join('|');
+
+  return directionsCache.wrap(key, () => provider.getDirections(request));
+};
+
+// Calculate traffic-aware ETA between two points
+const calculateTrafficETA = async (originLat, originLng, destLat, destLng) => {
+  try {
+    const directions = await getDirections({
+      origin: { lat: originLat, lng: originLng },
+      destination: { lat: destLat, lng: destLng }
+    });
 
-    const route = response.data.routes[0];
+    const route = directions && directions.routes[0];
     if (!route || !route.legs[0]) {
       return null;
     }
 
     const leg = route.legs[0];
-    const durationInTraffic = leg.duration_in_traffic || leg.duration;
-    const durationInTrafficValue = durationInTraffic.value; // seconds
-    const durationInTrafficText = durationInTraffic.text;
-
-    // Calculate traffic delay
-    const distance = leg.distance.value / 1000; // km
-    const averageSpeed = 30; // km/h (assumed average speed without traffic)
-    const expectedDuration = (distance / averageSpeed) * 3600; // seconds
-    const trafficDelay = Math.max(0, durationInTrafficValue - expectedDuration);
+    const distance = leg.distance / 1000; // km
+    const trafficDelay = Math.max(0, leg.durationInTraffic - leg.duration);
 
     return {
-      etaMinutes: Math.round(durationInTrafficValue / 60),
-      etaText: durationInTrafficText,
+      etaMinutes: Math.round(leg.durationInTraffic / 60),
+      etaText: `${Math.round(leg.durationInTraffic / 60)} mins`,
       distance: Math.round(distance * 100) / 100,
       trafficDelay: Math.round(trafficDelay / 60), // minutes
-      hasTraffic: trafficDelay > 0
+      hasTraffic: trafficDelay > 0,
+      provider: getRoutingProvider().name
     };
   } catch (error) {
     console.error('Error calculating traffic ETA:', error.message);
@@ -60,33 +92,17 @@ const calculateTrafficETA = async (originLat, originLng, destLat, destLng) => {
 // Calculate ETA for multiple waypoints
 const calculateRouteETA = async (waypoints) => {
   try {
-    if (!GOOGLE_MAPS_API_KEY || waypoints.length < 2) {
+    if (waypoints.length < 2) {
       return null;
     }
 
-    const origin = waypoints[0];
-    const destination = waypoints[waypoints.length - 1];
-    const waypointsParam = waypoints.slice(1, -1).map(wp => `${wp.lat},${wp.lng}`).join('|');
-
-    const url = `https://maps.googleapis.com/maps/api/directions/json`;
-    const params = {
-      origin: `${origin.lat},${origin.lng}`,
-      destination: `${destination.lat},${destination.lng}`,
-      waypoints: waypointsParam,
-      mode: 'driving',
-      traffic_model: 'best_guess',
-      departure_time: 'now',
-      key: GOOGLE_MAPS_API_KEY
-    };
-
-    const response = await axios.get(url, { params });
-    
-    if (response.data.status !== 'OK') {
-      console.error('Google Maps API error:', response.data.status);
-      return null;
-    }
+    const directions = await getDirections({
+      origin: waypoints[0],
+      destination: waypoints[waypoints.length - 1],
+      waypoints: waypoints.slice(1, -1)
+    });
 
-    const route = response.data.routes[0];
+    const route = directions && directions.routes[0];
     if (!route || !route.legs) {
       return null;
     }
@@ -96,15 +112,14 @@ const calculateRouteETA = async (waypoints) => {
 
     for (let i = 0; i < route.legs.length; i++) {
       const leg = route.legs[i];
-      const durationInTraffic = leg.duration_in_traffic || leg.duration;
-      cumulativeTime += durationInTraffic.value;
+      cumulativeTime += leg.durationInTraffic;
 
       etas.push({
         waypointIndex: i,
         etaMinutes: Math.round(cumulativeTime / 60),
-        etaText: durationInTraffic.text,
-        distance: Math.round(leg.distance.value / 1000 * 100) / 100,
-        trafficDelay: Math.max(0, (durationInTraffic.value - (leg.distance.value / 1000 / 30 * 3600)) / 60)
+        etaText: `${Math.round(leg.durationInTraffic / 60)} mins`,
+        distance: Math.round(leg.distance / 1000 * 100) / 100,
+        trafficDelay: Math.max(0, (leg.durationInTraffic - leg.duration) / 60)
       });
     }
 
@@ -118,50 +133,85 @@ const calculateRouteETA = async (waypoints) => {
 // Get real-time traffic conditions for a route
 const getTrafficConditions = async (originLat, originLng, destLat, destLng) => {
   try {
-    if (!GOOGLE_MAPS_API_KEY) {
+    const directions = await getDirections({
+      origin: { lat: originLat, lng: originLng },
+      destination: { lat: destLat, lng: destLng },
+      alternatives: true
+    });
+
+    if (!directions) {
       return null;
     }
 
-    const url = `https://maps.googleapis.com/maps/api/directions/json`;
-    const params = {
-      origin: `${originLat},${originLng}`,
-      destination: `${destLat},${destLng}`,
-      mode: 'driving',
-      traffic_model: 'best_guess',
-      departure_time: 'now',
-      alternatives: true,
-      key: GOOGLE_MAPS_API_KEY
-    };
+    const trafficConditions = directions.routes.map((route, routeIndex) => {
+      const leg = route.legs[0];
+
+      const trafficLevel = leg.durationInTraffic > leg.duration * 1.2 ? 'heavy' :
+                          leg.durationInTraffic > leg.duration * 1.1 ? 'moderate' : 'light';
 
-    const response = await axios.get(url, { params });
-    
-    if (response.data.status !== 'OK') {
+      return {
+        routeIndex,
+        trafficLevel,
+        delayMinutes: Math.round((leg.durationInTraffic - leg.duration) / 60),
+        duration: Math.round(leg.durationInTraffic / 60),
+        distance: Math.round(leg.distance / 1000 * 100) / 100
+      };
+    });
+
+    return trafficConditions;
+  } catch (error) {
+    console.error('Error getting traffic conditions:', error.message);
+    return null;
+  }
+};
+
+// Get the driving path through a list of { lat, lng } points as [lng, lat] pairs
+const getRouteGeometry = async (points) => {
+  try {
+    if (points.length < 2) {
       return null;
     }
 
-    const routes = response.data.routes;
-    const trafficConditions = [];
+    const directions = await getDirections({
+      origin: points[0],
+      destination: points[points.length - 1],
+      waypoints: points.slice(1, -1),
+      geometry: true
+    });
+
+    const route = directions && directions.routes[0];
+    if (!route || !route.geometry || route.geometry.length < 2) {
+      return null;
+    }
 
-    for (const route of routes) {
-      const leg = route.legs[0];
-      const durationInTraffic = leg.duration_in_traffic || leg.duration;
-      const duration = leg.duration;
+    return {
+      coordinates: route.geometry,
+      provider: getRoutingProvider().name
+    };
+  } catch (error) {
+    console.error('Error getting route geometry:', error.message);
+    return null;
+  }
+};
 
-      const trafficLevel = durationInTraffic.value > duration.value * 1.2 ? 'heavy' :
-                          durationInTraffic.value > duration.value * 1.1 ? 'moderate' : 'light';
+// Get the distance (metres) and duration (seconds) between every pair of
+// { lat, lng } points, or null when no provider is available
+const getTravelMatrix = async (points) => {
+  try {
+    const provider = getRoutingProvider();
+    if (!provider || !provider.getMatrix || points.length < 2) {
+      return null;
+    }
 
-      trafficConditions.push({
-        routeIndex: route.legs[0].via_waypoint ? route.legs[0].via_waypoint[0].step_index : 0,
-        trafficLevel,
-        delayMinutes: Math.round((durationInTraffic.value - duration.value) / 60),
-        duration: Math.round(durationInTraffic.value / 60),
-        distance: Math.round(leg.distance.value / 1000 * 100) / 100
-      });
+    const key = [provider.name, 'matrix', ...points.map(pointKey)].join('|');
+    const matrix = await directionsCache.wrap(key, () => provider.getMatrix({ points }));
+    if (!matrix) {
+      return null;
     }
 
-    return trafficConditions;
+    return { ...matrix, provider: provider.name };
   } catch (error) {
-    console.error('Error getting traffic conditions:', error.message);
+    console.error('Error getting travel matrix:', error.message);
     return null;
   }
 };
@@ -173,9 +223,9 @@ const calculateBasicETA = (originLat, originLng, destLat, destLng, averageSpeed
     const R = 6371; // Earth's radius in kilometers
     const dLat = (destLat - originLat) * Math.PI / 180;
     const dLon = (destLng - originLng) * Math.PI / 180;
-    const a = 
+    const a =
       Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(originLat * Math.PI / 180) * Math.cos(destLat * Math.PI / 180) * 
+      Math.cos(originLat * Math.PI / 180) * Math.cos(destLat * Math.PI / 180) *
       Math.sin(dLon/2) * Math.sin(dLon/2);
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
     const distance = R * c;
@@ -198,7 +248,7 @@ const calculateBasicETA = (originLat, originLng, destLat, destLng, averageSpeed
 const getOptimalRoute = async (originLat, originLng, destLat, destLng) => {
   try {
     const trafficConditions = await getTrafficConditions(originLat, originLng, destLat, destLng);
-    
+
     if (!trafficConditions || trafficConditions.length === 0) {
       return calculateBasicETA(originLat, originLng, destLat, destLng);
     }
@@ -226,5 +276,9 @@ module.exports = {
   calculateRouteETA,
   getTrafficConditions,
   calculateBasicETA,
-  getOptimalRoute
-}; 
\ No newline at end of file
+  getOptimalRoute,
+  getRouteGeometry,
+  getTravelMatrix,
+  getRoutingProvider,
+  setRoutingProvider
+};
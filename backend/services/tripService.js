@@ -0,0 +1,103 @@
+const Trip = require('../models/Trip');
+const LocationLog = require('../models/LocationLog');
+const { ArrivalLog } = require('../models/LocationLog');
+const { getPlannedRun, getLikelyDirection } = require('./scheduleService');
+const { getServiceDay, zonedParts } = require('./calendarService');
+
+// Close a bus's open trip. Updates the bus in memory; the caller saves it.
+const endTrip = async (bus, { time = new Date(), status = 'completed' } = {}) => {
+  if (!bus.currentTrip) return null;
+
+  const trip = await Trip.findById(bus.currentTrip);
+  bus.currentTrip = null;
+
+  if (!trip || trip.status !== 'in_progress') {
+    return trip;
+  }
+
+  trip.status = status;
+  trip.actualEnd = time;
+  await trip.save();
+  return trip;
+};
+
+// Open a trip for a bus on its route and reset the bus's run state. Starting
+// the same direction again on the same school day resumes the open trip, so
+// an app restart does not split a run. Updates the bus in memory; the caller
+// saves it. route must be the bus's route document.
+const startTrip = async (bus, route, { driver, direction, time = new Date() } = {}) => {
+  // Planned times follow the school calendar; runs on days without
+  // service have none
+  const serviceDay = await getServiceDay(bus.school, time);
+  const tripDirection = direction || getLikelyDirection(route, time, serviceDay);
+
+  if (bus.currentTrip) {
+    const openTrip = await Trip.findById(bus.currentTrip);
+    if (openTrip && openTrip.status === 'in_progress' &&
+        openTrip.direction === tripDirection &&
+        zonedParts(openTrip.actualStart, serviceDay.timeZone).dateKey === serviceDay.date) {
+      return { trip: openTrip, resumed: true };
+    }
+
+    await endTrip(bus, { time, status: 'abandoned' });
+  }
+
+  const { plannedStart, plannedEnd } = getPlannedRun(route, tripDirection, time, serviceDay);
+
+  const trip = new Trip({
+    bus: bus._id,
+    route: route._id,
+    driver,
+    school: bus.school,
+    direction: tripDirection,
+    plannedStart,
+    plannedEnd,
+    actualStart: time
+  });
+
+  await trip.save();
+
+  bus.currentTrip = trip._id;
+  bus.currentDirection = tripDirection;
+  bus.currentStopIndex = 0;
+  bus.stopVisit = undefined;
+  bus.offRoute = undefined;
+
+  return { trip, resumed: false };
+};
+
+// Everything recorded during a trip, in time order, for reports and replay
+const getTripDetails = async (tripId) => {
+  const trip = await Trip.findById(tripId)
+    .populate('bus', 'busNumber')
+    .populate('route', 'name')
+    .populate('driver', 'firstName lastName');
+
+  if (!trip) return null;
+
+  const [arrivals, locations] = await Promise.all([
+    ArrivalLog.find({ trip: trip._id }).sort({ actualTime: 1 }),
+    LocationLog.find({ trip: trip._id })
+      .sort({ timestamp: 1 })
+      .select('location heading speed timestamp currentStopIndex isOnRoute distanceFromRoute offRouteAlert')
+  ]);
+
+  const summary = {
+    durationMinutes: trip.getDurationMinutes(),
+    startDelayMinutes: trip.plannedStart ?
+      Math.round((trip.actualStart - trip.plannedStart) / 60000) :
+      null,
+    stopsVisited: arrivals.filter(arrival => arrival.status !== 'missed').length,
+    stopsMissed: arrivals.filter(arrival => arrival.status === 'missed').length,
+    lateArrivals: arrivals.filter(arrival => arrival.status === 'late').length,
+    offRouteAlerts: locations.filter(location => location.offRouteAlert).length
+  };
+
+  return { trip, summary, arrivals, locations };
+};
+
+module.exports = {
+  startTrip,
+  endTrip,
+  getTripDetails
+};
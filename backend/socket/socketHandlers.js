@@ -2,6 +2,11 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Bus = require('../models/Bus');
 const { sendPushNotification } = require('../services/notificationService');
+const { calculateETA } = require('../services/etaService');
+const { getScheduledTime } = require('../services/scheduleService');
+const { getServiceDay } = require('../services/calendarService');
+const { recordLocation, recordArrival } = require('../services/trackingService');
+const { findStopParents } = require('../services/studentService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
@@ -89,7 +94,16 @@ const initializeSocketHandlers = (io) => {
           return;
         }
 
-        await bus.updateLocation(latitude, longitude, heading, speed);
+        // Update bus location, log it and check it against the route geometry
+        const { adherence } = await recordLocation(io, bus, {
+          latitude,
+          longitude,
+          heading,
+          speed,
+          accuracy,
+          batteryLevel: data.batteryLevel,
+          signalStrength: data.signalStrength
+        });
 
         // Broadcast to all users tracking this bus
         socket.to(`bus_${busId}`).emit('location_update', {
@@ -97,12 +111,13 @@ const initializeSocketHandlers = (io) => {
           location: { latitude, longitude, heading, speed },
           timestamp: new Date(),
           currentStopIndex: bus.currentStopIndex,
-          direction: bus.currentDirection
+          direction: bus.currentDirection,
+          isOnRoute: adherence.isOnRoute
         });
 
         // Check if bus is approaching stops and notify parents
         if (bus.route && bus.route.stops) {
-          const stops = bus.route.stops;
+          const stops = bus.route.getStopsForDirection(bus.currentDirection);
           const currentStop = stops[bus.currentStopIndex];
           
           if (currentStop) {
@@ -271,24 +286,18 @@ const initializeSocketHandlers = (io) => {
           return;
         }
 
-        const bus = await Bus.findById(busId);
-        if (!bus) {
+        const bus = await Bus.findById(busId).populate('route');
+        if (!bus || !bus.route) {
           return;
         }
 
-        // Update bus current stop
-        bus.currentStopIndex = stopIndex;
-        await bus.save();
-
-        // Notify parents about arrival
-        socket.to(`bus_${busId}`).emit('bus_arrived_at_stop', {
-          busId: bus._id,
-          stopIndex,
-          timestamp: new Date()
+        // Manual arrival overrides automatic geofence detection; this also
+        // notifies the bus room and parents
+        await recordArrival(io, bus, stopIndex, {
+          actualTime: new Date(),
+          detection: 'manual'
         });
-
-        // Send push notifications
-        await sendArrivalNotifications(bus, stopIndex);
+        await bus.save();
 
       } catch (error) {
         console.error('Arrival notification error:', error);
@@ -312,15 +321,10 @@ const initializeSocketHandlers = (io) => {
   // Helper function to send approaching stop notifications
   const sendApproachingStopNotifications = async (bus, stop, etaMinutes) => {
     try {
-      // Find parents who have this stop selected
-      const parents = await User.find({
-        role: 'parent',
-        school: bus.school,
-        'parent.selectedStop': stop._id,
-        'parent.notificationPreferences.etaNotifications': true
-      });
-
-      for (const parent of parents) {
+      // Find parents who have this stop selected or children riding from it
+      const parents = await findStopParents(stop._id, { school: bus.school, direction: bus.currentDirection });
+
+      for (const parent of parents.filter(parent => parent.parent.notificationPreferences.etaNotifications)) {
         if (parent.parent.pushToken) {
           await sendPushNotification(parent.parent.pushToken, {
             title: 'Bus Approaching',
@@ -339,66 +343,34 @@ const initializeSocketHandlers = (io) => {
     }
   };
 
-  // Helper function to send arrival notifications
-  const sendArrivalNotifications = async (bus, stopIndex) => {
-    try {
-      const route = await bus.populate('route');
-      if (!route.route || !route.route.stops[stopIndex]) {
-        return;
-      }
-
-      const stop = route.route.stops[stopIndex];
-      
-      // Find parents who have this stop selected
-      const parents = await User.find({
-        role: 'parent',
-        school: bus.school,
-        'parent.selectedStop': stop._id,
-        'parent.notificationPreferences.arrivalNotifications': true
-      });
-
-      for (const parent of parents) {
-        if (parent.parent.pushToken) {
-          await sendPushNotification(parent.parent.pushToken, {
-            title: 'Bus Arrived',
-            body: `Bus ${bus.busNumber} has arrived at ${stop.name}`,
-            data: {
-              type: 'bus_arrived',
-              busId: bus._id.toString(),
-              stopId: stop._id.toString()
-            }
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error sending arrival notifications:', error);
-    }
-  };
-
   // Helper function to calculate ETA for parents
   const calculateETAForParent = async (bus, stopIndex) => {
     try {
       const populatedBus = await bus.populate('route');
-      if (!populatedBus.route || !populatedBus.route.stops[stopIndex]) {
+      if (!populatedBus.route ||
+          !populatedBus.route.getStopsForDirection(populatedBus.currentDirection)[stopIndex]) {
         return { error: 'Invalid stop' };
       }
 
-      const stop = populatedBus.route.stops[stopIndex];
-      const currentLocation = populatedBus.currentLocation.coordinates;
+      const eta = await calculateETA(populatedBus, populatedBus.route, stopIndex);
+      if (!eta) {
+        return { error: 'Unable to calculate ETA' };
+      }
 
-      const eta = populatedBus.route.calculateETA(
-        currentLocation[1],
-        currentLocation[0],
-        stopIndex,
-        populatedBus.currentDirection
-      );
+      const stop = eta.targetStop;
+      const serviceDay = await getServiceDay(populatedBus.school);
 
       return {
         busId: bus._id,
         stopId: stop._id,
         stopName: stop.name,
+        scheduledTime: getScheduledTime(populatedBus.route, populatedBus.currentDirection, stop, new Date(), serviceDay),
+        serviceDay,
         eta: eta.etaMinutes,
         distance: eta.distance,
+        trafficDelay: eta.trafficDelay || 0,
+        model: eta.model,
+        stops: eta.stops,
         direction: populatedBus.currentDirection
       };
     } catch (error) {
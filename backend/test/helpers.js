@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Expo } = require('expo-server-sdk');
+const Route = require('../models/Route');
+const Student = require('../models/Student');
+
+// Scaffolding shared by the test suites. Nothing here reaches a database or
+// a push service.
+
+// Queries the tests forgot to mock fail instead of waiting for a database
+mongoose.set('bufferCommands', false);
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query resolving to value, whatever is chained on it
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['select', 'sort', 'populate', 'lean'].forEach(method => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+// A route with three stops about a kilometre apart heading north, the last
+// at the school
+const makeRoute = (overrides = {}) => new Route({
+  name: 'Route 1',
+  school: id(),
+  stops: [
+    { name: 'Oak St', location: { coordinates: [-73.99, 40.70] }, estimatedTime: 0, stopOrder: 0 },
+    { name: 'Elm St', location: { coordinates: [-73.99, 40.71] }, estimatedTime: 5, stopOrder: 1 },
+    { name: 'School', location: { coordinates: [-73.99, 40.72] }, estimatedTime: 10, stopOrder: 2, isSchoolStop: true }
+  ],
+  ...overrides
+});
+
+// A bus of the route's school running its morning run, at the first stop
+const makeBus = (route, overrides = {}) => ({
+  _id: id(),
+  school: route.school,
+  busNumber: '12',
+  route,
+  currentDirection: 'to_school',
+  currentStopIndex: 0,
+  currentTrip: id(),
+  ...overrides
+});
+
+const makeStudent = (overrides = {}) => new Student({
+  school: id(),
+  name: 'Sam Lee',
+  ...overrides
+});
+
+// Keep push notifications from leaving and collect them, in the order sent
+const capturePushes = () => {
+  const sent = [];
+  jest.spyOn(Expo.prototype, 'sendPushNotificationsAsync').mockImplementation(async (messages) => {
+    sent.push(...messages);
+    return messages.map(() => ({ status: 'ok' }));
+  });
+  return sent;
+};
+
+module.exports = {
+  id,
+  query,
+  makeRoute,
+  makeBus,
+  makeStudent,
+  capturePushes
+};
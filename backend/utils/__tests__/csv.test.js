@@ -0,0 +1,40 @@
+const { parseCsv, toCsv } = require('../csv');
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and CRLF line endings', () => {
+    const text = 'stop_id,stop_name,stop_desc\r\n1,"Oak St, north side","The ""big"" oak"\r\n2,Elm St,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { stop_id: '1', stop_name: 'Oak St, north side', stop_desc: 'The "big" oak' },
+      { stop_id: '2', stop_name: 'Elm St', stop_desc: '' }
+    ]);
+  });
+
+  it('skips a byte order mark and blank lines and trims fields', () => {
+    const text = '﻿route_id, route_short_name\n\n R1 ,Route 1\n';
+
+    expect(parseCsv(text)).toEqual([{ route_id: 'R1', route_short_name: 'Route 1' }]);
+  });
+
+  it('keeps line breaks inside quoted fields', () => {
+    expect(parseCsv('a,b\n"one\ntwo",3')).toEqual([{ a: 'one\ntwo', b: '3' }]);
+  });
+
+  it('fills in missing trailing fields', () => {
+    expect(parseCsv('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the given columns and escapes what needs it', () => {
+    const csv = toCsv([{ id: 1, name: 'Oak St, "north"', extra: 'x' }, { id: 2 }], ['id', 'name']);
+
+    expect(csv).toBe('id,name\r\n1,"Oak St, ""north"""\r\n2,\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const records = [{ a: 'line\nbreak', b: 'comma,here' }, { a: '"quoted"', b: '' }];
+
+    expect(parseCsv(toCsv(records, ['a', 'b']))).toEqual(records);
+  });
+});
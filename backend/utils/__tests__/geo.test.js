@@ -0,0 +1,47 @@
+const { distanceBetween, matchToLine, lineLength, decodePolyline } = require('../geo');
+
+describe('distanceBetween', () => {
+  it('measures metres between [lng, lat] points', () => {
+    expect(distanceBetween([-73.99, 40.70], [-73.99, 40.71])).toBeCloseTo(1112, -1);
+    expect(distanceBetween([-73.99, 40.70], [-73.99, 40.70])).toBe(0);
+  });
+});
+
+describe('matchToLine', () => {
+  const line = [[-73.99, 40.70], [-73.99, 40.71], [-73.98, 40.71]];
+
+  it('snaps a point to the closest segment and measures progress along the line', () => {
+    const match = matchToLine([-73.9895, 40.705], line);
+
+    expect(match.segmentIndex).toBe(0);
+    expect(match.snapped[0]).toBeCloseTo(-73.99, 6);
+    expect(match.snapped[1]).toBeCloseTo(40.705, 6);
+    expect(match.distance).toBeCloseTo(42, 0);
+    expect(match.progress).toBeCloseTo(556, -1);
+  });
+
+  it('finds later segments', () => {
+    const match = matchToLine([-73.985, 40.7105], line);
+
+    expect(match.segmentIndex).toBe(1);
+    expect(match.progress).toBeGreaterThan(lineLength(line.slice(0, 2)));
+  });
+
+  it('handles lines with fewer than two points', () => {
+    expect(matchToLine([-73.99, 40.70], [])).toBeNull();
+    expect(matchToLine([-73.99, 40.70], [[-73.99, 40.71]])).toMatchObject({ segmentIndex: 0, progress: 0 });
+  });
+});
+
+describe('decodePolyline', () => {
+  it('decodes Google encoded polylines to [lng, lat] pairs', () => {
+    // Example from Google's polyline algorithm documentation
+    const coordinates = decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+
+    expect(coordinates).toEqual([
+      [-120.2, 38.5],
+      [-120.95, 40.7],
+      [-126.453, 43.252]
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading and writing, enough for GTFS and similar
+// feeds: quoted fields, escaped quotes, CRLF line endings and a UTF-8 BOM.
+
+// Split CSV text into rows of fields
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Parse CSV text with a header line into objects keyed by column name
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = fields[index] !== undefined ? fields[index].trim() : '';
+    });
+    return record;
+  });
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV with the given columns
+const toCsv = (records, columns) => {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,121 @@
+// Geometry helpers. Points are GeoJSON-style [lng, lat] pairs and
+// distances are in metres unless stated otherwise.
+
+const EARTH_RADIUS = 6371000; // metres
+
+const toRadians = (deg) => deg * (Math.PI / 180);
+
+// Haversine distance between two [lng, lat] points
+const distanceBetween = (from, to) => {
+  const dLat = toRadians(to[1] - from[1]);
+  const dLon = toRadians(to[0] - from[0]);
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+};
+
+// Project a point onto the segment a-b. Uses a local flat projection, which
+// is accurate enough for the short segments of a bus route.
+const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos(toRadians(point[1]));
+  const ax = (a[0] - point[0]) * cosLat;
+  const ay = a[1] - point[1];
+  const bx = (b[0] - point[0]) * cosLat;
+  const by = b[1] - point[1];
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = lengthSquared > 0 ? -(ax * dx + ay * dy) / lengthSquared : 0;
+  t = Math.max(0, Math.min(1, t));
+
+  const snapped = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  return { snapped, t, distance: distanceBetween(point, snapped) };
+};
+
+// Find the closest point on a line to the given point. Returns the distance
+// to the line, the snapped point, the segment index and how far along the
+// line (in metres) the snapped point lies.
+const matchToLine = (point, coordinates) => {
+  if (!coordinates || coordinates.length === 0) return null;
+  if (coordinates.length === 1) {
+    return {
+      distance: distanceBetween(point, coordinates[0]),
+      snapped: coordinates[0],
+      segmentIndex: 0,
+      progress: 0
+    };
+  }
+
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const segmentLength = distanceBetween(coordinates[i], coordinates[i + 1]);
+    const projection = projectOntoSegment(point, coordinates[i], coordinates[i + 1]);
+
+    if (!best || projection.distance < best.distance) {
+      best = {
+        distance: projection.distance,
+        snapped: projection.snapped,
+        segmentIndex: i,
+        progress: travelled + segmentLength * projection.t
+      };
+    }
+
+    travelled += segmentLength;
+  }
+
+  return best;
+};
+
+// Total length of a line
+const lineLength = (coordinates) => {
+  let length = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    length += distanceBetween(coordinates[i], coordinates[i + 1]);
+  }
+  return length;
+};
+
+// Decode a Google encoded polyline into [lng, lat] pairs
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    const deltas = [];
+
+    for (let n = 0; n < 2; n++) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+
+      deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+
+    lat += deltas[0];
+    lng += deltas[1];
+    coordinates.push([lng / factor, lat / factor]);
+  }
+
+  return coordinates;
+};
+
+module.exports = {
+  distanceBetween,
+  matchToLine,
+  lineLength,
+  decodePolyline
+};
@@ -0,0 +1,68 @@
+// Small in-memory cache with per-entry expiry. Values may be promises, so
+// concurrent callers asking for the same key share one pending request.
+class TTLCache {
+  constructor({ ttlMs = 60 * 1000, maxEntries = 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    }
+
+    // Maps keep insertion order, so the first key is the oldest
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Return the cached value for key, or compute and cache it. Failed or
+  // empty results are not cached so the next caller can retry.
+  async wrap(key, compute) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const pending = Promise.resolve().then(compute);
+    this.set(key, pending);
+
+    try {
+      const value = await pending;
+      if (value === null || value === undefined) {
+        this.delete(key);
+      }
+      return value;
+    } catch (error) {
+      this.delete(key);
+      throw error;
+    }
+  }
+}
+
+module.exports = TTLCache;
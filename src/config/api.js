@@ -38,6 +38,11 @@ export const ENDPOINTS = {
     ROUTES: '/school/routes',
     USERS: '/school/users',
     SETTINGS: '/school/settings',
+    FEED_TOKEN: '/school/feed-token',
+    GEOCODING_REVIEW: '/school/geocoding/review',
+    CONFIRM_LOCATION: '/school/geocoding/confirm',
+    PICKUP_ESCALATIONS: '/school/pickup-escalations',
+    RESOLVE_PICKUP_ESCALATION: (id) => `/school/pickup-escalations/${id}/resolve`,
   },
   
   // Bus Management
@@ -59,9 +64,21 @@ export const ENDPOINTS = {
     UPDATE: (id) => `/route/${id}`,
     DELETE: (id) => `/route/${id}`,
     STOPS: (id) => `/route/${id}/stops`,
+    CAPACITY: '/route/capacity',
+    ROUTE_CAPACITY: (id) => `/route/${id}/capacity`,
     ADD_STOP: (id) => `/route/${id}/stops`,
     UPDATE_STOP: (routeId, stopId) => `/route/${routeId}/stops/${stopId}`,
     DELETE_STOP: (routeId, stopId) => `/route/${routeId}/stops/${stopId}`,
+    REORDER_STOPS: (id) => `/route/${id}/stops/order`,
+    RUN: (id, direction) => `/route/${id}/runs/${direction}`,
+    GEOMETRY: (id) => `/route/${id}/geometry`,
+    GENERATE_GEOMETRY: (id) => `/route/${id}/geometry/generate`,
+    OPTIMIZE: (id) => `/route/${id}/optimize`,
+    IMPORT_FILE: '/route/import',
+    PUBLISH: (id) => `/route/${id}/publish`,
+    VERSIONS: (id) => `/route/${id}/versions`,
+    VERSION_DIFF: (routeId, versionId) => `/route/${routeId}/versions/${versionId}/diff`,
+    CANCEL_VERSION: (routeId, versionId) => `/route/${routeId}/versions/${versionId}`,
   },
   
   // Driver Management
@@ -73,21 +90,96 @@ export const ENDPOINTS = {
     STOP_TRACKING: '/location/bus/:busId/tracking',
     NEXT_STOP: '/driver/next-stop',
     ARRIVED_AT_STOP: '/driver/arrived-at-stop',
+    MISSED_STOPS: '/driver/missed-stops',
+    CONFIRM_MISSED_STOP: (id) => `/driver/missed-stops/${id}`,
+    RIDERS: '/driver/riders',
+    RIDE_EVENTS: '/driver/ride-events',
+    HANDOVERS: '/driver/handovers',
+    NO_ADULT_AT_STOP: '/driver/handovers/no-adult',
+  },
+  
+  // Ridership
+  RIDERSHIP: {
+    LIST: '/ridership',
+  },
+  
+  // GTFS feeds
+  GTFS: {
+    IMPORT: '/gtfs/import',
+    EXPORT: '/gtfs/export',
+    VEHICLE_POSITIONS: '/gtfs/realtime/vehicle-positions',
+    TRIP_UPDATES: '/gtfs/realtime/trip-updates',
+  },
+  
+  // School Calendar
+  CALENDAR: {
+    LIST: '/calendar',
+    DAY: '/calendar/day',
+    CREATE: '/calendar',
+    IMPORT: '/calendar/import',
+    UPDATE: (id) => `/calendar/${id}`,
+    DELETE: (id) => `/calendar/${id}`,
+  },
+  
+  // Bus Stops
+  STOP: {
+    LIST: '/stop',
+    DETAILS: (id) => `/stop/${id}`,
+    CREATE: '/stop',
+    UPDATE: (id) => `/stop/${id}`,
+    DELETE: (id) => `/stop/${id}`,
+    GEOCODE: '/stop/geocode',
+    CONFIRM_LOCATION: (id) => `/stop/${id}/geocoding/confirm`,
+  },
+  
+  // Trips
+  TRIP: {
+    LIST: '/trip',
+    DETAILS: (id) => `/trip/${id}`,
   },
   
   // Parent Management
   PARENT: {
     DASHBOARD: '/parent/dashboard',
     SELECT_STOP: '/parent/select-stop',
+    AVAILABLE_STOPS: '/parent/available-stops',
+    HOME: '/parent/home',
     ETA: '/parent/eta',
     NOTIFICATIONS: '/parent/notifications',
     CHILDREN: '/parent/children',
+    CHILD: (id) => `/parent/children/${id}`,
+    CHILD_RIDES: (id) => `/parent/children/${id}/rides`,
+    ABSENCES: '/parent/absences',
+    ABSENCE: (id) => `/parent/absences/${id}`,
+    PICKUP_ADULTS: (childId) => `/parent/children/${childId}/pickup-adults`,
+    PICKUP_ADULT: (childId, adultId) => `/parent/children/${childId}/pickup-adults/${adultId}`,
+  },
+  
+  // Students
+  STUDENT: {
+    LIST: '/student',
+    DETAILS: (id) => `/student/${id}`,
+    CREATE: '/student',
+    UPDATE: (id) => `/student/${id}`,
+    DELETE: (id) => `/student/${id}`,
+    GUARDIANS: (id) => `/student/${id}/guardians`,
+    GUARDIAN: (id, userId) => `/student/${id}/guardians/${userId}`,
+    BADGES: (id) => `/student/${id}/badges`,
+    BADGE: (id, code) => `/student/${id}/badges/${encodeURIComponent(code)}`,
+  },
+  
+  // Badge readers
+  SCAN: {
+    DEVICES: '/scan/devices',
+    DEVICE: (id) => `/scan/devices/${id}`,
+    DEVICE_TOKEN: (id) => `/scan/devices/${id}/token`,
   },
   
   // Location Tracking
   LOCATION: {
     BUS_LOCATION: (busId) => `/location/bus/${busId}`,
     ETA: (busId, stopIndex) => `/location/eta/${busId}/${stopIndex}`,
+    ETA_TIMELINE: (busId) => `/location/eta/${busId}`,
     HISTORY: (busId) => `/location/history/${busId}`,
     SCHOOL_BUSES: (schoolId) => `/location/school/${schoolId}/buses`,
   },
@@ -167,6 +259,10 @@ export const SOCKET_EVENTS = {
   BUS_STATUS_UPDATE: 'bus_status_update',
   BUS_APPROACHING_STOP: 'bus_approaching_stop',
   BUS_ARRIVED_AT_STOP: 'bus_arrived_at_stop',
+  BUS_DEPARTED_STOP: 'bus_departed_stop',
+  STOP_MISSED: 'stop_missed',
+  OFF_ROUTE: 'off_route',
+  BACK_ON_ROUTE: 'back_on_route',
   
   // Driver Events
   GET_NEXT_STOP: 'get_next_stop',